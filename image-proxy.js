@@ -0,0 +1,383 @@
+#!/usr/bin/env node
+/**
+ * @file 公众号图片代理（替代proxy-image.php）
+ * @description 提供Node.js http请求处理函数及Express/Koa中间件：仅转发白名单域名的图片，限制大小与超时，按文件头识别MIME类型，
+ * 缓存响应，并提供只返回图片尺寸的JSON接口
+ * @copyright Copyright (c) 2026 上海意符文化传媒有限公司
+ * @license MIT License
+ * @repository https://github.com/qiruoKING/svg-code-convert
+ *             https://gitee.com/forPage/svg-code-convert
+ */
+
+const http = require('http');
+const https = require('https');
+const svgCC = require('./svg-code-convert.full.js');
+
+// 默认配置
+const defaultOptions = {
+	allowedHosts: ['mmbiz.qpic.cn', 'mmbiz.qlogo.cn'], // 允许代理的图片域名，"*.example.com"匹配所有子域名
+	maxBytes: 10 * 1024 * 1024, // 单张图片的最大字节数
+	timeout: 5000, // 请求源站的超时时间（毫秒）
+	maxAge: 86400, // 响应的浏览器缓存时间（秒）
+	cacheBytes: 50 * 1024 * 1024, // 代理内存缓存的最大字节数，0为不缓存
+	allowOrigin: '*', // 跨域响应头Access-Control-Allow-Origin
+	// 模拟微信合法请求头
+	headers: {
+		'Referer': 'https://mp.weixin.qq.com/',
+		'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+		'Accept': 'image/png,image/jpeg,image/gif,image/webp,*/*',
+		'Accept-Language': 'zh-CN,zh;q=0.9'
+	}
+};
+
+/**
+ * 判断域名是否在白名单中
+ * @param {string} hostname - 图片链接的域名
+ * @param {string[]} allowedHosts - 域名白名单，"*.example.com"匹配所有子域名（不含example.com本身）
+ * @returns {boolean} 是否允许代理
+ */
+function isHostAllowed(hostname, allowedHosts) {
+	const host = String(hostname).toLowerCase();
+	return allowedHosts.some(pattern => {
+		const rule = String(pattern).toLowerCase();
+		return rule.startsWith('*.') ? host.endsWith(rule.slice(1)) : host === rule;
+	});
+}
+
+/**
+ * 按文件头识别图片MIME类型
+ * @param {Uint8Array} bytes - 文件开头的字节
+ * @returns {string|null} MIME类型，不是支持的图片格式时返回null
+ */
+function sniffImageMime(bytes) {
+	const ascii = (at, length) => String.fromCharCode(...bytes.subarray(at, at + length));
+	if (bytes[0] === 0x89 && ascii(1, 3) === 'PNG') return 'image/png';
+	if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'image/jpeg';
+	if (/^GIF8[79]a$/.test(ascii(0, 6))) return 'image/gif';
+	if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') return 'image/webp';
+	if (ascii(0, 2) === 'BM') return 'image/bmp';
+	if (bytes[0] === 0 && bytes[1] === 0 && bytes[2] === 1 && bytes[3] === 0) return 'image/x-icon';
+	if (ascii(4, 4) === 'ftyp' && /^avi[fs]$/.test(ascii(8, 4))) return 'image/avif';
+	// SVG：开头只允许出现BOM、空白、XML声明、注释和DOCTYPE
+	const text = Buffer.from(bytes.subarray(0, 4096)).toString('utf8').replace(/^\uFEFF/, '');
+	if (/^\s*(?:<\?xml[^>]*\?>\s*)?(?:<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/i.test(text)) return 'image/svg+xml';
+	return null;
+}
+
+/**
+ * 生成带HTTP状态码的错误
+ * @param {number} statusCode - 返回给客户端的HTTP状态码
+ * @param {string} message - 错误信息
+ * @returns {Error} 错误对象（statusCode属性为状态码）
+ */
+function createHttpError(statusCode, message) {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	return error;
+}
+
+/**
+ * 校验并解析图片链接
+ * @param {string} imageUrl - 图片链接
+ * @param {string[]} allowedHosts - 域名白名单
+ * @returns {URL} 解析后的链接
+ * @throws {Error} 链接无效（400）或域名不在白名单中（403）
+ */
+function parseImageUrl(imageUrl, allowedHosts) {
+	let url;
+	try {
+		url = new URL(imageUrl);
+	} catch (err) {
+		throw createHttpError(400, '图片URL无效');
+	}
+	if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+		throw createHttpError(400, '仅支持http/https图片URL');
+	}
+	if (!isHostAllowed(url.hostname, allowedHosts)) {
+		throw createHttpError(403, `图片域名不在白名单中: ${url.hostname}`);
+	}
+	return url;
+}
+
+/**
+ * 请求源站图片
+ * @param {URL} url - 已校验的图片链接
+ * @param {object} options - 代理配置（见defaultOptions）
+ * @param {number} [limit] - 只读取开头的字节数（携带Range请求头，读取足够后中断连接），不传时读取完整图片
+ * @param {number} [redirects=5] - 剩余可跟随的重定向次数（重定向目标同样校验白名单）
+ * @returns {Promise<Buffer>} 图片字节
+ * @throws {Error} 超时（504，options.timeout为包括重定向在内的总时长，源站持续缓慢发送数据同样超时）、超出大小限制（413）、源站返回错误或请求失败（502）
+ */
+function fetchImage(url, options, limit, redirects = 5) {
+	const client = url.protocol === 'https:' ? https : http;
+	const headers = { ...options.headers };
+	if (limit) headers.Range = `bytes=0-${limit - 1}`;
+	const deadline = Date.now() + options.timeout;
+	return new Promise((resolve, reject) => {
+		// 中断连接后仍可能触发data/end/error事件，结果只取第一次
+		let settled = false;
+		let timer = null;
+		const settle = (callback, value) => {
+			if (settled) return;
+			settled = true;
+			clearTimeout(timer);
+			callback(value);
+		};
+		const done = (value) => settle(resolve, value);
+		const fail = (err) => settle(reject, err);
+
+		const request = client.get(url, { headers }, (response) => {
+			const { statusCode } = response;
+			if (statusCode >= 300 && statusCode < 400 && response.headers.location) {
+				response.resume();
+				if (redirects <= 0) {
+					fail(createHttpError(502, '图片重定向次数过多'));
+					return;
+				}
+				try {
+					const next = parseImageUrl(new URL(response.headers.location, url).href, options.allowedHosts);
+					// 重定向后的请求使用剩余时间
+					done(fetchImage(next, { ...options, timeout: Math.max(deadline - Date.now(), 1) }, limit, redirects - 1));
+				} catch (err) {
+					fail(err);
+				}
+				return;
+			}
+			if (statusCode < 200 || statusCode >= 300) {
+				response.resume();
+				fail(createHttpError(502, `图片获取失败（源站返回${statusCode}）`));
+				return;
+			}
+			const length = Number(response.headers['content-length']);
+			if (!limit && length > options.maxBytes) {
+				request.destroy();
+				fail(createHttpError(413, '图片超出大小限制'));
+				return;
+			}
+
+			const chunks = [];
+			let received = 0;
+			response.on('data', (chunk) => {
+				chunks.push(chunk);
+				received += chunk.length;
+				if (limit && received >= limit) {
+					request.destroy(); // 字节足够后中断连接
+					done(Buffer.concat(chunks).subarray(0, limit));
+				} else if (!limit && received > options.maxBytes) {
+					request.destroy();
+					fail(createHttpError(413, '图片超出大小限制'));
+				}
+			});
+			response.on('end', () => done(Buffer.concat(chunks)));
+			response.on('error', () => fail(createHttpError(502, '图片获取失败')));
+		});
+		// 总超时：request.setTimeout只在连接空闲时触发，不能限制持续缓慢发送数据的源站
+		timer = setTimeout(() => {
+			request.destroy();
+			fail(createHttpError(504, '图片获取超时'));
+		}, options.timeout);
+		request.on('error', () => fail(createHttpError(502, '图片获取失败')));
+	});
+}
+
+/**
+ * 创建按字节数淘汰的LRU缓存
+ * @param {number} maxBytes - 最大字节数，0为不缓存
+ * @returns {{get: (key: string) => object|undefined, set: (key: string, value: object, bytes: number) => void, clear: () => void}} 缓存对象
+ */
+function createLruCache(maxBytes) {
+	const entries = new Map(); // Map按插入顺序迭代，读取时重新插入即可维护最近使用顺序
+	let totalBytes = 0;
+	return {
+		get(key) {
+			const entry = entries.get(key);
+			if (!entry) return undefined;
+			entries.delete(key);
+			entries.set(key, entry);
+			return entry.value;
+		},
+		set(key, value, bytes) {
+			if (bytes > maxBytes) return;
+			if (entries.has(key)) totalBytes -= entries.get(key).bytes;
+			entries.delete(key);
+			entries.set(key, { value, bytes });
+			totalBytes += bytes;
+			for (const [oldKey, entry] of entries) {
+				if (totalBytes <= maxBytes) break;
+				entries.delete(oldKey);
+				totalBytes -= entry.bytes;
+			}
+		},
+		clear() {
+			entries.clear();
+			totalBytes = 0;
+		}
+	};
+}
+
+/**
+ * 创建图片代理请求处理函数
+ * @param {object} [options={}] - 代理配置，未传入的项使用defaultOptions
+ * @returns {(req: http.IncomingMessage, res: http.ServerResponse) => Promise<void>} http请求处理函数，clearCache()清空缓存
+ * @description 请求格式：
+ * - GET ?url=<编码后的图片链接>：返回图片，Content-Type按文件头识别
+ * - GET ?url=<编码后的图片链接>&size=1：只读取文件头，返回JSON { code: 200, type, mime, width, height }
+ * 出错时返回JSON { code, msg }，code与HTTP状态码一致
+ */
+function createImageProxy(options = {}) {
+	const config = { ...defaultOptions, ...options, headers: { ...defaultOptions.headers, ...options.headers } };
+	const imageCache = createLruCache(config.cacheBytes);
+	const sizeCache = createLruCache(config.cacheBytes > 0 ? 1024 * 1024 : 0); // 尺寸结果体积小，按每条约1KB计
+
+	/**
+	 * 输出JSON响应
+	 * @param {http.ServerResponse} res - 响应对象
+	 * @param {number} statusCode - HTTP状态码
+	 * @param {object} body - 响应内容
+	 * @param {object} [headers={}] - 额外的响应头
+	 * @returns {void}
+	 */
+	const sendJson = (res, statusCode, body, headers = {}) => {
+		res.writeHead(statusCode, {
+			'Access-Control-Allow-Origin': config.allowOrigin,
+			'Content-Type': 'application/json; charset=utf-8',
+			...headers
+		});
+		res.end(JSON.stringify(body));
+	};
+
+	/**
+	 * 读取图片尺寸（只请求文件头，读取不到时按4倍递增重试）
+	 * @param {URL} url - 已校验的图片链接
+	 * @returns {Promise<{type: string, mime: string, width: number, height: number}>} 图片格式、MIME类型及宽高
+	 * @throws {Error} 请求失败或无法解析尺寸（415）
+	 */
+	const readSize = async (url) => {
+		for (let limit = svgCC.headerBytes; ; limit = Math.min(limit * 4, svgCC.maxHeaderBytes)) {
+			const bytes = await fetchImage(url, config, limit);
+			const size = svgCC.readImageSize(bytes);
+			if (size) return { ...size, mime: sniffImageMime(bytes) };
+			if (bytes.length < limit || limit >= svgCC.maxHeaderBytes) {
+				throw createHttpError(415, '无法识别图片尺寸');
+			}
+		}
+	};
+
+	const handler = async (req, res) => {
+		if (req.method === 'OPTIONS') {
+			res.writeHead(204, {
+				'Access-Control-Allow-Origin': config.allowOrigin,
+				'Access-Control-Allow-Methods': 'GET, HEAD',
+				'Access-Control-Allow-Headers': 'Range'
+			});
+			res.end();
+			return;
+		}
+		if (req.method !== 'GET' && req.method !== 'HEAD') {
+			sendJson(res, 405, { code: 405, msg: '仅支持GET请求' }, { 'Allow': 'GET, HEAD' });
+			return;
+		}
+
+		const params = new URL(req.url, 'http://localhost').searchParams;
+		const imageUrl = params.get('url');
+		if (!imageUrl) {
+			sendJson(res, 400, { code: 400, msg: '缺少图片URL参数' });
+			return;
+		}
+
+		try {
+			const url = parseImageUrl(imageUrl, config.allowedHosts);
+			const cacheControl = `public, max-age=${config.maxAge}`;
+
+			// 尺寸接口
+			if (params.get('size')) {
+				let size = sizeCache.get(url.href);
+				if (!size) {
+					size = await readSize(url);
+					sizeCache.set(url.href, size, 1024);
+				}
+				sendJson(res, 200, { code: 200, ...size }, { 'Cache-Control': cacheControl });
+				return;
+			}
+
+			// 图片接口
+			let image = imageCache.get(url.href);
+			if (!image) {
+				const body = await fetchImage(url, config);
+				const mime = sniffImageMime(body);
+				if (!mime) throw createHttpError(415, '源站返回的内容不是图片');
+				image = { body, mime };
+				imageCache.set(url.href, image, body.length);
+			}
+			res.writeHead(200, {
+				'Access-Control-Allow-Origin': config.allowOrigin,
+				'Content-Type': image.mime,
+				'Content-Length': image.body.length,
+				'Cache-Control': cacheControl,
+				'X-Content-Type-Options': 'nosniff',
+				// 直接打开SVG时禁止执行其中的脚本
+				'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; img-src data:"
+			});
+			res.end(req.method === 'HEAD' ? undefined : image.body);
+		} catch (err) {
+			const statusCode = err.statusCode || 500;
+			sendJson(res, statusCode, { code: statusCode, msg: err.statusCode ? err.message : '图片代理内部错误' });
+		}
+	};
+	handler.clearCache = () => {
+		imageCache.clear();
+		sizeCache.clear();
+	};
+	return handler;
+}
+
+/**
+ * 创建Express/Connect中间件
+ * @param {object} [options={}] - 代理配置，见createImageProxy
+ * @returns {(req: object, res: object, next: Function) => void} 中间件，挂载路径下的请求均由代理处理
+ * @example app.use('/image-proxy', expressMiddleware({ allowedHosts: ['mmbiz.qpic.cn'] }));
+ */
+function expressMiddleware(options = {}) {
+	const handler = createImageProxy(options);
+	return (req, res, next) => {
+		handler(req, res).catch(next);
+	};
+}
+
+/**
+ * 创建Koa中间件
+ * @param {object} [options={}] - 代理配置，见createImageProxy
+ * @returns {(ctx: object) => Promise<void>} 中间件，直接使用原生req/res输出响应
+ * @example router.get('/image-proxy', koaMiddleware({ allowedHosts: ['mmbiz.qpic.cn'] }));
+ */
+function koaMiddleware(options = {}) {
+	const handler = createImageProxy(options);
+	return async (ctx) => {
+		ctx.respond = false;
+		await handler(ctx.req, ctx.res);
+	};
+}
+
+module.exports = {
+	defaultOptions,
+	createImageProxy,
+	expressMiddleware,
+	koaMiddleware,
+	isHostAllowed,
+	sniffImageMime
+};
+
+// 直接运行时启动独立代理服务：node image-proxy.js [--port 8080] [--allow mmbiz.qpic.cn,*.example.com]
+if (require.main === module) {
+	const argv = process.argv.slice(2);
+	const readArg = (flag) => {
+		const index = argv.indexOf(flag);
+		return index === -1 ? undefined : argv[index + 1];
+	};
+	const port = Number(readArg('--port') || process.env.PORT || 8080);
+	const allow = readArg('--allow');
+	const options = allow ? { allowedHosts: allow.split(',').map(host => host.trim()).filter(Boolean) } : {};
+	http.createServer(createImageProxy(options)).listen(port, () => {
+		process.stderr.write(`图片代理已启动：http://localhost:${port}/?url=<图片链接>\n`);
+	});
+}
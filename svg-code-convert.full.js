@@ -19,6 +19,9 @@ const svgCC = {
 	// 属性白名单
 	preservedAttrsList: ['class', 'id', 'name', 'label', 'pointer-events', 'transform', 'opacity'],
 
+	// 片段根节点标签名（parse返回的树形结构根节点，children为代码中的全部顶层节点）
+	fragmentTag: '#fragment',
+
 	/**
 	 * 过滤并保留白名单属性及data-开头的自定义属性
 	 * @param {object} attrs - 原始属性对象
@@ -45,24 +48,126 @@ const svgCC = {
 			.filter(styleStr => styleStr.trim() !== '')
 			.join(';');
 
-		// 拆分样式声明，过滤掉width相关样式（不区分大小写，兼容多种写法）
-		const cleanedStyleDeclarations = combinedStyle
-			.split(';')
-			.map(decl => decl.trim())
-			.filter(decl => !/^width\s*:/i.test(decl));
+		// 移除width声明（属性名不区分大小写），其余声明保持原文
+		return this.removeDeclarations(combinedStyle, ['width']);
+	},
+
+	/**
+	 * 读取节点的背景图层（由iftool-background及iftool-bg-*属性组成）
+	 * @param {object} attrs - 树形结构节点的属性对象
+	 * @returns {{color: string, layers: object[]}|null} 背景色及图层数组（格式见parseBackgroundLayers），无背景时返回null
+	 * @description iftool-background为第一个含链接图层的链接，多图层时iftool-bg-image记录完整图层列表，读取时以iftool-background为准替换该图层的链接
+	 */
+	getBackground: function(attrs = {}) {
+		const url = attrs['iftool-background'];
+		const imageList = attrs['iftool-bg-image'];
+		if (!url && !imageList) return null;
+		const layers = this.parseBackgroundLayers({
+			image: imageList || `url(${url})`,
+			...Object.fromEntries(Object.keys(this.backgroundLayerDefaults).map(key => [key, attrs[`iftool-bg-${key}`]]))
+		});
+		const primary = layers.find(layer => layer.url);
+		if (primary && url && primary.url !== url) {
+			primary.image = this.replaceCssUrl(primary.image, url);
+			primary.url = url;
+		}
+		return { color: attrs['iftool-bg-color'] || '', layers };
+	},
+
+	/**
+	 * 将背景图层写入节点属性（覆盖原有iftool-background及iftool-bg-*属性）
+	 * @param {object} attrs - 树形结构节点的属性对象（直接修改）
+	 * @param {{color: string, layers: object[]}|null} background - 背景色及图层数组，图层为空或传入null时移除全部背景属性
+	 * @returns {object} 修改后的属性对象
+	 */
+	setBackground: function(attrs, background) {
+		Object.keys(attrs)
+			.filter(name => name === 'iftool-background' || name.startsWith('iftool-bg-'))
+			.forEach(name => delete attrs[name]);
+		const layers = background?.layers || [];
+		if (layers.length === 0) return attrs;
+
+		const primary = layers.find(layer => layer.url);
+		if (primary) attrs['iftool-background'] = primary.url;
+		// 单个url()图层由iftool-background即可还原，其余情况（多图层、渐变、image-set()等）记录完整图层列表
+		if (layers.length > 1 || !primary || !/^url\(/i.test(primary.image)) {
+			attrs['iftool-bg-image'] = layers.map(layer => layer.image).join(', ');
+		}
+		attrs['iftool-bg-color'] = background.color || '';
+		Object.entries(this.backgroundLayerDefaults).forEach(([key, initial]) => {
+			attrs[`iftool-bg-${key}`] = layers.some(layer => layer[key])
+				? layers.map(layer => layer[key] || initial).join(', ')
+				: '';
+		});
+		return attrs;
+	},
+
+	// 图片代理地址：{url}替换为编码后的原始图片链接；也可为函数 (imageUrl) => string，设为空字符串时直接加载原始链接（Node.js中没有跨域限制，getImageRatio默认不使用代理）
+	imageProxy: 'proxy-image.php?url={url}',
 
-		// 重新合并为合法style字符串
-		return cleanedStyleDeclarations.join('; ').trim();
+	/**
+	 * 生成图片的代理加载地址
+	 * @param {string} imageUrl - 原始图片链接
+	 * @param {string|Function} [proxy] - 代理地址模板或函数，不传时使用imageProxy
+	 * @returns {string} 代理加载地址，代理为空时返回原始链接
+	 */
+	getProxyUrl: function(imageUrl, proxy = this.imageProxy) {
+		if (typeof proxy === 'function') return proxy(imageUrl);
+		if (!proxy) return imageUrl;
+		return proxy.includes('{url}')
+			? proxy.split('{url}').join(encodeURIComponent(imageUrl))
+			: `${proxy}${encodeURIComponent(imageUrl)}`;
 	},
 
+	// 获取图片宽高比的默认方式：header读取文件头（浏览器与Node.js通用），img通过隐藏的img元素加载（仅浏览器），auto先读取文件头、失败时在浏览器中改用img元素
+	imageRatioBackend: 'auto',
+
 	/**
 	 * 获取公众号图片宽高比（width/height），支持跨域/防盗链（需配置代理接口）
-	 * @param {string} imageUrl - 原始公众号图片链接
-	 * @returns {Promise<number>} 宽高比，失败/超时兜底返回1
-	 * @throws {Error} 图片加载超时/加载失败（含跨域提示）
+	 * @param {string} imageUrl - 原始公众号图片链接（Node.js中开启allowLocalFiles时也可为本地文件路径）
+	 * @param {object} [options={}] - 加载选项
+	 * @param {string|Function} [options.proxy] - 代理地址模板或函数（格式见imageProxy），浏览器中默认imageProxy，Node.js中默认不使用代理
+	 * @param {'auto'|'header'|'img'} [options.backend] - 获取方式，默认imageRatioBackend
+	 * @param {number} [options.timeout=5000] - 超时时间（毫秒）
+	 * @param {AbortSignal} [options.signal] - 取消信号
+	 * @param {boolean} [options.allowLocalFiles=false] - Node.js中是否允许读取本地文件，见readImageHeader
+	 * @returns {Promise<number>} 宽高比
+	 * @throws {Error} 图片加载超时/加载失败（含跨域提示）、已取消（AbortError）、无法解析文件头，或非浏览器环境使用img方式
+	 */
+	getImageRatio: async function(imageUrl, options = {}) {
+		const backend = options.backend || this.imageRatioBackend;
+		const isBrowser = typeof document !== 'undefined';
+		const src = this.getProxyUrl(imageUrl, options.proxy ?? (isBrowser ? this.imageProxy : ''));
+		if (backend !== 'img') {
+			try {
+				const { width, height } = await this.getImageSize(src, { timeout: options.timeout, signal: options.signal, allowLocalFiles: options.allowLocalFiles });
+				return width / height;
+			} catch (err) {
+				if (backend === 'header' || !isBrowser || (options.signal && options.signal.aborted)) throw err;
+			}
+		}
+		return this.loadImageRatio(src, options.timeout, options.signal);
+	},
+
+	/**
+	 * 通过隐藏的img元素加载图片获取宽高比（仅浏览器）
+	 * @param {string} src - 图片加载地址（已经过代理）
+	 * @param {number} [timeout=5000] - 超时时间（毫秒）
+	 * @param {AbortSignal} [signal] - 取消信号
+	 * @returns {Promise<number>} 宽高比
+	 * @throws {Error} 非浏览器环境、图片加载超时/加载失败、已取消（AbortError）
 	 */
-	getImageRatio: function(imageUrl) {
+	loadImageRatio: function(src, timeout = 5000, signal) {
 		return new Promise((resolve, reject) => {
+			if (typeof document === 'undefined') {
+				reject(new Error('当前环境不支持加载图片（缺少document）'));
+				return;
+			}
+			if (signal && signal.aborted) {
+				reject(this.createAbortError(signal));
+				return;
+			}
+
 			// 设置图片
 			const img = document.createElement('img');
 			img.style.position = 'absolute';
@@ -78,7 +183,7 @@ const svgCC = {
 					img.parentNode.removeChild(img);
 				}
 				reject(new Error('图片加载超时'));
-			}, 5000);
+			}, timeout);
 
 			// 设置跨域/防盗链
 			img.crossOrigin = 'anonymous';
@@ -116,16 +221,317 @@ const svgCC = {
 				reject(new Error('图片加载失败'));
 			};
 
-			const proxyUrl = `proxy-image.php?url=${encodeURIComponent(imageUrl)}`; // 公众号图片链接编码后传给代理接口
-			img.src = proxyUrl; // 加载代理后的图片
+			// 取消时中断加载
+			if (signal) {
+				signal.addEventListener('abort', () => {
+					clearTimeout(timeoutTimer);
+					img.onload = img.onerror = null;
+					if (img.parentNode) {
+						img.parentNode.removeChild(img);
+					}
+					reject(this.createAbortError(signal));
+				}, { once: true });
+			}
+
+			img.src = src; // 加载代理后的图片
+		});
+	},
+
+	// 默认宽高比来源（按顺序尝试）：前四项读取节点自身信息、无需联网，network通过getImageRatio读取图片，
+	// siblingViewBox按相邻svg推测，可能与图片无关，只在读取图片失败（或离线去掉network）时使用
+	defaultRatioResolvers: ['dataRatio', 'dataSize', 'urlQuery', 'attrSize', 'network', 'siblingViewBox'],
+
+	// 内置宽高比来源：(url, node, ctx, options) => number|null|Promise<number|null>，ctx结构 { parent, ancestors }，this指向svgCC
+	ratioResolvers: {
+		// 公众号data-ratio属性（高/宽）
+		dataRatio: function(url, node) {
+			const value = parseFloat(node.attrs?.['data-ratio']);
+			return value > 0 ? 1 / value : null;
+		},
+		// 公众号data-w属性（原图宽度）配合data-h属性
+		dataSize: function(url, node) {
+			const width = parseFloat(node.attrs?.['data-w']);
+			const height = parseFloat(node.attrs?.['data-h']);
+			return width > 0 && height > 0 ? width / height : null;
+		},
+		// 图片链接查询参数中的尺寸（如公众号链接wx_fmt旁的w/h或wx_w/wx_h）
+		urlQuery: function(url) {
+			const query = String(url || '').split('#')[0].split('?')[1];
+			if (!query) return null;
+			const params = {};
+			query.split('&').forEach(pair => {
+				const [key, value = ''] = pair.split('=');
+				params[key.toLowerCase()] = parseFloat(value);
+			});
+			const width = params.wx_w || params.w || params.width;
+			const height = params.wx_h || params.h || params.height;
+			return width > 0 && height > 0 ? width / height : null;
+		},
+		// 节点已有的数值width/height属性
+		attrSize: function(url, node) {
+			const width = this.resolveLength(node.attrs?.width);
+			const height = this.resolveLength(node.attrs?.height);
+			return width > 0 && height > 0 ? width / height : null;
+		},
+		// 相邻兄弟svg的viewBox（公众号常将同尺寸的svg与图片并列排版）
+		siblingViewBox: function(url, node, ctx) {
+			const siblings = ctx.parent?.children || [];
+			const index = siblings.indexOf(node);
+			const isElement = (sibling) => sibling && sibling.tag !== 'wenben' && sibling.tag !== 'zhushi';
+			let prev = index - 1;
+			while (prev >= 0 && !isElement(siblings[prev])) prev--;
+			let next = index + 1;
+			while (next < siblings.length && !isElement(siblings[next])) next++;
+			for (const sibling of [siblings[prev], siblings[next]]) {
+				const viewBox = sibling?.tag === 'svg' ? this.parseViewBox(sibling.attrs?.viewBox) : null;
+				if (viewBox) return viewBox.width / viewBox.height;
+			}
+			return null;
+		},
+		// 读取图片获取原始宽高比（浏览器中需配置代理接口），批量转换时经createRatioLookup去重和缓存
+		network: function(url, node, ctx, options) {
+			return (options.ratioLookup || this.createRatioLookup(options))(url);
+		}
+	},
+
+	/**
+	 * 将宽高比来源数组解析为函数数组
+	 * @param {Array<string|Function>} [resolvers] - ratioResolvers中的名称或自定义函数，不传时使用defaultRatioResolvers
+	 * @returns {{name: string, fn: Function}[]} 来源名称（自定义函数为其函数名或custom）及函数
+	 * @throws {Error} 未知的来源名称
+	 */
+	getRatioResolvers: function(resolvers) {
+		return (resolvers || this.defaultRatioResolvers).map(resolver => {
+			if (typeof resolver === 'function') return { name: resolver.name || 'custom', fn: resolver };
+			if (!this.ratioResolvers[resolver]) throw new Error(`未知的宽高比来源: ${resolver}`);
+			return { name: resolver, fn: this.ratioResolvers[resolver] };
 		});
 	},
 
+	/**
+	 * 按宽高比来源顺序获取图片宽高比
+	 * @param {object} node - 图片节点
+	 * @param {object} [ctx={}] - 节点上下文
+	 * @param {object[]} [ctx.ancestors=[]] - 祖先节点数组（由外到内），最后一项为父节点
+	 * @param {object} [options={}] - 获取选项
+	 * @param {Array<string|Function>} [options.ratioResolvers] - 宽高比来源数组：ratioResolvers中的名称或自定义函数
+	 * (url, node, ctx, options) => number|null|Promise<number|null>，不传时使用defaultRatioResolvers
+	 * @param {string|Function} [options.imageProxy] - 代理地址模板或函数，供network来源使用，不传时使用imageProxy
+	 * @param {string} [options.url] - 图片链接，不传时读取节点的iftool-src/iftool-href
+	 * @returns {Promise<{ratio: number, source: string}>} 宽高比及来源（内置来源名称，自定义函数为其函数名或custom）
+	 * @throws {Error} 未知的来源名称，或全部来源均未得到有效宽高比（错误信息为最后一个来源的错误）
+	 */
+	resolveImageRatio: async function(node, ctx = {}, options = {}) {
+		const ancestors = ctx.ancestors || [];
+		const resolverCtx = { parent: ancestors[ancestors.length - 1] || null, ancestors };
+		const url = options.url ?? node.attrs?.['iftool-src'] ?? node.attrs?.['iftool-href'];
+		let lastError = null;
+		for (const { name, fn } of this.getRatioResolvers(options.ratioResolvers)) {
+			try {
+				const ratio = await fn.call(this, url, node, resolverCtx, options);
+				if (Number.isFinite(ratio) && ratio > 0) {
+					return { ratio, source: name };
+				}
+			} catch (err) {
+				lastError = err;
+			}
+		}
+		throw lastError || new Error('各宽高比来源均未得到有效值');
+	},
+
+	// 宽高比批量获取的默认并发数
+	ratioConcurrency: 6,
+
+	/**
+	 * 创建带去重和缓存的宽高比获取函数（供network来源使用）
+	 * @param {object} [options={}] - 获取选项
+	 * @param {object} [options.ratioCache] - 宽高比缓存（get/set接口，见createMemoryCache），不传时只在本次获取内去重
+	 * @param {string|Function} [options.imageProxy] - 代理地址模板或函数，见getImageRatio
+	 * @param {number} [options.timeout] - 单张图片的超时时间（毫秒）
+	 * @param {AbortSignal} [options.signal] - 取消信号
+	 * @param {boolean} [options.allowLocalFiles] - Node.js中是否允许读取本地文件，见readImageHeader
+	 * @returns {(url: string) => Promise<number>} 宽高比获取函数，同一链接只请求一次，获取成功的结果写入缓存
+	 */
+	createRatioLookup: function(options = {}) {
+		const { ratioCache, imageProxy, timeout, signal, allowLocalFiles } = options;
+		const pending = new Map(); // 链接与获取中（或已获取）的Promise的映射
+		return (url) => {
+			if (!pending.has(url)) {
+				pending.set(url, (async () => {
+					const cached = ratioCache ? await ratioCache.get(url) : undefined;
+					if (Number.isFinite(cached) && cached > 0) return cached;
+					const ratio = await this.getImageRatio(url, { proxy: imageProxy, timeout, signal, allowLocalFiles });
+					if (ratioCache) await ratioCache.set(url, ratio);
+					return ratio;
+				})());
+			}
+			return pending.get(url);
+		};
+	},
+
+	/**
+	 * 创建内存缓存（同一页面/进程内多次转换共享）
+	 * @returns {{get: (key: string) => Promise<*>, set: (key: string, value: *) => Promise<void>}} 缓存对象
+	 */
+	createMemoryCache: function() {
+		const store = new Map();
+		return {
+			get: async (key) => store.get(key),
+			set: async (key, value) => {
+				store.set(key, value);
+			}
+		};
+	},
+
+	/**
+	 * 创建IndexedDB缓存（浏览器中跨页面持久保存）
+	 * @param {string} [dbName='svgcc'] - 数据库名
+	 * @param {string} [storeName='image-ratio'] - 对象仓库名
+	 * @returns {{get: (key: string) => Promise<*>, set: (key: string, value: *) => Promise<void>}} 缓存对象
+	 * @throws {Error} 当前环境不支持IndexedDB（首次读写时抛出）
+	 */
+	createIndexedDbCache: function(dbName = 'svgcc', storeName = 'image-ratio') {
+		let opening = null;
+		const open = () => opening || (opening = new Promise((resolve, reject) => {
+			if (typeof indexedDB === 'undefined') {
+				reject(new Error('当前环境不支持IndexedDB'));
+				return;
+			}
+			const request = indexedDB.open(dbName, 1);
+			request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+		}));
+		/**
+		 * 在对象仓库上执行单个请求
+		 * @param {IDBTransactionMode} mode - 事务模式
+		 * @param {(store: IDBObjectStore) => IDBRequest} action - 发起请求的函数
+		 * @returns {Promise<*>} 请求结果
+		 */
+		const run = (mode, action) => open().then(db => new Promise((resolve, reject) => {
+			const request = action(db.transaction(storeName, mode).objectStore(storeName));
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+		}));
+		return {
+			get: (key) => run('readonly', store => store.get(key)),
+			set: (key, value) => run('readwrite', store => store.put(value, key)).then(() => {})
+		};
+	},
+
+	/**
+	 * 创建JSON文件缓存（Node.js中跨进程持久保存）
+	 * @param {string} filePath - 缓存文件路径，文件不存在或内容无效时视为空缓存，所在目录不存在时自动创建
+	 * @returns {{get: (key: string) => Promise<*>, set: (key: string, value: *) => Promise<void>}} 缓存对象
+	 * @throws {Error} 当前环境不支持读写本地文件（首次读写时抛出）
+	 */
+	createFileCache: function(filePath) {
+		const fs = this.loadNodeModule('fs');
+		const path = this.loadNodeModule('path');
+		let loading = null;
+		let writing = Promise.resolve();
+		const load = () => loading || (loading = (async () => {
+			if (!fs) throw new Error('当前环境不支持读写本地文件');
+			try {
+				return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+			} catch (err) {
+				if (err.code === 'ENOENT' || err instanceof SyntaxError) return {};
+				throw err;
+			}
+		})());
+		return {
+			get: async (key) => (await load())[key],
+			set: async (key, value) => {
+				const data = await load();
+				data[key] = value;
+				// 写入依次执行，避免并发写入互相覆盖
+				writing = writing.catch(() => {}).then(async () => {
+					await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+					await fs.promises.writeFile(filePath, JSON.stringify(data));
+				});
+				return writing;
+			}
+		};
+	},
+
+	/**
+	 * 生成取消错误
+	 * @param {AbortSignal} [signal] - 取消信号
+	 * @returns {Error} 取消信号自带的原因，或name为AbortError的错误
+	 */
+	createAbortError: function(signal) {
+		if (signal && signal.reason instanceof Error) return signal.reason;
+		const error = new Error('操作已取消');
+		error.name = 'AbortError';
+		return error;
+	},
+
+	/**
+	 * 取消信号已触发时抛出取消错误
+	 * @param {AbortSignal} [signal] - 取消信号
+	 * @returns {void}
+	 * @throws {Error} 取消错误，见createAbortError
+	 */
+	throwIfAborted: function(signal) {
+		if (signal && signal.aborted) throw this.createAbortError(signal);
+	},
+
+	/**
+	 * 批量解析img节点的具体尺寸（并发获取宽高比，同一链接只获取一次）
+	 * @param {{node: object, ancestors: object[]}[]} targets - 目标img节点及其祖先节点数组
+	 * @param {object} [options={}] - 转换选项（同img2image）
+	 * @returns {Promise<Map<object, {geometry: object|null, reason: string}>>} 目标节点与具体尺寸（无法确定时为null）及失败原因的映射
+	 * @throws {Error} 基准宽度不是正数、宽高比来源名称未知、层级分规则无效、预加载方式未知，或已取消（AbortError）
+	 */
+	resolveImageGeometries: async function(targets, options = {}) {
+		const baseWidth = this.resolveBaseWidth(options.baseWidth);
+		this.getRatioResolvers(options.ratioResolvers); // 提前校验宽高比来源，避免配置错误时全部图片被跳过
+		const concurrency = Math.max(1, Math.floor(options.concurrency || this.ratioConcurrency));
+		const resolverOptions = { ...options, ratioLookup: this.createRatioLookup(options) };
+		const results = new Map();
+		let next = 0;
+		let done = 0;
+
+		// 工作函数：依次领取下一个目标节点，直至全部处理完毕
+		const worker = async () => {
+			while (next < targets.length) {
+				this.throwIfAborted(options.signal);
+				const { node, ancestors } = targets[next++];
+
+				// 样式中已有宽高时直接使用，否则获取图片宽高比推算
+				let geometry = this.resolveGeometry(node, { ancestors, baseWidth });
+				let ratio = null;
+				let source = geometry ? 'size' : '';
+				let error = null;
+				if (!geometry) {
+					try {
+						({ ratio, source } = await this.resolveImageRatio(node, { ancestors }, resolverOptions));
+						geometry = this.resolveGeometry(node, { ancestors, ratio, baseWidth });
+					} catch (err) {
+						this.throwIfAborted(options.signal);
+						error = err;
+					}
+				}
+				results.set(node, {
+					geometry,
+					reason: geometry ? '' : `无法确定图片尺寸，未转换${error ? `（图片宽高比获取失败：${error.message}）` : ''}`
+				});
+
+				done++;
+				if (typeof options.onProgress === 'function') {
+					options.onProgress({ done, total: targets.length, url: node.attrs['iftool-src'], ratio, source, error });
+				}
+			}
+		};
+		await Promise.all(Array.from({ length: Math.min(concurrency, targets.length) }, worker));
+		return results;
+	},
+
 	/**
 	 * 深度优先遍历HTML/SVG树形结构
 	 * @param {object} node - 当前遍历的树形节点对象
 	 * @param {(node: object, parentInfo: object|null, level: number) => boolean} callback - 遍历回调函数，返回true终止当前节点的子节点遍历
-	 * @param {object|null} [parentInfo=null] - 父节点信息，结构 { parentNode: object, childIndex: number }
+	 * @param {object|null} [parentInfo=null] - 父节点信息，结构 { parentNode: object, childIndex: number, path: number[] }
 	 * @param {number} [level=0] - 遍历层级，根节点为0
 	 * @returns {void}
 	 */
@@ -133,511 +539,2579 @@ const svgCC = {
 		// 终止条件：节点不存在或不是对象
 		if (!node || typeof node !== 'object') return;
 
-		// 执行回调：parentInfo结构 { parentNode: 父节点对象, childIndex: 子索引 }
+		// 执行回调：parentInfo结构 { parentNode: 父节点对象, childIndex: 子索引, path: 从根节点到当前节点的子索引路径 }
 		const stop = callback(node, parentInfo, level);
 		if (stop) return;
 
 		// 递归遍历子节点（children是数组）
 		if (node.children && Array.isArray(node.children)) {
 			node.children.forEach((childNode, index) => {
-				// parentInfo传递 { parentNode: 当前node（真正的父节点）, childIndex: 子索引 }
+				// parentInfo传递 { parentNode: 当前node（真正的父节点）, childIndex: 子索引, path: 子索引路径 }
 				this.traverseHtmlTree(
 					childNode, 
 					callback, 
-					{ parentNode: node, childIndex: index },
+					{ parentNode: node, childIndex: index, path: [...(parentInfo?.path || []), index] },
 					level + 1
 				);
 			});
 		}
 	},
 
-	// =================================================================
-	// 节点转换处理函数
-	// =================================================================
-
 	/**
-	 * fo>svg → image
+	 * 可安全修改的树遍历器（深度优先，支持进入/离开钩子及遍历中替换、删除、插入、包裹、解包节点）
 	 * @param {object} tree - HTML/SVG树形结构
-	 * @returns {object} 转换后树形结构
+	 * @param {function|object} visitor - 进入节点回调 (node, ctx) => void，或 { enter, leave } 钩子对象
+	 * @returns {object} 遍历后的树形结构
+	 * @description ctx结构：
+	 * - node/parent/index/level/ancestors：当前节点、父节点、在父节点中的索引、层级、祖先节点数组（由外到内）
+	 * - path：从根节点到当前节点的子索引路径
+	 * - replace(newNode)：替换当前节点，新节点及其子节点不再遍历
+	 * - remove()：删除当前节点
+	 * - insertBefore(newNode)：在当前节点前插入节点，新节点不遍历
+	 * - wrap(wrapper)：用wrapper包裹当前节点（当前节点追加为wrapper的最后一个子节点），仍继续遍历当前节点的子节点
+	 * - unwrap()：移除当前节点并将其子节点提升到原位置，提升后的子节点会继续被遍历
+	 * - skip()：不遍历当前节点的子节点；stop()：终止整个遍历
+	 * 根节点没有父节点，调用replace/remove/insertBefore/wrap/unwrap会抛出错误
 	 */
-	fosvg2image: function(tree) {
-		// 遍历收集目标节点
-		this.traverseHtmlTree(tree, (node, parentInfo) => {
-			// 找到fo节点
-			if (node.tag === 'foreignObject') {
-				// fo的子节点是svg + svg有background链接 + svg无内容 + 父节点有效
-				const svgChild = node.children.find(child => child.tag === 'svg');
-				if (svgChild && svgChild.attrs?.['iftool-background'] && svgChild.children.length === 0 && parentInfo?.parentNode?.children) {
+	visitTree: function(tree, visitor) {
+		const enter = typeof visitor === 'function' ? visitor : visitor?.enter;
+		const leave = typeof visitor === 'function' ? null : visitor?.leave;
+		let stopped = false;
 
-					// 合并fo和svg属性对象 (同名属性svg覆盖fo)
-					const mergedRawAttrs = { 
-						...node.attrs, 
-						...svgChild.attrs 
-					};
-					const preservedAttrs = this.filterPreservedAttrs(mergedRawAttrs); // 白名单属性过滤
-					
-					// 合并fo和svg样式数组
-					const styleArr = [
-						node.attrs.style || '',
-						svgChild.attrs.style || ''
-					];
-					const imageStyle = this.removeWidth(styleArr); // 样式数组转为移除width后的样式字符串
+		/**
+		 * 访问单个节点，返回父节点中下一个待访问的索引
+		 * @param {object} node - 当前节点
+		 * @param {object|null} parent - 父节点
+		 * @param {number} index - 当前节点在父节点中的索引
+		 * @param {number[]} parentPath - 父节点的子索引路径
+		 * @param {object[]} ancestors - 祖先节点数组
+		 * @returns {number} 下一个待访问的索引
+		 */
+		const visit = (node, parent, index, parentPath, ancestors) => {
+			let removed = false; // 当前节点已被替换/删除/解包
+			let skipped = false;
+			let nextIndex = index + 1;
 
-					// 设置image上的定位属性
-					const imageX = node.attrs.x || '0';
-					const imageY = node.attrs.y || '0';
-					const imageWidth = node.attrs.width || '100%';
-					const imageHeight = node.attrs.height || '100%';
+			// 根节点不允许修改位置
+			const assertParent = (action) => {
+				if (!parent) throw new Error(`根节点不支持${action}操作`);
+			};
 
-					// 构建image节点
-					const imageNode = {
-						tag: 'image',
-						attrs: {
-							...preservedAttrs,
-							'iftool-href': svgChild.attrs['iftool-background'] || (svgChild.attrs.style.match(/url\((.*?)\)/) || [])[1] || '',
-							x: imageX,
-							y: imageY,
-							width: imageWidth,
-							height: imageHeight,
-							style: imageStyle
-						},
-						children: []
-					};
+			const ctx = {
+				node,
+				parent,
+				index,
+				level: ancestors.length,
+				ancestors,
+				get path() {
+					return parent ? [...parentPath, ctx.index] : [];
+				},
+				replace: (newNode) => {
+					assertParent('replace');
+					// 保留模式下新节点沿用原节点前的空白
+					if (node.source?.before && newNode && !newNode.source) newNode.source = { before: node.source.before };
+					parent.children.splice(ctx.index, 1, newNode);
+					removed = true;
+					nextIndex = ctx.index + 1;
+				},
+				remove: () => {
+					assertParent('remove');
+					parent.children.splice(ctx.index, 1);
+					removed = true;
+					nextIndex = ctx.index;
+				},
+				insertBefore: (newNode) => {
+					assertParent('insertBefore');
+					parent.children.splice(ctx.index, 0, newNode);
+					ctx.index++;
+					nextIndex = ctx.index + 1;
+				},
+				wrap: (wrapper) => {
+					assertParent('wrap');
+					wrapper.children = wrapper.children || [];
+					wrapper.children.push(node);
+					parent.children.splice(ctx.index, 1, wrapper);
+					// 后续子节点遍历以wrapper为父节点
+					ancestors = [...ancestors, wrapper];
+					parentPath = [...parentPath, ctx.index];
+					parent = wrapper;
+					ctx.parent = wrapper;
+					ctx.ancestors = ancestors;
+					ctx.level = ancestors.length;
+					nextIndex = ctx.index + 1;
+					ctx.index = wrapper.children.length - 1;
+				},
+				unwrap: () => {
+					assertParent('unwrap');
+					parent.children.splice(ctx.index, 1, ...(node.children || []));
+					removed = true;
+					nextIndex = ctx.index; // 从提升的第一个子节点继续遍历
+				},
+				skip: () => {
+					skipped = true;
+				},
+				stop: () => {
+					stopped = true;
+				}
+			};
+
+			if (enter) enter(node, ctx);
+			if (removed || stopped) return nextIndex;
 
-					parentInfo.parentNode.children.splice(parentInfo.childIndex, 1, imageNode); // 将fo>svg节点整体替换为image节点
-					return true;
+			// 遍历子节点（实时索引，允许回调中修改children）
+			if (!skipped && Array.isArray(node.children)) {
+				const childPath = parent ? [...parentPath, ctx.index] : [];
+				const childAncestors = [...ancestors, node];
+				let i = 0;
+				while (i < node.children.length && !stopped) {
+					i = visit(node.children[i], node, i, childPath, childAncestors);
 				}
 			}
-		});
+			if (leave && !stopped) leave(node, ctx);
+			return nextIndex;
+		};
+
+		if (tree && typeof tree === 'object') visit(tree, null, 0, [], []);
+		return tree;
 	},
 
 	/**
-	 * svg → svg>image
+	 * 将子索引路径格式化为可读的标签路径
 	 * @param {object} tree - HTML/SVG树形结构
-	 * @returns {object} 转换后树形结构
+	 * @param {number[]} [path=[]] - 从根节点到目标节点的子索引路径
+	 * @returns {string} 标签路径，如 div > section[0] > svg[2]
 	 */
-	svg2image: function(tree) {
-		// 遍历收集目标节点
-		this.traverseHtmlTree(tree, (node, parentInfo) => {
-			// 找到svg节点
-			if (node.tag === 'svg') {
-				// svg内无特殊height动画（禁用by写法的缩回展开效果，这个效果必须用svg实现不能转为image，其他效果不受影响）
-				if (node.children.some(n => n.tag === 'animate' && n.attrs?.attributeName === 'height' && n.attrs?.by === '-1')) {
-					return;
-				}
-				// svg的父节点不是fo（仅转换最外层svg） + svg有background链接 + 父节点有效
-				const parentIsNotFo = parentInfo?.parentNode?.tag !== 'foreignObject';
-				if (parentIsNotFo && node.attrs?.['iftool-background'] && parentInfo?.parentNode?.children) {
+	formatNodePath: function(tree, path = []) {
+		const parts = tree.tag === this.fragmentTag ? [] : [tree.tag]; // 片段根节点不计入路径
+		let node = tree;
+		for (const index of path) {
+			node = node?.children?.[index];
+			parts.push(`${node?.tag || '?'}[${index}]`);
+		}
+		return parts.join(' > ');
+	},
+
+	/**
+	 * 记录一条转换报告（未传入报告数组时忽略）
+	 * @param {object[]|undefined} report - 转换报告数组
+	 * @param {object} tree - HTML/SVG树形结构
+	 * @param {object} entry - 报告内容 { converter, status, path, originalTag, newTag, url, reason }
+	 * @returns {void}
+	 */
+	addReport: function(report, tree, entry) {
+		if (!Array.isArray(report)) return;
+		const path = entry.path || [];
+		// 节点可能已被替换，路径末级使用原标签名
+		const parentPath = this.formatNodePath(tree, path.slice(0, -1));
+		const tagPath = path.length > 0 ? `${parentPath} > ${entry.originalTag.split('>')[0]}[${path[path.length - 1]}]` : parentPath;
+		report.push({
+			converter: entry.converter, // 转换函数名
+			status: entry.status, // converted：已转换，skipped：已跳过
+			path, // 子索引路径
+			tagPath, // 可读标签路径
+			originalTag: entry.originalTag, // 原标签结构
+			newTag: entry.newTag || '', // 新标签结构（跳过时为空）
+			url: entry.url || '', // 图片链接
+			reason: entry.reason || '' // 跳过原因或兜底说明
+		});
+	},
 
-					// 提取svg上的viewbox属性作为之后image的宽高属性
-					const parts = node.attrs.viewBox ? node.attrs.viewBox.split(/\s+/).filter(Boolean) : [];
-					const imageWidth = parts.length >= 4 ? parts[2] : '100%';
-					const imageHeight = parts.length >= 4 ? parts[3] : '100%';
+	// =================================================================
+	// 节点查询函数
+	// =================================================================
 
-					// 将svg上的style（不变）移除transform和opacity后继承给image使用
-					let imageStyle = node.attrs.style || '';
-					imageStyle = imageStyle.replace(/\s*(transform|opacity)\s*:[^;]*;?\s*/g, '').trim();
+	// 转换作用域标记属性（scope传true时使用）
+	scopeMarker: 'data-svgcc-scope',
 
-					// 构建image节点
-					const imageNode = {
-						tag: 'image',
-						attrs: {
-							'iftool-href': node.attrs['iftool-background'] || (node.attrs.style.match(/url\((.*?)\)/) || [])[1] || '',
-							x: '0',
-							y: '0',
-							width: imageWidth,
-							height: imageHeight,
-							style: imageStyle
-						},
-						children: []
-					};
+	/**
+	 * 解析选择器字符串为选择器列表
+	 * @param {string} selector - 选择器字符串，支持：
+	 * - 标签/通配：svg、foreignObject、*（标签名不区分大小写）
+	 * - id/类名：#id、.class
+	 * - 属性：[attr]、[attr=v]、[attr~=v]、[attr|=v]、[attr^=v]、[attr$=v]、[attr*=v]，值后加 i 忽略大小写，属性名含冒号需转义如 [xlink\:href]
+	 * - 组合符：后代（空格）、子代（>）、选择器列表（,）
+	 * - 伪类：:has(相对选择器)、:not(选择器列表)
+	 * @returns {object[][]} 选择器列表，每项为 [{ compound, combinator }] 复合选择器序列（combinator为与左侧复合选择器的关系：空格为后代，>为子代）
+	 * @throws {Error} 选择器语法错误
+	 */
+	parseSelector: function(selector) {
+		const source = String(selector);
+		let pos = 0;
+
+		// 抛出带位置的语法错误
+		const fail = (message) => {
+			throw new Error(`选择器语法错误：${message}（位置${pos}）："${source}"`);
+		};
+		const skipSpace = () => {
+			while (pos < source.length && /\s/.test(source[pos])) pos++;
+		};
 
-					node.children.unshift(imageNode); // 将image节点插入svg节点内部
-					delete node.attrs['iftool-background']; // 删除svg上的background链接
-					return true;
+		/**
+		 * 读取标识符（支持反斜杠转义）
+		 * @returns {string} 标识符，不存在时为空字符串
+		 */
+		const readIdent = () => {
+			let ident = '';
+			while (pos < source.length) {
+				const char = source[pos];
+				if (char === '\\' && pos + 1 < source.length) {
+					ident += source[pos + 1];
+					pos += 2;
+				} else if (/[\w-]/.test(char) || char.charCodeAt(0) >= 0x80) {
+					ident += char;
+					pos++;
+				} else {
+					break;
 				}
 			}
-		});
-	},
+			return ident;
+		};
 
-	/**
-	 * svg → img
-	 * @param {object} tree - HTML/SVG树形结构
-	 * @returns {object} 转换后树形结构
-	 */
-	svg2img: function(tree) {
-		// 遍历收集目标节点
-		this.traverseHtmlTree(tree, (node, parentInfo) => {
-			// 找到svg节点 + svg内容为空 + svg有background链接 + svg父节点有效
-			if (node.tag === 'svg' && node.children.length === 0 && node.attrs?.['iftool-background'] && parentInfo?.parentNode?.children) {
-				const preservedAttrs = this.filterPreservedAttrs(node.attrs); // 白名单属性过滤
+		/**
+		 * 读取属性值（带引号的字符串或标识符）
+		 * @returns {string} 属性值
+		 */
+		const readValue = () => {
+			const quote = source[pos];
+			if (quote !== '"' && quote !== "'") {
+				const ident = readIdent();
+				if (!ident) fail('缺少属性值');
+				return ident;
+			}
+			let value = '';
+			pos++;
+			while (pos < source.length && source[pos] !== quote) {
+				if (source[pos] === '\\' && pos + 1 < source.length) pos++;
+				value += source[pos++];
+			}
+			if (source[pos] !== quote) fail('属性值引号未闭合');
+			pos++;
+			return value;
+		};
 
-				// 构建img节点
-				const imgNode = {
-					tag: 'img',
-					attrs: {
-						...preservedAttrs,
-						'iftool-src': node.attrs['iftool-background'],
-						style: node.attrs.style || ''
-					},
-					children: []
-				};
-				
-				parentInfo.parentNode.children.splice(parentInfo.childIndex, 1, imgNode); // 将svg节点替换为img节点
-				return true;
+		/**
+		 * 读取复合选择器（如 img.cover[iftool-src]:not([width])）
+		 * @returns {object|null} { tag, ids, classes, attrs, pseudos }，无内容时为null
+		 */
+		const readCompound = () => {
+			const compound = { tag: '*', ids: [], classes: [], attrs: [], pseudos: [] };
+			const start = pos;
+			if (source[pos] === '*') {
+				pos++;
+			} else {
+				const tag = readIdent();
+				if (tag) compound.tag = tag.toLowerCase();
 			}
-		});
-		return tree;
+			while (pos < source.length) {
+				const char = source[pos];
+				if (char === '#' || char === '.') {
+					pos++;
+					const name = readIdent();
+					if (!name) fail(`${char}后缺少名称`);
+					(char === '#' ? compound.ids : compound.classes).push(name);
+				} else if (char === '[') {
+					pos++;
+					skipSpace();
+					const name = readIdent();
+					if (!name) fail('缺少属性名');
+					skipSpace();
+					const attr = { name: name.toLowerCase(), operator: '', value: '', ignoreCase: false };
+					const operator = source.slice(pos).match(/^[~|^$*]?=/);
+					if (operator) {
+						attr.operator = operator[0];
+						pos += operator[0].length;
+						skipSpace();
+						attr.value = readValue();
+						skipSpace();
+						if (/^[iI]\b/.test(source.slice(pos))) {
+							attr.ignoreCase = true;
+							pos++;
+							skipSpace();
+						}
+					}
+					if (source[pos] !== ']') fail('属性选择器未闭合');
+					pos++;
+					compound.attrs.push(attr);
+				} else if (char === ':') {
+					pos++;
+					const name = readIdent().toLowerCase();
+					if (name !== 'has' && name !== 'not') fail(`不支持的伪类 :${name}`);
+					if (source[pos] !== '(') fail(`:${name}缺少参数`);
+					pos++;
+					const list = readList(name === 'has');
+					if (source[pos] !== ')') fail(`:${name}参数未闭合`);
+					pos++;
+					compound.pseudos.push({ name, list });
+				} else {
+					break;
+				}
+			}
+			return pos > start ? compound : null;
+		};
+
+		/**
+		 * 读取复杂选择器（复合选择器与组合符序列）
+		 * @param {boolean} relative - 是否为相对选择器（:has参数，可以组合符开头，左侧隐含当前节点）
+		 * @returns {object[]} [{ compound, combinator }]
+		 */
+		const readComplex = (relative) => {
+			const parts = [];
+			skipSpace();
+			if (relative) {
+				// 相对选择器以作用域节点开头，默认后代关系
+				parts.push({ compound: { scope: true }, combinator: '' });
+				if (source[pos] === '>') {
+					pos++;
+					skipSpace();
+					parts.push({ compound: null, combinator: '>' });
+				} else {
+					parts.push({ compound: null, combinator: ' ' });
+				}
+			}
+			while (pos < source.length) {
+				const compound = readCompound();
+				if (!compound) fail('缺少选择器');
+				if (parts.length && !parts[parts.length - 1].compound) {
+					parts[parts.length - 1].compound = compound;
+				} else {
+					parts.push({ compound, combinator: '' });
+				}
+				const spaceStart = pos;
+				skipSpace();
+				const char = source[pos];
+				if (char === '>') {
+					pos++;
+					skipSpace();
+					parts.push({ compound: null, combinator: '>' });
+				} else if (pos < source.length && char !== ',' && char !== ')' && pos > spaceStart) {
+					parts.push({ compound: null, combinator: ' ' });
+				} else {
+					break;
+				}
+			}
+			if (!parts.length || !parts[parts.length - 1].compound) fail('选择器不完整');
+			return parts;
+		};
+
+		/**
+		 * 读取逗号分隔的选择器列表
+		 * @param {boolean} relative - 是否为相对选择器列表
+		 * @returns {object[][]} 选择器列表
+		 */
+		const readList = (relative) => {
+			const list = [readComplex(relative)];
+			while (source[pos] === ',') {
+				pos++;
+				list.push(readComplex(relative));
+			}
+			skipSpace();
+			return list;
+		};
+
+		const list = readList(false);
+		if (pos < source.length) fail(`无法识别的字符"${source[pos]}"`);
+		return list;
 	},
 
 	/**
-	 * image → g>fo>img
-	 * @param {object} tree - HTML/SVG树形结构
-	 * @returns {object} 转换后树形结构
+	 * 判断节点是否匹配选择器
+	 * @param {object} node - 树形结构节点
+	 * @param {string|object[][]} selector - 选择器字符串或parseSelector解析结果
+	 * @param {object[]} [ancestors=[]] - 祖先节点数组（由外到内），用于匹配后代/子代组合符
+	 * @returns {boolean} 是否匹配
 	 */
-	image2img: function(tree) {
-		// 遍历收集目标节点
-		this.traverseHtmlTree(tree, (node, parentInfo) => {
-			// 找到image + image内容为空 + image有href属性 + 父节点有效
-			if (node.tag === 'image' && node.children.length === 0 && node.attrs?.['iftool-href'] && parentInfo?.parentNode?.children) {
-				const preservedAttrs = this.filterPreservedAttrs(node.attrs); // 白名单属性过滤
+	matchSelector: function(node, selector, ancestors = []) {
+		const list = typeof selector === 'string' ? this.parseSelector(selector) : selector;
 
-				// 提取image的定位属性作为之后fo的定位属性
-				const imageX = node.attrs.x || '0';
-				const imageY = node.attrs.y || '0';
-				const imageWidth = node.attrs.width || '100%';
-				const imageHeight = node.attrs.height || '100%';
-				
-				// 构建g>fo>img节点
-				const gNode = {
-					tag: 'g',
-					attrs: {},
-					children: [
-						{
-							tag: 'foreignObject',
-							attrs: {
-								x: imageX,
-								y: imageY,
-								width: imageWidth,
-								height: imageHeight
-							},
-							children: [
-								{
-									tag: 'img',
-									attrs: {
-										...preservedAttrs,
-										'iftool-src': node.attrs['iftool-href'],
-										style: node.attrs.style || ''
-									},
-									children: []
-								}
-							]
-						}
-					]
-				};
-				
-				parentInfo.parentNode.children.splice(parentInfo.childIndex, 1, gNode); // 将image节点替换为g>fo>img节点
-				return true;
+		// 文本/注释节点（attrs为字符串）及片段根节点不参与匹配
+		const isElement = (item) => item && item.tag !== this.fragmentTag && item.attrs && typeof item.attrs === 'object';
+
+		/**
+		 * 按名称查找属性值（属性名不区分大小写）
+		 * @param {object} attrs - 属性对象
+		 * @param {string} name - 小写属性名
+		 * @returns {string|undefined} 属性值
+		 */
+		const getAttr = (attrs, name) => {
+			if (name in attrs) return attrs[name];
+			const key = Object.keys(attrs).find(attrName => attrName.toLowerCase() === name);
+			return key === undefined ? undefined : attrs[key];
+		};
+
+		/**
+		 * 判断属性值是否满足属性选择器
+		 * @param {string} actual - 节点上的属性值
+		 * @param {object} attr - 属性选择器 { operator, value, ignoreCase }
+		 * @returns {boolean} 是否满足
+		 */
+		const matchAttrValue = (actual, attr) => {
+			const value = attr.ignoreCase ? attr.value.toLowerCase() : attr.value;
+			const text = attr.ignoreCase ? String(actual).toLowerCase() : String(actual);
+			switch (attr.operator) {
+				case '': return true;
+				case '=': return text === value;
+				case '~=': return value !== '' && text.split(/\s+/).includes(value);
+				case '|=': return text === value || text.startsWith(`${value}-`);
+				case '^=': return value !== '' && text.startsWith(value);
+				case '$=': return value !== '' && text.endsWith(value);
+				case '*=': return value !== '' && text.includes(value);
+				default: return false;
 			}
-		});
-		return tree;
+		};
+
+		/**
+		 * 判断节点是否满足复合选择器
+		 * @param {object} item - 树形结构节点
+		 * @param {object} compound - 复合选择器
+		 * @param {object[]} itemAncestors - 该节点的祖先节点数组
+		 * @param {object} scope - :has的作用域节点
+		 * @returns {boolean} 是否满足
+		 */
+		const matchCompound = (item, compound, itemAncestors, scope) => {
+			if (compound.scope) return item === scope;
+			if (!isElement(item)) return false;
+			if (compound.tag !== '*' && String(item.tag).toLowerCase() !== compound.tag) return false;
+			if (compound.ids.some(id => item.attrs.id !== id)) return false;
+			if (compound.classes.length) {
+				const classes = String(item.attrs.class || '').split(/\s+/);
+				if (compound.classes.some(name => !classes.includes(name))) return false;
+			}
+			for (const attr of compound.attrs) {
+				const actual = getAttr(item.attrs, attr.name);
+				if (actual === undefined || !matchAttrValue(actual, attr)) return false;
+			}
+			return compound.pseudos.every(pseudo => pseudo.name === 'not'
+				? !pseudo.list.some(complex => matchComplex(complex, complex.length - 1, item, itemAncestors, scope))
+				: matchHas(item, pseudo.list));
+		};
+
+		/**
+		 * 自右向左匹配复杂选择器（后代组合符需回溯尝试每个祖先）
+		 * @param {object[]} parts - 复杂选择器序列
+		 * @param {number} i - 当前匹配的序列下标
+		 * @param {object} item - 当前节点
+		 * @param {object[]} itemAncestors - 当前节点的祖先节点数组
+		 * @param {object} scope - :has的作用域节点
+		 * @returns {boolean} 是否匹配
+		 */
+		const matchComplex = (parts, i, item, itemAncestors, scope) => {
+			if (!matchCompound(item, parts[i].compound, itemAncestors, scope)) return false;
+			if (i === 0) return true;
+			if (parts[i].combinator === '>') {
+				const parent = itemAncestors[itemAncestors.length - 1];
+				return !!parent && matchComplex(parts, i - 1, parent, itemAncestors.slice(0, -1), scope);
+			}
+			for (let j = itemAncestors.length - 1; j >= 0; j--) {
+				if (matchComplex(parts, i - 1, itemAncestors[j], itemAncestors.slice(0, j), scope)) return true;
+			}
+			return false;
+		};
+
+		/**
+		 * 判断节点的子树中是否存在匹配相对选择器的节点
+		 * @param {object} item - 作用域节点
+		 * @param {object[][]} relativeList - 相对选择器列表
+		 * @returns {boolean} 是否存在
+		 */
+		const matchHas = (item, relativeList) => {
+			let found = false;
+			this.visitTree(item, (child, ctx) => {
+				if (child === item) return;
+				const chain = ctx.ancestors;
+				if (relativeList.some(complex => matchComplex(complex, complex.length - 1, child, chain, item))) {
+					found = true;
+					ctx.stop();
+				}
+			});
+			return found;
+		};
+
+		return isElement(node) && list.some(complex => matchComplex(complex, complex.length - 1, node, ancestors, null));
 	},
 
 	/**
-	 * image → g>fo>svg
+	 * 查询树中所有匹配选择器的节点（深度优先文档顺序）
 	 * @param {object} tree - HTML/SVG树形结构
-	 * @returns {object} 转换后树形结构
+	 * @param {string} selector - 选择器字符串，语法见parseSelector
+	 * @returns {object[]} 匹配结果数组 [{ node, parent, index, path }]，parent/index为父节点及所在索引（根节点均为null），path为子索引路径
+	 * @throws {Error} 选择器语法错误
 	 */
-	image2svg: function(tree) {
-		// 遍历收集目标节点
-		this.traverseHtmlTree(tree, (node, parentInfo) => {
-			// 找到image + image内容为空 + image有href属性 + 父节点有效
-			if (node.tag === 'image' && node.children.length === 0 && node.attrs?.['iftool-href'] && parentInfo?.parentNode?.children) {
-				const preservedAttrs = this.filterPreservedAttrs(node.attrs); // 白名单属性过滤
-
-				// 提取image的定位属性作为之后fo的定位属性和svg的viewbox
-				const imageX = node.attrs.x || '0';
-				const imageY = node.attrs.y || '0';
-				const imageWidth = node.attrs.width || '100%';
-				const imageHeight = node.attrs.height || '100%';
-
-				// 构建g>fo>svg节点
-				const gNode = {
-					tag: 'g',
-					attrs: {},
-					children: [
-						{
-							tag: 'foreignObject',
-							attrs: {
-								x: imageX,
-								y: imageY,
-								width: imageWidth,
-								height: imageHeight
-							},
-							children: [
-								{
-									tag: 'svg',
-									attrs: {
-										...preservedAttrs,
-										viewBox: `0 0 ${imageWidth} ${imageHeight}`,
-										style: node.attrs.style || '',
-										'iftool-background': node.attrs['iftool-href']
-									},
-									children: []
-								}
-							]
-						}
-					]
-				};
-
-				parentInfo.parentNode.children.splice(parentInfo.childIndex, 1, gNode); // 将image节点替换为g>fo>svg节点
-				return true;
+	queryAll: function(tree, selector) {
+		const list = this.parseSelector(selector);
+		const results = [];
+		this.visitTree(tree, (node, ctx) => {
+			if (this.matchSelector(node, list, ctx.ancestors)) {
+				results.push({ node, parent: ctx.parent, index: ctx.parent ? ctx.index : null, path: ctx.path });
 			}
 		});
-		return tree;
+		return results;
 	},
 
 	/**
-	 * fo>img → image
+	 * 查询树中第一个匹配选择器的节点
 	 * @param {object} tree - HTML/SVG树形结构
-	 * @returns {object} 转换后树形结构
+	 * @param {string} selector - 选择器字符串，语法见parseSelector
+	 * @returns {object|null} 匹配结果 { node, parent, index, path }，未找到时为null
+	 * @throws {Error} 选择器语法错误
 	 */
-	foimg2image: function(tree) {
-		// 遍历收集目标节点
-		this.traverseHtmlTree(tree, (node, parentInfo) => {
-			// 找到fo节点 + 父节点有效
-			if (node.tag === 'foreignObject' && parentInfo?.parentNode?.children) {
-				// fo的子元素是img + img有src属性 + img内容为空
-				const imgChild = node.children.find(child => child.tag === 'img');
-				if (imgChild && imgChild.attrs?.['iftool-src'] && imgChild.children.length === 0) {
-
-					// 合并fo和img属性对象 (同名属性img覆盖fo)
-					const mergedRawAttrs = { 
-						...node.attrs, 
-						...imgChild.attrs 
-					};
-					const preservedAttrs = this.filterPreservedAttrs(mergedRawAttrs); // 白名单属性过滤
-
-					// 合并fo和img样式数组
-					const styleArr = [
-						node.attrs.style || '',
-						imgChild.attrs.style || ''
-					];
-					const imageStyle = this.removeWidth(styleArr); // 样式数组转为移除width后的样式字符串
-
-					// 提取fo的定位属性作为之后image的定位属性
-					const imageX = node.attrs.x || '0';
-					const imageY = node.attrs.y || '0';
-					const imageWidth = node.attrs.width || '100%';
-					const imageHeight = node.attrs.height || '100%';
-
-					// 构建image节点
-					const imageNode = {
-						tag: 'image',
-						attrs: {
-							...preservedAttrs,
-							'iftool-href': imgChild.attrs['iftool-src'],
-							x: imageX,
-							y: imageY,
-							width: imageWidth,
-							height: imageHeight,
-							style: imageStyle
-						},
-						children: []
-					};
-
-					parentInfo.parentNode.children.splice(parentInfo.childIndex, 1, imageNode); // 将fo>img节点整体替换为image节点
-					return true;
-				}
+	query: function(tree, selector) {
+		const list = this.parseSelector(selector);
+		let result = null;
+		this.visitTree(tree, (node, ctx) => {
+			if (this.matchSelector(node, list, ctx.ancestors)) {
+				result = { node, parent: ctx.parent, index: ctx.parent ? ctx.index : null, path: ctx.path };
+				ctx.stop();
 			}
 		});
-		return tree;
+		return result;
 	},
 
 	/**
-	 * img → svg>image
+	 * 解析转换作用域，得到作用域根节点列表
 	 * @param {object} tree - HTML/SVG树形结构
-	 * @returns {Promise<object>} 转换后树形结构
+	 * @param {object|number[]|string|boolean|Array} scope - 作用域：
+	 * - 树中的节点对象（或query返回的匹配结果）
+	 * - 子索引路径数组，如 [0, 2]（空数组为根节点）
+	 * - 选择器字符串，如 'section.block'
+	 * - true：使用标记属性 data-svgcc-scope 的节点
+	 * - 以上形式组成的数组（取并集）
+	 * @returns {object[]|null} 作用域根节点匹配结果 [{ node, parent, index, path }]，未传作用域时为null
+	 * @throws {Error} 节点不在树中、路径无效或作用域类型不支持
 	 */
-	img2image: async function(tree) {
-		const self = this;
-		const targetImgs = [];
-		
-		// 遍历收集目标节点
-		this.traverseHtmlTree(tree, (node, parentInfo) => {
-			if (node.tag === 'img' && node.attrs?.['iftool-src'] && parentInfo?.parentNode?.children) {
-				const parentIsFo = parentInfo?.parentNode?.tag === 'foreignObject';
-				const hasNoSize = !node.attrs.width && !node.attrs.height;
-				if (!parentIsFo && hasNoSize) {
-					targetImgs.push({ node, parentInfo });
+	resolveScope: function(tree, scope) {
+		if (scope === undefined || scope === null || scope === false) return null;
+
+		/**
+		 * 按节点引用查找匹配结果
+		 * @param {object} target - 目标节点
+		 * @returns {object|null} 匹配结果
+		 */
+		const findNode = (target) => {
+			let result = null;
+			this.visitTree(tree, (node, ctx) => {
+				if (node === target) {
+					result = { node, parent: ctx.parent, index: ctx.parent ? ctx.index : null, path: ctx.path };
+					ctx.stop();
 				}
-			}
-		});
+			});
+			return result;
+		};
 
-		// 对收集到的目标节点批量异步处理
-		for (const item of targetImgs) {
-			const { node, parentInfo } = item;
-			const preservedAttrs = this.filterPreservedAttrs(node.attrs); // 白名单属性过滤
+		/**
+		 * 按子索引路径查找匹配结果
+		 * @param {number[]} path - 子索引路径
+		 * @returns {object} 匹配结果
+		 */
+		const findPath = (path) => {
+			let node = tree;
+			let parent = null;
+			for (const index of path) {
+				if (!Array.isArray(node.children) || !node.children[index]) {
+					throw new Error(`作用域路径无效：[${path.join(', ')}]`);
+				}
+				parent = node;
+				node = node.children[index];
+			}
+			return { node, parent, index: parent ? path[path.length - 1] : null, path: [...path] };
+		};
 
-			try {
-				// 获取图片宽高比，计算固定宽度下的高度
-				const ratio = await self.getImageRatio(node.attrs['iftool-src']);
-				const imgWidth = 1080;
-				const imgHeight = Math.round(imgWidth / ratio);
-
-				// 构建svg>image节点
-				const imageNode = {
-					tag: 'svg',
-					attrs: {
-						viewBox: `0 0 ${imgWidth} ${imgHeight}`,
-						style: 'display: block; pointer-events: painted; width: 100%;'
-					},
-					children: [
-						{
-							tag: 'image',
-							attrs: {
-								...preservedAttrs,
-								'iftool-href': node.attrs['iftool-src'],
-								x: '0',
-								y: '0',
-								width: imgWidth,
-								height: imgHeight,
-								style: node.attrs.style || ''
-							},
-							children: []
-						}
-					]
-				};
-				parentInfo.parentNode.children.splice(parentInfo.childIndex, 1, imageNode); // 将img节点替换为svg>image节点
-			} catch (err) {
-				// 异步出错兜底逻辑：构建svg>image默认节点
-				const defaultNode = {
-					tag: 'svg',
-					attrs: { viewBox: '0 0 100% 100%', style: 'display: block; width: 100%;' },
-					children: [{ 
-						tag: 'image', 
-						attrs: { 
-							...preservedAttrs,
-							'iftool-href': node.attrs['iftool-src'], 
-							x: '0', 
-							y: '0', 
-							width: '100%', 
-							height: '100%' 
-						}, 
-						children: [] 
-					}]
-				};
-				parentInfo.parentNode.children.splice(parentInfo.childIndex, 1, defaultNode); // 将img节点替换为svg>image默认节点
+		/**
+		 * 解析单个作用域
+		 * @param {*} item - 作用域
+		 * @returns {object[]} 匹配结果数组
+		 */
+		const resolveItem = (item) => {
+			if (item === true) return this.queryAll(tree, `[${this.scopeMarker}]`);
+			if (typeof item === 'string') return this.queryAll(tree, item);
+			if (Array.isArray(item)) {
+				return item.every(index => Number.isInteger(index)) ? [findPath(item)] : item.flatMap(resolveItem);
 			}
-		}
-		return tree;
+			if (item && typeof item === 'object') {
+				const target = item.node && typeof item.node === 'object' ? item.node : item;
+				const result = findNode(target);
+				if (!result) throw new Error('作用域节点不在树中');
+				return [result];
+			}
+			throw new Error(`不支持的作用域类型：${typeof item}`);
+		};
+
+		// 按节点引用去重
+		const seen = new Set();
+		return resolveItem(scope).filter(result => !seen.has(result.node) && seen.add(result.node));
 	},
 
 	/**
-	 * img → svg
+	 * 在作用域内遍历树（仅对作用域根节点及其后代调用回调，ctx与visitTree一致，父节点与路径仍相对整棵树）
 	 * @param {object} tree - HTML/SVG树形结构
-	 * @returns {Promise<object>} 转换后树形结构
+	 * @param {*} scope - 作用域，格式见resolveScope，未传时遍历整棵树
+	 * @param {function|object} visitor - 进入节点回调或 { enter, leave } 钩子对象，见visitTree
+	 * @returns {object} 遍历后的树形结构
 	 */
-	img2svg: async function(tree) {
-		const self = this;
-		const targetImgs = [];
+	visitScope: function(tree, scope, visitor) {
+		const scopeResults = this.resolveScope(tree, scope);
+		if (!scopeResults) return this.visitTree(tree, visitor);
 
-		// 遍历收集目标节点
-		this.traverseHtmlTree(tree, (node, parentInfo) => {
-			// 找到img节点 + img内容为空 + img有src属性 + 父节点有效
-			if (node.tag === 'img' && node.children.length === 0 && node.attrs?.['iftool-src'] && parentInfo?.parentNode?.children) {
-				targetImgs.push({ node, parentInfo });
+		const enter = typeof visitor === 'function' ? visitor : visitor?.enter;
+		const leave = typeof visitor === 'function' ? null : visitor?.leave;
+		const roots = new Set(scopeResults.map(result => result.node));
+
+		// 作用域根节点的祖先节点需要继续向下遍历
+		const rootAncestors = new Set();
+		this.visitTree(tree, (node, ctx) => {
+			if (roots.has(node)) ctx.ancestors.forEach(ancestor => rootAncestors.add(ancestor));
+		});
+
+		const inScope = (node, ctx) => roots.has(node) || ctx.ancestors.some(ancestor => roots.has(ancestor));
+		return this.visitTree(tree, {
+			enter: (node, ctx) => {
+				if (inScope(node, ctx)) {
+					if (enter) enter(node, ctx);
+				} else if (!rootAncestors.has(node)) {
+					ctx.skip(); // 与作用域无关的子树无需遍历
+				}
+			},
+			leave: (node, ctx) => {
+				if (leave && inScope(node, ctx)) leave(node, ctx);
 			}
 		});
+	},
 
-		// 对收集到的目标节点批量异步处理
-		for (const item of targetImgs) {
-			const { node, parentInfo } = item;
-			const preservedAttrs = this.filterPreservedAttrs(node.attrs); // 白名单属性过滤
+	// =================================================================
+	// CSS样式声明处理函数
+	// =================================================================
 
-			try {
-				// 获取图片宽高比，计算固定宽度下的高度
-				const ratio = await self.getImageRatio(node.attrs['iftool-src']);
-				const imgWidth = 1080;
-				const imgHeight = Math.round(imgWidth / ratio);
-
-				// 构建svg节点
-				const svgNode = {
-					tag: 'svg',
-					attrs: {
-						...preservedAttrs,
-						viewBox: `0 0 ${imgWidth} ${imgHeight}`,
-						style: node.attrs.style || '',
-						'iftool-background': node.attrs['iftool-src']
-					},
-					children: []
-				};
-				parentInfo.parentNode.children.splice(parentInfo.childIndex, 1, svgNode); // 将img节点替换为svg节点
-			} catch (err) {
-				// 异步出错兜底逻辑：构建svg默认节点
-				const defaultSvgNode = {
-					tag: 'svg',
-					attrs: {
-						...preservedAttrs,
-						viewBox: '0 0 100% 100%',
-						style: node.attrs.style || '',
-						'iftool-background': node.attrs['iftool-src']
-					},
-					children: []
-				};
-				parentInfo.parentNode.children.splice(parentInfo.childIndex, 1, defaultSvgNode); // 将img节点替换为svg默认节点
+	// 可展开的简写属性及其分项（按值的书写顺序）
+	cssShorthands: {
+		margin: ['margin-top', 'margin-right', 'margin-bottom', 'margin-left'],
+		padding: ['padding-top', 'padding-right', 'padding-bottom', 'padding-left'],
+		inset: ['top', 'right', 'bottom', 'left'],
+		overflow: ['overflow-x', 'overflow-y'],
+		background: [
+			'background-image', 'background-position', 'background-size', 'background-repeat',
+			'background-attachment', 'background-origin', 'background-clip', 'background-color'
+		]
+	},
+
+	/**
+	 * 按顶层分隔符拆分CSS值（忽略括号和引号内的分隔符）
+	 * @param {string} value - 待拆分的CSS值
+	 * @param {RegExp} separator - 分隔字符匹配规则，如/,/、/\s/
+	 * @returns {string[]} 拆分结果（保留空片段，由调用方按需过滤）
+	 */
+	splitCssValue: function(value, separator) {
+		const parts = [];
+		let current = '';
+		let depth = 0;
+		let quote = '';
+		for (let i = 0; i < value.length; i++) {
+			const char = value[i];
+			if (char === '\\') {
+				// 转义字符原样保留
+				current += char + (value[i + 1] || '');
+				i++;
+				continue;
+			}
+			if (quote) {
+				if (char === quote) quote = '';
+			} else if (char === '"' || char === '\'') {
+				quote = char;
+			} else if (char === '(') {
+				depth++;
+			} else if (char === ')') {
+				depth = Math.max(0, depth - 1);
+			} else if (depth === 0 && separator.test(char)) {
+				parts.push(current);
+				current = '';
+				continue;
 			}
+			current += char;
 		}
-		return tree;
+		parts.push(current);
+		return parts;
 	},
 
-	// =================================================================
-	// 拆分流程函数
-	// =================================================================
+	/**
+	 * 解析CSS声明列表（style属性值）
+	 * @param {string} [styleStr] - CSS样式字符串，可选
+	 * @returns {{name: string, value: string, important: boolean, raw: string}[]} 声明数组（按书写顺序）：
+	 * name为小写属性名（自定义属性--*保持原样），value为去除!important后的值，raw为去除注释后的声明原文
+	 * @description 注释、引号字符串及url()/函数括号内的分号和冒号不作为分隔符，无属性名或无值的声明会被忽略
+	 */
+	parseDeclarations: function(styleStr) {
+		if (!styleStr) return [];
+
+		// 移除注释（引号内的注释符号保持原样）
+		let text = '';
+		let quote = '';
+		for (let i = 0; i < styleStr.length; i++) {
+			const char = styleStr[i];
+			if (char === '\\') {
+				text += char + (styleStr[i + 1] || '');
+				i++;
+			} else if (quote) {
+				if (char === quote) quote = '';
+				text += char;
+			} else if (char === '"' || char === '\'') {
+				quote = char;
+				text += char;
+			} else if (char === '/' && styleStr[i + 1] === '*') {
+				const end = styleStr.indexOf('*/', i + 2);
+				i = end === -1 ? styleStr.length : end + 1;
+				text += ' ';
+			} else {
+				text += char;
+			}
+		}
+
+		return this.splitCssValue(text, /;/)
+			.map(decl => {
+				const raw = decl.trim();
+				const colonIndex = raw.indexOf(':');
+				if (colonIndex === -1) return null;
+				const rawName = raw.slice(0, colonIndex).trim();
+				if (!/^-?[\w-]+$/.test(rawName)) return null;
+				let value = raw.slice(colonIndex + 1).trim();
+				const important = /!\s*important$/i.test(value);
+				value = value.replace(/\s*!\s*important$/i, '').trim();
+				if (!value) return null;
+				const name = rawName.startsWith('--') ? rawName : rawName.toLowerCase();
+				return { name, value, important, raw };
+			})
+			.filter(Boolean);
+	},
 
 	/**
-	 * 解析SVG/HTML代码为树形结构（预处理→XML解析→提取资源→DOM转对象）
-	 * @param {string} code - 原始SVG/HTML代码字符串
-	 * @returns {object} 解析后的树形结构
-	 * @throws {Error} XML解析失败，包含具体错误详情
+	 * 将简写属性展开为分项属性（未设置的分项重置为初始值，与浏览器行为一致）
+	 * @param {string} name - 小写属性名
+	 * @param {string} value - 属性值（不含!important）
+	 * @returns {string[][]} [分项属性名, 值]数组；非简写属性返回[[name, value]]
 	 */
-	parse: function(code) {
-		const preprocessedCode = this.preprocess(code);
-		const parser = new DOMParser();
-		const doc = parser.parseFromString(preprocessedCode, 'image/svg+xml');
-		const parseError = doc.querySelector('parsererror');
-		if (parseError) {
-			const errorDetails = parseError.textContent || parseError.innerText;
-			throw new Error(`XML解析失败。原因: ${errorDetails}`);
+	expandShorthand: function(name, value) {
+		const longhands = this.cssShorthands[name];
+		if (!longhands) return [[name, value]];
+		const tokens = this.splitCssValue(value, /\s/).filter(Boolean);
+
+		// 全局关键字（inherit/initial等）作用于全部分项
+		if (tokens.length === 1 && /^(inherit|initial|unset|revert|revert-layer)$/i.test(tokens[0])) {
+			return longhands.map(longhand => [longhand, tokens[0]]);
+		}
+		if (name === 'overflow') {
+			return [[longhands[0], tokens[0]], [longhands[1], tokens[1] || tokens[0]]];
 		}
-		this.extractAssets(doc.documentElement);
-		return this.domToObject(doc.documentElement);
+		if (name === 'background') {
+			return this.expandBackground(value);
+		}
+
+		// 四值盒模型简写：上 右 下 左
+		const [top, right = top, bottom = top, left = right] = tokens;
+		return [[longhands[0], top], [longhands[1], right], [longhands[2], bottom], [longhands[3], left]];
 	},
 
 	/**
-	 * 预处理原始SVG/HTML代码（修复结构/清理冗余/转义/规范格式）
-	 * @param {string} code - 原始SVG/HTML代码字符串
-	 * @returns {string} 预处理后的标准代码字符串
+	 * 展开background简写（支持多图层，各分项按图层以逗号连接，背景色取最后一层）
+	 * @param {string} value - background简写值
+	 * @returns {string[][]} [分项属性名, 值]数组
 	 */
-	preprocess: function(code) {
+	expandBackground: function(value) {
+		const layerDefaults = {
+			image: 'none',
+			position: '0% 0%',
+			size: 'auto',
+			repeat: 'repeat',
+			attachment: 'scroll',
+			origin: 'padding-box',
+			clip: 'border-box'
+		};
 
 		/**
-		 * 预处理1：利用浏览器DOM自动修复标签结构
-		 * @param {string} html - 原始HTML字符串
-		 * @returns {string} 修复后的HTML字符串
+		 * 解析background简写中的单个图层
+		 * @param {string} layer - 单个图层的简写值
+		 * @returns {object} 图层各项背景属性（未设置为空字符串）
 		 */
-		const fixStructure = (html) => {
-			const tempDiv = document.createElement('div');
-			tempDiv.innerHTML = html;
-			return tempDiv.innerHTML;
+		const parseLayer = (layer) => {
+			const result = { image: '', color: '', position: [], size: [], repeat: [], attachment: '', boxes: [] };
+			const tokens = this.splitCssValue(layer.trim(), /\s/)
+				.filter(Boolean)
+				.flatMap(token => this.splitCssValue(token, /\//).flatMap((part, i) => i > 0 ? ['/', part] : [part]))
+				.filter(Boolean);
+			let afterSlash = false;
+			tokens.forEach(token => {
+				const lower = token.toLowerCase();
+				if (token === '/') {
+					afterSlash = true;
+					return;
+				}
+				const isLength = /^(-?[\d.]|calc\()/.test(lower);
+				if (afterSlash && (isLength || /^(cover|contain|auto)$/.test(lower))) {
+					result.size.push(token);
+					return;
+				}
+				afterSlash = false;
+				if (lower === 'none' || /^(url|(repeating-)?(linear|radial|conic)-gradient|(-webkit-)?image-set|image|cross-fade|element)\(/.test(lower)) {
+					result.image = token;
+				} else if (/^(repeat-x|repeat-y|repeat|space|round|no-repeat)$/.test(lower)) {
+					result.repeat.push(token);
+				} else if (/^(scroll|fixed|local)$/.test(lower)) {
+					result.attachment = token;
+				} else if (/^(border-box|padding-box|content-box|text)$/.test(lower)) {
+					result.boxes.push(token);
+				} else if (isLength || /^(left|right|top|bottom|center)$/.test(lower)) {
+					result.position.push(token);
+				} else {
+					result.color = token;
+				}
+			});
+			return {
+				image: result.image,
+				color: result.color,
+				position: result.position.join(' '),
+				size: result.size.join(' '),
+				repeat: result.repeat.join(' '),
+				attachment: result.attachment,
+				origin: result.boxes[0] || '',
+				clip: result.boxes[1] || result.boxes[0] || ''
+			};
 		};
 
-		/**
-		 * 预处理2：移除图片懒加载data-src/data-lazy-bgimg属性
-		 * @param {string} html - 包含懒加载属性的HTML字符串
-		 * @returns {string} 清理后的HTML字符串
-		 */
-		const removeLazyAttrs = (html) => {
+		const layers = this.splitCssValue(value, /,/).map(parseLayer);
+		const entries = Object.keys(layerDefaults).map(key => [
+			`background-${key}`,
+			layers.map(layer => layer[key] || layerDefaults[key]).join(', ')
+		]);
+		entries.push(['background-color', layers[layers.length - 1].color || 'transparent']);
+		return entries;
+	},
+
+	/**
+	 * 解析CSS样式字符串为键值对对象
+	 * @param {string} [styleStr] - 待解析的CSS样式字符串，可选
+	 * @returns {Object} 解析后的CSS样式键值对对象：键为小写属性名（如margin-top、z-index），简写属性同时保留原值并展开为分项，
+	 * 同名属性后声明覆盖先声明，!important声明优先
+	 */
+	parseStyle: function(styleStr) {
+		const styleObj = {};
+		const importantProps = new Set();
+		this.parseDeclarations(styleStr).forEach(decl => {
+			const entries = this.expandShorthand(decl.name, decl.value);
+			if (entries[0][0] !== decl.name) entries.unshift([decl.name, decl.value]);
+			entries.forEach(([name, value]) => {
+				if (importantProps.has(name) && !decl.important) return;
+				if (decl.important) importantProps.add(name);
+				styleObj[name] = value;
+			});
+		});
+		return styleObj;
+	},
+
+	/**
+	 * 从样式字符串中移除指定属性的声明，其余声明保持原文
+	 * @param {string} [styleStr] - CSS样式字符串，可选
+	 * @param {string[]|Function} names - 需要移除的小写属性名数组，或判断函数(decl) => boolean
+	 * @returns {string} 移除后的合法样式字符串（声明以"; "连接）
+	 */
+	removeDeclarations: function(styleStr, names) {
+		const shouldRemove = typeof names === 'function' ? names : (decl) => names.includes(decl.name);
+		return this.parseDeclarations(styleStr)
+			.filter(decl => !shouldRemove(decl))
+			.map(decl => decl.raw)
+			.join('; ');
+	},
+
+	/**
+	 * 提取CSS值中第一个url()的链接
+	 * @param {string} [value] - CSS值或样式字符串，可选
+	 * @returns {string} 链接（去除引号），不存在返回空字符串
+	 */
+	extractCssUrl: function(value) {
+		const match = (value || '').match(this.cssUrlRegex);
+		return match ? (match[1] ?? match[2] ?? match[3]) : '';
+	},
+
+	/**
+	 * 替换CSS值中第一个url()的链接（如image-set()中的首个候选图）
+	 * @param {string} value - CSS值
+	 * @param {string} url - 新链接
+	 * @returns {string} 替换后的CSS值，不含url()时原样返回
+	 */
+	replaceCssUrl: function(value, url) {
+		return value.replace(this.cssUrlRegex, `url(${url})`);
+	},
+
+	/**
+	 * 转义CSS字符串中的特殊字符，用于拼接单引号或双引号包裹的url()（反斜杠、引号、右括号及换行）
+	 * @param {string} value - 原始字符串（如图片链接）
+	 * @returns {string} 转义后的字符串，写入HTML属性时仍需escapeEntities
+	 */
+	escapeCssString: function(value) {
+		return String(value)
+			.replace(/[\\'")]/g, char => `\\${char}`)
+			.replace(/\r\n|[\n\r\f]/g, '\\a ');
+	},
+
+	// url()匹配规则：分组1/2/3依次为双引号、单引号、无引号写法的链接
+	cssUrlRegex: /url\(\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|((?:[^)\s\\]|\\.)*))\s*\)/i,
+
+	// 背景图层的分项及初始值（background-color不属于图层，单独处理）
+	backgroundLayerDefaults: {
+		position: '0% 0%',
+		size: 'auto',
+		repeat: 'repeat',
+		attachment: 'scroll',
+		origin: 'padding-box',
+		clip: 'border-box'
+	},
+
+	/**
+	 * 将逗号分隔的背景分项值组合为图层数组（分项数量少于图层时按CSS规则循环取值）
+	 * @param {object} props - 背景分项值：image为background-image图层列表，position/size/repeat/attachment/origin/clip为对应分项列表
+	 * @returns {{image: string, url: string, position: string, size: string, repeat: string, attachment: string, origin: string, clip: string}[]}
+	 * 图层数组（按CSS书写顺序，第一个图层在最上方），url为图层中的图片链接（渐变等非链接图层为空字符串），未设置的分项为空字符串
+	 */
+	parseBackgroundLayers: function(props) {
+		const splitList = (value) => this.splitCssValue(value || '', /,/).map(item => item.trim()).filter(Boolean);
+		const lists = Object.fromEntries(Object.keys(this.backgroundLayerDefaults).map(key => [key, splitList(props[key])]));
+		return splitList(props.image).map((image, i) => {
+			const layer = { image, url: /^none$/i.test(image) ? '' : this.extractCssUrl(image) };
+			Object.entries(lists).forEach(([key, list]) => {
+				layer[key] = list.length > 0 ? list[i % list.length] : '';
+			});
+			return layer;
+		});
+	},
+
+	// =================================================================
+	// 几何尺寸解析函数
+	// =================================================================
+
+	// 默认基准宽度：仅知道图片宽高比时生成viewBox使用的宽度（可直接修改，或通过转换函数的options.baseWidth覆盖）
+	defaultBaseWidth: 1080,
+
+	/**
+	 * 解析viewBox属性
+	 * @param {string} [value] - viewBox属性值（空格或逗号分隔）
+	 * @returns {{x: number, y: number, width: number, height: number}|null} 解析结果，缺失、非数值或宽高不为正数时返回null
+	 */
+	parseViewBox: function(value) {
+		const parts = String(value || '').trim().split(/[\s,]+/).filter(Boolean).map(Number);
+		if (parts.length !== 4 || parts.some(num => !Number.isFinite(num)) || parts[2] <= 0 || parts[3] <= 0) return null;
+		const [x, y, width, height] = parts;
+		return { x, y, width, height };
+	},
+
+	/**
+	 * 将长度换算为数值（px与无单位数值按坐标单位处理）
+	 * @param {string|number} value - 长度或百分比
+	 * @param {number|null} [reference=null] - 百分比的参照长度
+	 * @returns {number|null} 数值，其他单位或百分比缺少参照长度时返回null
+	 */
+	resolveLength: function(value, reference = null) {
+		if (value === undefined || value === null) return null;
+		const match = /^(-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)(px|%)?$/i.exec(String(value).trim());
+		if (!match) return null;
+		const num = parseFloat(match[1]);
+		if (match[2] === '%') return reference === null || reference === undefined ? null : reference * num / 100;
+		return num;
+	},
+
+	/**
+	 * 校验并返回基准宽度
+	 * @param {number} [baseWidth] - 传入的基准宽度，不传时使用defaultBaseWidth
+	 * @returns {number} 基准宽度
+	 * @throws {Error} 基准宽度不是正数
+	 */
+	resolveBaseWidth: function(baseWidth) {
+		const value = baseWidth ?? this.defaultBaseWidth;
+		if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+			throw new Error(`基准宽度baseWidth必须为正数，收到: ${value}`);
+		}
+		return value;
+	},
+
+	/**
+	 * 解析节点的具体尺寸（用于生成viewBox）
+	 * @param {object} node - 树形结构节点（img/image/svg等）
+	 * @param {object} [options={}] - 解析选项
+	 * @param {object[]} [options.ancestors=[]] - 祖先节点数组（由外到内），百分比尺寸相对最近的foreignObject宽高或svg的viewBox
+	 * @param {number} [options.ratio] - 已知的图片宽高比（width/height）
+	 * @param {number} [options.baseWidth] - 基准宽度，默认defaultBaseWidth
+	 * @returns {{width: number, height: number, source: string}|null} 具体尺寸及来源（size：宽高属性或样式，ratio：由宽高比推算），无法确定时返回null
+	 * @description 优先使用width/height属性，其次为style中的width/height；只确定一个方向时按宽高比推算另一方向，
+	 * 两个方向都无法确定时按基准宽度和宽高比推算
+	 */
+	resolveGeometry: function(node, options = {}) {
+		const { ancestors = [], ratio } = options;
+		const round = (num) => Math.round(num * 100) / 100;
+
+		// 百分比参照：最近的foreignObject（数值宽高）或带viewBox的svg
+		let viewport = null;
+		for (const ancestor of [...ancestors].reverse()) {
+			if (ancestor.tag === 'foreignObject') {
+				const width = this.resolveLength(ancestor.attrs?.width);
+				const height = this.resolveLength(ancestor.attrs?.height);
+				if (width !== null && height !== null) {
+					viewport = { width, height };
+					break;
+				}
+			}
+			if (ancestor.tag === 'svg') {
+				viewport = this.parseViewBox(ancestor.attrs?.viewBox);
+				if (viewport) break;
+			}
+		}
+
+		const style = this.parseStyle(node.attrs?.style);
+		const pick = (name, reference) => this.resolveLength(node.attrs?.[name], reference) ?? this.resolveLength(style[name], reference);
+		const width = pick('width', viewport ? viewport.width : null);
+		const height = pick('height', viewport ? viewport.height : null);
+		if (width > 0 && height > 0) return { width: round(width), height: round(height), source: 'size' };
+
+		if (!Number.isFinite(ratio) || ratio <= 0) return null;
+		if (width > 0) return { width: round(width), height: round(width / ratio), source: 'ratio' };
+		if (height > 0) return { width: round(height * ratio), height: round(height), source: 'ratio' };
+		const baseWidth = this.resolveBaseWidth(options.baseWidth);
+		return { width: baseWidth, height: Math.round(baseWidth / ratio), source: 'ratio' };
+	},
+
+	// =================================================================
+	// 图片文件头解析函数（只读取文件开头的字节获取宽高，浏览器与Node.js通用）
+	// =================================================================
+
+	// 首次读取的字节数，JPEG的EXIF等数据较大导致读取不到尺寸时按4倍递增，直至maxHeaderBytes
+	headerBytes: 65536,
+	maxHeaderBytes: 1048576,
+
+	/**
+	 * 从文件头字节解析图片宽高
+	 * @param {Uint8Array|ArrayBuffer} bytes - 文件开头的字节（Node.js中Buffer同样适用）
+	 * @returns {{type: string, width: number, height: number}|null} 图片格式（png/jpeg/gif/webp/bmp/svg）及宽高，格式不支持或字节不足时返回null
+	 * @description JPEG按EXIF方向（5-8为旋转90°）交换宽高，与浏览器naturalWidth/naturalHeight一致
+	 */
+	readImageSize: function(bytes) {
+		const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+		const u16be = (at) => (data[at] << 8) | data[at + 1];
+		const u16le = (at) => data[at] | (data[at + 1] << 8);
+		const u24le = (at) => data[at] | (data[at + 1] << 8) | (data[at + 2] << 16);
+		const u32be = (at) => ((data[at] << 24) >>> 0) + ((data[at + 1] << 16) | (data[at + 2] << 8) | data[at + 3]);
+		const i32le = (at) => data[at] | (data[at + 1] << 8) | (data[at + 2] << 16) | (data[at + 3] << 24);
+		const ascii = (at, length) => String.fromCharCode(...data.subarray(at, at + length));
+		const result = (type, width, height) => (width > 0 && height > 0 ? { type, width, height } : null);
+
+		// PNG：IHDR块紧跟文件签名
+		if (data.length >= 24 && u32be(0) === 0x89504e47 && ascii(12, 4) === 'IHDR') {
+			return result('png', u32be(16), u32be(20));
+		}
+		// GIF：逻辑屏幕宽高
+		if (data.length >= 10 && /^GIF8[79]a$/.test(ascii(0, 6))) {
+			return result('gif', u16le(6), u16le(8));
+		}
+		// BMP：OS/2格式为16位宽高，其余为32位（高度为负表示自上而下存储）
+		if (data.length >= 26 && ascii(0, 2) === 'BM') {
+			return u16le(14) === 12
+				? result('bmp', u16le(18), u16le(20))
+				: result('bmp', i32le(18), Math.abs(i32le(22)));
+		}
+		// WebP：按首个块类型（有损VP8、无损VP8L、扩展VP8X）读取
+		if (data.length >= 30 && ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') {
+			const chunk = ascii(12, 4);
+			if (chunk === 'VP8 ' && u24le(23) === 0x2a019d) {
+				return result('webp', u16le(26) & 0x3fff, u16le(28) & 0x3fff);
+			}
+			if (chunk === 'VP8L' && data[20] === 0x2f) {
+				const bits = (data[21] | (data[22] << 8) | (data[23] << 16) | (data[24] << 24)) >>> 0;
+				return result('webp', (bits & 0x3fff) + 1, ((bits >>> 14) & 0x3fff) + 1);
+			}
+			if (chunk === 'VP8X') {
+				return result('webp', u24le(24) + 1, u24le(27) + 1);
+			}
+			return null;
+		}
+		// JPEG：依次跳过各段，读取帧开始段（SOF）中的宽高
+		if (data.length >= 4 && data[0] === 0xff && data[1] === 0xd8) {
+			const sofMarkers = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+			let orientation = 1;
+			let at = 2;
+			while (at + 9 < data.length) {
+				if (data[at] !== 0xff) return null;
+				const marker = data[at + 1];
+				if (marker === 0xff) {
+					at++; // 填充字节
+					continue;
+				}
+				if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+					at += 2; // 无长度的独立标记
+					continue;
+				}
+				const length = u16be(at + 2);
+				if (marker === 0xe1 && ascii(at + 4, 6) === 'Exif\0\0') {
+					orientation = this.readExifOrientation(data.subarray(at + 10, at + 2 + length)) || orientation;
+				}
+				if (sofMarkers.includes(marker)) {
+					const width = u16be(at + 7);
+					const height = u16be(at + 5);
+					return orientation >= 5 ? result('jpeg', height, width) : result('jpeg', width, height);
+				}
+				at += 2 + length;
+			}
+			return null;
+		}
+		// SVG：读取根元素的width/height，缺失或非数值时按viewBox推算
+		const text = typeof TextDecoder !== 'undefined'
+			? new TextDecoder().decode(data)
+			: ascii(0, data.length);
+		// 根元素必须是svg：之前只允许出现BOM、空白、XML声明、注释和DOCTYPE（避免把内嵌svg图标的HTML页面识别为图片）
+		const prolog = /^(?:\uFEFF)?\s*(?:<\?xml[^>]*\?>\s*)?(?:<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*(?=<svg[\s>])/i.exec(text);
+		if (!prolog) return null;
+		const tag = this.scanTag(text, prolog[0].length, 'html');
+		if (!tag) return null;
+		const attrs = Object.fromEntries(tag.attrs.map(attr => [attr.name, attr.value]));
+		const viewBox = this.parseViewBox(attrs.viewbox);
+		const width = this.resolveLength(attrs.width);
+		const height = this.resolveLength(attrs.height);
+		if (width > 0 && height > 0) return result('svg', width, height);
+		if (!viewBox) return null;
+		if (width > 0) return result('svg', width, width * viewBox.height / viewBox.width);
+		if (height > 0) return result('svg', height * viewBox.width / viewBox.height, height);
+		return result('svg', viewBox.width, viewBox.height);
+	},
+
+	/**
+	 * 读取EXIF数据中的图片方向
+	 * @param {Uint8Array} tiff - EXIF的TIFF数据（Exif\0\0标识之后的部分）
+	 * @returns {number|null} 方向值（1-8），未找到时返回null
+	 */
+	readExifOrientation: function(tiff) {
+		if (tiff.length < 8) return null;
+		const little = tiff[0] === 0x49; // II为小端，MM为大端
+		const u16 = (at) => (little ? tiff[at] | (tiff[at + 1] << 8) : (tiff[at] << 8) | tiff[at + 1]);
+		const u32 = (at) => (little
+			? (tiff[at] | (tiff[at + 1] << 8) | (tiff[at + 2] << 16)) + tiff[at + 3] * 0x1000000
+			: tiff[at] * 0x1000000 + ((tiff[at + 1] << 16) | (tiff[at + 2] << 8) | tiff[at + 3]));
+		const ifd = u32(4);
+		if (ifd + 2 > tiff.length) return null;
+		const count = u16(ifd);
+		for (let i = 0; i < count; i++) {
+			const entry = ifd + 2 + i * 12;
+			if (entry + 12 > tiff.length) return null;
+			if (u16(entry) === 0x0112) return u16(entry + 8);
+		}
+		return null;
+	},
+
+	/**
+	 * 读取图片文件开头的字节
+	 * @param {string|Uint8Array|ArrayBuffer} source - 图片来源：http(s)链接（浏览器中也可为相对链接，Node.js中//开头的链接按https请求）、data URI、
+	 * Node.js本地文件路径或file:链接（需开启allowLocalFiles），或已读取的字节
+	 * @param {object} [options={}] - 读取选项
+	 * @param {number} [options.length=headerBytes] - 读取的字节数
+	 * @param {number} [options.timeout=5000] - 网络请求超时时间（毫秒）
+	 * @param {AbortSignal} [options.signal] - 取消信号
+	 * @param {boolean} [options.allowLocalFiles=false] - Node.js中是否允许读取本地文件（只读取普通文件）；文章代码中的链接不可信，默认不读取
+	 * @returns {Promise<Uint8Array>} 文件开头的字节（可能少于length）
+	 * @throws {Error} 请求失败、超时、已取消（AbortError）、未开启allowLocalFiles时传入本地路径，或文件读取失败
+	 * @description 网络请求携带Range请求头只请求开头部分，服务器不支持Range时读取到足够字节后即中断连接
+	 */
+	readImageHeader: async function(source, options = {}) {
+		const { length = this.headerBytes, timeout = 5000, signal, allowLocalFiles = false } = options;
+		this.throwIfAborted(signal);
+		if (source instanceof ArrayBuffer) source = new Uint8Array(source);
+		if (source instanceof Uint8Array) return source.subarray(0, length);
+
+		let url = String(source);
+		// data URI：直接解码
+		const dataMatch = /^data:([^,]*?)(;base64)?,/i.exec(url);
+		if (dataMatch) {
+			const payload = url.slice(dataMatch[0].length);
+			if (!dataMatch[2]) return new TextEncoder().encode(decodeURIComponent(payload)).subarray(0, length);
+			const binary = typeof atob === 'function'
+				? atob(payload.slice(0, Math.ceil(length / 3) * 4))
+				: Buffer.from(payload, 'base64').toString('binary');
+			return Uint8Array.from(binary.slice(0, length), char => char.charCodeAt(0));
+		}
+
+		const isBrowser = typeof document !== 'undefined';
+		if (!isBrowser && url.startsWith('//')) url = `https:${url}`; // 协议相对链接（浏览器中由fetch按页面协议解析）
+
+		// Node.js本地文件：需开启allowLocalFiles，只读取普通文件的开头部分（不打开设备、管道等特殊文件）
+		if (!isBrowser && !/^https?:\/\//i.test(url)) {
+			if (!allowLocalFiles) throw new Error(`不支持的图片链接：${url}（读取本地文件需开启allowLocalFiles选项）`);
+			const fs = this.loadNodeModule('fs');
+			if (!fs) throw new Error('当前环境不支持读取本地文件');
+			const filePath = /^file:/i.test(url) ? this.loadNodeModule('url').fileURLToPath(url) : url;
+			if (!(await fs.promises.stat(filePath)).isFile()) throw new Error(`不是普通文件：${filePath}`);
+			const handle = await fs.promises.open(filePath, 'r');
+			try {
+				const buffer = new Uint8Array(length);
+				const { bytesRead } = await handle.read(buffer, 0, length, 0);
+				return buffer.subarray(0, bytesRead);
+			} finally {
+				await handle.close();
+			}
+		}
+
+		if (typeof fetch === 'function') {
+			const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+			const abort = () => controller && controller.abort();
+			let timedOut = false;
+			const timer = setTimeout(() => {
+				timedOut = true;
+				abort();
+			}, timeout);
+			if (signal) signal.addEventListener('abort', abort);
+			try {
+				const response = await fetch(url, {
+					headers: { Range: `bytes=0-${length - 1}` },
+					referrerPolicy: 'no-referrer',
+					signal: controller ? controller.signal : undefined
+				});
+				if (!response.ok) throw new Error(`图片请求失败（HTTP ${response.status}）`);
+				if (!response.body || !response.body.getReader) {
+					return new Uint8Array(await response.arrayBuffer()).subarray(0, length);
+				}
+				// 逐块读取，字节足够后取消剩余响应
+				const reader = response.body.getReader();
+				const chunks = [];
+				let received = 0;
+				while (received < length) {
+					const { done, value } = await reader.read();
+					if (done) break;
+					chunks.push(value);
+					received += value.length;
+				}
+				reader.cancel().catch(() => {});
+				const result = new Uint8Array(Math.min(received, length));
+				let offset = 0;
+				for (const chunk of chunks) {
+					result.set(chunk.subarray(0, result.length - offset), offset);
+					offset += chunk.length;
+					if (offset >= result.length) break;
+				}
+				return result;
+			} catch (err) {
+				if (signal && signal.aborted) throw this.createAbortError(signal);
+				throw timedOut ? new Error('图片请求超时') : err;
+			} finally {
+				clearTimeout(timer);
+				if (signal) signal.removeEventListener('abort', abort);
+			}
+		}
+		return this.requestNodeHeader(url, { length, timeout, signal });
+	},
+
+	/**
+	 * 使用Node.js的http/https模块读取链接开头的字节（用于不支持fetch的Node.js版本）
+	 * @param {string} url - http(s)链接
+	 * @param {object} options - 读取选项
+	 * @param {number} options.length - 读取的字节数
+	 * @param {number} options.timeout - 超时时间（毫秒）
+	 * @param {AbortSignal} [options.signal] - 取消信号
+	 * @param {number} [redirects=5] - 剩余可跟随的重定向次数
+	 * @returns {Promise<Uint8Array>} 文件开头的字节
+	 * @throws {Error} 请求失败、超时、已取消（AbortError）或重定向次数过多
+	 */
+	requestNodeHeader: function(url, options, redirects = 5) {
+		const { length, timeout, signal } = options;
+		const client = this.loadNodeModule(/^https:/i.test(url) ? 'https' : 'http');
+		if (!client) return Promise.reject(new Error('当前环境不支持网络请求'));
+		return new Promise((resolve, reject) => {
+			const request = client.get(url, { headers: { Range: `bytes=0-${length - 1}` } }, (response) => {
+				const { statusCode, headers } = response;
+				if (statusCode >= 300 && statusCode < 400 && headers.location) {
+					response.resume();
+					if (redirects <= 0) {
+						reject(new Error('图片请求重定向次数过多'));
+						return;
+					}
+					resolve(this.requestNodeHeader(new URL(headers.location, url).href, options, redirects - 1));
+					return;
+				}
+				if (statusCode < 200 || statusCode >= 300) {
+					response.resume();
+					reject(new Error(`图片请求失败（HTTP ${statusCode}）`));
+					return;
+				}
+				const chunks = [];
+				let received = 0;
+				const finish = () => resolve(new Uint8Array(Buffer.concat(chunks)).subarray(0, length));
+				response.on('data', (chunk) => {
+					chunks.push(chunk);
+					received += chunk.length;
+					if (received >= length) {
+						request.destroy(); // 字节足够后中断连接
+						finish();
+					}
+				});
+				response.on('end', finish);
+				response.on('error', reject);
+			});
+			request.setTimeout(timeout, () => {
+				request.destroy();
+				reject(new Error('图片请求超时'));
+			});
+			request.on('error', reject);
+			if (signal) {
+				const abort = () => {
+					request.destroy();
+					reject(this.createAbortError(signal));
+				};
+				signal.addEventListener('abort', abort);
+				request.on('close', () => signal.removeEventListener('abort', abort));
+			}
+		});
+	},
+
+	/**
+	 * 读取图片宽高（只读取文件头）
+	 * @param {string|Uint8Array|ArrayBuffer} source - 图片来源，格式见readImageHeader
+	 * @param {object} [options={}] - 读取选项
+	 * @param {number} [options.timeout=5000] - 网络请求超时时间（毫秒）
+	 * @param {AbortSignal} [options.signal] - 取消信号
+	 * @param {boolean} [options.allowLocalFiles=false] - Node.js中是否允许读取本地文件，见readImageHeader
+	 * @returns {Promise<{type: string, width: number, height: number}>} 图片格式及宽高
+	 * @throws {Error} 读取失败、已取消（AbortError）或无法从文件头解析尺寸
+	 */
+	getImageSize: async function(source, options = {}) {
+		let length = this.headerBytes;
+		while (true) {
+			const bytes = await this.readImageHeader(source, { ...options, length });
+			const size = this.readImageSize(bytes);
+			if (size) return size;
+			// 已读到文件末尾或达到上限时停止
+			if (bytes.length < length || length >= this.maxHeaderBytes) {
+				throw new Error('无法从文件头解析图片尺寸');
+			}
+			length = Math.min(length * 4, this.maxHeaderBytes);
+		}
+	},
+
+	/**
+	 * 加载Node.js内置模块（浏览器中返回null）
+	 * @param {string} name - 模块名
+	 * @returns {object|null} 模块对象
+	 */
+	loadNodeModule: function(name) {
+		return typeof require === 'function' ? require(name) : null;
+	},
+
+	// =================================================================
+	// 背景几何映射函数
+	// =================================================================
+
+	/**
+	 * 解析单个图层的background-position为横纵两个方向的定位
+	 * @param {string} [value='0% 0%'] - background-position值（支持1-4值写法）
+	 * @returns {{x: object, y: object}} 各方向定位 { percent, length, fromEnd }：关键字和百分比换算为percent（0-100），
+	 * 长度写在length中，fromEnd表示长度相对right/bottom边
+	 */
+	parseBackgroundPosition: function(value = '0% 0%') {
+		const keywordPercent = { left: 0, top: 0, center: 50, right: 100, bottom: 100 };
+		const tokens = this.splitCssValue((value || '0% 0%').toLowerCase(), /\s/).filter(Boolean);
+		const isKeyword = (token) => token in keywordPercent;
+
+		/**
+		 * 将单个定位值转为方向定位
+		 * @param {string} token - 关键字、百分比或长度
+		 * @param {string} [edge] - 偏移所相对的边（3-4值写法）
+		 * @returns {object} 方向定位
+		 */
+		const toAxis = (token, edge) => {
+			if (isKeyword(token)) return { percent: keywordPercent[token], length: null, fromEnd: false };
+			const fromEnd = edge === 'right' || edge === 'bottom';
+			if (/%$/.test(token)) {
+				const percent = parseFloat(token);
+				return { percent: fromEnd ? 100 - percent : percent, length: null, fromEnd: false };
+			}
+			return { percent: null, length: token, fromEnd };
+		};
+
+		const result = { x: toAxis('center'), y: toAxis('center') };
+		if (tokens.length === 1) {
+			result[/^(top|bottom)$/.test(tokens[0]) ? 'y' : 'x'] = toAxis(tokens[0]);
+			return result;
+		}
+		if (tokens.length === 2) {
+			// 关键字写法可交换顺序，如top left
+			const [first, second] = /^(top|bottom)$/.test(tokens[0]) || /^(left|right)$/.test(tokens[1]) ? [tokens[1], tokens[0]] : tokens;
+			return { x: toAxis(first), y: toAxis(second) };
+		}
+
+		// 3-4值写法：边关键字后可跟偏移量，如right 10px bottom 20%
+		for (let i = 0; i < tokens.length; i++) {
+			const edge = tokens[i];
+			const offset = tokens[i + 1] && !isKeyword(tokens[i + 1]) ? tokens[++i] : '';
+			if (edge === 'center') continue;
+			result[/^(left|right)$/.test(edge) ? 'x' : 'y'] = offset ? toAxis(offset, edge) : toAxis(edge);
+		}
+		return result;
+	},
+
+	/**
+	 * 解析单个图层的background-repeat为横纵两个方向是否平铺
+	 * @param {string} [value='repeat'] - background-repeat值（space、round按平铺处理）
+	 * @returns {{x: boolean, y: boolean}} 各方向是否平铺
+	 */
+	parseBackgroundRepeat: function(value = 'repeat') {
+		const tokens = (value || 'repeat').toLowerCase().split(/\s+/).filter(Boolean);
+		if (tokens[0] === 'repeat-x') return { x: true, y: false };
+		if (tokens[0] === 'repeat-y') return { x: false, y: true };
+		const [repeatX, repeatY = repeatX] = tokens;
+		return { x: repeatX !== 'no-repeat', y: repeatY !== 'no-repeat' };
+	},
+
+	/**
+	 * 创建在树中唯一的id生成函数（用于pattern等需要引用的节点）
+	 * @param {object} tree - 树形结构
+	 * @param {string} [prefix='svgcc'] - id前缀
+	 * @returns {function(): string} 每次调用返回一个树中未使用的id
+	 */
+	createIdFactory: function(tree, prefix = 'svgcc') {
+		const usedIds = new Set();
+		this.visitTree(tree, (node) => {
+			if (node.attrs?.id) usedIds.add(node.attrs.id);
+		});
+		let counter = 0;
+		return () => {
+			let id;
+			do {
+				id = `${prefix}-${++counter}`;
+			} while (usedIds.has(id));
+			usedIds.add(id);
+			return id;
+		};
+	},
+
+	/**
+	 * 将背景图层映射为SVG节点：background-size/position映射为image的preserveAspectRatio及x/y/width/height，平铺映射为pattern填充的rect
+	 * @param {object} layer - 背景图层（格式见parseBackgroundLayers）
+	 * @param {{x: string, y: string, width: string, height: string}} box - 背景区域（SVG坐标）
+	 * @param {function(): string} createId - pattern的id生成函数（见createIdFactory）
+	 * @returns {object[]} SVG节点数组：单个image，或pattern+rect
+	 * @description 图片原始尺寸未知，background-size为auto时铺满背景区域；仅一个方向为auto时按另一方向缩放并裁切；
+	 * 区域尺寸或长度无法换算为数值（如em单位、百分比区域下的长度）时同样铺满背景区域
+	 */
+	backgroundLayerToSvg: function(layer, box, createId) {
+		const format = (num) => String(Math.round(num * 1000) / 1000);
+
+		const image = (attrs) => ({ tag: 'image', attrs: { 'iftool-href': layer.url, ...attrs }, children: [] });
+		const fullBox = { x: box.x, y: box.y, width: box.width, height: box.height };
+		const position = this.parseBackgroundPosition(layer.position);
+		const align = (axis) => {
+			if (axis.percent === null) return axis.fromEnd ? 'Max' : 'Min';
+			return axis.percent < 25 ? 'Min' : axis.percent > 75 ? 'Max' : 'Mid';
+		};
+		const aspect = `x${align(position.x)}Y${align(position.y)}`;
+		const [sizeX = 'auto', sizeY = 'auto'] = this.splitCssValue((layer.size || 'auto').toLowerCase(), /\s/).filter(Boolean);
+
+		// cover/contain：等比缩放，对齐方式由定位决定
+		if (sizeX === 'cover' || sizeX === 'contain') {
+			return [image({ ...fullBox, preserveAspectRatio: `${aspect} ${sizeX === 'cover' ? 'slice' : 'meet'}` })];
+		}
+		// 原始尺寸：图片尺寸未知，铺满背景区域
+		if (sizeX === 'auto' && sizeY === 'auto') return [image(fullBox)];
+
+		const [boxX, boxY, boxWidth, boxHeight] = [box.x, box.y, box.width, box.height].map(value => this.resolveLength(value));
+		const width = sizeX === 'auto' ? null : this.resolveLength(sizeX, boxWidth);
+		const height = sizeY === 'auto' ? null : this.resolveLength(sizeY, boxHeight);
+		const resolved = [boxX, boxY, boxWidth, boxHeight].every(num => num !== null)
+			&& (sizeX === 'auto' || width !== null) && (sizeY === 'auto' || height !== null);
+		if (!resolved) return [image(fullBox)];
+
+		/**
+		 * 计算图片在背景区域内的偏移
+		 * @param {object} axis - 方向定位
+		 * @param {number} total - 背景区域该方向长度
+		 * @param {number} size - 图片该方向长度
+		 * @returns {number} 偏移量
+		 */
+		const offset = (axis, total, size) => {
+			if (axis.percent !== null) return (total - size) * axis.percent / 100;
+			const length = this.resolveLength(axis.length, total) || 0;
+			return axis.fromEnd ? total - size - length : length;
+		};
+
+		// 仅一个方向指定尺寸：该方向固定，另一方向铺满并等比裁切
+		if (width === null || height === null) {
+			const imageWidth = width ?? boxWidth;
+			const imageHeight = height ?? boxHeight;
+			return [image({
+				x: format(boxX + offset(position.x, boxWidth, imageWidth)),
+				y: format(boxY + offset(position.y, boxHeight, imageHeight)),
+				width: format(imageWidth),
+				height: format(imageHeight),
+				preserveAspectRatio: `${aspect} slice`
+			})];
+		}
+
+		const tileX = boxX + offset(position.x, boxWidth, width);
+		const tileY = boxY + offset(position.y, boxHeight, height);
+		const repeat = this.parseBackgroundRepeat(layer.repeat);
+		if (!repeat.x && !repeat.y) {
+			return [image({ x: format(tileX), y: format(tileY), width: format(width), height: format(height), preserveAspectRatio: 'none' })];
+		}
+
+		// 平铺：以图片为单元的pattern填充rect（单方向平铺时rect只覆盖该方向）
+		const id = createId();
+		const pattern = {
+			tag: 'pattern',
+			attrs: { id, patternUnits: 'userSpaceOnUse', x: format(tileX), y: format(tileY), width: format(width), height: format(height) },
+			children: [image({ x: '0', y: '0', width: format(width), height: format(height), preserveAspectRatio: 'none' })]
+		};
+		const rect = {
+			tag: 'rect',
+			attrs: {
+				x: format(repeat.x ? boxX : tileX),
+				y: format(repeat.y ? boxY : tileY),
+				width: format(repeat.x ? boxWidth : width),
+				height: format(repeat.y ? boxHeight : height),
+				fill: `url(#${id})`
+			},
+			children: []
+		};
+		return [pattern, rect];
+	},
+
+	/**
+	 * 将背景色映射为铺满背景区域的rect
+	 * @param {string} color - 背景色
+	 * @param {{x: string, y: string, width: string, height: string}} box - 背景区域（SVG坐标）
+	 * @returns {object|null} rect节点，透明或未设置时返回null
+	 */
+	backgroundColorToSvg: function(color, box) {
+		const value = (color || '').trim().toLowerCase();
+		const isTransparent = !value || /^(transparent|none|initial|inherit|unset)$/.test(value)
+			|| /^rgba\(.*[,/]\s*0(\.0*)?\s*\)$/.test(value) || /^#([0-9a-f]{3}0|[0-9a-f]{6}00)$/.test(value);
+		if (isTransparent) return null;
+		return { tag: 'rect', attrs: { x: box.x, y: box.y, width: box.width, height: box.height, fill: color }, children: [] };
+	},
+
+	/**
+	 * 将image的preserveAspectRatio反向映射为背景图层的尺寸、定位和平铺
+	 * @param {object} attrs - image节点属性对象
+	 * @returns {{size: string, position: string, repeat: string}} 背景分项（none→100% 100%，meet→contain，slice→cover）
+	 */
+	imageToBackgroundGeometry: function(attrs = {}) {
+		const [alignValue, meetOrSlice = 'meet'] = (attrs.preserveAspectRatio || 'xMidYMid meet')
+			.trim()
+			.split(/\s+/)
+			.filter(part => part !== 'defer');
+		if (alignValue === 'none') return { size: '100% 100%', position: '0% 0%', repeat: 'no-repeat' };
+		const match = /^x(Min|Mid|Max)Y(Min|Mid|Max)$/.exec(alignValue) || [null, 'Mid', 'Mid'];
+		const percent = { Min: '0%', Mid: '50%', Max: '100%' };
+		return {
+			size: meetOrSlice === 'slice' ? 'cover' : 'contain',
+			position: `${percent[match[1]]} ${percent[match[2]]}`,
+			repeat: 'no-repeat'
+		};
+	},
+
+	/**
+	 * 将平铺背景的pattern+rect（见backgroundLayerToSvg）反向映射为背景图层
+	 * @param {object} pattern - pattern节点（单元图片为唯一子节点）
+	 * @param {object} rect - 以该pattern填充的rect节点
+	 * @returns {object|null} 背景图层（格式见parseBackgroundLayers），不是平铺背景或几何属性无法换算为数值时返回null
+	 * @description 以rect为背景区域：单元尺寸和定位换算为相对rect的百分比，rect在某方向超出单元图片时该方向平铺
+	 */
+	patternToBackgroundLayer: function(pattern, rect) {
+		if (pattern?.tag !== 'pattern' || pattern.attrs?.patternUnits !== 'userSpaceOnUse') return null;
+		const tiles = pattern.children.filter(child => !(child.tag === 'wenben' && !child.attrs.trim()));
+		const tile = tiles.length === 1 ? tiles[0] : null;
+		if (tile?.tag !== 'image' || !tile.attrs?.['iftool-href'] || tile.children.length > 0) return null;
+		if (rect?.tag !== 'rect' || !pattern.attrs.id || rect.attrs?.fill !== `url(#${pattern.attrs.id})`) return null;
+
+		const readBox = (attrs) => ['x', 'y', 'width', 'height'].map(name => this.resolveLength(attrs[name] || '0'));
+		const [tileX, tileY, tileWidth, tileHeight] = readBox(pattern.attrs);
+		const [rectX, rectY, rectWidth, rectHeight] = readBox(rect.attrs);
+		if ([tileX, tileY, tileWidth, tileHeight, rectX, rectY, rectWidth, rectHeight].some(num => num === null)) return null;
+		if (tileWidth <= 0 || tileHeight <= 0 || rectWidth <= 0 || rectHeight <= 0) return null;
+
+		const format = (num) => `${Math.round(num * 1000) / 1000}%`;
+		// 百分比定位p满足：偏移 = (区域长度 - 图片长度) * p / 100，两者等长时定位不影响结果
+		const position = (offset, total, size) => (total === size ? '0%' : format(offset / (total - size) * 100));
+		const repeatX = rectX !== tileX || rectWidth !== tileWidth;
+		const repeatY = rectY !== tileY || rectHeight !== tileHeight;
+		return {
+			image: `url(${tile.attrs['iftool-href']})`,
+			url: tile.attrs['iftool-href'],
+			position: `${position(tileX - rectX, rectWidth, tileWidth)} ${position(tileY - rectY, rectHeight, tileHeight)}`,
+			size: `${format(tileWidth / rectWidth * 100)} ${format(tileHeight / rectHeight * 100)}`,
+			repeat: repeatX && repeatY ? 'repeat' : repeatX ? 'repeat-x' : repeatY ? 'repeat-y' : 'no-repeat',
+			attachment: '',
+			origin: '',
+			clip: ''
+		};
+	},
+
+	/**
+	 * 判断节点是否为背景色rect（见backgroundColorToSvg）：仅含x/y/width/height/fill属性，填充为颜色
+	 * @param {object} node - 树形结构节点
+	 * @returns {boolean} 是否为背景色rect
+	 */
+	isBackgroundColorRect: function(node) {
+		if (node?.tag !== 'rect' || node.children.length > 0 || !node.attrs?.fill || /^url\(/i.test(node.attrs.fill)) return false;
+		return Object.keys(node.attrs).every(name => ['x', 'y', 'width', 'height', 'fill'].includes(name));
+	},
+
+	// =================================================================
+	// 资源链接处理函数
+	// =================================================================
+
+	// 资源类型与记录链接的自定义属性（背景链接记录在iftool-background及iftool-bg-image中，见getBackground）
+	assetKinds: {
+		src: 'iftool-src',
+		href: 'iftool-href',
+		background: 'iftool-background'
+	},
+
+	/**
+	 * 收集树形结构中的全部资源链接
+	 * @param {object} tree - HTML/SVG树形结构（parse结果）
+	 * @param {object} [options={}] - 收集选项
+	 * @param {*} [options.scope] - 作用域（格式见resolveScope），仅收集作用域内的节点
+	 * @returns {{url: string, kind: string, node: object, path: number[], ancestors: object[], layer: number|null, candidate: number|null}[]}
+	 * 资源引用数组（按文档顺序），kind为src（img的iftool-src）、href（image的iftool-href）或background（背景图层），
+	 * 背景引用的layer为图层索引，candidate为图层中第几个url()（如image-set()的各候选图）
+	 */
+	collectAssets: function(tree, options = {}) {
+		const refs = [];
+		const urlRegex = new RegExp(this.cssUrlRegex.source, 'gi');
+		this.visitScope(tree, options.scope, (node, ctx) => {
+			if (!node.attrs || typeof node.attrs !== 'object') return;
+			const base = { node, path: ctx.path, ancestors: ctx.ancestors };
+			['src', 'href'].forEach(kind => {
+				const url = node.attrs[this.assetKinds[kind]];
+				if (url !== undefined) refs.push({ ...base, url, kind, layer: null, candidate: null });
+			});
+			const background = this.getBackground(node.attrs);
+			(background ? background.layers : []).forEach((layer, layerIndex) => {
+				[...layer.image.matchAll(urlRegex)].forEach((match, candidate) => {
+					refs.push({ ...base, url: match[1] ?? match[2] ?? match[3], kind: 'background', layer: layerIndex, candidate });
+				});
+			});
+		});
+		return refs;
+	},
+
+	/**
+	 * 批量改写资源链接（如替换CDN域名、追加wx_fmt/tp参数、替换为重新上传的素材链接或内联为data URI）
+	 * @param {object} tree - HTML/SVG树形结构（parse结果，直接修改）
+	 * @param {(url: string, node: object, kind: string, ref: object) => string|null|undefined|Promise<string|null|undefined>} fn -
+	 * 改写函数，参数为链接、所在节点、资源类型（src/href/background）及资源引用（格式见collectAssets），返回新链接，返回非字符串时保持原链接；
+	 * 返回Promise时等待全部改写完成后统一修改
+	 * @param {object} [options={}] - 改写选项
+	 * @param {*} [options.scope] - 作用域（格式见resolveScope），仅改写作用域内的节点
+	 * @returns {object|Promise<object>} 改写后的树形结构，改写函数返回Promise时返回Promise
+	 * @description 背景图层中的每个url()（含image-set()的全部候选图）均单独调用改写函数，改写后经setBackground写回
+	 */
+	rewriteAssets: function(tree, fn, options = {}) {
+		const refs = this.collectAssets(tree, options);
+		const results = refs.map(ref => fn(ref.url, ref.node, ref.kind, ref));
+
+		/**
+		 * 按改写结果修改节点属性
+		 * @param {Array<string|null|undefined>} urls - 与资源引用一一对应的新链接
+		 * @returns {object} 改写后的树形结构
+		 */
+		const apply = (urls) => {
+			const backgrounds = new Map(); // 节点与背景图层各url()新链接的映射（键为"图层索引:候选索引"）
+			refs.forEach((ref, i) => {
+				const url = urls[i];
+				if (typeof url !== 'string' || url === ref.url) return;
+				if (ref.kind !== 'background') {
+					ref.node.attrs[this.assetKinds[ref.kind]] = url;
+					return;
+				}
+				if (!backgrounds.has(ref.node)) backgrounds.set(ref.node, new Map());
+				backgrounds.get(ref.node).set(`${ref.layer}:${ref.candidate}`, url);
+			});
+
+			// 背景按节点统一写回（同一图层可能有多个url()被改写）
+			const urlRegex = new RegExp(this.cssUrlRegex.source, 'gi');
+			backgrounds.forEach((replacements, node) => {
+				const background = this.getBackground(node.attrs);
+				background.layers.forEach((layer, layerIndex) => {
+					let candidate = 0;
+					layer.image = layer.image.replace(urlRegex, (match) => {
+						const url = replacements.get(`${layerIndex}:${candidate++}`);
+						return url === undefined ? match : `url(${url})`;
+					});
+					layer.url = this.extractCssUrl(layer.image);
+				});
+				this.setBackground(node.attrs, background);
+			});
+			return tree;
+		};
+		return results.some(result => result && typeof result.then === 'function')
+			? Promise.all(results).then(apply)
+			: apply(results);
+	},
+
+	// 公众号图片域名（资源清单中其他域名的链接标记为nonWechatHost）
+	wechatImageHosts: ['mmbiz.qpic.cn', 'mmbiz.qlogo.cn'],
+
+	/**
+	 * 生成资源清单及健康检查结果
+	 * @param {object|string} tree - 树形结构（parse结果），传入代码字符串时自动解析
+	 * @param {object} [options={}] - 检查选项
+	 * @param {*} [options.scope] - 作用域（格式见resolveScope），仅检查作用域内的节点
+	 * @param {string[]} [options.wechatHosts] - 公众号图片域名，默认wechatImageHosts
+	 * @returns {{assets: object[], issues: object[], summary: object}} 资源清单、问题列表及统计
+	 * @description
+	 * - assets：按首次出现顺序去重的链接 { url, count, kinds, occurrences: [{ kind, tag, path }], wxFmt, isDataUri, host, issues }，
+	 *   kinds为出现过的资源类型（src/href/background），wxFmt为链接的wx_fmt参数（不存在时为空字符串），issues为该链接的问题类型
+	 * - issues：{ type, url, kind, tag, path }，type为duplicate（同一链接多次出现）、nonWechatHost（非公众号图片域名）、
+	 *   http（非HTTPS链接）或missing（img/image缺少链接或链接为空），duplicate与nonWechatHost/http按链接记录一次（kind、tag、path为首次出现的位置）
+	 * - summary：{ total, unique, duplicate, nonWechatHost, http, missing, dataUri }，total为链接出现总次数，其余为对应的链接数（missing为节点数）
+	 */
+	inventoryAssets: function(tree, options = {}) {
+		if (typeof tree === 'string') tree = this.parse(tree);
+		const wechatHosts = (options.wechatHosts || this.wechatImageHosts).map(host => host.toLowerCase());
+		const byUrl = new Map();
+		const issues = [];
+
+		// 按链接汇总出现位置（空链接记为缺失）
+		this.collectAssets(tree, options).forEach(ref => {
+			const occurrence = { kind: ref.kind, tag: ref.node.tag, path: this.formatNodePath(tree, ref.path) };
+			if (!ref.url.trim()) {
+				issues.push({ type: 'missing', url: ref.url, ...occurrence });
+				return;
+			}
+			if (!byUrl.has(ref.url)) byUrl.set(ref.url, []);
+			byUrl.get(ref.url).push(occurrence);
+		});
+
+		// img/image元素缺少链接属性
+		this.visitScope(tree, options.scope, (node, ctx) => {
+			const missing = (node.tag === 'img' && node.attrs?.[this.assetKinds.src] === undefined)
+				|| (node.tag === 'image' && node.attrs?.[this.assetKinds.href] === undefined && node.attrs?.['xlink:href'] === undefined);
+			if (missing) {
+				issues.push({ type: 'missing', url: '', kind: node.tag === 'img' ? 'src' : 'href', tag: node.tag, path: this.formatNodePath(tree, ctx.path) });
+			}
+		});
+
+		const assets = [...byUrl].map(([url, occurrences]) => {
+			const isDataUri = /^data:/i.test(url);
+			const protocol = (/^([a-z][a-z\d+.-]*):/i.exec(url) || [])[1] || '';
+			const host = isDataUri ? '' : ((/^(?:[a-z][a-z\d+.-]*:)?\/\/([^/?#:]+)/i.exec(url) || [])[1] || '').toLowerCase();
+			const wxFmt = isDataUri ? '' : ((/[?&]wx_fmt=([^&#]*)/i.exec(url) || [])[1] || '');
+			const assetIssues = [];
+			if (occurrences.length > 1) assetIssues.push('duplicate');
+			if (!isDataUri && !wechatHosts.includes(host)) assetIssues.push('nonWechatHost');
+			if (protocol.toLowerCase() === 'http') assetIssues.push('http');
+			assetIssues.forEach(type => issues.push({ type, url, ...occurrences[0] }));
+			return {
+				url,
+				count: occurrences.length,
+				kinds: [...new Set(occurrences.map(item => item.kind))],
+				occurrences,
+				wxFmt,
+				isDataUri,
+				host,
+				issues: assetIssues
+			};
+		});
+
+		const countIssues = (type) => assets.filter(asset => asset.issues.includes(type)).length;
+		return {
+			assets,
+			issues,
+			summary: {
+				total: assets.reduce((sum, asset) => sum + asset.count, 0),
+				unique: assets.length,
+				duplicate: countIssues('duplicate'),
+				nonWechatHost: countIssues('nonWechatHost'),
+				http: countIssues('http'),
+				missing: issues.filter(issue => issue.type === 'missing').length,
+				dataUri: assets.filter(asset => asset.isDataUri).length
+			}
+		};
+	},
+
+	// =================================================================
+	// 节点转换处理函数
+	// =================================================================
+
+	/**
+	 * fo>svg → image
+	 * @param {object} tree - HTML/SVG树形结构
+	 * @param {object} [options={}] - 转换选项
+	 * @param {object[]} [options.report] - 转换报告数组，传入时记录每个已转换/已跳过的节点
+	 * @param {*} [options.scope] - 转换作用域（节点、子索引路径、选择器或true表示data-svgcc-scope标记节点，格式见resolveScope），仅转换作用域内的节点
+	 * @returns {object} 转换后树形结构
+	 */
+	fosvg2image: function(tree, options = {}) {
+		const createId = this.createIdFactory(tree); // 平铺背景的pattern id
+
+		// 遍历收集目标节点
+		this.visitScope(tree, options.scope, (node, ctx) => {
+			// 找到fo节点
+			if (node.tag === 'foreignObject') {
+				// fo的子节点是svg + svg有background链接 + svg无内容 + 父节点有效
+				const svgChild = node.children.find(child => child.tag === 'svg');
+				if (svgChild && svgChild.attrs?.['iftool-background'] && svgChild.children.length > 0) {
+					this.addReport(options.report, tree, {
+						converter: 'fosvg2image',
+						status: 'skipped',
+						path: ctx.path,
+						originalTag: 'foreignObject>svg',
+						url: svgChild.attrs['iftool-background'],
+						reason: 'svg内容不为空'
+					});
+				}
+				const background = svgChild ? this.getBackground(svgChild.attrs) : null;
+				const hasExtraLayers = !!background?.layers.some(layer => !layer.url && !/^none$/i.test(layer.image));
+				if (svgChild && svgChild.attrs?.['iftool-background'] && svgChild.children.length === 0 && hasExtraLayers) {
+					this.addReport(options.report, tree, {
+						converter: 'fosvg2image',
+						status: 'skipped',
+						path: ctx.path,
+						originalTag: 'foreignObject>svg',
+						url: svgChild.attrs['iftool-background'],
+						reason: '背景含渐变等非图片图层'
+					});
+				}
+				if (svgChild && svgChild.attrs?.['iftool-background'] && svgChild.children.length === 0 && !hasExtraLayers && ctx.parent) {
+
+					// 合并fo和svg属性对象 (同名属性svg覆盖fo)
+					const mergedRawAttrs = { 
+						...node.attrs, 
+						...svgChild.attrs 
+					};
+					const preservedAttrs = this.filterPreservedAttrs(mergedRawAttrs); // 白名单属性过滤
+					
+					// 合并fo和svg样式数组
+					const styleArr = [
+						node.attrs.style || '',
+						svgChild.attrs.style || ''
+					];
+					const imageStyle = this.removeWidth(styleArr); // 样式数组转为移除width后的样式字符串
+
+					// fo的定位属性作为背景区域
+					const box = {
+						x: node.attrs.x || '0',
+						y: node.attrs.y || '0',
+						width: node.attrs.width || '100%',
+						height: node.attrs.height || '100%'
+					};
+
+					// 构建image节点（每个背景图层一组，按绘制顺序由下到上排列，背景色绘制在最下方）
+					const newNodes = background.layers.filter(layer => layer.url).reverse()
+						.flatMap(layer => this.backgroundLayerToSvg(layer, box, createId));
+					const colorNode = this.backgroundColorToSvg(background.color, box);
+					if (colorNode) newNodes.unshift(colorNode);
+
+					// 单个image直接替换，多个节点用g包裹（白名单属性和样式作用于整体）
+					let newNode;
+					if (newNodes.length === 1 && newNodes[0].tag === 'image') {
+						newNode = newNodes[0];
+						newNode.attrs = { ...preservedAttrs, ...newNode.attrs, style: imageStyle };
+					} else {
+						newNode = { tag: 'g', attrs: { ...preservedAttrs, style: imageStyle }, children: newNodes };
+					}
+
+					ctx.replace(newNode); // 将fo>svg节点整体替换为image节点
+					background.layers.filter(layer => layer.url).forEach(layer => {
+						this.addReport(options.report, tree, {
+							converter: 'fosvg2image',
+							status: 'converted',
+							path: ctx.path,
+							originalTag: 'foreignObject>svg',
+							newTag: newNode.tag === 'image' ? 'image' : 'g>image',
+							url: layer.url
+						});
+					});
+				}
+			}
+		});
+		return tree;
+	},
+
+	/**
+	 * svg → svg>image
+	 * @param {object} tree - HTML/SVG树形结构
+	 * @param {object} [options={}] - 转换选项
+	 * @param {object[]} [options.report] - 转换报告数组，传入时记录每个已转换/已跳过的节点
+	 * @param {*} [options.scope] - 转换作用域（节点、子索引路径、选择器或true表示data-svgcc-scope标记节点，格式见resolveScope），仅转换作用域内的节点
+	 * @returns {object} 转换后树形结构
+	 */
+	svg2image: function(tree, options = {}) {
+		const createId = this.createIdFactory(tree); // 平铺背景的pattern id
+
+		// 遍历收集目标节点
+		this.visitScope(tree, options.scope, (node, ctx) => {
+			// 找到svg节点
+			if (node.tag === 'svg') {
+				// svg内无特殊height动画（禁用by写法的缩回展开效果，这个效果必须用svg实现不能转为image，其他效果不受影响）
+				if (node.children.some(n => n.tag === 'animate' && n.attrs?.attributeName === 'height' && n.attrs?.by === '-1')) {
+					if (node.attrs?.['iftool-background']) {
+						this.addReport(options.report, tree, {
+							converter: 'svg2image',
+							status: 'skipped',
+							path: ctx.path,
+							originalTag: 'svg',
+							url: node.attrs['iftool-background'],
+							reason: 'svg内含height的by="-1"缩回展开动画，必须保留svg实现'
+						});
+					}
+					return;
+				}
+				// svg的父节点不是fo（仅转换最外层svg） + svg有background链接 + 父节点有效
+				const parentIsNotFo = ctx.parent?.tag !== 'foreignObject';
+				if (!parentIsNotFo && node.attrs?.['iftool-background']) {
+					this.addReport(options.report, tree, {
+						converter: 'svg2image',
+						status: 'skipped',
+						path: ctx.path,
+						originalTag: 'svg',
+						url: node.attrs['iftool-background'],
+						reason: '父节点为foreignObject，仅转换最外层svg'
+					});
+				}
+				if (parentIsNotFo && node.attrs?.['iftool-background'] && ctx.parent) {
+
+					// 提取svg上的viewbox属性作为背景区域（无viewBox时使用svg的具体尺寸，仍无法确定时铺满）
+					const viewBox = this.parseViewBox(node.attrs.viewBox) || this.resolveGeometry(node, { ancestors: ctx.ancestors });
+					const box = viewBox
+						? { x: String(viewBox.x || 0), y: String(viewBox.y || 0), width: String(viewBox.width), height: String(viewBox.height) }
+						: { x: '0', y: '0', width: '100%', height: '100%' };
+
+					// 将svg上的style（不变）移除transform和opacity后继承给image使用
+					const imageStyle = this.removeDeclarations(node.attrs.style, ['transform', '-webkit-transform', 'opacity']);
+
+					// 只转换最上方连续的图片图层：渐变等图层之下的图片转为image后会绘制在该图层之上，连同其下方图层保留为svg背景
+					const background = this.getBackground(node.attrs);
+					const firstRestIndex = background.layers.findIndex(layer => !layer.url && !/^none$/i.test(layer.image));
+					const splitIndex = firstRestIndex === -1 ? background.layers.length : firstRestIndex;
+					const urlLayers = background.layers.slice(0, splitIndex).filter(layer => layer.url);
+					const restLayers = background.layers.slice(splitIndex).filter(layer => !/^none$/i.test(layer.image));
+					restLayers.filter(layer => layer.url).forEach(layer => {
+						this.addReport(options.report, tree, {
+							converter: 'svg2image',
+							status: 'skipped',
+							path: ctx.path,
+							originalTag: 'svg',
+							url: layer.url,
+							reason: '图片图层位于渐变等非图片图层之下，保留为svg背景以保持绘制顺序'
+						});
+					});
+					if (urlLayers.length === 0) return;
+
+					// 构建image节点（每个转换的图层一组，按绘制顺序由下到上排列）
+					const newNodes = urlLayers.slice().reverse().flatMap(layer => this.backgroundLayerToSvg(layer, box, createId));
+					newNodes.filter(newNode => newNode.tag === 'image').forEach(newNode => {
+						newNode.attrs.style = imageStyle;
+					});
+					// 背景色绘制在最下方（仍有渐变等图层时保留在svg背景中）
+					const colorNode = restLayers.length === 0 ? this.backgroundColorToSvg(background.color, box) : null;
+					if (colorNode) newNodes.unshift(colorNode);
+
+					node.children.unshift(...newNodes); // 将image节点插入svg节点内部
+					// 删除svg上已转换的图片图层，渐变等其余图层保留为svg背景
+					this.setBackground(node.attrs, { color: background.color, layers: restLayers });
+					urlLayers.forEach(layer => {
+						this.addReport(options.report, tree, {
+							converter: 'svg2image',
+							status: 'converted',
+							path: ctx.path,
+							originalTag: 'svg',
+							newTag: 'svg>image',
+							url: layer.url
+						});
+					});
+					ctx.skip(); // image已插入svg内部，无需继续遍历子节点
+				}
+			}
+		});
+		return tree;
+	},
+
+	/**
+	 * svg → img
+	 * @param {object} tree - HTML/SVG树形结构
+	 * @param {object} [options={}] - 转换选项
+	 * @param {object[]} [options.report] - 转换报告数组，传入时记录每个已转换/已跳过的节点
+	 * @param {*} [options.scope] - 转换作用域（节点、子索引路径、选择器或true表示data-svgcc-scope标记节点，格式见resolveScope），仅转换作用域内的节点
+	 * @returns {object} 转换后树形结构
+	 */
+	svg2img: function(tree, options = {}) {
+		// 遍历收集目标节点
+		this.visitScope(tree, options.scope, (node, ctx) => {
+			if (node.tag === 'svg' && node.children.length > 0 && node.attrs?.['iftool-background']) {
+				this.addReport(options.report, tree, {
+					converter: 'svg2img',
+					status: 'skipped',
+					path: ctx.path,
+					originalTag: 'svg',
+					url: node.attrs['iftool-background'],
+					reason: 'svg内容不为空'
+				});
+			}
+			// img只能显示单张图片，多图层背景不转换
+			const isSingleLayer = node.tag === 'svg' && this.getBackground(node.attrs)?.layers.filter(layer => !/^none$/i.test(layer.image)).length === 1;
+			if (node.tag === 'svg' && node.children.length === 0 && node.attrs?.['iftool-background'] && !isSingleLayer) {
+				this.addReport(options.report, tree, {
+					converter: 'svg2img',
+					status: 'skipped',
+					path: ctx.path,
+					originalTag: 'svg',
+					url: node.attrs['iftool-background'],
+					reason: '背景含多个图层'
+				});
+			}
+			// 找到svg节点 + svg内容为空 + svg有单图层background链接 + svg父节点有效
+			if (node.tag === 'svg' && node.children.length === 0 && node.attrs?.['iftool-background'] && isSingleLayer && ctx.parent) {
+				const preservedAttrs = this.filterPreservedAttrs(node.attrs); // 白名单属性过滤
+
+				// 构建img节点
+				const imgNode = {
+					tag: 'img',
+					attrs: {
+						...preservedAttrs,
+						'iftool-src': node.attrs['iftool-background'],
+						style: node.attrs.style || ''
+					},
+					children: []
+				};
+				
+				ctx.replace(imgNode); // 将svg节点替换为img节点
+				this.addReport(options.report, tree, {
+					converter: 'svg2img',
+					status: 'converted',
+					path: ctx.path,
+					originalTag: 'svg',
+					newTag: 'img',
+					url: imgNode.attrs['iftool-src']
+				});
+			}
+		});
+		return tree;
+	},
+
+	/**
+	 * image → g>fo>img
+	 * @param {object} tree - HTML/SVG树形结构
+	 * @param {object} [options={}] - 转换选项
+	 * @param {object[]} [options.report] - 转换报告数组，传入时记录每个已转换/已跳过的节点
+	 * @param {*} [options.scope] - 转换作用域（节点、子索引路径、选择器或true表示data-svgcc-scope标记节点，格式见resolveScope），仅转换作用域内的节点
+	 * @returns {object} 转换后树形结构
+	 */
+	image2img: function(tree, options = {}) {
+		// 遍历收集目标节点
+		this.visitScope(tree, options.scope, (node, ctx) => {
+			if (node.tag === 'image' && node.children.length > 0 && node.attrs?.['iftool-href']) {
+				this.addReport(options.report, tree, {
+					converter: 'image2img',
+					status: 'skipped',
+					path: ctx.path,
+					originalTag: 'image',
+					url: node.attrs['iftool-href'],
+					reason: 'image内容不为空'
+				});
+			}
+			// 平铺背景（pattern+rect）无法用单个img显示，保留原样
+			const tileLayer = node.tag === 'pattern' && ctx.parent ? this.patternToBackgroundLayer(node, ctx.parent.children[ctx.index + 1]) : null;
+			if (tileLayer) {
+				this.addReport(options.report, tree, {
+					converter: 'image2img',
+					status: 'skipped',
+					path: ctx.path,
+					originalTag: 'pattern+rect',
+					url: tileLayer.url,
+					reason: '平铺背景无法转为img，保留pattern'
+				});
+			}
+			// pattern中的image为平铺背景的单元图片，不单独转换
+			if (node.tag === 'image' && ctx.parent?.tag === 'pattern') return;
+			// 找到image + image内容为空 + image有href属性 + 父节点有效
+			if (node.tag === 'image' && node.children.length === 0 && node.attrs?.['iftool-href'] && ctx.parent) {
+				const preservedAttrs = this.filterPreservedAttrs(node.attrs); // 白名单属性过滤
+
+				// 提取image的定位属性作为之后fo的定位属性
+				const imageX = node.attrs.x || '0';
+				const imageY = node.attrs.y || '0';
+				const imageWidth = node.attrs.width || '100%';
+				const imageHeight = node.attrs.height || '100%';
+				
+				// 构建g>fo>img节点
+				const gNode = {
+					tag: 'g',
+					attrs: {},
+					children: [
+						{
+							tag: 'foreignObject',
+							attrs: {
+								x: imageX,
+								y: imageY,
+								width: imageWidth,
+								height: imageHeight
+							},
+							children: [
+								{
+									tag: 'img',
+									attrs: {
+										...preservedAttrs,
+										'iftool-src': node.attrs['iftool-href'],
+										style: node.attrs.style || ''
+									},
+									children: []
+								}
+							]
+						}
+					]
+				};
+				
+				ctx.replace(gNode); // 将image节点替换为g>fo>img节点
+				this.addReport(options.report, tree, {
+					converter: 'image2img',
+					status: 'converted',
+					path: ctx.path,
+					originalTag: 'image',
+					newTag: 'g>foreignObject>img',
+					url: node.attrs['iftool-href']
+				});
+			}
+		});
+		return tree;
+	},
+
+	/**
+	 * image → g>fo>svg（平铺背景的pattern+rect及背景色rect一并还原为背景，见4.9）
+	 * @param {object} tree - HTML/SVG树形结构
+	 * @param {object} [options={}] - 转换选项
+	 * @param {object[]} [options.report] - 转换报告数组，传入时记录每个已转换/已跳过的节点
+	 * @param {*} [options.scope] - 转换作用域（节点、子索引路径、选择器或true表示data-svgcc-scope标记节点，格式见resolveScope），仅转换作用域内的节点
+	 * @returns {object} 转换后树形结构
+	 */
+	image2svg: function(tree, options = {}) {
+		// 统计url(#id)引用次数：平铺背景的pattern仅被对应rect引用时才连同rect一起还原
+		const refCounts = {};
+		this.visitTree(tree, (node) => {
+			if (!node.attrs || typeof node.attrs !== 'object') return;
+			Object.values(node.attrs).forEach(value => {
+				for (const match of String(value).matchAll(/url\(\s*['"]?#([^'")\s]+)/gi)) {
+					refCounts[match[1]] = (refCounts[match[1]] || 0) + 1;
+				}
+			});
+		});
+
+		/**
+		 * 节点的定位属性（缺省时铺满）
+		 * @param {object} item - image或rect节点
+		 * @returns {{x: string, y: string, width: string, height: string}} 定位属性
+		 */
+		const boxOf = (item) => ({
+			x: item.attrs.x || '0',
+			y: item.attrs.y || '0',
+			width: item.attrs.width || '100%',
+			height: item.attrs.height || '100%'
+		});
+
+		/**
+		 * 读取同级节点中从指定索引开始的背景图片：单个image，或平铺背景的pattern+rect
+		 * @param {object[]} siblings - 同级节点数组
+		 * @param {number} index - 起始索引
+		 * @returns {{node: object, count: number, box: object, layer: object, originalTag: string}|null}
+		 * node为提供属性和样式的节点，count为占用的节点数，box为背景区域
+		 */
+		const readImageLayer = (siblings, index) => {
+			const item = siblings[index];
+			if (item?.tag === 'image' && item.children.length === 0 && item.attrs?.['iftool-href']) {
+				// preserveAspectRatio反向映射为背景尺寸和定位
+				const layer = {
+					image: `url(${item.attrs['iftool-href']})`,
+					url: item.attrs['iftool-href'],
+					...this.imageToBackgroundGeometry(item.attrs),
+					attachment: '',
+					origin: '',
+					clip: ''
+				};
+				return { node: item, count: 1, box: boxOf(item), layer, originalTag: 'image' };
+			}
+			const rect = siblings[index + 1];
+			const layer = item?.tag === 'pattern' && refCounts[item.attrs?.id] === 1 ? this.patternToBackgroundLayer(item, rect) : null;
+			return layer ? { node: rect, count: 2, box: boxOf(rect), layer, originalTag: 'pattern+rect' } : null;
+		};
+
+		// 遍历收集目标节点
+		this.visitScope(tree, options.scope, (node, ctx) => {
+			if (node.tag === 'image' && node.children.length > 0 && node.attrs?.['iftool-href']) {
+				this.addReport(options.report, tree, {
+					converter: 'image2svg',
+					status: 'skipped',
+					path: ctx.path,
+					originalTag: 'image',
+					url: node.attrs['iftool-href'],
+					reason: 'image内容不为空'
+				});
+			}
+			// pattern中的image为平铺背景的单元图片，不单独转换
+			if (node.tag === 'image' && ctx.parent?.tag === 'pattern') return;
+			if (!ctx.parent) return;
+
+			// 找到image或平铺背景（背景色rect紧邻其前且区域相同时合并为背景色，区域不同时单独转为背景色）
+			const siblings = ctx.parent.children;
+			let group = readImageLayer(siblings, ctx.index);
+			let color = '';
+			if (!group && this.isBackgroundColorRect(node)) {
+				const next = readImageLayer(siblings, ctx.index + 1);
+				if (!next) return; // 其后不是背景图片，按普通rect保留
+				color = node.attrs.fill;
+				const box = boxOf(node);
+				group = ['x', 'y', 'width', 'height'].every(name => next.box[name] === box[name])
+					? { ...next, count: next.count + 1, originalTag: `rect+${next.originalTag}` }
+					: { node, count: 1, box, layer: null, originalTag: 'rect' };
+			}
+			if (!group) return;
+			const url = group.layer?.url || '';
+			const preservedAttrs = this.filterPreservedAttrs(group.node.attrs); // 白名单属性过滤
+			const style = group.node.attrs.style || '';
+
+			// svg的viewBox需要具体尺寸：百分比宽高按最近的viewBox换算
+			const { box } = group;
+			const geometry = this.resolveGeometry({ ...group.node, attrs: { ...group.node.attrs, width: box.width, height: box.height } }, { ancestors: ctx.ancestors });
+			if (!geometry) {
+				if (url) {
+					this.addReport(options.report, tree, {
+						converter: 'image2svg',
+						status: 'skipped',
+						path: ctx.path,
+						originalTag: group.originalTag,
+						url,
+						reason: `无法确定image尺寸（width: ${box.width}，height: ${box.height}）`
+					});
+				}
+				return;
+			}
+
+			// 只有背景色时直接写入样式
+			const svgAttrs = { ...preservedAttrs, viewBox: `0 0 ${geometry.width} ${geometry.height}`, style };
+			if (group.layer) {
+				this.setBackground(svgAttrs, { color, layers: [group.layer] });
+			} else {
+				svgAttrs.style = style ? `${style}; background-color: ${color}` : `background-color: ${color}`;
+			}
+
+			// 构建g>fo>svg节点（fo的定位属性取自背景区域）
+			const gNode = {
+				tag: 'g',
+				attrs: {},
+				children: [
+					{
+						tag: 'foreignObject',
+						attrs: { ...box },
+						children: [
+							{
+								tag: 'svg',
+								attrs: svgAttrs,
+								children: []
+							}
+						]
+					}
+				]
+			};
+
+			ctx.replace(gNode); // 将image节点（及同组的pattern、rect）替换为g>fo>svg节点
+			siblings.splice(ctx.index + 1, group.count - 1);
+			if (url) {
+				this.addReport(options.report, tree, {
+					converter: 'image2svg',
+					status: 'converted',
+					path: ctx.path,
+					originalTag: group.originalTag,
+					newTag: 'g>foreignObject>svg',
+					url
+				});
+			}
+		});
+		return tree;
+	},
+
+	/**
+	 * fo>img → image
+	 * @param {object} tree - HTML/SVG树形结构
+	 * @param {object} [options={}] - 转换选项
+	 * @param {object[]} [options.report] - 转换报告数组，传入时记录每个已转换/已跳过的节点
+	 * @param {*} [options.scope] - 转换作用域（节点、子索引路径、选择器或true表示data-svgcc-scope标记节点，格式见resolveScope），仅转换作用域内的节点
+	 * @returns {object} 转换后树形结构
+	 */
+	foimg2image: function(tree, options = {}) {
+		// 遍历收集目标节点
+		this.visitScope(tree, options.scope, (node, ctx) => {
+			// 找到fo节点 + 父节点有效
+			if (node.tag === 'foreignObject' && ctx.parent) {
+				// fo的子元素是img + img有src属性 + img内容为空
+				const imgChild = node.children.find(child => child.tag === 'img');
+				if (imgChild && imgChild.attrs?.['iftool-src'] && imgChild.children.length === 0) {
+
+					// 合并fo和img属性对象 (同名属性img覆盖fo)
+					const mergedRawAttrs = { 
+						...node.attrs, 
+						...imgChild.attrs 
+					};
+					const preservedAttrs = this.filterPreservedAttrs(mergedRawAttrs); // 白名单属性过滤
+
+					// 合并fo和img样式数组
+					const styleArr = [
+						node.attrs.style || '',
+						imgChild.attrs.style || ''
+					];
+					const imageStyle = this.removeWidth(styleArr); // 样式数组转为移除width后的样式字符串
+
+					// 提取fo的定位属性作为之后image的定位属性
+					const imageX = node.attrs.x || '0';
+					const imageY = node.attrs.y || '0';
+					const imageWidth = node.attrs.width || '100%';
+					const imageHeight = node.attrs.height || '100%';
+
+					// 构建image节点
+					const imageNode = {
+						tag: 'image',
+						attrs: {
+							...preservedAttrs,
+							'iftool-href': imgChild.attrs['iftool-src'],
+							x: imageX,
+							y: imageY,
+							width: imageWidth,
+							height: imageHeight,
+							style: imageStyle
+						},
+						children: []
+					};
+
+					ctx.replace(imageNode); // 将fo>img节点整体替换为image节点
+					this.addReport(options.report, tree, {
+						converter: 'foimg2image',
+						status: 'converted',
+						path: ctx.path,
+						originalTag: 'foreignObject>img',
+						newTag: 'image',
+						url: imageNode.attrs['iftool-href']
+					});
+				}
+			}
+		});
+		return tree;
+	},
+
+	/**
+	 * img → svg>image
+	 * @param {object} tree - HTML/SVG树形结构
+	 * @param {object} [options={}] - 转换选项
+	 * @param {number} [options.baseWidth] - 基准宽度：无法从节点得到尺寸时按图片宽高比生成viewBox使用的宽度，默认defaultBaseWidth（1080）
+	 * @param {Array<string|Function>} [options.ratioResolvers] - 宽高比来源数组（格式见resolveImageRatio），默认defaultRatioResolvers，去掉network即可离线转换
+	 * @param {string|Function} [options.imageProxy] - 代理地址模板或函数（格式见imageProxy），供network来源使用
+	 * @param {number} [options.concurrency] - 同时获取宽高比的图片数量，默认ratioConcurrency（6），同一链接只获取一次
+	 * @param {object} [options.ratioCache] - 宽高比缓存（见createMemoryCache/createIndexedDbCache/createFileCache），可在多次转换间复用
+	 * @param {number} [options.timeout=5000] - 单张图片的超时时间（毫秒）
+	 * @param {AbortSignal} [options.signal] - 取消信号，取消后抛出AbortError且不修改树形结构
+	 * @param {boolean} [options.allowLocalFiles=false] - Node.js中是否允许network来源读取本地文件，见readImageHeader
+	 * @param {Function} [options.onProgress] - 进度回调 ({ done, total, url, ratio, source, error }) => void，每处理完一个目标节点调用一次
+	 * @param {object[]} [options.report] - 转换报告数组，传入时记录每个已转换/已跳过的节点
+	 * @param {*} [options.scope] - 转换作用域（节点、子索引路径、选择器或true表示data-svgcc-scope标记节点，格式见resolveScope），仅转换作用域内的节点
+	 * @returns {Promise<object>} 转换后树形结构
+	 * @throws {Error} 基准宽度不是正数、宽高比来源名称未知，或已取消（AbortError）
+	 */
+	img2image: async function(tree, options = {}) {
+		const targetImgs = []; // 目标img节点及其祖先节点数组（用于解析百分比尺寸）
+		const replacements = new Map(); // 目标img节点与替换节点（或跳过原因）的映射
+		
+		// 遍历收集目标节点
+		this.visitScope(tree, options.scope, (node, ctx) => {
+			if (node.tag === 'img' && node.attrs?.['iftool-src'] && ctx.parent) {
+				const parentIsFo = ctx.parent?.tag === 'foreignObject';
+				const hasNoSize = !node.attrs.width && !node.attrs.height;
+				if (!parentIsFo && hasNoSize) {
+					targetImgs.push({ node, ancestors: ctx.ancestors });
+				} else {
+					this.addReport(options.report, tree, {
+						converter: 'img2image',
+						status: 'skipped',
+						path: ctx.path,
+						originalTag: 'img',
+						url: node.attrs['iftool-src'],
+						reason: parentIsFo ? '父节点为foreignObject' : 'img已设置width/height属性'
+					});
+				}
+			}
+		});
+
+		// 并发解析目标节点的图片尺寸（取消时直接抛出，树形结构保持不变）
+		const geometries = await this.resolveImageGeometries(targetImgs, options);
+		for (const { node } of targetImgs) {
+			const preservedAttrs = this.filterPreservedAttrs(node.attrs); // 白名单属性过滤
+			const { geometry, reason } = geometries.get(node);
+			if (!geometry) {
+				// 无法确定尺寸时不转换，避免生成无效的viewBox
+				replacements.set(node, { newNode: null, reason });
+				continue;
+			}
+
+			// 构建svg>image节点
+			const imageNode = {
+				tag: 'svg',
+				attrs: {
+					viewBox: `0 0 ${geometry.width} ${geometry.height}`,
+					style: 'display: block; pointer-events: painted; width: 100%;'
+				},
+				children: [
+					{
+						tag: 'image',
+						attrs: {
+							...preservedAttrs,
+							'iftool-href': node.attrs['iftool-src'],
+							x: '0',
+							y: '0',
+							width: geometry.width,
+							height: geometry.height,
+							style: node.attrs.style || ''
+						},
+						children: []
+					}
+				]
+			};
+			replacements.set(node, { newNode: imageNode, reason: '' }); // 将img节点替换为svg>image节点
+		}
+
+		// 按节点引用统一替换（不依赖收集时的索引，同一父节点下有多个目标时也能正确替换）
+		this.visitTree(tree, (node, ctx) => {
+			const replacement = replacements.get(node);
+			if (!replacement) return;
+			if (replacement.newNode) ctx.replace(replacement.newNode);
+			this.addReport(options.report, tree, {
+				converter: 'img2image',
+				status: replacement.newNode ? 'converted' : 'skipped',
+				path: ctx.path,
+				originalTag: 'img',
+				newTag: replacement.newNode ? 'svg>image' : undefined,
+				url: node.attrs['iftool-src'],
+				reason: replacement.reason
+			});
+		});
+		return tree;
+	},
+
+	/**
+	 * img → svg
+	 * @param {object} tree - HTML/SVG树形结构
+	 * @param {object} [options={}] - 转换选项
+	 * @param {number} [options.baseWidth] - 基准宽度：无法从节点得到尺寸时按图片宽高比生成viewBox使用的宽度，默认defaultBaseWidth（1080）
+	 * @param {Array<string|Function>} [options.ratioResolvers] - 宽高比来源数组（格式见resolveImageRatio），默认defaultRatioResolvers，去掉network即可离线转换
+	 * @param {string|Function} [options.imageProxy] - 代理地址模板或函数（格式见imageProxy），供network来源使用
+	 * @param {number} [options.concurrency] - 同时获取宽高比的图片数量，默认ratioConcurrency（6），同一链接只获取一次
+	 * @param {object} [options.ratioCache] - 宽高比缓存（见createMemoryCache/createIndexedDbCache/createFileCache），可在多次转换间复用
+	 * @param {number} [options.timeout=5000] - 单张图片的超时时间（毫秒）
+	 * @param {AbortSignal} [options.signal] - 取消信号，取消后抛出AbortError且不修改树形结构
+	 * @param {boolean} [options.allowLocalFiles=false] - Node.js中是否允许network来源读取本地文件，见readImageHeader
+	 * @param {Function} [options.onProgress] - 进度回调 ({ done, total, url, ratio, source, error }) => void，每处理完一个目标节点调用一次
+	 * @param {object[]} [options.report] - 转换报告数组，传入时记录每个已转换/已跳过的节点
+	 * @param {*} [options.scope] - 转换作用域（节点、子索引路径、选择器或true表示data-svgcc-scope标记节点，格式见resolveScope），仅转换作用域内的节点
+	 * @returns {Promise<object>} 转换后树形结构
+	 * @throws {Error} 基准宽度不是正数、宽高比来源名称未知，或已取消（AbortError）
+	 */
+	img2svg: async function(tree, options = {}) {
+		const targetImgs = []; // 目标img节点及其祖先节点数组（用于解析百分比尺寸）
+		const replacements = new Map(); // 目标img节点与替换节点（或跳过原因）的映射
+
+		// 遍历收集目标节点
+		this.visitScope(tree, options.scope, (node, ctx) => {
+			// 找到img节点 + img内容为空 + img有src属性 + 父节点有效
+			if (node.tag === 'img' && node.children.length === 0 && node.attrs?.['iftool-src'] && ctx.parent) {
+				targetImgs.push({ node, ancestors: ctx.ancestors });
+			}
+		});
+
+		// 并发解析目标节点的图片尺寸（取消时直接抛出，树形结构保持不变）
+		const geometries = await this.resolveImageGeometries(targetImgs, options);
+		for (const { node } of targetImgs) {
+			const preservedAttrs = this.filterPreservedAttrs(node.attrs); // 白名单属性过滤
+			const { geometry, reason } = geometries.get(node);
+			if (!geometry) {
+				// 无法确定尺寸时不转换，避免生成无效的viewBox
+				replacements.set(node, { newNode: null, reason });
+				continue;
+			}
+
+			// 构建svg节点
+			const svgNode = {
+				tag: 'svg',
+				attrs: {
+					...preservedAttrs,
+					viewBox: `0 0 ${geometry.width} ${geometry.height}`,
+					style: node.attrs.style || '',
+					'iftool-background': node.attrs['iftool-src']
+				},
+				children: []
+			};
+			replacements.set(node, { newNode: svgNode, reason: '' }); // 将img节点替换为svg节点
+		}
+
+		// 按节点引用统一替换（不依赖收集时的索引，同一父节点下有多个目标时也能正确替换）
+		this.visitTree(tree, (node, ctx) => {
+			const replacement = replacements.get(node);
+			if (!replacement) return;
+			if (replacement.newNode) ctx.replace(replacement.newNode);
+			this.addReport(options.report, tree, {
+				converter: 'img2svg',
+				status: replacement.newNode ? 'converted' : 'skipped',
+				path: ctx.path,
+				originalTag: 'img',
+				newTag: replacement.newNode ? 'svg' : undefined,
+				url: node.attrs['iftool-src'],
+				reason: replacement.reason
+			});
+		});
+		return tree;
+	},
+
+	// =================================================================
+	// 拆分流程函数
+	// =================================================================
+
+	/**
+	 * 解析SVG/HTML代码为树形结构（预处理→XML解析→提取资源→DOM转对象）
+	 * @param {string} code - 原始SVG/HTML代码字符串
+	 * @param {object} [options={}] - 解析选项
+	 * @param {boolean} [options.preserve=false] - 保留模式：保留空白、文本、注释及属性原始写法，合成时未修改的节点按源码原样输出
+	 * @returns {object} 解析后的树形结构：片段根节点 { tag: '#fragment', attrs: {}, children: 全部顶层节点 }
+	 * @throws {Error} XML解析失败，包含具体错误详情
+	 */
+	parse: function(code, options = {}) {
+		let rootElement;
+		if (options.preserve) {
+			rootElement = this.preprocessDom(code);
+		} else {
+			const preprocessedCode = this.preprocess(code);
+			try {
+				rootElement = this.parseXml(preprocessedCode);
+			} catch (err) {
+				throw new Error(`XML解析失败。原因: ${err.message}`);
+			}
+		}
+		this.extractAssets(rootElement);
+
+		// 预处理时的容器节点转为片段根节点
+		const root = this.domToObject(rootElement, { preserve: !!options.preserve });
+		return { ...root, tag: this.fragmentTag, attrs: {} };
+	},
+
+	/**
+	 * 预处理原始SVG/HTML代码（修复结构/清理冗余/转义/规范格式）
+	 * @param {string} code - 原始SVG/HTML代码字符串
+	 * @returns {string} 预处理后的标准代码字符串
+	 */
+	preprocess: function(code) {
+
+		/**
+		 * 预处理1：按HTML解析规则自动修复标签结构
+		 * @param {string} html - 原始HTML字符串
+		 * @returns {string} 修复后的HTML字符串
+		 */
+		const fixStructure = (html) => this.serializeHtml(this.parseHtml(html));
+
+		/**
+		 * 预处理2：移除图片懒加载data-src/data-lazy-bgimg属性
+		 * @param {string} html - 包含懒加载属性的HTML字符串
+		 * @returns {string} 清理后的HTML字符串
+		 */
+		const removeLazyAttrs = (html) => {
 			// 移除img上的data-src属性（某些公众号音视频组件会用data-src设置封面图）
 			const imgDataSrcRegex = /(<img\s[^>]*>)/gi;
 			const dataSrcAttrRegex = /(?:\s|^)data-src(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?/gi;
@@ -645,668 +3119,2565 @@ const svgCC = {
 				return imgTag.replace(dataSrcAttrRegex, '');
 			});
 
-			// 移除所有的data-lazy-bgimg属性
-			const dataLazyBgimgRegex = /(?:\s|^)data-lazy-bgimg(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?/gi;
-			processedHtml = processedHtml.replace(dataLazyBgimgRegex, '');
-			return processedHtml;
+			// 移除所有的data-lazy-bgimg属性
+			const dataLazyBgimgRegex = /(?:\s|^)data-lazy-bgimg(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?/gi;
+			processedHtml = processedHtml.replace(dataLazyBgimgRegex, '');
+			return processedHtml;
+		};
+
+		/**
+		 * 预处理3：移除微信背景占位wx_imgbc_placeholder类
+		 * @param {string} html - 原始HTML字符串
+		 * @returns {string} 移除占位类后的HTML字符串
+		 */
+		const removePlaceholder = (html) => {
+			const wxImgPlaceholderRegex = /(?:\s|^)class\s*=\s*(["'])(?:.*?\s)?wx_imgbc_placeholder(?:\s.*?)?\1/gi;
+			return html.replace(wxImgPlaceholderRegex, (match, quote) => {
+				const classContent = match.match(new RegExp(`class\\s*=\\s*${quote}(.*?)${quote}`, 'i'))[1];
+				const cleanedClass = classContent
+					.split(/\s+/)
+					.filter(cls => cls.trim() !== 'wx_imgbc_placeholder')
+					.join(' ')
+					.trim();
+				return cleanedClass ? ` class=${quote}${cleanedClass}${quote}` : '';
+			});
+		};
+
+		/**
+		 * 预处理4：按HTML规则识别字符引用（全部HTML5命名实体及数字引用），转为XML可解析的形式，裸&符号转义为&amp;
+		 * @param {string} html - 原始HTML字符串
+		 * @returns {string} 转义后的HTML字符串
+		 */
+		const escapeAmpersands = (html) => {
+			const xmlEscapes = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&apos;' };
+			const refRegex = /&(?:#[0-9]+;?|#[xX][0-9a-fA-F]+;?|[a-zA-Z][a-zA-Z0-9]*;?)?/g;
+			const escapeRefs = (text) => text.replace(refRegex, (match) => {
+				const decoded = this.decodeEntities(match);
+				if (decoded === match) return `&amp;${match.slice(1)}`; // 非字符引用的裸&
+				// 引用解码后的字符中仅XML特殊字符需要保留为实体（如&nbsp;→\u00a0，&amp;→&amp;）
+				return decoded.replace(/[&<>"']/g, char => xmlEscapes[char]);
+			});
+
+			// 原始文本元素（style/script等）内容不解析字符引用，整体转义以便XML解析后保持原文
+			const rawTextRegex = new RegExp(`(<(${this.htmlRawTextTags.join('|')})(?:\\s[^>]*)?>)([\\s\\S]*?)(?=<\\/\\2[\\s>])`, 'gi');
+			let result = '';
+			let lastIndex = 0;
+			for (const match of html.matchAll(rawTextRegex)) {
+				result += escapeRefs(html.slice(lastIndex, match.index + match[1].length));
+				result += match[3].replace(/&/g, '&amp;').replace(/</g, '&lt;');
+				lastIndex = match.index + match[0].length;
+			}
+			return result + escapeRefs(html.slice(lastIndex));
+		};
+		
+		/**
+		 * 预处理5：统一url()中的引号格式为单引号并清理空格
+		 * @param {string} html - 原始HTML字符串
+		 * @returns {string} 规范化后的HTML字符串
+		 */
+		const unifyQuotes = (html) => {
+			const urlRegex = /url\(\s*(?:"|&quot;)(.*?)(?:"|&quot;)\s*\)/gi;
+			return html.replace(urlRegex, (_, val) => `url('${val.trim()}')`);
+		};
+
+		/**
+		 * 预处理6：将空元素标签修复为自闭合格式
+		 * @param {string} html - 原始HTML字符串
+		 * @returns {string} 修复后的HTML字符串
+		 */
+		const fixVoidTags = (html) => {
+			const voidTags = ['img', 'br', 'input', 'hr']; // 会出问题的空元素标签
+			const voidTagRegex = new RegExp(`<(${voidTags.join('|')})(\\s+[^>]*?)?>`, 'gi'); // 匹配开始标签
+
+			return html.replace(voidTagRegex, (match, tagName, attrs = '') => {
+				// 检查是否已经是自闭合标签
+				if (match.endsWith('/>')) {
+					return match;
+				}
+				// 检查是否是没有内容的空元素标签
+				const isSelfClosing = !match.includes('</') && voidTags.includes(tagName.toLowerCase());
+				if (isSelfClosing) {
+					// 转换为自闭合格式
+					const attrsPart = attrs ? attrs.replace(/\s*\/?$/, '') : '';
+					return `<${tagName}${attrsPart}/>`;
+				}
+				return match;
+			});
+		};
+
+		/**
+		 * 预处理7：清理空行、缩进及特殊空格实体
+		 * @param {string} html - 原始HTML字符串
+		 * @returns {string} 压缩后的HTML字符串
+		 */
+		const compressWhitespace = (html) => {
+			const preTagRegex = /<(pre|code|textarea)[\s\S]*?<\/\1>/gi;
+			const preMap = new Map();
+			let preIndex = 0;
+
+			// 替换预格式化标签内容为占位符
+			const htmlWithPlaceholders = html.replace(preTagRegex, (match) => {
+				const key = `__PRE_PLACEHOLDER_${preIndex}__`;
+				preMap.set(key, match);
+				preIndex++;
+				return key;
+			});
+
+			// 处理非预格式化区域的空白
+			let processedHtml = htmlWithPlaceholders
+				.replace(/[\n\r]+/g, ' ') 				// 清除空行
+				.replace(/\t+/g, ' ')					// 清除制表符缩进
+				.replace(/&nbsp;|&#160;|&#xA0;/gi, ' ')	// 特殊空格转普通空格
+				.replace(/\s+/g, ' ')					// 合并所有连续空格为单个
+				.replace(/>\s+</g, '><')				// 移除标签之间的空格
+				.trim();								// 首尾去空格
+
+			// 还原预格式化标签内容
+			preMap.forEach((originalContent, placeholder) => {
+				processedHtml = processedHtml.replace(placeholder, originalContent);
+			});
+			return processedHtml;
+		};
+
+		/**
+		 * 预处理8：将标签名和属性名规范化为驼峰命名
+		 * @param {string} html - 原始HTML字符串
+		 * @returns {string} 大小写规范化后的HTML字符串
+		 */
+		const fixCase = (html) => {
+			// 标签名驼峰化
+			const tagNameMap = {
+				animatetransform: 'animateTransform',
+				animatemotion: 'animateMotion',
+				foreignobject: 'foreignObject'
+			};
+			const normalizeTags = (str) => {
+				const tagRegex = /<(\/?)(animatetransform|animatemotion|foreignobject)(?=\s|\/|>)/gi;
+				return str.replace(tagRegex, (_, slash, tag) => `<${slash}${tagNameMap[tag.toLowerCase()]}`);
+			};
+
+			// 属性名驼峰化
+			const attrNameMap = {
+				viewbox: 'viewBox',
+				calcmode: 'calcMode',
+				attributename: 'attributeName',
+				attributetype: 'attributeType',
+				keytimes: 'keyTimes',
+				keysplines: 'keySplines',
+				repeatcount: 'repeatCount',
+				repeatdur: 'repeatDur'
+			};
+			const normalizeAttrs = (str) => {
+				const attrKeys = Object.keys(attrNameMap).join('|');
+				const attrRegex = new RegExp(`([\\s>])(${attrKeys})=`, 'gi');
+				return str.replace(attrRegex, (_, prefix, attr) => `${prefix}${attrNameMap[attr.toLowerCase()]}=`);
+			};
+			return normalizeAttrs(normalizeTags(html));
+		};
+
+		/**
+		 * 预处理9：包裹div以确保XML解析时为单根节点（解析后转为片段根节点，合成时不会输出）
+		 * @param {string} html - 原始HTML字符串
+		 * @returns {string} 包裹后的HTML字符串
+		 */
+		const wrapRoot = (html) => `<div id="iftool">${html}</div>`;
+
+		// 按顺序执行所有预处理步骤（先语法修复，后内容清理）
+		return [
+			fixStructure,
+			removeLazyAttrs,
+			removePlaceholder,
+			escapeAmpersands,
+			unifyQuotes,
+			fixVoidTags,
+			compressWhitespace,
+			fixCase,
+			wrapRoot
+		].reduce((processedHtml, processStep) => {
+			return processStep(processedHtml);
+		}, code);
+	},
+
+	/**
+	 * 保留模式预处理：按HTML解析规则解析原始代码并记录源码信息，仅在DOM上执行必要的内容清理（不压缩空白、不改写引号与格式）
+	 * @param {string} code - 原始SVG/HTML代码字符串
+	 * @returns {object} 轻量DOM容器节点，子节点为解析结果
+	 */
+	preprocessDom: function(code) {
+		const container = this.parseHtml(code, { locations: true });
+
+		const elements = [];
+		const collect = (parent) => {
+			for (const child of parent.childNodes) {
+				if (child.nodeType !== 1) continue;
+				elements.push(child);
+				collect(child);
+			}
+		};
+		collect(container);
+
+		for (const node of elements) {
+			// 移除图片懒加载属性（同预处理2）
+			if (node.tagName.toLowerCase() === 'img') node.removeAttribute('data-src');
+			node.removeAttribute('data-lazy-bgimg');
+
+			// 移除微信背景占位wx_imgbc_placeholder类（同预处理3）
+			const classes = (node.getAttribute('class') || '').split(/\s+/);
+			if (classes.includes('wx_imgbc_placeholder')) {
+				const cleanedClass = classes.filter(cls => cls && cls !== 'wx_imgbc_placeholder').join(' ');
+				if (cleanedClass) {
+					node.setAttribute('class', cleanedClass);
+				} else {
+					node.removeAttribute('class');
+				}
+			}
+
+			// 记录清理后、提取资源前的属性，合成时节点未被修改则按此还原
+			if (node.source) node.source.cleanAttrs = node.attributes.map(attr => ({ ...attr }));
+		}
+		return container;
+	},
+
+	/**
+	 * 提取DOM节点中的资源链接，迁移到自定义属性并移除原生属性
+	 * @param {object} rootNode - SVG/HTML根节点（轻量DOM或浏览器DOM）
+	 * @returns {void}
+	 */
+	extractAssets: function(rootNode) {
+		// 深度优先遍历根节点下的所有元素节点
+		const elements = [];
+		const collect = (parent) => {
+			for (const child of parent.childNodes) {
+				if (child.nodeType !== 1) continue;
+				elements.push(child);
+				collect(child);
+			}
+		};
+		collect(rootNode);
+
+		for (const node of elements) {
+			// 提取image上的href图片链接，设置为iftool-href
+			if (node.tagName.toLowerCase() === 'image' && node.hasAttribute('href')) {
+				node.setAttribute('iftool-href', node.getAttribute('href'));
+				node.removeAttribute('href');
+			}
+			// 提取img上的src图片链接，设置为iftool-src
+			if (node.tagName.toLowerCase() === 'img' && node.hasAttribute('src')) {
+				node.setAttribute('iftool-src', node.getAttribute('src'));
+				node.removeAttribute('src');
+			}
+			// 处理style中的背景相关样式
+			if (node.hasAttribute('style')) {
+				const originalStyle = node.getAttribute('style');
+				const { bgProps, cleanedStyle } = this.processStyle(originalStyle);
+				if (bgProps.url) {
+					const bgAttrs = this.setBackground({}, { color: bgProps.color, layers: bgProps.layers });
+					Object.entries(bgAttrs).forEach(([name, value]) => node.setAttribute(name, value));
+				}
+				if (cleanedStyle) {
+					node.setAttribute('style', cleanedStyle);
+				} else {
+					node.removeAttribute('style');
+				}
+			}
+		}
+	},
+
+	/**
+	 * 提取样式字符串中的背景属性，清理原样式中的背景相关声明
+	 * @param {string} styleString - 原始CSS样式字符串
+	 * @returns {{bgProps: object, cleanedStyle: string}} 背景属性对象（含layers图层数组，格式见parseBackgroundLayers）+清理后样式字符串
+	 */
+	processStyle: function(styleString) {
+		// 按声明顺序读取背景相关样式（简写展开为分项，后声明覆盖先声明，!important声明优先）
+		const style = this.parseStyle(styleString);
+		const layers = this.parseBackgroundLayers({
+			image: style['background-image'],
+			...Object.fromEntries(Object.keys(this.backgroundLayerDefaults).map(key => [key, style[`background-${key}`]]))
+		});
+		const bgProps = {
+			url: layers.find(layer => layer.url)?.url || '', // 第一个含链接的图层
+			color: style['background-color'] || '',
+			position: style['background-position'] || '',
+			size: style['background-size'] || '',
+			repeat: style['background-repeat'] || '',
+			attachment: style['background-attachment'] || '',
+			origin: style['background-origin'] || '',
+			clip: style['background-clip'] || '',
+			layers
+		};
+
+		// 含图片链接时清理原有的背景相关样式（仅有渐变等图层时保留在样式中）
+		const cleanedStyle = this.removeDeclarations(styleString, bgProps.url ? ['background', ...this.cssShorthands.background] : []);
+		return { bgProps, cleanedStyle };
+	},
+
+	/**
+	 * 将DOM节点递归转换为自定义树形对象结构
+	 * @param {object} node - 待转换的DOM节点（元素/文本/注释，轻量DOM或浏览器DOM）
+	 * @param {object} [options={}] - 转换选项
+	 * @param {boolean} [options.preserve=false] - 保留模式：节点附带source源码信息，纯空白文本记录在相邻节点的source.before及父节点的source.trailing中
+	 * @returns {object|null} 转换后的树形对象，非有效节点返回null
+	 */
+	domToObject: function(node, options = {}) {
+		const { preserve = false } = options;
+		if (node.nodeType === 1) {
+			const obj = { tag: node.tagName, attrs: {}, children: [] };
+			for (const attr of node.attributes) {
+				obj.attrs[attr.name] = attr.value;
+			}
+			if (preserve) {
+				// treeAttrs为转换前的属性快照，合成时据此判断节点是否被修改
+				obj.source = { ...node.source, treeAttrs: { ...obj.attrs }, before: '', trailing: '' };
+			}
+			let whitespace = ''; // 保留模式下暂存的纯空白文本（不作为子节点，避免影响转换规则与层级计算）
+			for (const child of node.childNodes) {
+				if (preserve && child.nodeType === 3 && !child.nodeValue.trim()) {
+					whitespace += child.source ? child.source.raw : child.nodeValue;
+					continue;
+				}
+				const childObj = this.domToObject(child, options);
+				if (childObj) {
+					if (preserve) {
+						childObj.source.before = whitespace;
+						whitespace = '';
+					}
+					obj.children.push(childObj);
+				}
+			}
+			if (preserve) obj.source.trailing = whitespace;
+			return obj; // 标签节点
+		} else if (node.nodeType === 3) {
+			const text = node.nodeValue.trim();
+			if (!text) return null;
+			const obj = { tag: 'wenben', attrs: text, children: [] }; // 文本节点
+			if (preserve) obj.source = { ...node.source, text };
+			return obj;
+		} else if (node.nodeType === 8) {
+			const obj = { tag: 'zhushi', attrs: node.nodeValue.trim(), children: [] }; // 注释节点
+			if (preserve) obj.source = { ...node.source, text: obj.attrs };
+			return obj;
+		}
+		return null;
+	},
+
+	// =================================================================
+	// 组合流程函数
+	// =================================================================
+
+	// 在微信公众号中强制要求显式闭合的标签
+	explicitCloseTags: [
+		'section', 'p', 'div', 'svg', 'iframe', 'video',
+		'mp-common-clmusic', 'mp-common-redpacket', 'mp-common-profile',
+		'mp-common-videosnap', 'mp-common-mpaudio', 'mp-common-poi',
+		'mp-common-miniprogram', 'mp-common-vote'
+	],
+
+	/**
+	 * 将自定义树形结构转回标准SVG/HTML代码（还原自定义属性到原生属性）
+	 * @param {object} tree - parse得到的片段（输出全部顶层节点），或任意树形结构节点（输出该节点本身）
+	 * @returns {string} 标准SVG/HTML代码字符串
+	 * @description 保留模式解析的节点按源码格式输出（属性引号/顺序、空白、实体写法），修改过的属性和其余节点按标准格式输出：
+	 * 属性使用双引号，无内容的元素输出为自闭合标签（微信公众号要求显式闭合的标签除外）
+	 */
+	compose: function(tree) {
+		const escapeAttr = (value) => this.escapeEntities(value, true);
+
+		/**
+		 * 判断两个属性对象是否一致
+		 * @param {object} attrs - 当前属性对象
+		 * @param {object} snapshot - 解析时的属性快照
+		 * @returns {boolean} 一致返回true
+		 */
+		const isSameAttrs = (attrs, snapshot) => {
+			const keys = Object.keys(attrs);
+			return keys.length === Object.keys(snapshot).length && keys.every(key => snapshot[key] === attrs[key]);
+		};
+
+		/**
+		 * 生成元素的属性文本：保留模式下源码中存在且值未变的属性输出原始文本，其余按标准格式输出
+		 * @param {object} node - 元素节点
+		 * @returns {string} 属性文本
+		 */
+		const emitAttrs = (node) => {
+			const source = node.source || {};
+			const finalAttrs = this.restoreAssetAttrs(node.attrs);
+
+			// 资源属性未修改时沿用源码中的style/src/href（避免背景样式被改写为标准简写）
+			if (source.cleanAttrs && source.treeAttrs) {
+				const pickAssets = (attrs) => Object.fromEntries(Object.entries(attrs)
+					.filter(([name]) => name === 'style' || name.startsWith('iftool-')));
+				if (isSameAttrs(pickAssets(node.attrs), pickAssets(source.treeAttrs))) {
+					const cleanAttrs = Object.fromEntries(source.cleanAttrs.map(attr => [attr.name, attr.value]));
+					const assetNames = ['style'];
+					if (source.treeAttrs['iftool-src']) assetNames.push('src');
+					if (source.treeAttrs['iftool-href']) assetNames.push('href');
+					assetNames.forEach(name => {
+						if (name in cleanAttrs) {
+							finalAttrs[name] = cleanAttrs[name];
+						} else {
+							delete finalAttrs[name];
+						}
+					});
+				}
+			}
+
+			let attrText = '';
+			const written = new Set();
+			(source.attrs || []).forEach(attr => {
+				if (!(attr.name in finalAttrs)) return; // 已移除的属性
+				written.add(attr.name);
+				const value = String(finalAttrs[attr.name]);
+				const leading = attr.raw.match(/^\s*/)[0];
+				if (value === attr.value && attr.raw.slice(leading.length).startsWith(attr.name)) {
+					attrText += attr.raw;
+				} else {
+					attrText += `${leading || ' '}${attr.name}="${escapeAttr(value)}"`;
+				}
+			});
+			Object.entries(finalAttrs)
+				.filter(([name]) => !written.has(name))
+				.forEach(([name, value]) => {
+					attrText += ` ${name}="${escapeAttr(value)}"`;
+				});
+			return attrText;
+		};
+
+		/**
+		 * 递归合成节点（含保留模式下节点前的空白）
+		 * @param {object} node - 树形结构节点
+		 * @param {object} [parent] - 父节点
+		 * @returns {string} 代码字符串
+		 */
+		const emit = (node, parent) => {
+			const source = node.source || {};
+			const before = source.before || '';
+
+			// 文本/注释节点：内容未修改时输出原始文本
+			if (node.tag === 'wenben' || node.tag === 'zhushi') {
+				if (source.raw !== undefined && node.attrs === source.text) return before + source.raw;
+				if (node.tag === 'zhushi') return `${before}<!--${node.attrs}-->`;
+				const [, leading = '', trailing = ''] = (source.raw || '').match(/^(\s*)[\s\S]*?(\s*)$/) || [];
+				const isRawText = this.htmlRawTextTags.includes(parent?.tag); // 原始文本元素内容不转义
+				return before + leading + (isRawText ? node.attrs : this.escapeEntities(node.attrs)) + trailing;
+			}
+
+			const attrText = emitAttrs(node);
+			const childNodes = node.children || [];
+			const children = childNodes.map(child => emit(child, node)).join('') + (source.trailing || '');
+			const isEmpty = childNodes.length === 0 && !source.trailing;
+			const isVoid = this.htmlVoidTags.includes(node.tag);
+			const mustClose = this.explicitCloseTags.includes(node.tag);
+			if (source.attrs) {
+				// 源码中的标签：沿用原有结尾写法（如<img ...>、<rect ... />）
+				const selfClosed = /\/>$/.test(source.close);
+				if (isVoid || (selfClosed && isEmpty && !mustClose)) {
+					return `${before}<${node.tag}${attrText}${source.close}`;
+				}
+				const close = selfClosed ? source.close.replace(/\s*\/>$/, '>') : source.close;
+				return `${before}<${node.tag}${attrText}${close}${source.leadingNewline || ''}${children}</${node.tag}>`;
+			}
+			// 标准格式
+			if (isEmpty && !mustClose) return `${before}<${node.tag}${attrText}/>`;
+			return `${before}<${node.tag}${attrText}>${children}</${node.tag}>`;
+		};
+
+		// 片段只输出顶层节点
+		if (tree.tag === this.fragmentTag) {
+			return (tree.children || []).map(child => emit(child, tree)).join('') + (tree.source?.trailing || '');
+		}
+		return emit(tree, null);
+	},
+
+	/**
+	 * 将自定义资源属性还原为原生属性（iftool-href/src还原为href/src，iftool-background及iftool-bg-*按图层合并为background简写）
+	 * @param {object} attrs - 树形结构节点的属性对象
+	 * @returns {object} 还原后的属性对象副本
+	 */
+	restoreAssetAttrs: function(attrs) {
+		// 从临时属性中获取所有资源
+		const background = this.getBackground(attrs);
+		const tempAssets = {
+			href: attrs['iftool-href'],
+			srcUrl: attrs['iftool-src']
+		};
+
+		// 创建一个最终的属性对象副本，移除所有临时属性
+		const finalAttrs = { ...attrs };
+		delete finalAttrs['iftool-href'];
+		delete finalAttrs['iftool-src'];
+		this.setBackground(finalAttrs, null);
+
+		// 如果有背景图层，按图层顺序构建简写写法（背景色写在最后一个图层中）
+		if (background) {
+			const lastIndex = background.layers.length - 1;
+			const layerStrs = background.layers.map((layer, i) => {
+				// 获取各个背景相关样式或使用默认值
+				const p = layer.position || '0% 0%';
+				const s = layer.size || 'auto auto';
+				const r = layer.repeat || 'repeat';
+				const a = layer.attachment || 'scroll';
+				const o = layer.origin || 'padding-box';
+				const l = layer.clip || 'border-box';
+
+				let posSizeStr = p;
+				if (s && s !== 'auto' && s !== 'auto auto') {
+					posSizeStr += ` / ${s}`; // 如果bg-size不是默认值，则在简写方案中带上斜杠
+				}
+				const layerStr = `${layer.image} ${posSizeStr} ${r} ${a} ${o} ${l}`;
+				return i === lastIndex ? `${background.color || 'transparent'} ${layerStr}` : layerStr;
+			});
+			const newBackgroundStyle = `background: ${layerStrs.join(', ')}`; // 简写方案
+			const existingStyle = finalAttrs.style || '';
+			finalAttrs.style = existingStyle ? `${existingStyle}; ${newBackgroundStyle}` : newBackgroundStyle;
+		}
+
+		// 如果有href或src链接，直接设置链接
+		if (tempAssets.href) {
+			finalAttrs.href = tempAssets.href;
+		}
+		if (tempAssets.srcUrl) {
+			finalAttrs.src = tempAssets.srcUrl;
+		}
+		return finalAttrs;
+	},
+
+	/**
+	 * 将自定义树形对象递归转换为DOM节点（还原自定义资源属性）
+	 * @param {object} doc - 文档对象（需提供createElement/createTextNode/createComment）
+	 * @param {object} obj - 待转换的自定义树形对象
+	 * @returns {Node|null} 转换后的DOM节点，非有效对象返回null
+	 */
+	objectToDom: function(doc, obj) {
+		if (!obj) return null;
+		if (obj.tag === 'wenben') return doc.createTextNode(obj.attrs);
+		if (obj.tag === 'zhushi') return doc.createComment(obj.attrs);
+
+		// 创建元素并应用还原后的属性对象副本
+		const finalAttrs = this.restoreAssetAttrs(obj.attrs);
+		const element = doc.createElement(obj.tag);
+		for (const attr in finalAttrs) {
+			element.setAttribute(attr, finalAttrs[attr]);
+		}
+		
+		// 递归处理并添加子节点
+		if (obj.children) {
+			for (const child of obj.children) {
+				const childNode = this.objectToDom(doc, child);
+				if (childNode) {
+					element.appendChild(childNode);
+				}
+			}
+		}
+		return element;
+	},
+
+	// =================================================================
+	// 一站式转换函数
+	// =================================================================
+
+	/**
+	 * 按目标格式一站式执行解析→层级计算→转换→合成（封装README中的convert流程）
+	 * @param {object|string} tree - 解析后的树形结构，传入代码字符串时自动解析
+	 * @param {object} [options={}] - 转换选项
+	 * @param {'svg'|'img'|'image'|''} [options.type=''] - 目标格式，为空时仅执行解析-合成（代码优化）
+	 * @param {boolean} [options.convertImg=false] - 是否转换普通img元素（防止点开大图/长按扫描失效时关闭）
+	 * @param {number} [options.preload=0] - 预加载图片数量，大于0时将预加载HTML注入结果（替换已注入的预加载片段，没有时插入到头部），为0时保留已有片段
+	 * @param {number} [options.baseWidth] - img转换时的基准宽度，默认defaultBaseWidth（1080），见resolveGeometry
+	 * @param {Array<string|Function>} [options.ratioResolvers] - img转换时的宽高比来源数组，默认defaultRatioResolvers，见resolveImageRatio
+	 * @param {string|Function} [options.imageProxy] - img转换时的图片代理地址模板或函数，默认imageProxy
+	 * @param {number} [options.concurrency] - img转换时同时获取宽高比的图片数量，默认ratioConcurrency（6）
+	 * @param {object} [options.ratioCache] - img转换时的宽高比缓存，见createMemoryCache
+	 * @param {number} [options.timeout] - img转换时单张图片的超时时间（毫秒），默认5000
+	 * @param {AbortSignal} [options.signal] - 取消信号，取消后抛出AbortError
+	 * @param {boolean} [options.allowLocalFiles=false] - img转换时是否允许读取本地文件，见readImageHeader
+	 * @param {Function} [options.onProgress] - img转换时的进度回调，见img2image
+	 * @param {object} [options.layerRules] - 层级计算的规则覆盖，见calcLayer
+	 * @param {object} [options.layerWeights] - 层级计算的权重覆盖，见calcLayer
+	 * @param {string|Function} [options.preloadStrategy] - 预加载方式，见calcLayer的options.strategy
+	 * @param {number} [options.preloadBytes] - 预加载字节预算，见calcLayer的options.maxBytes
+	 * @param {object|Map|Function} [options.preloadSizes] - 图片体积（字节），见calcLayer的options.sizes
+	 * @param {*} [options.scope] - 转换作用域（格式见resolveScope），层级计算与转换仅作用于作用域内的节点
+	 * @param {boolean} [options.preserve=false] - 传入代码字符串时使用保留模式解析，未修改的节点按源码原样输出
+	 * @returns {Promise<{code: string, tree: object, layer: object, report: object[]}>} 合成代码、转换后树形结构、层级计算结果、转换报告
+	 * @throws {Error} 不支持的目标格式、作用域未匹配到任何节点、基准宽度不是正数、宽高比来源名称未知，或已取消（AbortError）
+	 */
+	convert: async function(tree, options = {}) {
+		const { type = '', convertImg = false, preload = 0 } = options;
+		if (!['', 'svg', 'img', 'image'].includes(type)) {
+			throw new Error(`不支持的转换类型: ${type}`);
+		}
+		if (typeof tree === 'string') {
+			tree = this.parse(tree, { preserve: options.preserve });
+		}
+
+		// 作用域先基于传入的树形结构解析为节点，移出预加载片段后再统一转为子索引路径
+		// （转换为原位替换，路径在各转换函数间保持有效，节点引用则会失效）
+		const scopeResults = this.resolveScope(tree, options.scope);
+
+		// 暂时移出已注入的预加载片段（不参与层级计算与转换），转换后放回原位置
+		const preloadSections = this.findPreloadSections(tree);
+		[...preloadSections].reverse().forEach(section => section.parent.children.splice(section.index, 1));
+
+		let scope;
+		if (scopeResults) {
+			const scopeNodes = new Set(scopeResults.map(result => result.node));
+			scope = [];
+			this.visitTree(tree, (node, ctx) => {
+				if (scopeNodes.has(node)) scope.push(ctx.path);
+			});
+			if (scope.length === 0) {
+				preloadSections.forEach(section => section.parent.children.splice(section.index, 0, section.node));
+				throw new Error('转换作用域未匹配到任何节点');
+			}
+		}
+
+		// 转换前计算层级（预加载数量为0时不输出预加载HTML）
+		const layer = this.calcLayer(tree, preload, {
+			scope,
+			rules: options.layerRules,
+			weights: options.layerWeights,
+			strategy: options.preloadStrategy,
+			maxBytes: options.preloadBytes,
+			sizes: options.preloadSizes
+		});
+		if (preload <= 0) {
+			layer.finalHtml = '';
+		}
+
+		// 按目标格式执行转换函数序列
+		const report = [];
+		const imgOptions = {
+			report,
+			scope,
+			...Object.fromEntries(['baseWidth', 'ratioResolvers', 'imageProxy', 'concurrency', 'ratioCache', 'timeout', 'signal', 'allowLocalFiles', 'onProgress']
+				.map(name => [name, options[name]]))
+		};
+		if (type === 'image') {
+			this.fosvg2image(tree, { report, scope });
+			this.svg2image(tree, { report, scope });
+			if (convertImg) {
+				this.foimg2image(tree, { report, scope });
+				await this.img2image(tree, imgOptions);
+			}
+		} else if (type === 'img') {
+			this.svg2img(tree, { report, scope });
+			this.image2img(tree, { report, scope });
+		} else if (type === 'svg') {
+			this.image2svg(tree, { report, scope });
+			if (convertImg) {
+				await this.img2svg(tree, imgOptions);
+			}
+		}
+
+		// 放回预加载片段，需要预加载时替换为新的片段（没有已注入的片段时插入到头部）
+		preloadSections.forEach(section => section.parent.children.splice(section.index, 0, section.node));
+		if (preload > 0) {
+			this.injectPreload(tree, layer.finalHtml);
+		}
+
+		return {
+			code: this.compose(tree), // 合成代码（含预加载HTML）
+			tree, // 转换后树形结构
+			layer, // 层级计算结果
+			report // 转换报告
+		};
+	},
+
+	// =================================================================
+	// 标记解析与序列化函数（纯JS实现，不依赖浏览器DOM，浏览器与Node.js通用）
+	// =================================================================
+
+	// HTML空元素（无结束标签）
+	htmlVoidTags: ['area', 'base', 'basefont', 'bgsound', 'br', 'col', 'embed', 'frame', 'hr', 'img', 'input', 'keygen', 'link', 'meta', 'param', 'source', 'track', 'wbr'],
+
+	// HTML原始文本元素（内容不解析标签，RCDATA元素仅解析实体）
+	htmlRawTextTags: ['script', 'style', 'xmp', 'iframe', 'noembed', 'noframes', 'noscript'],
+	htmlRcdataTags: ['textarea', 'title'],
+
+	// SVG标签名/属性名大小写修正表（HTML解析器会统一转为小写）
+	svgTagNames: [
+		'altGlyph', 'altGlyphDef', 'altGlyphItem', 'animateColor', 'animateMotion', 'animateTransform', 'clipPath',
+		'feBlend', 'feColorMatrix', 'feComponentTransfer', 'feComposite', 'feConvolveMatrix', 'feDiffuseLighting',
+		'feDisplacementMap', 'feDistantLight', 'feDropShadow', 'feFlood', 'feFuncA', 'feFuncB', 'feFuncG', 'feFuncR',
+		'feGaussianBlur', 'feImage', 'feMerge', 'feMergeNode', 'feMorphology', 'feOffset', 'fePointLight',
+		'feSpecularLighting', 'feSpotLight', 'feTile', 'feTurbulence', 'foreignObject', 'glyphRef', 'linearGradient',
+		'radialGradient', 'textPath'
+	],
+	svgAttrNames: [
+		'attributeName', 'attributeType', 'baseFrequency', 'baseProfile', 'calcMode', 'clipPathUnits', 'diffuseConstant',
+		'edgeMode', 'filterUnits', 'glyphRef', 'gradientTransform', 'gradientUnits', 'kernelMatrix', 'kernelUnitLength',
+		'keyPoints', 'keySplines', 'keyTimes', 'lengthAdjust', 'limitingConeAngle', 'markerHeight', 'markerUnits',
+		'markerWidth', 'maskContentUnits', 'maskUnits', 'numOctaves', 'pathLength', 'patternContentUnits',
+		'patternTransform', 'patternUnits', 'pointsAtX', 'pointsAtY', 'pointsAtZ', 'preserveAlpha', 'preserveAspectRatio',
+		'primitiveUnits', 'refX', 'refY', 'repeatCount', 'repeatDur', 'requiredExtensions', 'requiredFeatures',
+		'specularConstant', 'specularExponent', 'spreadMethod', 'startOffset', 'stdDeviation', 'stitchTiles',
+		'surfaceScale', 'systemLanguage', 'tableValues', 'targetX', 'targetY', 'textLength', 'viewBox', 'viewTarget',
+		'xChannelSelector', 'yChannelSelector', 'zoomAndPan'
+	],
+
+	/**
+	 * 创建轻量文档对象，提供与浏览器DOM一致的节点创建接口（nodeType/tagName/attributes/childNodes/nodeValue）
+	 * @returns {{createElement: Function, createTextNode: Function, createComment: Function}} 轻量文档对象
+	 */
+	createDocument: function() {
+		return {
+			createElement: (tagName) => ({
+				nodeType: 1,
+				tagName,
+				namespaceURI: null,
+				attributes: [],
+				childNodes: [],
+				hasAttribute: function(name) {
+					return this.attributes.some(item => item.name === name);
+				},
+				getAttribute: function(name) {
+					const attr = this.attributes.find(item => item.name === name);
+					return attr ? attr.value : null;
+				},
+				removeAttribute: function(name) {
+					this.attributes = this.attributes.filter(item => item.name !== name);
+				},
+				setAttribute: function(name, value) {
+					const attr = this.attributes.find(item => item.name === name);
+					if (attr) {
+						attr.value = String(value);
+					} else {
+						this.attributes.push({ name, value: String(value) });
+					}
+				},
+				appendChild: function(child) {
+					this.childNodes.push(child);
+					return child;
+				}
+			}),
+			createTextNode: (data) => ({ nodeType: 3, nodeValue: String(data) }),
+			createComment: (data) => ({ nodeType: 8, nodeValue: String(data) })
+		};
+	},
+
+	/**
+	 * 解码HTML字符引用（命名实体/十进制/十六进制），规则与浏览器HTML解析器一致
+	 * @param {string} text - 待解码的文本
+	 * @param {boolean} [inAttr=false] - 是否为属性值（属性值中不带分号的旧式实体后接字母数字或=时不解码）
+	 * @returns {string} 解码后的文本
+	 */
+	decodeEntities: function(text, inAttr = false) {
+		if (!text || !text.includes('&')) return text;
+		const entityMap = this.getHtmlEntityMap();
+		const legacyNames = this.htmlLegacyEntities.split(',');
+
+		// 0x80-0x9F数字引用按windows-1252映射
+		const c1Map = {
+			0x80: 0x20AC, 0x82: 0x201A, 0x83: 0x0192, 0x84: 0x201E, 0x85: 0x2026, 0x86: 0x2020, 0x87: 0x2021,
+			0x88: 0x02C6, 0x89: 0x2030, 0x8A: 0x0160, 0x8B: 0x2039, 0x8C: 0x0152, 0x8E: 0x017D, 0x91: 0x2018,
+			0x92: 0x2019, 0x93: 0x201C, 0x94: 0x201D, 0x95: 0x2022, 0x96: 0x2013, 0x97: 0x2014, 0x98: 0x02DC,
+			0x99: 0x2122, 0x9A: 0x0161, 0x9B: 0x203A, 0x9C: 0x0153, 0x9E: 0x017E, 0x9F: 0x0178
+		};
+
+		const entityRegex = /&(?:#([0-9]+);?|#[xX]([0-9a-fA-F]+);?|([a-zA-Z][a-zA-Z0-9]*)(;?))/g;
+		return text.replace(entityRegex, (match, dec, hex, name, semicolon, offset) => {
+			// 数字引用
+			if (dec !== undefined || hex !== undefined) {
+				let code = dec !== undefined ? parseInt(dec, 10) : parseInt(hex, 16);
+				if (c1Map[code]) code = c1Map[code];
+				if (!code || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) code = 0xFFFD;
+				return String.fromCodePoint(code);
+			}
+			// 带分号的命名实体
+			if (semicolon && entityMap.has(name)) {
+				return entityMap.get(name);
+			}
+			// 不带分号的旧式实体（取最长匹配）
+			const legacyName = legacyNames
+				.filter(legacy => name.startsWith(legacy))
+				.sort((a, b) => b.length - a.length)[0];
+			if (!legacyName) return match;
+			const rest = match.slice(legacyName.length + 1);
+			if (inAttr && /^[a-zA-Z0-9=]/.test(rest || text[offset + match.length] || '')) {
+				return match;
+			}
+			return entityMap.get(legacyName) + rest;
+		});
+	},
+
+	/**
+	 * 获取HTML命名实体映射表（首次调用时构建）
+	 * @returns {Map<string, string>} 实体名（不含&和;）与对应字符的映射
+	 */
+	getHtmlEntityMap: function() {
+		if (!this.htmlEntityMap) {
+			this.htmlEntityMap = new Map();
+			this.htmlEntities.split(',').forEach(item => {
+				const [name, codes] = item.split(':');
+				this.htmlEntityMap.set(name, String.fromCodePoint(...codes.split('.').map(code => parseInt(code, 16))));
+			});
+		}
+		return this.htmlEntityMap;
+	},
+
+	/**
+	 * 按HTML规则转义输出文本（实体感知：仅转义会被解析为字符引用的&，普通&保持原样，如链接中的&wx_fmt=）
+	 * @param {string} text - 待转义的文本
+	 * @param {boolean} [inAttr=false] - 是否为属性值（额外转义双引号及制表/换行符，旧式实体判断按属性值规则）
+	 * @returns {string} 转义后的文本
+	 */
+	escapeEntities: function(text, inAttr = false) {
+		const entityMap = this.getHtmlEntityMap();
+		const legacyNames = this.htmlLegacyEntities.split(',');
+
+		const refRegex = /&(#[xX][0-9a-fA-F]|#[0-9]|[a-zA-Z][a-zA-Z0-9]*)?/g;
+		let result = String(text).replace(refRegex, (match, ref, offset, str) => {
+			if (!ref) return match;
+			// 数字引用（不带分号也会被解码）
+			if (ref.startsWith('#')) return `&amp;${ref}`;
+			// 带分号的命名实体
+			if (str[offset + match.length] === ';' && entityMap.has(ref)) return `&amp;${ref}`;
+			// 不带分号的旧式实体（属性值中后接字母数字或=时不会被解码）
+			const legacyName = legacyNames.find(legacy => ref.startsWith(legacy));
+			if (legacyName) {
+				const next = ref[legacyName.length] || str[offset + match.length] || '';
+				if (!(inAttr && /^[a-zA-Z0-9=]/.test(next))) return `&amp;${ref}`;
+			}
+			return match;
+		});
+		result = result.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+		if (inAttr) {
+			result = result
+				.replace(/"/g, '&quot;')
+				.replace(/\t/g, '&#9;')
+				.replace(/\n/g, '&#10;')
+				.replace(/\r/g, '&#13;');
+		}
+		return result;
+	},
+
+	/**
+	 * 扫描开始标签/结束标签，读取标签名和属性
+	 * @param {string} code - 标记代码字符串
+	 * @param {number} index - 标签起始位置（指向"<"）
+	 * @param {'html'|'xml'} mode - 扫描模式，xml模式下语法错误直接抛出
+	 * @returns {{name: string, attrs: {name: string, value: string, raw: string}[], isEnd: boolean, selfClosing: boolean, close: string, end: number}|null} 标签信息（raw为属性原始文本含前导空白，close为标签结尾原始文本如" />"），html模式下标签未闭合返回null
+	 * @throws {Error} xml模式下标签语法错误
+	 */
+	scanTag: function(code, index, mode) {
+		const isXml = mode === 'xml';
+		const fail = (reason, at) => {
+			const error = new Error(reason);
+			error.position = at;
+			throw error;
+		};
+		// 从指定位置匹配（粘连模式，避免反复截取长字符串）
+		const matchAt = (regex, at) => {
+			regex.lastIndex = at;
+			const match = regex.exec(code);
+			return match ? match[0] : '';
+		};
+		let i = index + 1;
+		const isEnd = code[i] === '/';
+		if (isEnd) i++;
+
+		// 读取标签名
+		let name = matchAt(/[^\s\/>]+/y, i);
+		if (!name) {
+			if (isXml) fail('StartTag: invalid element name', i);
+			return null;
+		}
+		i += name.length;
+		if (!isXml) name = name.toLowerCase();
+
+		// 读取属性
+		const attrs = [];
+		let selfClosing = false;
+		while (i < code.length) {
+			const attrStart = i;
+			const wsMatch = matchAt(/\s*/y, i);
+			i += wsMatch.length;
+			if (code[i] === '>') {
+				return { name, attrs, isEnd, selfClosing, close: code.slice(attrStart, i + 1), end: i + 1 };
+			}
+			if (code[i] === '/') {
+				if (code[i + 1] === '>') {
+					selfClosing = true;
+					return { name, attrs, isEnd, selfClosing, close: code.slice(attrStart, i + 2), end: i + 2 };
+				}
+				if (isXml) fail(`Couldn't find end of Start Tag ${name}`, i);
+				i++;
+				continue;
+			}
+			if (i >= code.length) break;
+			if (isXml && (isEnd || (attrs.length > 0 && !wsMatch))) {
+				fail(isEnd ? `expected '>'` : 'attributes construct error', i);
+			}
+
+			// 属性名（首字符允许为=）
+			let attrName = code[i] + matchAt(/[^\s\/>=]*/y, i + 1);
+			i += attrName.length;
+			if (!isXml) attrName = attrName.toLowerCase();
+			if (isXml && /^[="'<]/.test(attrName)) fail('attributes construct error', i);
+
+			// 属性值
+			let attrValue = '';
+			const beforeEq = matchAt(/\s*/y, i);
+			if (code[i + beforeEq.length] === '=') {
+				i += beforeEq.length + 1;
+				i += matchAt(/\s*/y, i).length;
+				const quote = code[i];
+				if (quote === '"' || quote === '\'') {
+					const close = code.indexOf(quote, i + 1);
+					if (close === -1) {
+						if (isXml) fail(`AttValue: ' expected`, i);
+						return null;
+					}
+					attrValue = code.slice(i + 1, close);
+					i = close + 1;
+				} else {
+					if (isXml) fail(`AttValue: " or ' expected`, i);
+					const valueMatch = matchAt(/[^\s>]*/y, i);
+					attrValue = valueMatch;
+					i += valueMatch.length;
+				}
+			} else if (isXml) {
+				fail(`Specification mandates value for attribute ${attrName}`, i);
+			}
+
+			if (attrs.some(attr => attr.name === attrName)) {
+				if (isXml) fail(`Attribute ${attrName} redefined`, i);
+				continue; // html中重复属性以第一个为准
+			}
+			attrs.push({ name: attrName, value: attrValue, raw: code.slice(attrStart, i) });
+		}
+		if (isXml) fail(`Couldn't find end of Start Tag ${name}`, i);
+		return null; // html中未闭合的标签直接丢弃
+	},
+
+	/**
+	 * 按浏览器HTML解析规则将HTML片段解析为轻量DOM（等效于div.innerHTML赋值，自动修复标签结构）
+	 * @param {string} html - HTML片段字符串
+	 * @param {object} [options={}] - 解析选项
+	 * @param {boolean} [options.locations=false] - 是否在节点上记录源码信息source（元素：{ attrs: 属性原始文本列表, close: 开始标签结尾 }，文本/注释：{ raw: 原始文本 }），供保留模式合成使用
+	 * @returns {object} 轻量DOM容器节点，子节点为解析结果
+	 */
+	parseHtml: function(html, options = {}) {
+		const { locations = false } = options;
+		const SVG_NS = 'http://www.w3.org/2000/svg';
+		const HTML_NS = 'http://www.w3.org/1999/xhtml';
+		const doc = this.createDocument();
+		const root = doc.createElement('div');
+		root.namespaceURI = HTML_NS;
+		const stack = [root];
+
+		// 解析规则中用到的标签分组
+		const closePTags = [
+			'address', 'article', 'aside', 'blockquote', 'center', 'details', 'dialog', 'dir', 'div', 'dl', 'fieldset',
+			'figcaption', 'figure', 'footer', 'header', 'hgroup', 'main', 'menu', 'nav', 'ol', 'p', 'search', 'section',
+			'summary', 'ul', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'listing', 'form', 'hr', 'table', 'xmp',
+			'li', 'dd', 'dt'
+		];
+		const headingTags = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+		const scopeTags = ['applet', 'caption', 'html', 'table', 'td', 'th', 'marquee', 'object', 'template'];
+		const specialTags = [
+			...closePTags, ...scopeTags, 'area', 'base', 'basefont', 'bgsound', 'body', 'br', 'button', 'col', 'colgroup',
+			'embed', 'frame', 'frameset', 'head', 'iframe', 'img', 'input', 'keygen', 'link', 'meta', 'noembed',
+			'noframes', 'noscript', 'param', 'plaintext', 'script', 'select', 'source', 'style', 'tbody', 'textarea',
+			'tfoot', 'thead', 'title', 'tr', 'track', 'wbr'
+		];
+		const foreignBreakoutTags = [
+			'b', 'big', 'blockquote', 'body', 'br', 'center', 'code', 'dd', 'div', 'dl', 'dt', 'em', 'embed',
+			...headingTags, 'head', 'hr', 'i', 'img', 'li', 'listing', 'menu', 'meta', 'nobr', 'ol', 'p', 'pre', 'ruby',
+			's', 'small', 'span', 'strong', 'strike', 'sub', 'sup', 'table', 'tt', 'u', 'ul', 'var'
+		];
+		const svgIntegrationTags = ['foreignObject', 'desc', 'title'];
+		const formattingTags = ['a', 'b', 'big', 'code', 'em', 'font', 'i', 'nobr', 's', 'small', 'strike', 'strong', 'tt', 'u'];
+		const activeFormatting = []; // 活动格式元素列表 { element, token }
+
+		const current = () => stack[stack.length - 1];
+		const isHtml = (node) => node.namespaceURI === HTML_NS;
+		const isIntegrationPoint = (node) => node.namespaceURI === SVG_NS && svgIntegrationTags.includes(node.tagName);
+		const isSpecial = (node) => isHtml(node) ? specialTags.includes(node.tagName) : isIntegrationPoint(node);
+		const inForeignContent = () => !isHtml(current()) && !isIntegrationPoint(current());
+
+		/**
+		 * 判断元素是否在作用域内
+		 * @param {string} tagName - 标签名
+		 * @param {string[]} [extraBoundaries=[]] - 额外的作用域边界标签
+		 * @returns {boolean} 在作用域内返回true
+		 */
+		const hasInScope = (tagName, extraBoundaries = []) => {
+			for (let i = stack.length - 1; i > 0; i--) {
+				const node = stack[i];
+				if (isHtml(node) && node.tagName === tagName) return true;
+				if (isHtml(node) ? [...scopeTags, ...extraBoundaries].includes(node.tagName) : isIntegrationPoint(node)) return false;
+			}
+			return false;
+		};
+		const popUntil = (predicate) => {
+			while (stack.length > 1) {
+				if (predicate(stack.pop())) break;
+			}
+		};
+		const closeP = () => {
+			if (hasInScope('p', ['button'])) popUntil(node => isHtml(node) && node.tagName === 'p');
+		};
+		const appendNode = (node) => current().appendChild(node);
+		const appendText = (text, raw = text) => {
+			if (!text) return;
+			if (!inForeignContent()) reconstructFormatting();
+			const parent = current();
+			const last = parent.childNodes[parent.childNodes.length - 1];
+			if (last && last.nodeType === 3) {
+				last.nodeValue += text;
+				if (locations) last.source.raw += raw;
+			} else {
+				const textNode = doc.createTextNode(text);
+				if (locations) textNode.source = { raw };
+				appendNode(textNode);
+			}
+		};
+		const appendComment = (data, raw) => {
+			const comment = doc.createComment(data);
+			if (locations) comment.source = { raw };
+			appendNode(comment);
 		};
 
 		/**
-		 * 预处理3：移除微信背景占位wx_imgbc_placeholder类
-		 * @param {string} html - 原始HTML字符串
-		 * @returns {string} 移除占位类后的HTML字符串
+		 * 插入开始标签对应的元素
+		 * @param {object} token - 标签信息
+		 * @param {string} namespaceURI - 元素命名空间
+		 * @returns {object} 插入的元素
 		 */
-		const removePlaceholder = (html) => {
-			const wxImgPlaceholderRegex = /(?:\s|^)class\s*=\s*(["'])(?:.*?\s)?wx_imgbc_placeholder(?:\s.*?)?\1/gi;
-			return html.replace(wxImgPlaceholderRegex, (match, quote) => {
-				const classContent = match.match(new RegExp(`class\\s*=\\s*${quote}(.*?)${quote}`, 'i'))[1];
-				const cleanedClass = classContent
-					.split(/\s+/)
-					.filter(cls => cls.trim() !== 'wx_imgbc_placeholder')
-					.join(' ')
-					.trim();
-				return cleanedClass ? ` class=${quote}${cleanedClass}${quote}` : '';
+		const insertElement = (token, namespaceURI) => {
+			let tagName = token.name;
+			const element = doc.createElement(tagName);
+			element.namespaceURI = namespaceURI;
+			token.attrs.forEach(attr => {
+				let attrName = attr.name;
+				if (namespaceURI === SVG_NS) {
+					attrName = this.svgAttrNames.find(name => name.toLowerCase() === attrName) || attrName;
+				}
+				element.setAttribute(attrName, this.decodeEntities(attr.value, true));
 			});
+			// 仅记录源码中真实存在的标签（重建的格式元素、隐式插入的元素没有源码）
+			if (locations && token.close !== undefined) {
+				element.source = {
+					attrs: token.attrs.map((attr, i) => ({ ...element.attributes[i], raw: attr.raw })),
+					close: token.close
+				};
+			}
+			if (namespaceURI === SVG_NS) {
+				tagName = this.svgTagNames.find(name => name.toLowerCase() === tagName) || tagName;
+				element.tagName = tagName;
+			}
+			appendNode(element);
+			return element;
 		};
 
 		/**
-		 * 预处理4：转义非合法实体的裸&符号
-		 * @param {string} html - 原始HTML字符串
-		 * @returns {string} 转义后的HTML字符串
+		 * 重新打开被隐式关闭的格式元素（如跨段落的<b>）
+		 * @returns {void}
 		 */
-		const escapeAmpersands = (html) => {
-			const validEntities = 'amp|lt|gt|quot|nbsp|copy|yen|euro|deg|times|permil';
-			return html.replace(
-				new RegExp(`&(?!(${validEntities});)`, 'g'),
-				'&amp;'
-			);
+		const reconstructFormatting = () => {
+			let start = activeFormatting.length;
+			while (start > 0 && !stack.includes(activeFormatting[start - 1].element)) start--;
+			for (let i = start; i < activeFormatting.length; i++) {
+				const entry = activeFormatting[i];
+				entry.element = insertElement(entry.token, HTML_NS);
+				stack.push(entry.element);
+			}
 		};
-		
+
 		/**
-		 * 预处理5：统一url()中的引号格式为单引号并清理空格
-		 * @param {string} html - 原始HTML字符串
-		 * @returns {string} 规范化后的HTML字符串
+		 * 关闭格式元素（简化的收养代理算法）
+		 * @param {string} tagName - 格式元素标签名
+		 * @returns {boolean} 列表中存在该格式元素返回true
 		 */
-		const unifyQuotes = (html) => {
-			const urlRegex = /url\(\s*(?:"|&quot;)(.*?)(?:"|&quot;)\s*\)/gi;
-			return html.replace(urlRegex, (_, val) => `url('${val.trim()}')`);
+		const closeFormatting = (tagName) => {
+			const entryIndex = activeFormatting.map(entry => entry.element.tagName).lastIndexOf(tagName);
+			if (entryIndex === -1) return false;
+			const [entry] = activeFormatting.splice(entryIndex, 1);
+			const stackIndex = stack.indexOf(entry.element);
+			if (stackIndex !== -1) stack.length = stackIndex;
+			return true;
 		};
 
 		/**
-		 * 预处理6：将空元素标签修复为自闭合格式
-		 * @param {string} html - 原始HTML字符串
-		 * @returns {string} 修复后的HTML字符串
+		 * 按HTML规则处理开始标签
+		 * @param {object} token - 标签信息
+		 * @returns {object|null} 需要读取原始文本内容的元素，否则返回null
 		 */
-		const fixVoidTags = (html) => {
-			const voidTags = ['img', 'br', 'input', 'hr']; // 会出问题的空元素标签
-			const voidTagRegex = new RegExp(`<(${voidTags.join('|')})(\\s+[^>]*?)?>`, 'gi'); // 匹配开始标签
-
-			return html.replace(voidTagRegex, (match, tagName, attrs = '') => {
-				// 检查是否已经是自闭合标签
-				if (match.endsWith('/>')) {
-					return match;
+		const handleHtmlStartTag = (token) => {
+			const tagName = token.name === 'image' ? 'img' : token.name;
+			token.name = tagName;
+			if (!closePTags.includes(tagName)) reconstructFormatting();
+			if (tagName === 'svg') {
+				const element = insertElement(token, SVG_NS);
+				if (!token.selfClosing) stack.push(element);
+				return null;
+			}
+			if (closePTags.includes(tagName)) {
+				// li/dd/dt关闭同类的未闭合元素
+				if (['li', 'dd', 'dt'].includes(tagName)) {
+					const sameKinds = tagName === 'li' ? ['li'] : ['dd', 'dt'];
+					for (let i = stack.length - 1; i > 0; i--) {
+						const node = stack[i];
+						if (isHtml(node) && sameKinds.includes(node.tagName)) {
+							stack.length = i;
+							break;
+						}
+						if (isSpecial(node) && !(isHtml(node) && ['address', 'div', 'p'].includes(node.tagName))) break;
+					}
 				}
-				// 检查是否是没有内容的空元素标签
-				const isSelfClosing = !match.includes('</') && voidTags.includes(tagName.toLowerCase());
-				if (isSelfClosing) {
-					// 转换为自闭合格式
-					const attrsPart = attrs ? attrs.replace(/\s*\/?$/, '') : '';
-					return `<${tagName}${attrsPart}/>`;
+				closeP();
+				if (headingTags.includes(tagName) && isHtml(current()) && headingTags.includes(current().tagName)) {
+					stack.pop();
 				}
-				return match;
-			});
+			}
+			if (tagName === 'a') closeFormatting('a');
+			const element = insertElement(token, HTML_NS);
+			if (this.htmlVoidTags.includes(tagName)) return null;
+			stack.push(element);
+			if (formattingTags.includes(tagName)) {
+				activeFormatting.push({ element, token: { name: tagName, attrs: token.attrs } });
+			}
+			return [...this.htmlRawTextTags, ...this.htmlRcdataTags].includes(tagName) ? element : null;
 		};
 
 		/**
-		 * 预处理7：清理空行、缩进及特殊空格实体
-		 * @param {string} html - 原始HTML字符串
-		 * @returns {string} 压缩后的HTML字符串
+		 * 按HTML规则处理结束标签
+		 * @param {string} tagName - 标签名
+		 * @returns {void}
 		 */
-		const compressWhitespace = (html) => {
-			const preTagRegex = /<(pre|code|textarea)[\s\S]*?<\/\1>/gi;
-			const preMap = new Map();
-			let preIndex = 0;
+		const handleHtmlEndTag = (tagName) => {
+			if (tagName === 'br') {
+				handleHtmlStartTag({ name: 'br', attrs: [], selfClosing: false });
+				return;
+			}
+			if (tagName === 'p' && !hasInScope('p', ['button'])) {
+				insertElement({ name: 'p', attrs: [] }, HTML_NS);
+				return;
+			}
+			if (formattingTags.includes(tagName) && closeFormatting(tagName)) {
+				return;
+			}
+			if (specialTags.includes(tagName)) {
+				if (hasInScope(tagName)) popUntil(node => isHtml(node) && node.tagName === tagName);
+				return;
+			}
+			for (let i = stack.length - 1; i > 0; i--) {
+				const node = stack[i];
+				if (isHtml(node) && node.tagName === tagName) {
+					stack.length = i;
+					return;
+				}
+				if (isSpecial(node)) return;
+			}
+		};
 
-			// 替换预格式化标签内容为占位符
-			const htmlWithPlaceholders = html.replace(preTagRegex, (match) => {
-				const key = `__PRE_PLACEHOLDER_${preIndex}__`;
-				preMap.set(key, match);
-				preIndex++;
-				return key;
-			});
+		let index = 0;
+		while (index < html.length) {
+			const lt = html.indexOf('<', index);
+			if (lt === -1) {
+				appendText(this.decodeEntities(html.slice(index)), html.slice(index));
+				break;
+			}
+			appendText(this.decodeEntities(html.slice(index, lt)), html.slice(index, lt));
+			index = lt;
+			const next = html[lt + 1];
 
-			// 处理非预格式化区域的空白
-			let processedHtml = htmlWithPlaceholders
-				.replace(/[\n\r]+/g, ' ') 				// 清除空行
-				.replace(/\t+/g, ' ')					// 清除制表符缩进
-				.replace(/&nbsp;|&#160;|&#xA0;/gi, ' ')	// 特殊空格转普通空格
-				.replace(/\s+/g, ' ')					// 合并所有连续空格为单个
-				.replace(/>\s+</g, '><')				// 移除标签之间的空格
-				.trim();								// 首尾去空格
+			// 注释/CDATA/DOCTYPE/处理指令
+			if (html.startsWith('<!-->', lt) || html.startsWith('<!--->', lt)) {
+				index = html.indexOf('>', lt + 4) + 1;
+				appendComment('', html.slice(lt, index));
+				continue;
+			}
+			if (html.startsWith('<!--', lt)) {
+				const close = html.indexOf('-->', lt + 4);
+				index = close === -1 ? html.length : close + 3;
+				appendComment(close === -1 ? html.slice(lt + 4) : html.slice(lt + 4, close), html.slice(lt, index));
+				continue;
+			}
+			if (html.startsWith('<![CDATA[', lt) && inForeignContent()) {
+				const close = html.indexOf(']]>', lt + 9);
+				index = close === -1 ? html.length : close + 3;
+				appendText(close === -1 ? html.slice(lt + 9) : html.slice(lt + 9, close), html.slice(lt, index));
+				continue;
+			}
+			if (next === '!' || next === '?' || (next === '/' && !/[a-zA-Z]/.test(html[lt + 2] || ''))) {
+				const close = html.indexOf('>', lt + 2);
+				const data = close === -1 ? html.slice(lt + 2) : html.slice(lt + 2, close);
+				if (next === '/' && html[lt + 2] === '>') {
+					index = lt + 3; // </>直接忽略
+					continue;
+				}
+				index = close === -1 ? html.length : close + 1;
+				if (!/^doctype/i.test(data)) {
+					appendComment(next === '?' ? `?${data}` : data, html.slice(lt, index));
+				}
+				continue;
+			}
+			if (!/[a-zA-Z]/.test(next === '/' ? html[lt + 2] || '' : next || '')) {
+				appendText('<');
+				index = lt + 1;
+				continue;
+			}
 
-			// 还原预格式化标签内容
-			preMap.forEach((originalContent, placeholder) => {
-				processedHtml = processedHtml.replace(placeholder, originalContent);
-			});
-			return processedHtml;
-		};
+			// 开始/结束标签
+			const token = this.scanTag(html, lt, 'html');
+			if (!token) break;
+			index = token.end;
+			if (token.isEnd) {
+				if (!isHtml(current())) {
+					// 外来元素（SVG）中按小写名称向上匹配，遇到HTML元素后转交HTML规则
+					let handled = false;
+					for (let i = stack.length - 1; i > 0; i--) {
+						const node = stack[i];
+						if (isHtml(node)) break;
+						if (node.tagName.toLowerCase() === token.name) {
+							stack.length = i;
+							handled = true;
+							break;
+						}
+					}
+					if (!handled) handleHtmlEndTag(token.name);
+				} else {
+					handleHtmlEndTag(token.name);
+				}
+				continue;
+			}
+
+			let rawTextElement = null;
+			if (inForeignContent()) {
+				const breakout = foreignBreakoutTags.includes(token.name) ||
+					(token.name === 'font' && token.attrs.some(attr => ['color', 'face', 'size'].includes(attr.name)));
+				if (breakout) {
+					while (stack.length > 1 && inForeignContent()) stack.pop();
+					rawTextElement = handleHtmlStartTag(token);
+				} else {
+					const element = insertElement(token, SVG_NS);
+					if (!token.selfClosing) stack.push(element);
+				}
+			} else {
+				rawTextElement = handleHtmlStartTag(token);
+			}
+
+			// pre/textarea/listing开头的换行符会被忽略
+			if (['pre', 'textarea', 'listing'].includes(token.name) && html[index] === '\n') {
+				index++;
+				if (locations && current().source) current().source.leadingNewline = '\n';
+			}
+
+			// 原始文本元素直接读取到对应结束标签
+			if (rawTextElement) {
+				const closeRegex = new RegExp(`</${rawTextElement.tagName}(?=[\\s/>])`, 'gi');
+				closeRegex.lastIndex = index;
+				const closeMatch = closeRegex.exec(html);
+				const close = closeMatch ? closeMatch.index : html.length;
+				const text = html.slice(index, close);
+				appendText(this.htmlRcdataTags.includes(rawTextElement.tagName) ? this.decodeEntities(text) : text, text);
+				stack.pop();
+				index = close === html.length ? close : html.indexOf('>', close) + 1 || html.length;
+			}
+		}
+		return root;
+	},
+
+	/**
+	 * 按浏览器HTML序列化规则输出节点的子节点（等效于读取div.innerHTML）
+	 * @param {object} node - 轻量DOM节点
+	 * @returns {string} HTML字符串
+	 */
+	serializeHtml: function(node) {
+		const HTML_NS = 'http://www.w3.org/1999/xhtml';
+		const escapeText = (text) => text
+			.replace(/&/g, '&amp;')
+			.replace(/\u00a0/g, '&nbsp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;');
+		const escapeAttr = (value) => escapeText(value).replace(/"/g, '&quot;');
+
+		return node.childNodes.map(child => {
+			if (child.nodeType === 1) {
+				const attrs = child.attributes.map(attr => ` ${attr.name}="${escapeAttr(attr.value)}"`).join('');
+				const openTag = `<${child.tagName}${attrs}>`;
+				if (child.namespaceURI === HTML_NS && this.htmlVoidTags.includes(child.tagName)) return openTag;
+				return `${openTag}${this.serializeHtml(child)}</${child.tagName}>`;
+			}
+			if (child.nodeType === 3) {
+				const isRawText = node.namespaceURI === HTML_NS && this.htmlRawTextTags.includes(node.tagName);
+				return isRawText ? child.nodeValue : escapeText(child.nodeValue);
+			}
+			if (child.nodeType === 8) {
+				return `<!--${child.nodeValue}-->`;
+			}
+			return '';
+		}).join('');
+	},
+
+	/**
+	 * 按XML规则严格解析代码为轻量DOM（等效于DOMParser的image/svg+xml解析）
+	 * @param {string} xml - XML代码字符串
+	 * @returns {object} 轻量DOM根元素
+	 * @throws {Error} XML语法错误，错误信息包含行列位置
+	 */
+	parseXml: function(xml) {
+		const doc = this.createDocument();
+		const stack = [];
+		const namespaceStack = [['xml', 'xmlns']];
+		let rootElement = null;
+		let index = 0;
 
 		/**
-		 * 预处理8：将标签名和属性名规范化为驼峰命名
-		 * @param {string} html - 原始HTML字符串
-		 * @returns {string} 大小写规范化后的HTML字符串
+		 * 抛出包含行列位置的解析错误
+		 * @param {string} reason - 错误原因
+		 * @param {number} at - 出错位置
+		 * @returns {never}
 		 */
-		const fixCase = (html) => {
-			// 标签名驼峰化
-			const tagNameMap = {
-				animatetransform: 'animateTransform',
-				animatemotion: 'animateMotion',
-				foreignobject: 'foreignObject'
-			};
-			const normalizeTags = (str) => {
-				const tagRegex = /<(\/?)(animatetransform|animatemotion|foreignobject)(?=\s|\/|>)/gi;
-				return str.replace(tagRegex, (_, slash, tag) => `<${slash}${tagNameMap[tag.toLowerCase()]}`);
-			};
+		const fail = (reason, at) => {
+			const lines = xml.slice(0, at).split('\n');
+			throw new Error(`error on line ${lines.length} at column ${lines[lines.length - 1].length + 1}: ${reason}`);
+		};
 
-			// 属性名驼峰化
-			const attrNameMap = {
-				viewbox: 'viewBox',
-				calcmode: 'calcMode',
-				attributename: 'attributeName',
-				attributetype: 'attributeType',
-				keytimes: 'keyTimes',
-				keysplines: 'keySplines',
-				repeatcount: 'repeatCount',
-				repeatdur: 'repeatDur'
-			};
-			const normalizeAttrs = (str) => {
-				const attrKeys = Object.keys(attrNameMap).join('|');
-				const attrRegex = new RegExp(`([\\s>])(${attrKeys})=`, 'gi');
-				return str.replace(attrRegex, (_, prefix, attr) => `${prefix}${attrNameMap[attr.toLowerCase()]}=`);
-			};
-			return normalizeAttrs(normalizeTags(html));
+		/**
+		 * 解码XML预定义实体和数字引用
+		 * @param {string} text - 待解码文本
+		 * @param {number} at - 文本起始位置
+		 * @returns {string} 解码后的文本
+		 */
+		const decodeXml = (text, at) => {
+			const predefined = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+			return text.replace(/&([^;&\s<]*)(;?)/g, (match, name, semicolon, offset) => {
+				if (!name) fail('xmlParseEntityRef: no name', at + offset + 1);
+				if (!semicolon) fail('EntityRef: expecting \';\'', at + offset + match.length);
+				const numMatch = name.match(/^#(?:([0-9]+)|x([0-9a-fA-F]+))$/);
+				if (numMatch) {
+					const code = numMatch[1] !== undefined ? parseInt(numMatch[1], 10) : parseInt(numMatch[2], 16);
+					if (!code || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) {
+						fail(`xmlParseCharRef: invalid xmlChar value ${code}`, at + offset);
+					}
+					return String.fromCodePoint(code);
+				}
+				if (!(name in predefined)) fail(`Entity '${name}' not defined`, at + offset + match.length);
+				return predefined[name];
+			});
 		};
 
 		/**
-		 * 预处理9：包裹div以确保单根节点
-		 * @param {string} html - 原始HTML字符串
-		 * @returns {string} 包裹后的HTML字符串
+		 * 校验命名空间前缀已声明
+		 * @param {string} name - 元素或属性名
+		 * @param {string} tagName - 所在元素名
+		 * @param {boolean} isAttr - 是否为属性
+		 * @param {number} at - 所在位置
+		 * @returns {void}
 		 */
-		const wrapRoot = (html) => `<div id="iftool">${html}</div>`;
+		const checkPrefix = (name, tagName, isAttr, at) => {
+			const colon = name.indexOf(':');
+			if (colon <= 0) return;
+			const prefix = name.slice(0, colon);
+			if (namespaceStack.some(prefixes => prefixes.includes(prefix))) return;
+			const local = name.slice(colon + 1);
+			fail(isAttr ? `Namespace prefix ${prefix} for ${local} on ${tagName} is not defined` : `Namespace prefix ${prefix} on ${local} is not defined`, at);
+		};
 
-		// 按顺序执行所有预处理步骤（先语法修复，后内容清理）
-		return [
-			fixStructure,
-			removeLazyAttrs,
-			removePlaceholder,
-			escapeAmpersands,
-			unifyQuotes,
-			fixVoidTags,
-			compressWhitespace,
-			fixCase,
-			wrapRoot
-		].reduce((processedHtml, processStep) => {
-			return processStep(processedHtml);
-		}, code);
+		const appendNode = (node, at) => {
+			if (stack.length === 0) {
+				if (node.nodeType === 1) {
+					if (rootElement) fail('Extra content at the end of the document', at);
+					rootElement = node;
+				} else if (node.nodeType === 3 && node.nodeValue.trim()) {
+					fail(rootElement ? 'Extra content at the end of the document' : 'Start tag expected, \'<\' not found', at);
+				}
+				return;
+			}
+			const parent = stack[stack.length - 1];
+			const last = parent.childNodes[parent.childNodes.length - 1];
+			if (node.nodeType === 3 && last && last.nodeType === 3) {
+				last.nodeValue += node.nodeValue;
+			} else {
+				parent.appendChild(node);
+			}
+		};
+
+		while (index < xml.length) {
+			const lt = xml.indexOf('<', index);
+			const textEnd = lt === -1 ? xml.length : lt;
+			if (textEnd > index) {
+				const rawText = xml.slice(index, textEnd);
+				appendNode(doc.createTextNode(decodeXml(rawText, index)), index);
+			}
+			if (lt === -1) break;
+			index = lt;
+
+			if (xml.startsWith('<!--', lt)) {
+				const close = xml.indexOf('-->', lt + 4);
+				if (close === -1) fail('Comment not terminated', lt);
+				const data = xml.slice(lt + 4, close);
+				if (data.includes('--')) fail('Double hyphen within comment', lt + 4 + data.indexOf('--'));
+				if (stack.length > 0) appendNode(doc.createComment(data), lt);
+				index = close + 3;
+				continue;
+			}
+			if (xml.startsWith('<![CDATA[', lt)) {
+				const close = xml.indexOf(']]>', lt + 9);
+				if (close === -1 || stack.length === 0) fail('CData section not finished', lt);
+				appendNode(doc.createTextNode(xml.slice(lt + 9, close)), lt);
+				index = close + 3;
+				continue;
+			}
+			if (xml.startsWith('<?', lt)) {
+				const close = xml.indexOf('?>', lt + 2);
+				if (close === -1) fail('ParsePI: PI not terminated', lt);
+				index = close + 2;
+				continue;
+			}
+			if (xml.startsWith('<!DOCTYPE', lt)) {
+				if (rootElement || stack.length > 0) fail('StartTag: invalid element name', lt + 1);
+				// 跳过DOCTYPE声明（含内部子集）
+				const bracket = xml.indexOf('[', lt);
+				let close = xml.indexOf('>', lt);
+				if (bracket !== -1 && bracket < close) close = xml.indexOf('>', xml.indexOf(']', bracket));
+				index = close === -1 ? xml.length : close + 1;
+				continue;
+			}
+
+			let token;
+			try {
+				token = this.scanTag(xml, lt, 'xml');
+			} catch (err) {
+				fail(err.message, err.position ?? lt);
+			}
+			index = token.end;
+
+			if (token.isEnd) {
+				const open = stack.pop();
+				namespaceStack.pop();
+				if (!open) fail('StartTag: invalid element name', lt + 1);
+				if (open.tagName !== token.name) {
+					fail(`Opening and ending tag mismatch: ${open.tagName} and ${token.name}`, lt);
+				}
+				continue;
+			}
+
+			// 收集当前元素声明的命名空间前缀
+			const prefixes = token.attrs
+				.filter(attr => attr.name.startsWith('xmlns:'))
+				.map(attr => attr.name.slice(6));
+			namespaceStack.push(prefixes);
+			checkPrefix(token.name, token.name, false, lt);
+
+			const element = doc.createElement(token.name);
+			token.attrs.forEach(attr => {
+				if (attr.value.includes('<')) fail('Unescaped \'<\' not allowed in attributes values', lt);
+				if (!attr.name.startsWith('xmlns')) checkPrefix(attr.name, token.name, true, lt);
+				// 属性值规范化：空白字符统一转为空格
+				const value = decodeXml(attr.value.replace(/\r\n/g, '\n').replace(/[\t\n\r]/g, ' '), lt);
+				element.setAttribute(attr.name, value);
+			});
+			appendNode(element, lt);
+			if (token.selfClosing) {
+				namespaceStack.pop();
+			} else {
+				stack.push(element);
+			}
+		}
+
+		if (stack.length > 0) {
+			fail(`Premature end of data in tag ${stack[stack.length - 1].tagName}`, xml.length);
+		}
+		if (!rootElement) fail('Document is empty', xml.length);
+		return rootElement;
+	},
+
+	/**
+	 * 按XML规则序列化节点（等效于XMLSerializer，空元素输出为自闭合标签）
+	 * @param {object} node - 轻量DOM节点
+	 * @param {object} [options={}] - 序列化选项
+	 * @param {function} [options.escape] - 自定义转义函数 (value, inAttr, parentTag) => string，默认按XML规则转义
+	 * @param {string} [parentTag=''] - 父元素标签名（递归时传递，供自定义转义函数区分原始文本元素）
+	 * @returns {string} XML字符串
+	 */
+	serializeXml: function(node, options = {}, parentTag = '') {
+		const escapeText = (text) => text
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;');
+		const escapeAttr = (value) => escapeText(value)
+			.replace(/"/g, '&quot;')
+			.replace(/\t/g, '&#9;')
+			.replace(/\n/g, '&#10;')
+			.replace(/\r/g, '&#13;');
+		const escape = options.escape || ((value, inAttr) => inAttr ? escapeAttr(value) : escapeText(value));
+
+		if (node.nodeType === 3) return escape(node.nodeValue, false, parentTag);
+		if (node.nodeType === 8) return `<!--${node.nodeValue}-->`;
+		if (node.nodeType !== 1) return '';
+
+		const attrs = [...node.attributes].map(attr => ` ${attr.name}="${escape(attr.value, true, node.tagName)}"`).join('');
+		if (node.childNodes.length === 0) return `<${node.tagName}${attrs}/>`;
+		const children = [...node.childNodes].map(child => this.serializeXml(child, options, node.tagName)).join('');
+		return `<${node.tagName}${attrs}>${children}</${node.tagName}>`;
+	},
+
+	// =================================================================
+	// SMIL时间轴解析函数（判断图片在动画时间轴上的出现时机）
+	// =================================================================
+
+	// SMIL动画元素
+	smilAnimationTags: ['set', 'animate', 'animateTransform', 'animateMotion'],
+
+	/**
+	 * 解析SMIL时钟值
+	 * @param {string} value - 时钟值，如 2s、500ms、1.5、0:01:30、01:30、1min、1h
+	 * @returns {number} 秒数，无法解析时返回NaN
+	 */
+	parseClockValue: function(value) {
+		const str = String(value ?? '').trim();
+		let match = str.match(/^(\d+):([0-5]\d):([0-5]\d(?:\.\d+)?)$/);
+		if (match) return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+		match = str.match(/^([0-5]?\d):([0-5]\d(?:\.\d+)?)$/);
+		if (match) return Number(match[1]) * 60 + Number(match[2]);
+		match = str.match(/^(\d+(?:\.\d+)?|\.\d+)(h|min|s|ms)?$/);
+		if (!match) return NaN;
+		const units = { h: 3600, min: 60, s: 1, ms: 0.001 };
+		return Number(match[1]) * units[match[2] || 's'];
+	},
+
+	/**
+	 * 建立SMIL动画索引：记录带id的节点，以及每个节点上生效的动画元素（父节点或href指向的节点）
+	 * @param {object} tree - HTML/SVG树形结构
+	 * @returns {{ids: Map<string, object>, animations: Map<object, object[]>}} id到节点的映射、节点到动画元素数组的映射
+	 */
+	createSmilIndex: function(tree) {
+		const ids = new Map();
+		const pending = []; // 动画元素及其父节点
+		this.visitTree(tree, (node, ctx) => {
+			if (node.attrs && typeof node.attrs === 'object' && node.attrs.id) ids.set(node.attrs.id, node);
+			if (this.smilAnimationTags.includes(node.tag) && ctx.parent) pending.push({ node, parent: ctx.parent });
+		});
+		const animations = new Map();
+		pending.forEach(({ node, parent }) => {
+			const href = node.attrs?.href || node.attrs?.['xlink:href'] || '';
+			const target = href.startsWith('#') ? ids.get(href.slice(1)) : parent;
+			if (!target) return;
+			if (!animations.has(target)) animations.set(target, []);
+			animations.get(target).push(node);
+		});
+		return { ids, animations };
 	},
 
 	/**
-	 * 提取DOM节点中的资源链接，迁移到自定义属性并移除原生属性
-	 * @param {HTMLElement} rootNode - SVG/HTML根DOM节点
-	 * @returns {void}
+	 * 计算动画元素的开始时间：取begin列表中最早可确定的时间，由事件（如click、btn.touchstart）触发或indefinite时为Infinity
+	 * @param {object} animation - 动画元素节点
+	 * @param {object} index - SMIL动画索引（见createSmilIndex），用于解析 id.begin/id.end 同步基准
+	 * @param {Set<object>} [seen] - 已访问的动画元素（防止同步基准循环引用）
+	 * @returns {number} 开始时间（秒），需要交互时为Infinity
 	 */
-	extractAssets: function(rootNode) {
-		const walker = document.createTreeWalker(rootNode, NodeFilter.SHOW_ELEMENT);
-		let node;
-		while (node = walker.nextNode()) {
-			// 提取image上的href图片链接，设置为iftool-href
-			if (node.tagName.toLowerCase() === 'image' && node.hasAttribute('href')) {
-				node.setAttribute('iftool-href', node.getAttribute('href'));
-				node.removeAttribute('href');
-			}
-			// 提取img上的src图片链接，设置为iftool-src
-			if (node.tagName.toLowerCase() === 'img' && node.hasAttribute('src')) {
-				node.setAttribute('iftool-src', node.getAttribute('src'));
-				node.removeAttribute('src');
-			}
-			// 处理style中的背景相关样式
-			if (node.hasAttribute('style')) {
-				const originalStyle = node.getAttribute('style');
-				const { bgProps, cleanedStyle } = this.processStyle(originalStyle);
-				if (bgProps.url) {
-					node.setAttribute('iftool-background', bgProps.url);
-					node.setAttribute('iftool-bg-color', bgProps.color);
-					node.setAttribute('iftool-bg-position', bgProps.position);
-					node.setAttribute('iftool-bg-size', bgProps.size);
-					node.setAttribute('iftool-bg-repeat', bgProps.repeat);
-					node.setAttribute('iftool-bg-attachment', bgProps.attachment);
-					node.setAttribute('iftool-bg-origin', bgProps.origin);
-					node.setAttribute('iftool-bg-clip', bgProps.clip);
-				}
-				if (cleanedStyle) {
-					node.setAttribute('style', cleanedStyle);
-				} else {
-					node.removeAttribute('style');
-				}
+	getSmilBeginTime: function(animation, index, seen = new Set()) {
+		if (seen.has(animation)) return Infinity;
+		seen = new Set(seen).add(animation);
+		const begin = animation.attrs?.begin;
+		if (begin === undefined || String(begin).trim() === '') return 0;
+
+		// 偏移量：+1s、-0.5s
+		const parseOffset = (offset) => {
+			if (!offset) return 0;
+			const sign = offset.trim()[0] === '-' ? -1 : 1;
+			return sign * this.parseClockValue(offset.replace(/^\s*[+-]\s*/, ''));
+		};
+
+		const times = String(begin).split(';').map(item => item.trim()).filter(Boolean).map(item => {
+			if (item === 'indefinite') return Infinity;
+			// 时钟偏移：2s、-1s
+			const offsetTime = parseOffset(item);
+			if (/^[+-]?\s*[\d.:]/.test(item) && !isNaN(offsetTime)) return offsetTime;
+			// 同步基准或事件：id.begin+1s、id.end、id.repeat(2)、click、btn.click+0.5s
+			const match = item.match(/^(?:([^\s.+]+)\.)?([a-zA-Z][\w-]*)(?:\((\d+)\))?\s*([+-]\s*[\d.:]+[a-z]*)?$/);
+			if (!match) return Infinity;
+			const [, id, name, repeat, offset] = match;
+			const base = id ? index.ids.get(id) : null;
+			if (!['begin', 'end', 'repeat'].includes(name) || !base || !this.smilAnimationTags.includes(base.tag)) {
+				return Infinity; // 事件、accessKey()、wallclock()等需要交互或无法确定的时间
 			}
-		}
+			const baseBegin = this.getSmilBeginTime(base, index, seen);
+			const dur = this.parseClockValue(base.attrs?.dur);
+			const baseTime = name === 'begin' ? baseBegin : baseBegin + (name === 'repeat' ? Number(repeat) : this.getSmilRepeatCount(base)) * dur;
+			const time = baseTime + parseOffset(offset);
+			return isNaN(time) ? Infinity : time;
+		});
+		return times.length > 0 ? Math.max(0, Math.min(...times)) : 0;
 	},
 
 	/**
-	 * 提取样式字符串中的背景属性，清理原样式中的背景相关声明
-	 * @param {string} styleString - 原始CSS样式字符串
-	 * @returns {{bgProps: object, cleanedStyle: string}} 背景属性对象+清理后样式字符串
+	 * 读取动画元素的重复次数（repeatDur按dur折算，未设置时为1，indefinite时为Infinity）
+	 * @param {object} animation - 动画元素节点
+	 * @returns {number} 重复次数
 	 */
-	processStyle: function(styleString) {
-		// 创建临时元素利用浏览器解析 CSS
-		const tempDiv = document.createElement('div');
-		tempDiv.style.cssText = styleString;
-
-		// 获取style中的背景相关样式（如果为空字符串，说明用户未设置）
-		const bgProps = {
-			url: '',
-			color: tempDiv.style.backgroundColor,
-			position: tempDiv.style.backgroundPosition,
-			size: tempDiv.style.backgroundSize,
-			repeat: tempDiv.style.backgroundRepeat,
-			attachment: tempDiv.style.backgroundAttachment,
-			origin: tempDiv.style.backgroundOrigin,
-			clip: tempDiv.style.backgroundClip
-		};
-
-		// 提取背景图片链接
-		const bgImage = tempDiv.style.backgroundImage;
-		if (bgImage && bgImage !== 'none') {
-			const urlMatch = bgImage.match(/url\(\s*['"]?(.*?)['"]?\s*\)/);
-			if (urlMatch) bgProps.url = urlMatch[1];
-		}
-		
-		// 清理原有的背景相关样式
-		const cleanedStyle = styleString
-			.split(';')
-			.map(decl => decl.trim())
-			.filter(decl => decl && !/^background(-image|-position|-size|-repeat|-attachment|-origin|-clip|-color)?\s*:/i.test(decl))
-			.join('; ');
-		return { bgProps, cleanedStyle };
+	getSmilRepeatCount: function(animation) {
+		const { repeatCount, repeatDur, dur } = animation.attrs || {};
+		if (repeatCount === 'indefinite' || repeatDur === 'indefinite') return Infinity;
+		if (repeatDur !== undefined) return this.parseClockValue(repeatDur) / this.parseClockValue(dur);
+		return repeatCount !== undefined && !isNaN(Number(repeatCount)) ? Number(repeatCount) : 1;
 	},
 
 	/**
-	 * 将DOM节点递归转换为自定义树形对象结构
-	 * @param {Node} node - 待转换的DOM节点（元素/文本/注释）
-	 * @returns {object|null} 转换后的树形对象，非有效节点返回null
+	 * 判断动画值是否使节点不可见：opacity不大于0.05、visibility为hidden/collapse、display为none、缩放为0
+	 * @param {object} animation - 动画元素节点
+	 * @param {string} value - 动画值
+	 * @returns {boolean} 不可见返回true，否则返回false
 	 */
-	domToObject: function(node) {
-		if (node.nodeType === Node.ELEMENT_NODE) {
-			const obj = { tag: node.tagName, attrs: {}, children: [] };
-			for (const attr of node.attributes) {
-				obj.attrs[attr.name] = attr.value;
-			}
-			for (const child of node.childNodes) {
-				const childObj = this.domToObject(child);
-				if (childObj) { obj.children.push(childObj); }
-			}
-			return obj; // 标签节点
-		} else if (node.nodeType === Node.TEXT_NODE) {
-			const text = node.textContent.trim();
-			return text ? { tag: 'wenben', attrs: text, children: [] } : null; // 文本节点
-		} else if (node.nodeType === Node.COMMENT_NODE) {
-			return { tag: 'zhushi', attrs: node.nodeValue.trim(), children: [] }; // 注释节点
+	isSmilHiddenValue: function(animation, value) {
+		const str = String(value ?? '').trim().toLowerCase();
+		if (animation.tag === 'animateTransform') {
+			return animation.attrs?.type === 'scale' && str !== '' && str.split(/[\s,]+/).every(num => parseFloat(num) === 0);
 		}
-		return null;
+		const name = animation.attrs?.attributeName;
+		if (name === 'opacity') return this.isTransparentOpacity(str);
+		if (name === 'visibility') return ['hidden', 'collapse'].includes(str);
+		if (name === 'display') return str === 'none';
+		return false;
 	},
 
-	// =================================================================
-	// 组合流程函数
-	// =================================================================
-
 	/**
-	 * 将自定义树形结构转回标准SVG/HTML代码（还原自定义属性到原生属性）
-	 * @param {object} tree - 解析后的自定义树形结构
-	 * @returns {string} 标准SVG/HTML代码字符串
+	 * 计算节点自身的出现时间：静态可见时为0；静态不可见（opacity真透明、visibility:hidden、display:none）时为最早使其可见的动画开始时间，
+	 * 动画在开始时即隐藏节点（如begin为0的set opacity="0"）时同样视为静态不可见
+	 * @param {object} node - 树形结构中的节点对象
+	 * @param {object} index - SMIL动画索引（见createSmilIndex）
+	 * @returns {number|null} 出现时间（秒），使其可见的动画需要交互触发时为Infinity，没有动画使其可见时为null
 	 */
-	compose: function(tree) {
-		// 创建XML文档环境，维持大小写敏感
-		const xmlDoc = document.implementation.createDocument(null, null, null);
-		const dom = this.objectToDom(xmlDoc, tree);
-		let xmlString = new XMLSerializer().serializeToString(dom); // 将DOM序列化为字符串
+	getNodeRevealTime: function(node, index) {
+		const style = this.parseStyle(node.attrs?.style);
+		const attrs = node.attrs || {};
+		let hidden = this.isTransparentOpacity(style.opacity) || this.isTransparentOpacity(attrs.opacity)
+			|| ['hidden', 'collapse'].includes(style.visibility || attrs.visibility) || (style.display || attrs.display) === 'none';
 
-		xmlString = xmlString.replace(/^(<[^\s>]+)([^>]*?)\s+xmlns="http:\/\/www\.w3\.org\/1999\/xhtml"/,'$1$2'); // 移除根节点上的xmlns命名空间
-		xmlString = xmlString.match(/<div id="iftool">(.*?)<\/div>/s)[1]; // 移除预处理时包裹的div#iftool容器
-		xmlString = xmlString.replace(/&amp;/g, '&'); // 将&amp;还原为& 
+		// 影响可见性的动画（opacity/visibility/display及缩放），set取to，其余取values列表或from/to
+		const isVisibilityAnimation = (animation) => animation.tag === 'animateTransform'
+			? animation.attrs?.type === 'scale'
+			: animation.tag !== 'animateMotion' && ['opacity', 'visibility', 'display'].includes(animation.attrs?.attributeName);
+		const effects = (index.animations.get(node) || []).filter(isVisibilityAnimation).map(animation => {
+			const { to, from, values } = animation.attrs || {};
+			const list = animation.tag === 'set' ? [to] : values !== undefined ? String(values).split(';').filter(value => value.trim()) : [from ?? to, to];
+			const states = list.filter(value => value !== undefined).map(value => this.isSmilHiddenValue(animation, value));
+			return { begin: this.getSmilBeginTime(animation, index), startHidden: states[0], reveals: states.some(state => !state) };
+		}).filter(effect => effect.startHidden !== undefined);
 
-		// 修复在微信公众号中强制要求显式闭合的标签
-		const tagsToFix = [
-			'section', 'p', 'div', 'svg', 'iframe', 'video',
-			'mp-common-clmusic', 'mp-common-redpacket', 'mp-common-profile',
-			'mp-common-videosnap', 'mp-common-mpaudio', 'mp-common-poi',
-			'mp-common-miniprogram', 'mp-common-vote'
-		].join('|');
-		xmlString = xmlString.replace(new RegExp(`(<(${tagsToFix})\\s+[^>]*?)\/>`, 'gi'),'$1></$2>');
+		if (effects.some(effect => effect.begin === 0 && effect.startHidden)) hidden = true;
+		if (!hidden) return 0;
+		const revealTimes = effects.filter(effect => effect.reveals).map(effect => effect.begin);
+		return revealTimes.length > 0 ? Math.min(...revealTimes) : null;
+	},
 
-		return xmlString;
+	/**
+	 * 获取图片在动画时间轴上的出现时机：取自身及全部祖先节点出现时间的最大值，任一节点始终不可见时图片始终不可见
+	 * @param {object} node - 图片节点
+	 * @param {object[]} ancestors - 祖先节点数组（由外到内）
+	 * @param {object} index - SMIL动画索引（见createSmilIndex）
+	 * @returns {{state: 'initial'|'timed'|'interaction'|'hidden', time: number|null}} initial为首屏可见（time为0），timed为在time秒后出现，
+	 * interaction为交互后出现，hidden为始终不可见（没有动画使其可见）；interaction与hidden没有确定的出现时间，time为null
+	 */
+	getImageTimeline: function(node, ancestors, index) {
+		const times = [...ancestors, node].map(item => this.getNodeRevealTime(item, index));
+		if (times.includes(null)) return { state: 'hidden', time: null };
+		const time = Math.max(...times);
+		if (time === Infinity) return { state: 'interaction', time: null };
+		return { state: time === 0 ? 'initial' : 'timed', time: parseFloat(time.toFixed(3)) };
 	},
-	
+
+	// =================================================================
+	// 特征层级分计算函数
+	// =================================================================
+
+	// 特征层级分的初始分
+	layerBaseScore: 20,
+
 	/**
-	 * 将自定义树形对象递归转换为DOM节点（还原自定义资源属性）
-	 * @param {Document} doc - XML文档对象
-	 * @param {object} obj - 待转换的自定义树形对象
-	 * @returns {Node|null} 转换后的DOM节点，非有效对象返回null
+	 * 特征层级分规则：score返回规则原始分，乘以weight后计入总分（calcLayer调用时this指向svgCC）
+	 * - image结构 { url, node, parent, ancestors, path, globalOrder, styles, timeline }：ancestors为祖先节点数组（由外到内），path为子索引路径，
+	 *   styles为自身及祖先节点的解析样式数组（自身在前，其后由外到内，与ancestors一一对应），timeline为时间轴出现时机（见getImageTimeline）
+	 * - ctx结构 { tree, images }：images为参与计分的全部图片（按文档顺序）
 	 */
-	objectToDom: function(doc, obj) {
-		if (!obj) return null;
-		if (obj.tag === 'wenben') return doc.createTextNode(obj.attrs);
-		if (obj.tag === 'zhushi') return doc.createComment(obj.attrs);
-		
-		// 从临时属性中获取所有资源
-		const tempAssets = {
-			backgroundUrl: obj.attrs['iftool-background'],
-			href: obj.attrs['iftool-href'],
-			srcUrl: obj.attrs['iftool-src'],
-			bgColor: obj.attrs['iftool-bg-color'],
-			bgPosition: obj.attrs['iftool-bg-position'],
-			bgSize: obj.attrs['iftool-bg-size'],
-			bgRepeat: obj.attrs['iftool-bg-repeat'],
-			bgAttachment: obj.attrs['iftool-bg-attachment'],
-			bgOrigin: obj.attrs['iftool-bg-origin'],
-			bgClip: obj.attrs['iftool-bg-clip']
-		};
-		
-		// 创建一个最终的属性对象副本，移除所有临时属性
-		const finalAttrs = { ...obj.attrs };
-		delete finalAttrs['iftool-background'];
-		delete finalAttrs['iftool-href'];
-		delete finalAttrs['iftool-src'];
-		delete finalAttrs['iftool-bg-color'];
-		delete finalAttrs['iftool-bg-position'];
-		delete finalAttrs['iftool-bg-size'];
-		delete finalAttrs['iftool-bg-repeat'];
-		delete finalAttrs['iftool-bg-attachment'];
-		delete finalAttrs['iftool-bg-origin'];
-		delete finalAttrs['iftool-bg-clip'];
-
-		// 如果有background链接，构建简写写法
-		if (tempAssets.backgroundUrl) {
-			// 获取各个背景相关样式或使用默认值
-			const c = tempAssets.bgColor || 'transparent';
-			const p = tempAssets.bgPosition || '0% 0%';
-			const s = tempAssets.bgSize || 'auto auto';
-			const r = tempAssets.bgRepeat || 'repeat';
-			const a = tempAssets.bgAttachment || 'scroll';
-			const o = tempAssets.bgOrigin || 'padding-box';
-			const l = tempAssets.bgClip || 'border-box';
-
-			let posSizeStr = p;
-			if (s && s !== 'auto' && s !== 'auto auto') {
-				posSizeStr += ` / ${s}`; // 如果bg-size不是默认值，则在简写方案中带上斜杠
-			}
-			const newBackgroundStyle = `background: ${c} url(${tempAssets.backgroundUrl}) ${posSizeStr} ${r} ${a} ${o} ${l}`; // 简写方案
-			const existingStyle = finalAttrs.style || '';
-			finalAttrs.style = existingStyle ? `${existingStyle}; ${newBackgroundStyle}` : newBackgroundStyle;
+	layerRules: {
+		// 底层特征减分：自身及祖先节点的height为0（-10）、style中opacity真透明（-2），每层样式另按图片自身的opacity属性真透明-2
+		// （与原版计分一致；按各节点自身opacity属性计分的修正版见layerRuleFixes.bottom）
+		bottom: {
+			weight: 1,
+			score: function(image) {
+				return image.styles.reduce((sum, s) => sum + this.scoreBottomStyle(s, image.node), 0);
+			}
+		},
+		// 顶层特征加分：自身及祖先节点的负百分比/相对单位margin-top（+10）、transform（+5）、isolation:isolate（+3）、z-index>0（+3）
+		top: {
+			weight: 1,
+			score: function(image) {
+				return image.styles.reduce((sum, s) => {
+					let score = 0;
+					if (s['margin-top']) {
+						const negativeMarginReg = /^-([1-9]\d*(\.\d+)?|0\.\d+)(%|\s*rem|\s*em|\s*vh|\s*vw)$/i;
+						if (negativeMarginReg.test(s['margin-top'].trim())) score += 10;
+					}
+					if (s.transform && s.transform !== 'none') score += 5;
+					if (s.isolation === 'isolate') score += 3;
+					if (s['z-index']) {
+						const zIndexNum = Number(s['z-index']);
+						if (!isNaN(zIndexNum) && zIndexNum > 0) score += 3;
+					}
+					return sum + score;
+				}, 0);
+			}
+		},
+		// 并列g/fo容器顺序分：最近的svg/g/foreignObject容器前每有一个并列容器+3
+		// （默认权重0：原版读取树形节点上不存在的parentNode，该项恒为0，启用见layerRuleFixes.gfo）
+		gfo: {
+			weight: 0,
+			score: function(image) {
+				const isContainer = (node) => ['svg', 'g', 'foreignObject'].includes(node?.tag);
+				const chain = [...image.ancestors];
+				const containerIndex = chain.map(isContainer).lastIndexOf(true);
+				if (containerIndex <= 0) return 0;
+				const siblings = chain[containerIndex - 1].children;
+				return siblings.slice(0, siblings.indexOf(chain[containerIndex])).filter(isContainer).length * 3;
+			}
+		},
+		// width动画顺序分：width动画所在svg内部按顺序加分，第一张+100，每下一张-0.05
+		animate: {
+			weight: 1,
+			score: function(image, ctx) {
+				// 由内到外查找最近的width动画svg
+				const findAnimateSvg = (item) => [...item.ancestors, item.node].reverse()
+					.find(node => node.tag === 'svg' && this.hasWidthAnimate(node));
+				const animateSvg = findAnimateSvg(image);
+				if (!animateSvg) return 0;
+				const svgImages = ctx.images.filter(item => findAnimateSvg(item) === animateSvg);
+				return parseFloat((100 - svgImages.indexOf(image) * 0.05).toFixed(1));
+			}
+		},
+		// 时间轴分：首屏可见+0，t秒后出现-10-t（t最多计40秒），交互后出现-150，始终不可见+0（静态隐藏由bottom规则计分，见getImageTimeline）
+		timeline: {
+			weight: 1,
+			score: function(image) {
+				const { state, time } = image.timeline;
+				if (state === 'interaction') return -150;
+				return state === 'timed' ? -10 - Math.min(time, 40) : 0;
+			}
+		},
+		// 全局顺序分：第一张+5，每下一张-0.01（单篇图文上限500张图，无缝排版也有最高特征层级分）
+		global: {
+			weight: 1,
+			score: function(image) {
+				return (500 - image.globalOrder) * 0.01;
+			}
 		}
+	},
 
-		// 如果有href或src链接，直接设置链接
-		if (tempAssets.href) {
-			finalAttrs.href = tempAssets.href;
-		}
-		if (tempAssets.srcUrl) {
-			finalAttrs.src = tempAssets.srcUrl;
+	/**
+	 * 修正版层级分规则（默认不启用，启用后同名规则的得分与原版不同）：传入calcLayer的rules选项替换同名规则，
+	 * 如{ rules: svgCC.layerRuleFixes }启用全部修正，{ rules: { bottom: svgCC.layerRuleFixes.bottom } }仅启用其中一项
+	 */
+	layerRuleFixes: {
+		// 底层特征减分（逐节点）：opacity属性按自身及各祖先节点自己的属性计分，每个真透明的节点-2
+		bottom: {
+			weight: 1,
+			score: function(image) {
+				const nodes = [image.node, ...image.ancestors];
+				return image.styles.reduce((sum, s, i) => sum + this.scoreBottomStyle(s, nodes[i]), 0);
+			}
+		},
+		// 并列g/fo容器顺序分（启用）：同layerRules.gfo，权重为1
+		gfo: {
+			weight: 1,
+			score: function(image, ctx) {
+				return this.layerRules.gfo.score.call(this, image, ctx);
+			}
 		}
+	},
 
-		// 创建元素并应用最终的属性对象副本
-		const element = doc.createElement(obj.tag);
-		for (const attr in finalAttrs) {
-			element.setAttribute(attr, finalAttrs[attr]);
-		}
-		
-		// 递归处理并添加子节点
-		if (obj.children) {
-			for (const child of obj.children) {
-				const childNode = this.objectToDom(doc, child);
-				if (childNode) {
-					element.appendChild(childNode);
-				}
-			}
+	/**
+	 * 单层样式的底层特征减分：height为0（-10）、style中opacity真透明（-2）、节点opacity属性真透明（-2）
+	 * @param {object} s - 解析后的样式对象（见parseStyle）
+	 * @param {object} node - 读取opacity属性的节点
+	 * @returns {number} 减分值
+	 */
+	scoreBottomStyle: function(s, node) {
+		let score = 0;
+		if (s.height) {
+			const heightStr = s.height.trim();
+			const isZeroHeight = /^0(\s*px|\s*%|\s*rem|\s*em|\s*vh|\s*vw)?$/i.test(heightStr);
+			if (isZeroHeight) score -= 10;
 		}
-		return element;
+		if (this.isTransparentOpacity(s.opacity)) score -= 2;
+		if (this.isTransparentOpacity(node?.attrs?.opacity)) score -= 2;
+		return score;
 	},
 
-	// =================================================================
-	// 特征层级分计算函数
-	// =================================================================
+	/**
+	 * 透明度判断：数值在0-0.05范围内视为真透明
+	 * @param {string|number} opacityValue - 透明度值（字符串/数字类型）
+	 * @returns {boolean} 符合真透明范围返回true，否则返回false
+	 */
+	isTransparentOpacity: function(opacityValue) {
+		const opacityNum = parseFloat(opacityValue);
+		return !isNaN(opacityNum) && opacityNum >= 0 && opacityNum <= 0.05;
+	},
 
 	/**
-	 * 解析CSS样式字符串为键值对对象
-	 * @param {string} [styleStr] - 待解析的CSS样式字符串，可选
-	 * @returns {Object} 解析后的CSS样式键值对对象
+	 * SVG宽度动画判断：svg直接子节点是否存在width属性的animate动画
+	 * @param {object} svgNode - 树形结构中的SVG节点对象
+	 * @returns {boolean} 存在width动画返回true，否则返回false
 	 */
-	parseStyle: function(styleStr) {
-		const styleObj = {};
-		if (!styleStr) return styleObj;
-		styleStr.split(';').forEach(item => {
-			const [key, value] = item.trim().split(':').map(v => v.trim());
-			if (key && value) styleObj[key] = value;
+	hasWidthAnimate: function(svgNode) {
+		return (svgNode?.children || []).some(child => child.tag?.toLowerCase() === 'animate' && child.attrs?.attributeName?.toLowerCase() === 'width');
+	},
+
+	/**
+	 * 合并层级分规则及权重
+	 * @param {object} [rules] - 规则覆盖：名称对应规则对象 { weight, score } 为新增或替换，对应null/false为移除
+	 * @param {object} [weights] - 权重覆盖：名称对应权重数值，0相当于移除
+	 * @returns {{name: string, weight: number, score: Function}[]} 生效的规则数组
+	 * @throws {Error} 规则缺少score函数、权重不是数值或权重对应的规则不存在
+	 */
+	resolveLayerRules: function(rules = {}, weights = {}) {
+		const merged = { ...this.layerRules, ...rules };
+		Object.entries(weights).forEach(([name, weight]) => {
+			if (!merged[name]) throw new Error(`未知的层级分规则: ${name}`);
+			if (typeof weight !== 'number' || !Number.isFinite(weight)) throw new Error(`层级分规则${name}的权重必须为数值，收到: ${weight}`);
 		});
-		return styleObj;
+		return Object.entries(merged)
+			.filter(([, rule]) => rule)
+			.map(([name, rule]) => {
+				if (typeof rule.score !== 'function') throw new Error(`层级分规则${name}缺少score函数`);
+				return { name, weight: weights[name] ?? rule.weight ?? 1, score: rule.score };
+			})
+			.filter(rule => rule.weight !== 0);
 	},
 
 	/**
 	 * 计算SVG中所有图片的特征层级分，筛选最高层级图片并生成预加载HTML
 	 * @param {object} tree - 解析后的SVG树形结构
-	 * @param {number} number - 需要筛选的最高层级图片数量
-	 * @returns {object} 层级计算结果，含明细和预加载HTML
+	 * @param {number} number - 需要筛选的最高层级图片数量（按链接去重后计数，不限数量时传Infinity）
+	 * @param {object} [options={}] - 计算选项
+	 * @param {*} [options.scope] - 计算作用域（格式见resolveScope），仅统计作用域内的图片，祖先节点的样式与容器仍参与计分
+	 * @param {object} [options.rules] - 规则覆盖，新增、替换（名称对应{ weight, score }）或移除（名称对应null）layerRules中的规则
+	 * @param {object} [options.weights] - 权重覆盖，如{ gfo: 2, global: 0 }
+	 * @param {number} [options.baseScore] - 初始分，默认layerBaseScore（20）
+	 * @param {string|Function} [options.strategy] - 预加载方式，默认defaultPreloadStrategy（background），见preloadStrategies
+	 * @param {number} [options.maxBytes] - 预加载字节预算，见selectPreloadImages
+	 * @param {object|Map|Function} [options.sizes] - 图片体积（字节），见selectPreloadImages
+	 * @returns {object} 层级计算结果，含明细、预加载HTML、选中的预加载图片及分阶段预加载HTML
+	 * @throws {Error} 规则或权重配置无效（见resolveLayerRules）、预加载方式未知
 	 */
-	calcLayer: function(tree, number) {
+	calcLayer: function(tree, number, options = {}) {
+		const rules = this.resolveLayerRules(options.rules, options.weights);
+		const baseScore = options.baseScore ?? this.layerBaseScore;
+		const images = []; // 参与计分的图片（按文档顺序）
+		const scopeResults = this.resolveScope(tree, options.scope);
+		const scopeRoots = scopeResults ? new Set(scopeResults.map(result => result.node)) : null; // 作用域根节点
+		const smilIndex = this.createSmilIndex(tree);
 
-		/**
-		 * SVG容器判断：是否为合法的并列容器（svg/g/foreignObject）
-		 * @param {object} node - 树形结构中的节点对象
-		 * @returns {boolean} 是合法容器返回true，否则返回false
-		 */
-		const isSvgValidContainer = (node) => {
-			if (!node || !node.tag) return false;
-			const tag = node.tag.toLowerCase();
-			return ['svg', 'g', 'foreignObject'].includes(tag);
-		};
+		// 收集图片及其祖先节点（跳过已注入的预加载片段）
+		this.visitTree(tree, (node, ctx) => {
+			if (ctx.parent && this.isPreloadSection(node)) {
+				ctx.skip();
+				return;
+			}
+			const url = node.attrs?.['iftool-src'] || node.attrs?.['iftool-href'] || node.attrs?.['iftool-background'] || '';
+			const inScope = !scopeRoots || scopeRoots.has(node) || ctx.ancestors.some(item => scopeRoots.has(item));
+			if (!url || !inScope) return;
+			images.push({
+				url,
+				node,
+				parent: ctx.parent,
+				ancestors: ctx.ancestors,
+				globalOrder: images.length,
+				path: ctx.path,
+				styles: [node, ...ctx.ancestors].map(item => this.parseStyle(item.attrs?.style)),
+				timeline: this.getImageTimeline(node, ctx.ancestors, smilIndex)
+			});
+		});
 
-		/**
-		 * SVG容器查找：从父节点链中由近到远找最近的合法SVG容器
-		 * @param {object[]} parentChain - 图片节点的所有祖先节点链数组
-		 * @returns {object|undefined} 找到的最近合法容器节点，无则返回undefined
-		 */
-		const findNearestSvgContainer = (parentChain) => {
-			return [...parentChain].reverse().find(isSvgValidContainer);
-		};
+		// 按规则计算特征层级分
+		const ruleCtx = { tree, images };
+		const round = (num) => parseFloat(num.toFixed(2));
+		const imagesDetail = images.map(image => {
+			const scores = {}; // 各规则的加权得分
+			rules.forEach(rule => {
+				scores[rule.name] = round(rule.weight * (Number(rule.score.call(this, image, ruleCtx)) || 0));
+			});
+			const layer = round(Object.values(scores).reduce((sum, score) => sum + score, baseScore));
 
-		/**
-		 * 透明度判断：数值在0-0.05范围内视为真透明
-		 * @param {string|number} opacityValue - 透明度值（字符串/数字类型）
-		 * @returns {boolean} 符合真透明范围返回true，否则返回false
-		 */
-		const isOpacityMinValue = (opacityValue) => {
-			const opacityNum = parseFloat(opacityValue);
-			return !isNaN(opacityNum) && opacityNum >= 0 && opacityNum <= 0.05;
-		};
+			return {
+				url: image.url, // 图片链接
+				layer, // 特征层级总分
+				globalOrder: image.globalOrder, // 全局索引
+				path: this.formatNodePath(tree, image.path), // 节点路径
+				timeline: image.timeline, // 时间轴出现时机
+				scores, // 各规则的加权得分
+				totalBottomScore: scores.bottom ?? 0, // 底层特征分
+				totalTopScore: scores.top ?? 0, // 顶层特征分
+				gfoScore: scores.gfo ?? 0, // 并列gfo顺序调整分
+				animateScore: scores.animate ?? 0, // width动画顺序调整分
+				timelineScore: scores.timeline ?? 0, // 时间轴调整分
+				globalScore: scores.global ?? 0 // 全局顺序调整分
+			};
+		});
 
-		/**
-		 * SVG宽度动画判断：svg直接子节点是否存在width属性的animate动画
-		 * @param {object} svgNode - 树形结构中的SVG节点对象
-		 * @returns {boolean} 存在width动画返回true，否则返回false
-		 */
-		const isSvgWidthAnimate = (svgNode) => {
-			if (!svgNode || svgNode.tag?.toLowerCase() !== 'svg') return false;
-			if (!svgNode.children) return false;
-			for (const child of svgNode.children) {
-				if (child.tag?.toLowerCase() === 'animate' && child.attrs) {
-					const attrName = child.attrs.attributeName?.toLowerCase();
-					if (attrName === 'width') {
-						return true;
-					}
-				}
-			}
-			return false;
-		};
+		// 特征层级分从大到小排序
+		imagesDetail.sort((a, b) => {
+			if (b.layer !== a.layer) return b.layer - a.layer;
+			return a.globalOrder - b.globalOrder;
+		});
 
-		/**
-		 * 底层特征减分计算：根据style和节点属性计算单一样式的底层减分值
-		 * @param {string} styleStr - 待计算的CSS样式字符串
-		 * @param {object} node - 对应的图片树形节点对象
-		 * @returns {number} 计算后的底层特征总减分值
-		 */
-		const calculateBottomScore = (styleStr, node) => {
-			let score = 0;
-			const s = this.parseStyle(styleStr);
-			// 底层特征1：style内height值为0
-			if (s.height) {
-				const heightStr = s.height.trim();
-				const isZeroHeight = /^0(\s*px|\s*%|\s*rem|\s*em|\s*vh|\s*vw)?$/i.test(heightStr);
-				const heightNum = parseFloat(heightStr);
-				if (!isNaN(heightNum) && heightNum === 0 && isZeroHeight) {
-					score -= 10;
-				}
-			}
-			// 底层特征2：style内opacity真透明
-			if (isOpacityMinValue(s.opacity)) score -= 2;
-			// 底层特征3：属性opacity真透明
-			if (isOpacityMinValue(node?.attrs?.opacity)) score -= 2;
-			return score;
+		// 按链接去重、按预算选取预加载图片，并按出现阶段分组生成预加载HTML片段
+		const preloadImages = this.selectPreloadImages(imagesDetail, number, options);
+		const stages = {};
+		this.preloadStageNames.forEach(stage => {
+			const urls = preloadImages.filter(item => item.stage === stage).map(item => item.url);
+			stages[stage] = { urls, html: urls.length > 0 ? this.buildPreloadHtml(urls, options.strategy, stage) : '' };
+		});
+		const finalHtml = this.buildPreloadHtml(preloadImages.map(item => item.url), options.strategy);
+
+		return {
+			imagesDetail: imagesDetail, // 完整层级明细
+			finalHtml: finalHtml, // 预加载HTML片段
+			preloadImages, // 选中的预加载图片
+			stages // 按出现阶段分组的预加载HTML片段
 		};
+	},
 
-		/**
-		 * 顶层特征加分计算：根据style字符串计算单一样式的顶层加分值
-		 * @param {string} styleStr - 待计算的CSS样式字符串
-		 * @returns {number} 计算后的顶层特征总加分值
-		 */
-		const calculateTopScore = (styleStr) => {
-			let score = 0;
-			const s = this.parseStyle(styleStr);
-			// 顶层特征1：style内margin-top为非0非px单位的负数
-			if (s.marginTop) {
-				const trimmedMargin = s.marginTop.trim();
-				const negativeMarginReg = /^-([1-9]\d*(\.\d+)?|0\.\d+)(%|\s*rem|\s*em|\s*vh|\s*vw)$/i;
-				if (negativeMarginReg.test(trimmedMargin)) score += 10;
-			}
-			// 顶层特征2：style内transform存在
-			if (s.transform && s.transform !== 'none') score += 5;
-			// 顶层特征3：style内isolation:isolate
-			if (s.isolation === 'isolate') score += 3;
-			// 顶层特征4：style内z-index>0
-			if (s.zIndex) {
-				const zIndexNum = Number(s.zIndex);
-				if (!isNaN(zIndexNum) && zIndexNum > 0) score += 3;
-			}
-			return score;
-		};
-
-		// 初始化全局变量
-		let globalOrder = 0; // 图片全局索引
-		let svgUniqueId = 0; // width动画所在svg的临时id
-		const widthSvgMap = new Map(); // 临时id与svg内部所有图片的映射
-		const allImagesRaw = []; // 所有图片原始信息
+	// =================================================================
+	// 预加载HTML生成与注入函数
+	// =================================================================
 
-		/**
-		 * 第一次遍历收集：收集图片原始信息和宽度动画SVG与图片的映射关系
-		 * @param {object} node - 当前遍历的树形节点对象
-		 * @param {object[]} [parentChain=[]] - 当前节点的祖先节点链数组，默认空数组
-		 * @param {object|null} [parentNode=null] - 当前节点的直接父节点对象，默认null
-		 * @returns {void}
-		 */
-		const traverseCollect = (node, parentChain = [], parentNode = null) => {
-			if (!node) return;
-			// 提取图片链接
-			const imgUrl = node.attrs?.['iftool-src'] || node.attrs?.['iftool-href'] || node.attrs?.['iftool-background'] || ''; 
-			if (imgUrl) {
-				// 收集图片原始信息
-				const imgRaw = {
-					url: imgUrl,
-					node,
-					parentChain,
-					parentNode,
-					globalOrder: globalOrder++,
-					childIndex: parentNode ? parentNode.children.findIndex(c => c === node) : -1
-				};
-				allImagesRaw.push(imgRaw);
+	// 预加载片段标记属性（值为预加载阶段，见preloadStageNames，包含全部阶段时为all）
+	preloadMarker: 'data-svgcc-preload',
 
-				// 收集width动画所在svg与图片的映射关系
-				const svgNodes = [...parentChain, node].reverse().filter(item => item.tag?.toLowerCase() === 'svg');
-				const targetAnimateSvg = svgNodes.find(isSvgWidthAnimate);
-				if (targetAnimateSvg) {
-					// 给width动画所在svg分配临时id
-					if (!targetAnimateSvg.__widthSvgId__) targetAnimateSvg.__widthSvgId__ = ++svgUniqueId;
-					const svgId = targetAnimateSvg.__widthSvgId__;
-					// 找到的图片加入对应svg列表
-					if (!widthSvgMap.has(svgId)) widthSvgMap.set(svgId, []);
-					widthSvgMap.get(svgId).push(imgRaw);
-				}
-			}
+	// 未带标记属性的旧版预加载片段的class前缀
+	preloadLegacyClass: '用于提前加载的图片组',
 
-			// 深度优先遍历子节点
-			if (node.children) {
-				node.children.forEach(child => traverseCollect(child, [...parentChain, node], node));
-			}
-		};
+	// 预加载阶段：first为首屏，interaction为首次交互后，later为定时出现或始终不可见
+	preloadStageNames: ['first', 'interaction', 'later'],
+
+	// 默认预加载方式
+	defaultPreloadStrategy: 'background',
+
+	/**
+	 * 预加载方式：(urls) => string，返回包裹全部图片的隐藏HTML片段，this指向svgCC
+	 * - background：foreignObject内svg的背景图片
+	 * - image：零尺寸的svg image元素
+	 * - img：零尺寸的img元素
+	 */
+	preloadStrategies: {
+		background: function(urls) {
+			return `<section class="用于提前加载的图片组，不影响画面内容，上传后不保留本段注释" style="display: block; height: 0px !important; margin-top: 0px !important; margin-bottom: 0px !important; padding-left: 1000px !important;">
+			<svg viewBox="0 0 1 1">
+				${urls.map(url => `<g><foreignObject x="0" y="0" width="1" height="1"><svg viewBox="0 0 1 1" style="background-image: url('${this.escapeEntities(this.escapeCssString(url), true)}'); background-size: cover; background-repeat: no-repeat;"></svg></foreignObject></g>`).join('')}
+			</svg>
+		</section>`;
+		},
+		image: function(urls) {
+			return `<section class="用于提前加载的图片组，不影响画面内容，上传后不保留本段注释" style="display: block; height: 0px !important; margin-top: 0px !important; margin-bottom: 0px !important; overflow: hidden;">
+			<svg viewBox="0 0 1 1" style="display: block; width: 0px; height: 0px;">
+				${urls.map(url => `<image href="${this.escapeEntities(url, true)}" x="0" y="0" width="0" height="0"></image>`).join('')}
+			</svg>
+		</section>`;
+		},
+		img: function(urls) {
+			return `<section class="用于提前加载的图片组，不影响画面内容，上传后不保留本段注释" style="display: block; height: 0px !important; margin-top: 0px !important; margin-bottom: 0px !important; overflow: hidden;">
+				${urls.map(url => `<img src="${this.escapeEntities(url, true)}" style="display: block; width: 0px !important; height: 0px !important;">`).join('')}
+		</section>`;
+		}
+	},
 
-		traverseCollect(tree);
-		widthSvgMap.forEach(imgList => imgList.sort((a, b) => a.globalOrder - b.globalOrder)); 
+	/**
+	 * 生成预加载HTML片段，并在最外层标签上添加预加载标记属性（见preloadMarker）
+	 * @param {string[]} urls - 图片链接数组
+	 * @param {string|Function} [strategy=defaultPreloadStrategy] - 预加载方式名称（见preloadStrategies）或 (urls) => string 函数
+	 * @param {string} [stage='all'] - 预加载阶段，写入标记属性
+	 * @returns {string} 预加载HTML片段
+	 * @throws {Error} 预加载方式未知
+	 */
+	buildPreloadHtml: function(urls, strategy = this.defaultPreloadStrategy, stage = 'all') {
+		const build = typeof strategy === 'function' ? strategy : this.preloadStrategies[strategy];
+		if (typeof build !== 'function') throw new Error(`未知的预加载方式: ${strategy}`);
+		return build.call(this, urls).replace(/^(\s*<[a-zA-Z][\w:-]*)/, `$1 ${this.preloadMarker}="${this.escapeEntities(stage, true)}"`);
+	},
 
-		// 第二次遍历：计算特征层级分
-		const imagesDetail = allImagesRaw.map(imgRaw => {
-			const { url, node, parentChain, parentNode, globalOrder, childIndex } = imgRaw;
-			let layer = 20; // 初始特征层级分
+	/**
+	 * 预加载片段判断：带预加载标记属性，或class以preloadLegacyClass开头的旧版预加载section
+	 * @param {object} node - 树形结构中的节点对象
+	 * @returns {boolean} 是预加载片段返回true，否则返回false
+	 */
+	isPreloadSection: function(node) {
+		if (!node?.attrs || typeof node.attrs !== 'object') return false;
+		if (node.attrs[this.preloadMarker] !== undefined) return true;
+		return node.tag === 'section' && String(node.attrs.class || '').startsWith(this.preloadLegacyClass);
+	},
 
-			// 合并自身+所有父节点的style
-			const nodeStyle = node.attrs?.style || '';
-			const parentStyles = parentChain.map(p => p.attrs?.style || '');
-			const allStyles = [nodeStyle, ...parentStyles];
+	/**
+	 * 查找已注入的预加载片段（不查找预加载片段内部）
+	 * @param {object} tree - HTML/SVG树形结构
+	 * @returns {{node: object, parent: object, index: number, path: number[], stage: string}[]} 预加载片段数组（按文档顺序），
+	 * stage为标记属性的值，旧版片段为all
+	 */
+	findPreloadSections: function(tree) {
+		const sections = [];
+		this.visitTree(tree, (node, ctx) => {
+			if (!ctx.parent || !this.isPreloadSection(node)) return;
+			sections.push({ node, parent: ctx.parent, index: ctx.index, path: ctx.path, stage: node.attrs[this.preloadMarker] || 'all' });
+			ctx.skip();
+		});
+		return sections;
+	},
 
-			// 底层特征总减分
-			const totalBottomScore = allStyles.reduce((sum, style) => sum + calculateBottomScore(style, node), 0);
-			layer += totalBottomScore;
+	/**
+	 * 移除已注入的预加载片段
+	 * @param {object|string} tree - HTML/SVG树形结构，传入代码字符串时按保留模式解析并返回合成后的代码
+	 * @param {object} [options={}] - 移除选项
+	 * @param {string} [options.stage] - 仅移除指定阶段的预加载片段，不传时移除全部
+	 * @returns {object|string} 移除后的树形结构或代码
+	 */
+	stripPreload: function(tree, options = {}) {
+		const isCode = typeof tree === 'string';
+		if (isCode) tree = this.parse(tree, { preserve: true });
+		this.findPreloadSections(tree)
+			.filter(section => options.stage === undefined || section.stage === options.stage)
+			.reverse()
+			.forEach(section => section.parent.children.splice(section.index, 1));
+		return isCode ? this.compose(tree) : tree;
+	},
 
-			// 顶层特征总加分
-			const totalTopScore = allStyles.reduce((sum, style) => sum + calculateTopScore(style), 0);
-			layer += totalTopScore;
+	/**
+	 * 注入预加载片段：替换同阶段的已有片段（第一个原位替换，其余移除），没有时插入到指定位置或代码头部，重复执行结果不变
+	 * @param {object|string} tree - HTML/SVG树形结构，传入代码字符串时按保留模式解析并返回合成后的代码
+	 * @param {string} html - 预加载HTML片段（见buildPreloadHtml），为空字符串时仅移除同阶段的已有片段
+	 * @param {object} [options={}] - 注入选项
+	 * @param {string} [options.stage='all'] - 预加载阶段，all替换全部已有片段，其余仅替换同阶段片段
+	 * @param {number[]} [options.path] - 没有可替换的片段时，插入到该子索引路径的节点之前，默认插入到根节点的开头
+	 * @returns {object|string} 注入后的树形结构或代码
+	 * @throws {Error} 插入路径无效
+	 */
+	injectPreload: function(tree, html, options = {}) {
+		const { stage = 'all' } = options;
+		const isCode = typeof tree === 'string';
+		if (isCode) tree = this.parse(tree, { preserve: true });
+		const nodes = html ? this.parse(html, { preserve: true }).children : []; // 保留模式解析，合成时按原样输出
+		const targets = this.findPreloadSections(tree).filter(section => stage === 'all' || section.stage === stage);
 
-			// 并列g/fo场景按顺序加调整分：第一个+0，每下一个+3
-			let gfoScore = 0;
-			const nearestContainer = findNearestSvgContainer(parentChain);
-			if (nearestContainer) {
-				const containerIndex = nearestContainer.parentNode?.children.findIndex(c => c === nearestContainer) || 0;
-				gfoScore = containerIndex * 3;
+		if (targets.length > 0) {
+			[...targets].reverse().forEach((section, i) => {
+				section.parent.children.splice(section.index, 1, ...(i === targets.length - 1 ? nodes : []));
+			});
+		} else if (nodes.length > 0) {
+			const path = options.path || [0];
+			let parent = tree;
+			path.slice(0, -1).forEach(index => {
+				parent = parent?.children?.[index];
+			});
+			const index = path[path.length - 1];
+			if (!Array.isArray(parent?.children) || !(index >= 0 && index <= parent.children.length)) {
+				throw new Error(`预加载片段的插入路径无效: ${path.join(',')}`);
 			}
-			layer += gfoScore;
+			parent.children.splice(index, 0, ...nodes);
+		}
+		return isCode ? this.compose(tree) : tree;
+	},
 
-			// width动画所在svg内部按顺序加调整分：最后一个+100，每上一个-0.05
-			let animateScore = 0;
-			const svgNodes = [...parentChain, node].reverse().filter(item => item.tag?.toLowerCase() === 'svg');
-			const targetAnimateSvg = svgNodes.find(isSvgWidthAnimate);
-			if (targetAnimateSvg) {
-				const svgId = targetAnimateSvg.__widthSvgId__;
-				const svgImgList = widthSvgMap.get(svgId) || [];
-				const imgIndex = svgImgList.findIndex(item => item.globalOrder === globalOrder);
-				if (imgIndex > -1) {
-					animateScore = parseFloat((100 - imgIndex * 0.05).toFixed(1));
-				}
-			}
-			layer += animateScore;
+	/**
+	 * 按特征层级分顺序选取预加载图片：按链接去重，受数量预算和字节预算限制，并标记明细的preloaded/stage字段
+	 * @param {object[]} imagesDetail - 按特征层级分排序后的图片明细（见calcLayer）
+	 * @param {number} number - 数量预算（去重后的链接数），不限数量时传Infinity
+	 * @param {object} [options={}] - 选取选项
+	 * @param {number} [options.maxBytes] - 字节预算，传入后仅选取已知体积且不超出剩余预算的图片
+	 * @param {object|Map|Function} [options.sizes] - 图片体积（字节）：链接为键的对象、Map或 (url) => number 函数
+	 * @returns {{url: string, layer: number, stage: string, bytes: number|null}[]} 选中的预加载图片（按特征层级分排序）
+	 */
+	selectPreloadImages: function(imagesDetail, number, options = {}) {
+		const { maxBytes, sizes } = options;
 
-			// 全局按顺序加调整分：第一个+5，每下一个-0.01（单篇图文上限500张图，无缝排版也有最高特征层级分）
-			let globalScore = 0;
-			globalScore = (500 - globalOrder) * 0.01;
-			layer += globalScore;
+		// 读取图片体积，未知时返回null
+		const getBytes = (url) => {
+			const bytes = sizes instanceof Map ? sizes.get(url) : typeof sizes === 'function' ? sizes(url) : sizes?.[url];
+			return typeof bytes === 'number' && bytes >= 0 ? bytes : null;
+		};
 
-			// 格式化最终特征层级分
-			layer = parseFloat(layer.toFixed(2));
+		// 出现时机先后：首屏 < 定时出现（按出现时间） < 交互后出现 < 始终不可见
+		const isEarlier = (a, b) => {
+			const order = { initial: 0, timed: 1, interaction: 2, hidden: 3 };
+			return order[a.state] !== order[b.state] ? order[a.state] < order[b.state] : (a.time ?? 0) < (b.time ?? 0);
+		};
 
-			return {
-				url, // 图片链接
-				layer, // 特征层级总分
-				globalOrder, //全局索引
-				totalBottomScore, // 底层特征分
-				totalTopScore, // 顶层特征分
-				gfoScore, // 并列gfo顺序调整分
-				animateScore, // width动画顺序调整分
-				globalScore // 全局顺序调整分
-			};
+		// 按链接分组，阶段取最早出现的位置
+		const groups = new Map();
+		imagesDetail.forEach(item => {
+			const group = groups.get(item.url);
+			if (!group) {
+				groups.set(item.url, { url: item.url, layer: item.layer, timeline: item.timeline, items: [item] });
+				return;
+			}
+			group.items.push(item);
+			if (isEarlier(item.timeline, group.timeline)) group.timeline = item.timeline;
 		});
 
-		// 特征层级分从大到小排序
-		let topLayerImages = [];
-		if (imagesDetail.length > 0) {
-			const sortedImages = imagesDetail.sort((a, b) => {
-				if (b.layer !== a.layer) return b.layer - a.layer;
-				return a.globalOrder - b.globalOrder;
+		const selected = [];
+		let usedBytes = 0;
+		for (const group of groups.values()) {
+			const stage = { initial: 'first', interaction: 'interaction', timed: 'later', hidden: 'later' }[group.timeline.state];
+			group.items.forEach(item => {
+				item.stage = stage; // 预加载阶段
+				item.preloaded = false; // 是否选入预加载
+			});
+			if (selected.length >= number) continue;
+			const bytes = getBytes(group.url);
+			if (maxBytes !== undefined) {
+				if (bytes === null || usedBytes + bytes > maxBytes) continue;
+				usedBytes += bytes;
+			}
+			group.items.forEach(item => {
+				item.preloaded = true;
 			});
-			topLayerImages = sortedImages.slice(0, number).map(img => img.url); // 取出前number张图片的链接
+			selected.push({ url: group.url, layer: group.layer, stage, bytes });
 		}
+		return selected;
+	},
 
-		// 生成预加载HTML片段
-		const finalHtml = `<section class="用于提前加载的图片组，不影响画面内容，上传后不保留本段注释" style="display: block; height: 0px !important; margin-top: 0px !important; margin-bottom: 0px !important; padding-left: 1000px !important;">
-			<svg viewBox="0 0 1 1">
-				${topLayerImages.map(url => `<g><foreignObject x="0" y="0" width="1" height="1"><svg viewBox="0 0 1 1" style="background-image: url('${url}'); background-size: cover; background-repeat: no-repeat;"></svg></foreignObject></g>`).join('')}
-			</svg>
-		</section>`;
+	// =================================================================
+	// 层级调试报告函数
+	// =================================================================
 
-		// 调试日志
-		// console.log('=== 所有图片层级明细 ===');
-		// imagesDetail.forEach(img => {
-		// 	console.log(`索引：${img.globalOrder} | 链接：${img.url.slice(0, 50)}... | 层级：${img.layer} ｜ 底层特征分：${img.totalBottomScore} ｜ 顶层特征分：${img.totalTopScore} ｜ 并列gfo顺序分：${img.gfoScore} ｜ width动画顺序分：${img.animateScore} ｜ 全局顺序分：${img.globalScore}`);
-		// });
+	// 调试报告中的分项列（明细字段名:说明），其余自定义规则的得分追加在其后
+	layerReportColumns: {
+		totalBottomScore: '底层特征分',
+		totalTopScore: '顶层特征分',
+		gfoScore: '并列gfo顺序分',
+		animateScore: 'width动画顺序分',
+		timelineScore: '时间轴分',
+		globalScore: '全局顺序分'
+	},
 
-		/**
-		 * 清理SVG节点的临时属性，避免污染原始树形结构
-		 * @param {object} node - 树形结构中的节点对象
-		 * @returns {void}
-		 */
-		const clearSvgTempAttr = (node) => {
-			if (!node) return;
-			if (node.__widthSvgId__) delete node.__widthSvgId__;
-			if (node.children) node.children.forEach(clearSvgTempAttr);
-		};
-		clearSvgTempAttr(tree);
+	/**
+	 * 生成特征层级分调试报告：独立的HTML页面，逐张列出缩略图、节点路径、各分项得分、排名及是否选入预加载，支持排序和筛选
+	 * @param {object} layer - calcLayer的返回结果
+	 * @param {object} [options={}] - 报告选项
+	 * @param {string} [options.title='特征层级分调试报告'] - 页面标题
+	 * @param {string|Function} [options.imageProxy=''] - 缩略图的代理地址模板或函数（见getProxyUrl），默认直接加载原始链接（不发送Referer）
+	 * @returns {string} 完整的HTML页面代码
+	 */
+	buildLayerReport: function(layer, options = {}) {
+		const { title = '特征层级分调试报告', imageProxy = '' } = options;
+		const escape = (value) => this.escapeEntities(String(value ?? ''), true);
+		const builtinRules = { bottom: 'totalBottomScore', top: 'totalTopScore', gfo: 'gfoScore', animate: 'animateScore', timeline: 'timelineScore', global: 'globalScore' };
 
-		return {
-			imagesDetail: imagesDetail, // 完整层级明细
-			finalHtml: finalHtml // 预加载HTML片段
-		};
+		// 按特征层级分排名（与calcLayer的排序规则一致）
+		const images = [...(layer?.imagesDetail || [])].sort((a, b) => {
+			if (b.layer !== a.layer) return b.layer - a.layer;
+			return a.globalOrder - b.globalOrder;
+		});
+		const extraRules = [...new Set(images.flatMap(item => Object.keys(item.scores || {})))].filter(name => !builtinRules[name]);
+		const columns = [
+			...Object.entries(this.layerReportColumns).map(([key, label]) => ({ label: `${label}<br><code>${key}</code>`, value: (item) => item[key] ?? 0 })),
+			...extraRules.map(name => ({ label: `规则<br><code>${escape(name)}</code>`, value: (item) => item.scores?.[name] ?? 0 }))
+		];
+
+		// 单元格：data-value为排序值
+		const cell = (value, html = escape(value)) => `<td data-value="${escape(value)}">${html}</td>`;
+		const rows = images.map((item, index) => {
+			const timeline = item.timeline ? `${item.timeline.state}${item.timeline.state === 'timed' ? ` ${item.timeline.time}s` : ''}` : '';
+			// 链接来自文章内容，只为http(s)和data:image链接生成缩略图和跳转链接，javascript:等其余链接按纯文本显示
+			const thumb = /^\s*(?:https?:|data:image\/)/i.test(String(item.url ?? ''))
+				? `<a href="${escape(item.url)}" target="_blank" rel="noreferrer"><img src="${escape(this.getProxyUrl(item.url, imageProxy))}" loading="lazy" referrerpolicy="no-referrer" alt=""></a>`
+				: escape(item.url);
+			return `<tr data-preloaded="${item.preloaded ? 'yes' : 'no'}" data-stage="${escape(item.stage)}" data-text="${escape(`${item.url} ${item.path || ''}`.toLowerCase())}">`
+				+ cell(index + 1)
+				+ cell(item.preloaded ? 1 : 0, item.preloaded ? '✓' : '')
+				+ cell(item.layer)
+				+ cell('', thumb)
+				+ cell(item.url, `<div class="url">${escape(item.url)}</div>`)
+				+ cell(item.path || '', `<code>${escape(item.path || '')}</code>`)
+				+ columns.map(column => cell(column.value(item))).join('')
+				+ cell(item.timeline ? item.timeline.time ?? Infinity : '', escape(timeline))
+				+ cell(item.stage || '')
+				+ cell(item.globalOrder)
+				+ '</tr>';
+		});
+		const headers = ['排名', '预加载', '层级总分', '缩略图', '链接', '节点路径', ...columns.map(column => column.label), '时间轴', '阶段', '全局索引'];
+		const preloadedCount = new Set(images.filter(item => item.preloaded).map(item => item.url)).size;
+
+		return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escape(title)}</title>
+<style>
+body { margin: 16px; font: 13px/1.5 -apple-system, "PingFang SC", "Microsoft YaHei", sans-serif; color: #222; }
+.toolbar { display: flex; flex-wrap: wrap; gap: 12px; align-items: center; margin: 12px 0; }
+.toolbar input[type="search"] { width: 320px; padding: 4px 8px; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #ddd; padding: 4px 6px; text-align: left; vertical-align: middle; }
+th { position: sticky; top: 0; background: #f5f5f5; cursor: pointer; user-select: none; white-space: nowrap; }
+th[data-order="asc"]::after { content: " ▲"; }
+th[data-order="desc"]::after { content: " ▼"; }
+tr[data-preloaded="yes"] { background: #f0f9eb; }
+td img { display: block; max-width: 80px; max-height: 80px; }
+.url { max-width: 320px; word-break: break-all; }
+code { font-size: 12px; color: #555; }
+</style>
+</head>
+<body>
+<h1>${escape(title)}</h1>
+<p>共${images.length}处图片，去重后${new Set(images.map(item => item.url)).size}个链接，选入预加载${preloadedCount}个链接。点击表头排序。</p>
+<div class="toolbar">
+<input type="search" id="keyword" placeholder="筛选链接或节点路径">
+<label>预加载 <select id="preloaded"><option value="">全部</option><option value="yes">已选入</option><option value="no">未选入</option></select></label>
+<label>阶段 <select id="stage"><option value="">全部</option>${this.preloadStageNames.map(stage => `<option value="${escape(stage)}">${escape(stage)}</option>`).join('')}</select></label>
+<span id="count"></span>
+</div>
+<table>
+<thead><tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+<script>
+(function() {
+	var tbody = document.querySelector('tbody');
+	var rows = Array.prototype.slice.call(tbody.rows);
+	var keyword = document.getElementById('keyword');
+	var preloaded = document.getElementById('preloaded');
+	var stage = document.getElementById('stage');
+	var count = document.getElementById('count');
+	function filter() {
+		var text = keyword.value.trim().toLowerCase();
+		var shown = 0;
+		rows.forEach(function(row) {
+			var visible = (!text || row.getAttribute('data-text').indexOf(text) > -1)
+				&& (!preloaded.value || row.getAttribute('data-preloaded') === preloaded.value)
+				&& (!stage.value || row.getAttribute('data-stage') === stage.value);
+			row.style.display = visible ? '' : 'none';
+			if (visible) shown++;
+		});
+		count.textContent = '显示' + shown + '/' + rows.length + '行';
+	}
+	function sortBy(th, index) {
+		var order = th.getAttribute('data-order') === 'asc' ? 'desc' : 'asc';
+		Array.prototype.forEach.call(th.parentNode.children, function(item) { item.removeAttribute('data-order'); });
+		th.setAttribute('data-order', order);
+		rows.sort(function(a, b) {
+			var x = a.cells[index].getAttribute('data-value');
+			var y = b.cells[index].getAttribute('data-value');
+			var nx = x === 'Infinity' ? Infinity : parseFloat(x);
+			var ny = y === 'Infinity' ? Infinity : parseFloat(y);
+			var result = !isNaN(nx) && !isNaN(ny) ? (nx === ny ? 0 : nx < ny ? -1 : 1) : x.localeCompare(y);
+			return order === 'asc' ? result : -result;
+		});
+		rows.forEach(function(row) { tbody.appendChild(row); });
 	}
+	Array.prototype.forEach.call(document.querySelectorAll('th'), function(th, index) {
+		th.addEventListener('click', function() { sortBy(th, index); });
+	});
+	[keyword, preloaded, stage].forEach(function(input) { input.addEventListener('input', filter); });
+	filter();
+})();
+</script>
+</body>
+</html>
+`;
+	},
+
+	// =================================================================
+	// HTML命名实体数据
+	// =================================================================
+
+	// HTML5命名实体表（名称:十六进制码点，多码点以.分隔）
+	htmlEntities:
+		'Aacute:c1,aacute:e1,Abreve:102,abreve:103,ac:223e,acd:223f,acE:223e.333,Acirc:c2,acirc:e2,acute:b4,Acy:410,' +
+		'acy:430,AElig:c6,aelig:e6,af:2061,Afr:1d504,afr:1d51e,Agrave:c0,agrave:e0,alefsym:2135,aleph:2135,' +
+		'Alpha:391,alpha:3b1,Amacr:100,amacr:101,amalg:2a3f,AMP:26,amp:26,And:2a53,and:2227,andand:2a55,andd:2a5c,' +
+		'andslope:2a58,andv:2a5a,ang:2220,ange:29a4,angle:2220,angmsd:2221,angmsdaa:29a8,angmsdab:29a9,' +
+		'angmsdac:29aa,angmsdad:29ab,angmsdae:29ac,angmsdaf:29ad,angmsdag:29ae,angmsdah:29af,angrt:221f,' +
+		'angrtvb:22be,angrtvbd:299d,angsph:2222,angst:c5,angzarr:237c,Aogon:104,aogon:105,Aopf:1d538,aopf:1d552,' +
+		'ap:2248,apacir:2a6f,apE:2a70,ape:224a,apid:224b,apos:27,ApplyFunction:2061,approx:2248,approxeq:224a,' +
+		'Aring:c5,aring:e5,Ascr:1d49c,ascr:1d4b6,Assign:2254,ast:2a,asymp:2248,asympeq:224d,Atilde:c3,atilde:e3,' +
+		'Auml:c4,auml:e4,awconint:2233,awint:2a11,' +
+		'backcong:224c,backepsilon:3f6,backprime:2035,backsim:223d,backsimeq:22cd,Backslash:2216,Barv:2ae7,' +
+		'barvee:22bd,Barwed:2306,barwed:2305,barwedge:2305,bbrk:23b5,bbrktbrk:23b6,bcong:224c,Bcy:411,bcy:431,' +
+		'bdquo:201e,becaus:2235,Because:2235,because:2235,bemptyv:29b0,bepsi:3f6,bernou:212c,Bernoullis:212c,' +
+		'Beta:392,beta:3b2,beth:2136,between:226c,Bfr:1d505,bfr:1d51f,bigcap:22c2,bigcirc:25ef,bigcup:22c3,' +
+		'bigodot:2a00,bigoplus:2a01,bigotimes:2a02,bigsqcup:2a06,bigstar:2605,bigtriangledown:25bd,' +
+		'bigtriangleup:25b3,biguplus:2a04,bigvee:22c1,bigwedge:22c0,bkarow:290d,blacklozenge:29eb,blacksquare:25aa,' +
+		'blacktriangle:25b4,blacktriangledown:25be,blacktriangleleft:25c2,blacktriangleright:25b8,blank:2423,' +
+		'blk12:2592,blk14:2591,blk34:2593,block:2588,bne:3d.20e5,bnequiv:2261.20e5,bNot:2aed,bnot:2310,Bopf:1d539,' +
+		'bopf:1d553,bot:22a5,bottom:22a5,bowtie:22c8,boxbox:29c9,boxDL:2557,boxDl:2556,boxdL:2555,boxdl:2510,' +
+		'boxDR:2554,boxDr:2553,boxdR:2552,boxdr:250c,boxH:2550,boxh:2500,boxHD:2566,boxHd:2564,boxhD:2565,' +
+		'boxhd:252c,boxHU:2569,boxHu:2567,boxhU:2568,boxhu:2534,boxminus:229f,boxplus:229e,boxtimes:22a0,boxUL:255d,' +
+		'boxUl:255c,boxuL:255b,boxul:2518,boxUR:255a,boxUr:2559,boxuR:2558,boxur:2514,boxV:2551,boxv:2502,' +
+		'boxVH:256c,boxVh:256b,boxvH:256a,boxvh:253c,boxVL:2563,boxVl:2562,boxvL:2561,boxvl:2524,boxVR:2560,' +
+		'boxVr:255f,boxvR:255e,boxvr:251c,bprime:2035,Breve:2d8,breve:2d8,brvbar:a6,Bscr:212c,bscr:1d4b7,bsemi:204f,' +
+		'bsim:223d,bsime:22cd,bsol:5c,bsolb:29c5,bsolhsub:27c8,bull:2022,bullet:2022,bump:224e,bumpE:2aae,' +
+		'bumpe:224f,Bumpeq:224e,bumpeq:224f,' +
+		'Cacute:106,cacute:107,Cap:22d2,cap:2229,capand:2a44,capbrcup:2a49,capcap:2a4b,capcup:2a47,capdot:2a40,' +
+		'CapitalDifferentialD:2145,caps:2229.fe00,caret:2041,caron:2c7,Cayleys:212d,ccaps:2a4d,Ccaron:10c,' +
+		'ccaron:10d,Ccedil:c7,ccedil:e7,Ccirc:108,ccirc:109,Cconint:2230,ccups:2a4c,ccupssm:2a50,Cdot:10a,cdot:10b,' +
+		'cedil:b8,Cedilla:b8,cemptyv:29b2,cent:a2,CenterDot:b7,centerdot:b7,Cfr:212d,cfr:1d520,CHcy:427,chcy:447,' +
+		'check:2713,checkmark:2713,Chi:3a7,chi:3c7,cir:25cb,circ:2c6,circeq:2257,circlearrowleft:21ba,' +
+		'circlearrowright:21bb,circledast:229b,circledcirc:229a,circleddash:229d,CircleDot:2299,circledR:ae,' +
+		'circledS:24c8,CircleMinus:2296,CirclePlus:2295,CircleTimes:2297,cirE:29c3,cire:2257,cirfnint:2a10,' +
+		'cirmid:2aef,cirscir:29c2,ClockwiseContourIntegral:2232,CloseCurlyDoubleQuote:201d,CloseCurlyQuote:2019,' +
+		'clubs:2663,clubsuit:2663,Colon:2237,colon:3a,Colone:2a74,colone:2254,coloneq:2254,comma:2c,commat:40,' +
+		'comp:2201,compfn:2218,complement:2201,complexes:2102,cong:2245,congdot:2a6d,Congruent:2261,Conint:222f,' +
+		'conint:222e,ContourIntegral:222e,Copf:2102,copf:1d554,coprod:2210,Coproduct:2210,COPY:a9,copy:a9,' +
+		'copysr:2117,CounterClockwiseContourIntegral:2233,crarr:21b5,Cross:2a2f,cross:2717,Cscr:1d49e,cscr:1d4b8,' +
+		'csub:2acf,csube:2ad1,csup:2ad0,csupe:2ad2,ctdot:22ef,cudarrl:2938,cudarrr:2935,cuepr:22de,cuesc:22df,' +
+		'cularr:21b6,cularrp:293d,Cup:22d3,cup:222a,cupbrcap:2a48,CupCap:224d,cupcap:2a46,cupcup:2a4a,cupdot:228d,' +
+		'cupor:2a45,cups:222a.fe00,curarr:21b7,curarrm:293c,curlyeqprec:22de,curlyeqsucc:22df,curlyvee:22ce,' +
+		'curlywedge:22cf,curren:a4,curvearrowleft:21b6,curvearrowright:21b7,cuvee:22ce,cuwed:22cf,cwconint:2232,' +
+		'cwint:2231,cylcty:232d,' +
+		'Dagger:2021,dagger:2020,daleth:2138,Darr:21a1,dArr:21d3,darr:2193,dash:2010,Dashv:2ae4,dashv:22a3,' +
+		'dbkarow:290f,dblac:2dd,Dcaron:10e,dcaron:10f,Dcy:414,dcy:434,DD:2145,dd:2146,ddagger:2021,ddarr:21ca,' +
+		'DDotrahd:2911,ddotseq:2a77,deg:b0,Del:2207,Delta:394,delta:3b4,demptyv:29b1,dfisht:297f,Dfr:1d507,' +
+		'dfr:1d521,dHar:2965,dharl:21c3,dharr:21c2,DiacriticalAcute:b4,DiacriticalDot:2d9,' +
+		'DiacriticalDoubleAcute:2dd,DiacriticalGrave:60,DiacriticalTilde:2dc,diam:22c4,Diamond:22c4,diamond:22c4,' +
+		'diamondsuit:2666,diams:2666,die:a8,DifferentialD:2146,digamma:3dd,disin:22f2,div:f7,divide:f7,' +
+		'divideontimes:22c7,divonx:22c7,DJcy:402,djcy:452,dlcorn:231e,dlcrop:230d,dollar:24,Dopf:1d53b,dopf:1d555,' +
+		'Dot:a8,dot:2d9,DotDot:20dc,doteq:2250,doteqdot:2251,DotEqual:2250,dotminus:2238,dotplus:2214,' +
+		'dotsquare:22a1,doublebarwedge:2306,DoubleContourIntegral:222f,DoubleDot:a8,DoubleDownArrow:21d3,' +
+		'DoubleLeftArrow:21d0,DoubleLeftRightArrow:21d4,DoubleLeftTee:2ae4,DoubleLongLeftArrow:27f8,' +
+		'DoubleLongLeftRightArrow:27fa,DoubleLongRightArrow:27f9,DoubleRightArrow:21d2,DoubleRightTee:22a8,' +
+		'DoubleUpArrow:21d1,DoubleUpDownArrow:21d5,DoubleVerticalBar:2225,DownArrow:2193,Downarrow:21d3,' +
+		'downarrow:2193,DownArrowBar:2913,DownArrowUpArrow:21f5,DownBreve:311,downdownarrows:21ca,' +
+		'downharpoonleft:21c3,downharpoonright:21c2,DownLeftRightVector:2950,DownLeftTeeVector:295e,' +
+		'DownLeftVector:21bd,DownLeftVectorBar:2956,DownRightTeeVector:295f,DownRightVector:21c1,' +
+		'DownRightVectorBar:2957,DownTee:22a4,DownTeeArrow:21a7,drbkarow:2910,drcorn:231f,drcrop:230c,Dscr:1d49f,' +
+		'dscr:1d4b9,DScy:405,dscy:455,dsol:29f6,Dstrok:110,dstrok:111,dtdot:22f1,dtri:25bf,dtrif:25be,duarr:21f5,' +
+		'duhar:296f,dwangle:29a6,DZcy:40f,dzcy:45f,dzigrarr:27ff,' +
+		'Eacute:c9,eacute:e9,easter:2a6e,Ecaron:11a,ecaron:11b,ecir:2256,Ecirc:ca,ecirc:ea,ecolon:2255,Ecy:42d,' +
+		'ecy:44d,eDDot:2a77,Edot:116,eDot:2251,edot:117,ee:2147,efDot:2252,Efr:1d508,efr:1d522,eg:2a9a,Egrave:c8,' +
+		'egrave:e8,egs:2a96,egsdot:2a98,el:2a99,Element:2208,elinters:23e7,ell:2113,els:2a95,elsdot:2a97,Emacr:112,' +
+		'emacr:113,empty:2205,emptyset:2205,EmptySmallSquare:25fb,emptyv:2205,EmptyVerySmallSquare:25ab,emsp:2003,' +
+		'emsp13:2004,emsp14:2005,ENG:14a,eng:14b,ensp:2002,Eogon:118,eogon:119,Eopf:1d53c,eopf:1d556,epar:22d5,' +
+		'eparsl:29e3,eplus:2a71,epsi:3b5,Epsilon:395,epsilon:3b5,epsiv:3f5,eqcirc:2256,eqcolon:2255,eqsim:2242,' +
+		'eqslantgtr:2a96,eqslantless:2a95,Equal:2a75,equals:3d,EqualTilde:2242,equest:225f,Equilibrium:21cc,' +
+		'equiv:2261,equivDD:2a78,eqvparsl:29e5,erarr:2971,erDot:2253,Escr:2130,escr:212f,esdot:2250,Esim:2a73,' +
+		'esim:2242,Eta:397,eta:3b7,ETH:d0,eth:f0,Euml:cb,euml:eb,euro:20ac,excl:21,exist:2203,Exists:2203,' +
+		'expectation:2130,ExponentialE:2147,exponentiale:2147,' +
+		'fallingdotseq:2252,Fcy:424,fcy:444,female:2640,ffilig:fb03,fflig:fb00,ffllig:fb04,Ffr:1d509,ffr:1d523,' +
+		'filig:fb01,FilledSmallSquare:25fc,FilledVerySmallSquare:25aa,fjlig:66.6a,flat:266d,fllig:fb02,fltns:25b1,' +
+		'fnof:192,Fopf:1d53d,fopf:1d557,ForAll:2200,forall:2200,fork:22d4,forkv:2ad9,Fouriertrf:2131,fpartint:2a0d,' +
+		'frac12:bd,frac13:2153,frac14:bc,frac15:2155,frac16:2159,frac18:215b,frac23:2154,frac25:2156,frac34:be,' +
+		'frac35:2157,frac38:215c,frac45:2158,frac56:215a,frac58:215d,frac78:215e,frasl:2044,frown:2322,Fscr:2131,' +
+		'fscr:1d4bb,' +
+		'gacute:1f5,Gamma:393,gamma:3b3,Gammad:3dc,gammad:3dd,gap:2a86,Gbreve:11e,gbreve:11f,Gcedil:122,Gcirc:11c,' +
+		'gcirc:11d,Gcy:413,gcy:433,Gdot:120,gdot:121,gE:2267,ge:2265,gEl:2a8c,gel:22db,geq:2265,geqq:2267,' +
+		'geqslant:2a7e,ges:2a7e,gescc:2aa9,gesdot:2a80,gesdoto:2a82,gesdotol:2a84,gesl:22db.fe00,gesles:2a94,' +
+		'Gfr:1d50a,gfr:1d524,Gg:22d9,gg:226b,ggg:22d9,gimel:2137,GJcy:403,gjcy:453,gl:2277,gla:2aa5,glE:2a92,' +
+		'glj:2aa4,gnap:2a8a,gnapprox:2a8a,gnE:2269,gne:2a88,gneq:2a88,gneqq:2269,gnsim:22e7,Gopf:1d53e,gopf:1d558,' +
+		'grave:60,GreaterEqual:2265,GreaterEqualLess:22db,GreaterFullEqual:2267,GreaterGreater:2aa2,' +
+		'GreaterLess:2277,GreaterSlantEqual:2a7e,GreaterTilde:2273,Gscr:1d4a2,gscr:210a,gsim:2273,gsime:2a8e,' +
+		'gsiml:2a90,GT:3e,Gt:226b,gt:3e,gtcc:2aa7,gtcir:2a7a,gtdot:22d7,gtlPar:2995,gtquest:2a7c,gtrapprox:2a86,' +
+		'gtrarr:2978,gtrdot:22d7,gtreqless:22db,gtreqqless:2a8c,gtrless:2277,gtrsim:2273,gvertneqq:2269.fe00,' +
+		'gvnE:2269.fe00,' +
+		'Hacek:2c7,hairsp:200a,half:bd,hamilt:210b,HARDcy:42a,hardcy:44a,hArr:21d4,harr:2194,harrcir:2948,' +
+		'harrw:21ad,Hat:5e,hbar:210f,Hcirc:124,hcirc:125,hearts:2665,heartsuit:2665,hellip:2026,hercon:22b9,' +
+		'Hfr:210c,hfr:1d525,HilbertSpace:210b,hksearow:2925,hkswarow:2926,hoarr:21ff,homtht:223b,hookleftarrow:21a9,' +
+		'hookrightarrow:21aa,Hopf:210d,hopf:1d559,horbar:2015,HorizontalLine:2500,Hscr:210b,hscr:1d4bd,hslash:210f,' +
+		'Hstrok:126,hstrok:127,HumpDownHump:224e,HumpEqual:224f,hybull:2043,hyphen:2010,' +
+		'Iacute:cd,iacute:ed,ic:2063,Icirc:ce,icirc:ee,Icy:418,icy:438,Idot:130,IEcy:415,iecy:435,iexcl:a1,iff:21d4,' +
+		'Ifr:2111,ifr:1d526,Igrave:cc,igrave:ec,ii:2148,iiiint:2a0c,iiint:222d,iinfin:29dc,iiota:2129,IJlig:132,' +
+		'ijlig:133,Im:2111,Imacr:12a,imacr:12b,image:2111,ImaginaryI:2148,imagline:2110,imagpart:2111,imath:131,' +
+		'imof:22b7,imped:1b5,Implies:21d2,in:2208,incare:2105,infin:221e,infintie:29dd,inodot:131,Int:222c,int:222b,' +
+		'intcal:22ba,integers:2124,Integral:222b,intercal:22ba,Intersection:22c2,intlarhk:2a17,intprod:2a3c,' +
+		'InvisibleComma:2063,InvisibleTimes:2062,IOcy:401,iocy:451,Iogon:12e,iogon:12f,Iopf:1d540,iopf:1d55a,' +
+		'Iota:399,iota:3b9,iprod:2a3c,iquest:bf,Iscr:2110,iscr:1d4be,isin:2208,isindot:22f5,isinE:22f9,isins:22f4,' +
+		'isinsv:22f3,isinv:2208,it:2062,Itilde:128,itilde:129,Iukcy:406,iukcy:456,Iuml:cf,iuml:ef,' +
+		'Jcirc:134,jcirc:135,Jcy:419,jcy:439,Jfr:1d50d,jfr:1d527,jmath:237,Jopf:1d541,jopf:1d55b,Jscr:1d4a5,' +
+		'jscr:1d4bf,Jsercy:408,jsercy:458,Jukcy:404,jukcy:454,' +
+		'Kappa:39a,kappa:3ba,kappav:3f0,Kcedil:136,kcedil:137,Kcy:41a,kcy:43a,Kfr:1d50e,kfr:1d528,kgreen:138,' +
+		'KHcy:425,khcy:445,KJcy:40c,kjcy:45c,Kopf:1d542,kopf:1d55c,Kscr:1d4a6,kscr:1d4c0,' +
+		'lAarr:21da,Lacute:139,lacute:13a,laemptyv:29b4,lagran:2112,Lambda:39b,lambda:3bb,Lang:27ea,lang:27e8,' +
+		'langd:2991,langle:27e8,lap:2a85,Laplacetrf:2112,laquo:ab,Larr:219e,lArr:21d0,larr:2190,larrb:21e4,' +
+		'larrbfs:291f,larrfs:291d,larrhk:21a9,larrlp:21ab,larrpl:2939,larrsim:2973,larrtl:21a2,lat:2aab,lAtail:291b,' +
+		'latail:2919,late:2aad,lates:2aad.fe00,lBarr:290e,lbarr:290c,lbbrk:2772,lbrace:7b,lbrack:5b,lbrke:298b,' +
+		'lbrksld:298f,lbrkslu:298d,Lcaron:13d,lcaron:13e,Lcedil:13b,lcedil:13c,lceil:2308,lcub:7b,Lcy:41b,lcy:43b,' +
+		'ldca:2936,ldquo:201c,ldquor:201e,ldrdhar:2967,ldrushar:294b,ldsh:21b2,lE:2266,le:2264,' +
+		'LeftAngleBracket:27e8,LeftArrow:2190,Leftarrow:21d0,leftarrow:2190,LeftArrowBar:21e4,' +
+		'LeftArrowRightArrow:21c6,leftarrowtail:21a2,LeftCeiling:2308,LeftDoubleBracket:27e6,LeftDownTeeVector:2961,' +
+		'LeftDownVector:21c3,LeftDownVectorBar:2959,LeftFloor:230a,leftharpoondown:21bd,leftharpoonup:21bc,' +
+		'leftleftarrows:21c7,LeftRightArrow:2194,Leftrightarrow:21d4,leftrightarrow:2194,leftrightarrows:21c6,' +
+		'leftrightharpoons:21cb,leftrightsquigarrow:21ad,LeftRightVector:294e,LeftTee:22a3,LeftTeeArrow:21a4,' +
+		'LeftTeeVector:295a,leftthreetimes:22cb,LeftTriangle:22b2,LeftTriangleBar:29cf,LeftTriangleEqual:22b4,' +
+		'LeftUpDownVector:2951,LeftUpTeeVector:2960,LeftUpVector:21bf,LeftUpVectorBar:2958,LeftVector:21bc,' +
+		'LeftVectorBar:2952,lEg:2a8b,leg:22da,leq:2264,leqq:2266,leqslant:2a7d,les:2a7d,lescc:2aa8,lesdot:2a7f,' +
+		'lesdoto:2a81,lesdotor:2a83,lesg:22da.fe00,lesges:2a93,lessapprox:2a85,lessdot:22d6,lesseqgtr:22da,' +
+		'lesseqqgtr:2a8b,LessEqualGreater:22da,LessFullEqual:2266,LessGreater:2276,lessgtr:2276,LessLess:2aa1,' +
+		'lesssim:2272,LessSlantEqual:2a7d,LessTilde:2272,lfisht:297c,lfloor:230a,Lfr:1d50f,lfr:1d529,lg:2276,' +
+		'lgE:2a91,lHar:2962,lhard:21bd,lharu:21bc,lharul:296a,lhblk:2584,LJcy:409,ljcy:459,Ll:22d8,ll:226a,' +
+		'llarr:21c7,llcorner:231e,Lleftarrow:21da,llhard:296b,lltri:25fa,Lmidot:13f,lmidot:140,lmoust:23b0,' +
+		'lmoustache:23b0,lnap:2a89,lnapprox:2a89,lnE:2268,lne:2a87,lneq:2a87,lneqq:2268,lnsim:22e6,loang:27ec,' +
+		'loarr:21fd,lobrk:27e6,LongLeftArrow:27f5,Longleftarrow:27f8,longleftarrow:27f5,LongLeftRightArrow:27f7,' +
+		'Longleftrightarrow:27fa,longleftrightarrow:27f7,longmapsto:27fc,LongRightArrow:27f6,Longrightarrow:27f9,' +
+		'longrightarrow:27f6,looparrowleft:21ab,looparrowright:21ac,lopar:2985,Lopf:1d543,lopf:1d55d,loplus:2a2d,' +
+		'lotimes:2a34,lowast:2217,lowbar:5f,LowerLeftArrow:2199,LowerRightArrow:2198,loz:25ca,lozenge:25ca,' +
+		'lozf:29eb,lpar:28,lparlt:2993,lrarr:21c6,lrcorner:231f,lrhar:21cb,lrhard:296d,lrm:200e,lrtri:22bf,' +
+		'lsaquo:2039,Lscr:2112,lscr:1d4c1,Lsh:21b0,lsh:21b0,lsim:2272,lsime:2a8d,lsimg:2a8f,lsqb:5b,lsquo:2018,' +
+		'lsquor:201a,Lstrok:141,lstrok:142,LT:3c,Lt:226a,lt:3c,ltcc:2aa6,ltcir:2a79,ltdot:22d6,lthree:22cb,' +
+		'ltimes:22c9,ltlarr:2976,ltquest:2a7b,ltri:25c3,ltrie:22b4,ltrif:25c2,ltrPar:2996,lurdshar:294a,' +
+		'luruhar:2966,lvertneqq:2268.fe00,lvnE:2268.fe00,' +
+		'macr:af,male:2642,malt:2720,maltese:2720,Map:2905,map:21a6,mapsto:21a6,mapstodown:21a7,mapstoleft:21a4,' +
+		'mapstoup:21a5,marker:25ae,mcomma:2a29,Mcy:41c,mcy:43c,mdash:2014,mDDot:223a,measuredangle:2221,' +
+		'MediumSpace:205f,Mellintrf:2133,Mfr:1d510,mfr:1d52a,mho:2127,micro:b5,mid:2223,midast:2a,midcir:2af0,' +
+		'middot:b7,minus:2212,minusb:229f,minusd:2238,minusdu:2a2a,MinusPlus:2213,mlcp:2adb,mldr:2026,mnplus:2213,' +
+		'models:22a7,Mopf:1d544,mopf:1d55e,mp:2213,Mscr:2133,mscr:1d4c2,mstpos:223e,Mu:39c,mu:3bc,multimap:22b8,' +
+		'mumap:22b8,' +
+		'nabla:2207,Nacute:143,nacute:144,nang:2220.20d2,nap:2249,napE:2a70.338,napid:224b.338,napos:149,' +
+		'napprox:2249,natur:266e,natural:266e,naturals:2115,nbsp:a0,nbump:224e.338,nbumpe:224f.338,ncap:2a43,' +
+		'Ncaron:147,ncaron:148,Ncedil:145,ncedil:146,ncong:2247,ncongdot:2a6d.338,ncup:2a42,Ncy:41d,ncy:43d,' +
+		'ndash:2013,ne:2260,nearhk:2924,neArr:21d7,nearr:2197,nearrow:2197,nedot:2250.338,NegativeMediumSpace:200b,' +
+		'NegativeThickSpace:200b,NegativeThinSpace:200b,NegativeVeryThinSpace:200b,nequiv:2262,nesear:2928,' +
+		'nesim:2242.338,NestedGreaterGreater:226b,NestedLessLess:226a,NewLine:a,nexist:2204,nexists:2204,Nfr:1d511,' +
+		'nfr:1d52b,ngE:2267.338,nge:2271,ngeq:2271,ngeqq:2267.338,ngeqslant:2a7e.338,nges:2a7e.338,nGg:22d9.338,' +
+		'ngsim:2275,nGt:226b.20d2,ngt:226f,ngtr:226f,nGtv:226b.338,nhArr:21ce,nharr:21ae,nhpar:2af2,ni:220b,' +
+		'nis:22fc,nisd:22fa,niv:220b,NJcy:40a,njcy:45a,nlArr:21cd,nlarr:219a,nldr:2025,nlE:2266.338,nle:2270,' +
+		'nLeftarrow:21cd,nleftarrow:219a,nLeftrightarrow:21ce,nleftrightarrow:21ae,nleq:2270,nleqq:2266.338,' +
+		'nleqslant:2a7d.338,nles:2a7d.338,nless:226e,nLl:22d8.338,nlsim:2274,nLt:226a.20d2,nlt:226e,nltri:22ea,' +
+		'nltrie:22ec,nLtv:226a.338,nmid:2224,NoBreak:2060,NonBreakingSpace:a0,Nopf:2115,nopf:1d55f,Not:2aec,not:ac,' +
+		'NotCongruent:2262,NotCupCap:226d,NotDoubleVerticalBar:2226,NotElement:2209,NotEqual:2260,' +
+		'NotEqualTilde:2242.338,NotExists:2204,NotGreater:226f,NotGreaterEqual:2271,NotGreaterFullEqual:2267.338,' +
+		'NotGreaterGreater:226b.338,NotGreaterLess:2279,NotGreaterSlantEqual:2a7e.338,NotGreaterTilde:2275,' +
+		'NotHumpDownHump:224e.338,NotHumpEqual:224f.338,notin:2209,notindot:22f5.338,notinE:22f9.338,notinva:2209,' +
+		'notinvb:22f7,notinvc:22f6,NotLeftTriangle:22ea,NotLeftTriangleBar:29cf.338,NotLeftTriangleEqual:22ec,' +
+		'NotLess:226e,NotLessEqual:2270,NotLessGreater:2278,NotLessLess:226a.338,NotLessSlantEqual:2a7d.338,' +
+		'NotLessTilde:2274,NotNestedGreaterGreater:2aa2.338,NotNestedLessLess:2aa1.338,notni:220c,notniva:220c,' +
+		'notnivb:22fe,notnivc:22fd,NotPrecedes:2280,NotPrecedesEqual:2aaf.338,NotPrecedesSlantEqual:22e0,' +
+		'NotReverseElement:220c,NotRightTriangle:22eb,NotRightTriangleBar:29d0.338,NotRightTriangleEqual:22ed,' +
+		'NotSquareSubset:228f.338,NotSquareSubsetEqual:22e2,NotSquareSuperset:2290.338,NotSquareSupersetEqual:22e3,' +
+		'NotSubset:2282.20d2,NotSubsetEqual:2288,NotSucceeds:2281,NotSucceedsEqual:2ab0.338,' +
+		'NotSucceedsSlantEqual:22e1,NotSucceedsTilde:227f.338,NotSuperset:2283.20d2,NotSupersetEqual:2289,' +
+		'NotTilde:2241,NotTildeEqual:2244,NotTildeFullEqual:2247,NotTildeTilde:2249,NotVerticalBar:2224,npar:2226,' +
+		'nparallel:2226,nparsl:2afd.20e5,npart:2202.338,npolint:2a14,npr:2280,nprcue:22e0,npre:2aaf.338,nprec:2280,' +
+		'npreceq:2aaf.338,nrArr:21cf,nrarr:219b,nrarrc:2933.338,nrarrw:219d.338,nRightarrow:21cf,nrightarrow:219b,' +
+		'nrtri:22eb,nrtrie:22ed,nsc:2281,nsccue:22e1,nsce:2ab0.338,Nscr:1d4a9,nscr:1d4c3,nshortmid:2224,' +
+		'nshortparallel:2226,nsim:2241,nsime:2244,nsimeq:2244,nsmid:2224,nspar:2226,nsqsube:22e2,nsqsupe:22e3,' +
+		'nsub:2284,nsubE:2ac5.338,nsube:2288,nsubset:2282.20d2,nsubseteq:2288,nsubseteqq:2ac5.338,nsucc:2281,' +
+		'nsucceq:2ab0.338,nsup:2285,nsupE:2ac6.338,nsupe:2289,nsupset:2283.20d2,nsupseteq:2289,nsupseteqq:2ac6.338,' +
+		'ntgl:2279,Ntilde:d1,ntilde:f1,ntlg:2278,ntriangleleft:22ea,ntrianglelefteq:22ec,ntriangleright:22eb,' +
+		'ntrianglerighteq:22ed,Nu:39d,nu:3bd,num:23,numero:2116,numsp:2007,nvap:224d.20d2,nVDash:22af,nVdash:22ae,' +
+		'nvDash:22ad,nvdash:22ac,nvge:2265.20d2,nvgt:3e.20d2,nvHarr:2904,nvinfin:29de,nvlArr:2902,nvle:2264.20d2,' +
+		'nvlt:3c.20d2,nvltrie:22b4.20d2,nvrArr:2903,nvrtrie:22b5.20d2,nvsim:223c.20d2,nwarhk:2923,nwArr:21d6,' +
+		'nwarr:2196,nwarrow:2196,nwnear:2927,' +
+		'Oacute:d3,oacute:f3,oast:229b,ocir:229a,Ocirc:d4,ocirc:f4,Ocy:41e,ocy:43e,odash:229d,Odblac:150,odblac:151,' +
+		'odiv:2a38,odot:2299,odsold:29bc,OElig:152,oelig:153,ofcir:29bf,Ofr:1d512,ofr:1d52c,ogon:2db,Ograve:d2,' +
+		'ograve:f2,ogt:29c1,ohbar:29b5,ohm:3a9,oint:222e,olarr:21ba,olcir:29be,olcross:29bb,oline:203e,olt:29c0,' +
+		'Omacr:14c,omacr:14d,Omega:3a9,omega:3c9,Omicron:39f,omicron:3bf,omid:29b6,ominus:2296,Oopf:1d546,' +
+		'oopf:1d560,opar:29b7,OpenCurlyDoubleQuote:201c,OpenCurlyQuote:2018,operp:29b9,oplus:2295,Or:2a54,or:2228,' +
+		'orarr:21bb,ord:2a5d,order:2134,orderof:2134,ordf:aa,ordm:ba,origof:22b6,oror:2a56,orslope:2a57,orv:2a5b,' +
+		'oS:24c8,Oscr:1d4aa,oscr:2134,Oslash:d8,oslash:f8,osol:2298,Otilde:d5,otilde:f5,Otimes:2a37,otimes:2297,' +
+		'otimesas:2a36,Ouml:d6,ouml:f6,ovbar:233d,OverBar:203e,OverBrace:23de,OverBracket:23b4,OverParenthesis:23dc,' +
+		'par:2225,para:b6,parallel:2225,parsim:2af3,parsl:2afd,part:2202,PartialD:2202,Pcy:41f,pcy:43f,percnt:25,' +
+		'period:2e,permil:2030,perp:22a5,pertenk:2031,Pfr:1d513,pfr:1d52d,Phi:3a6,phi:3c6,phiv:3d5,phmmat:2133,' +
+		'phone:260e,Pi:3a0,pi:3c0,pitchfork:22d4,piv:3d6,planck:210f,planckh:210e,plankv:210f,plus:2b,plusacir:2a23,' +
+		'plusb:229e,pluscir:2a22,plusdo:2214,plusdu:2a25,pluse:2a72,PlusMinus:b1,plusmn:b1,plussim:2a26,' +
+		'plustwo:2a27,pm:b1,Poincareplane:210c,pointint:2a15,Popf:2119,popf:1d561,pound:a3,Pr:2abb,pr:227a,' +
+		'prap:2ab7,prcue:227c,prE:2ab3,pre:2aaf,prec:227a,precapprox:2ab7,preccurlyeq:227c,Precedes:227a,' +
+		'PrecedesEqual:2aaf,PrecedesSlantEqual:227c,PrecedesTilde:227e,preceq:2aaf,precnapprox:2ab9,precneqq:2ab5,' +
+		'precnsim:22e8,precsim:227e,Prime:2033,prime:2032,primes:2119,prnap:2ab9,prnE:2ab5,prnsim:22e8,prod:220f,' +
+		'Product:220f,profalar:232e,profline:2312,profsurf:2313,prop:221d,Proportion:2237,Proportional:221d,' +
+		'propto:221d,prsim:227e,prurel:22b0,Pscr:1d4ab,pscr:1d4c5,Psi:3a8,psi:3c8,puncsp:2008,' +
+		'Qfr:1d514,qfr:1d52e,qint:2a0c,Qopf:211a,qopf:1d562,qprime:2057,Qscr:1d4ac,qscr:1d4c6,quaternions:210d,' +
+		'quatint:2a16,quest:3f,questeq:225f,QUOT:22,quot:22,' +
+		'rAarr:21db,race:223d.331,Racute:154,racute:155,radic:221a,raemptyv:29b3,Rang:27eb,rang:27e9,rangd:2992,' +
+		'range:29a5,rangle:27e9,raquo:bb,Rarr:21a0,rArr:21d2,rarr:2192,rarrap:2975,rarrb:21e5,rarrbfs:2920,' +
+		'rarrc:2933,rarrfs:291e,rarrhk:21aa,rarrlp:21ac,rarrpl:2945,rarrsim:2974,Rarrtl:2916,rarrtl:21a3,rarrw:219d,' +
+		'rAtail:291c,ratail:291a,ratio:2236,rationals:211a,RBarr:2910,rBarr:290f,rbarr:290d,rbbrk:2773,rbrace:7d,' +
+		'rbrack:5d,rbrke:298c,rbrksld:298e,rbrkslu:2990,Rcaron:158,rcaron:159,Rcedil:156,rcedil:157,rceil:2309,' +
+		'rcub:7d,Rcy:420,rcy:440,rdca:2937,rdldhar:2969,rdquo:201d,rdquor:201d,rdsh:21b3,Re:211c,real:211c,' +
+		'realine:211b,realpart:211c,reals:211d,rect:25ad,REG:ae,reg:ae,ReverseElement:220b,ReverseEquilibrium:21cb,' +
+		'ReverseUpEquilibrium:296f,rfisht:297d,rfloor:230b,Rfr:211c,rfr:1d52f,rHar:2964,rhard:21c1,rharu:21c0,' +
+		'rharul:296c,Rho:3a1,rho:3c1,rhov:3f1,RightAngleBracket:27e9,RightArrow:2192,Rightarrow:21d2,' +
+		'rightarrow:2192,RightArrowBar:21e5,RightArrowLeftArrow:21c4,rightarrowtail:21a3,RightCeiling:2309,' +
+		'RightDoubleBracket:27e7,RightDownTeeVector:295d,RightDownVector:21c2,RightDownVectorBar:2955,' +
+		'RightFloor:230b,rightharpoondown:21c1,rightharpoonup:21c0,rightleftarrows:21c4,rightleftharpoons:21cc,' +
+		'rightrightarrows:21c9,rightsquigarrow:219d,RightTee:22a2,RightTeeArrow:21a6,RightTeeVector:295b,' +
+		'rightthreetimes:22cc,RightTriangle:22b3,RightTriangleBar:29d0,RightTriangleEqual:22b5,' +
+		'RightUpDownVector:294f,RightUpTeeVector:295c,RightUpVector:21be,RightUpVectorBar:2954,RightVector:21c0,' +
+		'RightVectorBar:2953,ring:2da,risingdotseq:2253,rlarr:21c4,rlhar:21cc,rlm:200f,rmoust:23b1,rmoustache:23b1,' +
+		'rnmid:2aee,roang:27ed,roarr:21fe,robrk:27e7,ropar:2986,Ropf:211d,ropf:1d563,roplus:2a2e,rotimes:2a35,' +
+		'RoundImplies:2970,rpar:29,rpargt:2994,rppolint:2a12,rrarr:21c9,Rrightarrow:21db,rsaquo:203a,Rscr:211b,' +
+		'rscr:1d4c7,Rsh:21b1,rsh:21b1,rsqb:5d,rsquo:2019,rsquor:2019,rthree:22cc,rtimes:22ca,rtri:25b9,rtrie:22b5,' +
+		'rtrif:25b8,rtriltri:29ce,RuleDelayed:29f4,ruluhar:2968,rx:211e,' +
+		'Sacute:15a,sacute:15b,sbquo:201a,Sc:2abc,sc:227b,scap:2ab8,Scaron:160,scaron:161,sccue:227d,scE:2ab4,' +
+		'sce:2ab0,Scedil:15e,scedil:15f,Scirc:15c,scirc:15d,scnap:2aba,scnE:2ab6,scnsim:22e9,scpolint:2a13,' +
+		'scsim:227f,Scy:421,scy:441,sdot:22c5,sdotb:22a1,sdote:2a66,searhk:2925,seArr:21d8,searr:2198,searrow:2198,' +
+		'sect:a7,semi:3b,seswar:2929,setminus:2216,setmn:2216,sext:2736,Sfr:1d516,sfr:1d530,sfrown:2322,sharp:266f,' +
+		'SHCHcy:429,shchcy:449,SHcy:428,shcy:448,ShortDownArrow:2193,ShortLeftArrow:2190,shortmid:2223,' +
+		'shortparallel:2225,ShortRightArrow:2192,ShortUpArrow:2191,shy:ad,Sigma:3a3,sigma:3c3,sigmaf:3c2,sigmav:3c2,' +
+		'sim:223c,simdot:2a6a,sime:2243,simeq:2243,simg:2a9e,simgE:2aa0,siml:2a9d,simlE:2a9f,simne:2246,' +
+		'simplus:2a24,simrarr:2972,slarr:2190,SmallCircle:2218,smallsetminus:2216,smashp:2a33,smeparsl:29e4,' +
+		'smid:2223,smile:2323,smt:2aaa,smte:2aac,smtes:2aac.fe00,SOFTcy:42c,softcy:44c,sol:2f,solb:29c4,solbar:233f,' +
+		'Sopf:1d54a,sopf:1d564,spades:2660,spadesuit:2660,spar:2225,sqcap:2293,sqcaps:2293.fe00,sqcup:2294,' +
+		'sqcups:2294.fe00,Sqrt:221a,sqsub:228f,sqsube:2291,sqsubset:228f,sqsubseteq:2291,sqsup:2290,sqsupe:2292,' +
+		'sqsupset:2290,sqsupseteq:2292,squ:25a1,Square:25a1,square:25a1,SquareIntersection:2293,SquareSubset:228f,' +
+		'SquareSubsetEqual:2291,SquareSuperset:2290,SquareSupersetEqual:2292,SquareUnion:2294,squarf:25aa,squf:25aa,' +
+		'srarr:2192,Sscr:1d4ae,sscr:1d4c8,ssetmn:2216,ssmile:2323,sstarf:22c6,Star:22c6,star:2606,starf:2605,' +
+		'straightepsilon:3f5,straightphi:3d5,strns:af,Sub:22d0,sub:2282,subdot:2abd,subE:2ac5,sube:2286,' +
+		'subedot:2ac3,submult:2ac1,subnE:2acb,subne:228a,subplus:2abf,subrarr:2979,Subset:22d0,subset:2282,' +
+		'subseteq:2286,subseteqq:2ac5,SubsetEqual:2286,subsetneq:228a,subsetneqq:2acb,subsim:2ac7,subsub:2ad5,' +
+		'subsup:2ad3,succ:227b,succapprox:2ab8,succcurlyeq:227d,Succeeds:227b,SucceedsEqual:2ab0,' +
+		'SucceedsSlantEqual:227d,SucceedsTilde:227f,succeq:2ab0,succnapprox:2aba,succneqq:2ab6,succnsim:22e9,' +
+		'succsim:227f,SuchThat:220b,Sum:2211,sum:2211,sung:266a,Sup:22d1,sup:2283,sup1:b9,sup2:b2,sup3:b3,' +
+		'supdot:2abe,supdsub:2ad8,supE:2ac6,supe:2287,supedot:2ac4,Superset:2283,SupersetEqual:2287,suphsol:27c9,' +
+		'suphsub:2ad7,suplarr:297b,supmult:2ac2,supnE:2acc,supne:228b,supplus:2ac0,Supset:22d1,supset:2283,' +
+		'supseteq:2287,supseteqq:2ac6,supsetneq:228b,supsetneqq:2acc,supsim:2ac8,supsub:2ad4,supsup:2ad6,' +
+		'swarhk:2926,swArr:21d9,swarr:2199,swarrow:2199,swnwar:292a,szlig:df,' +
+		'Tab:9,target:2316,Tau:3a4,tau:3c4,tbrk:23b4,Tcaron:164,tcaron:165,Tcedil:162,tcedil:163,Tcy:422,tcy:442,' +
+		'tdot:20db,telrec:2315,Tfr:1d517,tfr:1d531,there4:2234,Therefore:2234,therefore:2234,Theta:398,theta:3b8,' +
+		'thetasym:3d1,thetav:3d1,thickapprox:2248,thicksim:223c,ThickSpace:205f.200a,thinsp:2009,ThinSpace:2009,' +
+		'thkap:2248,thksim:223c,THORN:de,thorn:fe,Tilde:223c,tilde:2dc,TildeEqual:2243,TildeFullEqual:2245,' +
+		'TildeTilde:2248,times:d7,timesb:22a0,timesbar:2a31,timesd:2a30,tint:222d,toea:2928,top:22a4,topbot:2336,' +
+		'topcir:2af1,Topf:1d54b,topf:1d565,topfork:2ada,tosa:2929,tprime:2034,TRADE:2122,trade:2122,triangle:25b5,' +
+		'triangledown:25bf,triangleleft:25c3,trianglelefteq:22b4,triangleq:225c,triangleright:25b9,' +
+		'trianglerighteq:22b5,tridot:25ec,trie:225c,triminus:2a3a,TripleDot:20db,triplus:2a39,trisb:29cd,' +
+		'tritime:2a3b,trpezium:23e2,Tscr:1d4af,tscr:1d4c9,TScy:426,tscy:446,TSHcy:40b,tshcy:45b,Tstrok:166,' +
+		'tstrok:167,twixt:226c,twoheadleftarrow:219e,twoheadrightarrow:21a0,' +
+		'Uacute:da,uacute:fa,Uarr:219f,uArr:21d1,uarr:2191,Uarrocir:2949,Ubrcy:40e,ubrcy:45e,Ubreve:16c,ubreve:16d,' +
+		'Ucirc:db,ucirc:fb,Ucy:423,ucy:443,udarr:21c5,Udblac:170,udblac:171,udhar:296e,ufisht:297e,Ufr:1d518,' +
+		'ufr:1d532,Ugrave:d9,ugrave:f9,uHar:2963,uharl:21bf,uharr:21be,uhblk:2580,ulcorn:231c,ulcorner:231c,' +
+		'ulcrop:230f,ultri:25f8,Umacr:16a,umacr:16b,uml:a8,UnderBar:5f,UnderBrace:23df,UnderBracket:23b5,' +
+		'UnderParenthesis:23dd,Union:22c3,UnionPlus:228e,Uogon:172,uogon:173,Uopf:1d54c,uopf:1d566,UpArrow:2191,' +
+		'Uparrow:21d1,uparrow:2191,UpArrowBar:2912,UpArrowDownArrow:21c5,UpDownArrow:2195,Updownarrow:21d5,' +
+		'updownarrow:2195,UpEquilibrium:296e,upharpoonleft:21bf,upharpoonright:21be,uplus:228e,UpperLeftArrow:2196,' +
+		'UpperRightArrow:2197,Upsi:3d2,upsi:3c5,upsih:3d2,Upsilon:3a5,upsilon:3c5,UpTee:22a5,UpTeeArrow:21a5,' +
+		'upuparrows:21c8,urcorn:231d,urcorner:231d,urcrop:230e,Uring:16e,uring:16f,urtri:25f9,Uscr:1d4b0,uscr:1d4ca,' +
+		'utdot:22f0,Utilde:168,utilde:169,utri:25b5,utrif:25b4,uuarr:21c8,Uuml:dc,uuml:fc,uwangle:29a7,' +
+		'vangrt:299c,varepsilon:3f5,varkappa:3f0,varnothing:2205,varphi:3d5,varpi:3d6,varpropto:221d,vArr:21d5,' +
+		'varr:2195,varrho:3f1,varsigma:3c2,varsubsetneq:228a.fe00,varsubsetneqq:2acb.fe00,varsupsetneq:228b.fe00,' +
+		'varsupsetneqq:2acc.fe00,vartheta:3d1,vartriangleleft:22b2,vartriangleright:22b3,Vbar:2aeb,vBar:2ae8,' +
+		'vBarv:2ae9,Vcy:412,vcy:432,VDash:22ab,Vdash:22a9,vDash:22a8,vdash:22a2,Vdashl:2ae6,Vee:22c1,vee:2228,' +
+		'veebar:22bb,veeeq:225a,vellip:22ee,Verbar:2016,verbar:7c,Vert:2016,vert:7c,VerticalBar:2223,' +
+		'VerticalLine:7c,VerticalSeparator:2758,VerticalTilde:2240,VeryThinSpace:200a,Vfr:1d519,vfr:1d533,' +
+		'vltri:22b2,vnsub:2282.20d2,vnsup:2283.20d2,Vopf:1d54d,vopf:1d567,vprop:221d,vrtri:22b3,Vscr:1d4b1,' +
+		'vscr:1d4cb,vsubnE:2acb.fe00,vsubne:228a.fe00,vsupnE:2acc.fe00,vsupne:228b.fe00,Vvdash:22aa,vzigzag:299a,' +
+		'Wcirc:174,wcirc:175,wedbar:2a5f,Wedge:22c0,wedge:2227,wedgeq:2259,weierp:2118,Wfr:1d51a,wfr:1d534,' +
+		'Wopf:1d54e,wopf:1d568,wp:2118,wr:2240,wreath:2240,Wscr:1d4b2,wscr:1d4cc,' +
+		'xcap:22c2,xcirc:25ef,xcup:22c3,xdtri:25bd,Xfr:1d51b,xfr:1d535,xhArr:27fa,xharr:27f7,Xi:39e,xi:3be,' +
+		'xlArr:27f8,xlarr:27f5,xmap:27fc,xnis:22fb,xodot:2a00,Xopf:1d54f,xopf:1d569,xoplus:2a01,xotime:2a02,' +
+		'xrArr:27f9,xrarr:27f6,Xscr:1d4b3,xscr:1d4cd,xsqcup:2a06,xuplus:2a04,xutri:25b3,xvee:22c1,xwedge:22c0,' +
+		'Yacute:dd,yacute:fd,YAcy:42f,yacy:44f,Ycirc:176,ycirc:177,Ycy:42b,ycy:44b,yen:a5,Yfr:1d51c,yfr:1d536,' +
+		'YIcy:407,yicy:457,Yopf:1d550,yopf:1d56a,Yscr:1d4b4,yscr:1d4ce,YUcy:42e,yucy:44e,Yuml:178,yuml:ff,' +
+		'Zacute:179,zacute:17a,Zcaron:17d,zcaron:17e,Zcy:417,zcy:437,Zdot:17b,zdot:17c,zeetrf:2128,' +
+		'ZeroWidthSpace:200b,Zeta:396,zeta:3b6,Zfr:2128,zfr:1d537,ZHcy:416,zhcy:436,zigrarr:21dd,Zopf:2124,' +
+		'zopf:1d56b,Zscr:1d4b5,zscr:1d4cf,zwj:200d,zwnj:200c',
+
+	// 允许省略分号的旧式命名实体
+	htmlLegacyEntities: 'AElig,AMP,Aacute,Acirc,Agrave,Aring,Atilde,Auml,COPY,Ccedil,ETH,Eacute,Ecirc,Egrave,Euml,GT,Iacute,' +
+		'Icirc,Igrave,Iuml,LT,Ntilde,Oacute,Ocirc,Ograve,Oslash,Otilde,Ouml,QUOT,REG,THORN,Uacute,Ucirc,Ugrave,Uuml,' +
+		'Yacute,aacute,acirc,acute,aelig,agrave,amp,aring,atilde,auml,brvbar,ccedil,cedil,cent,copy,curren,deg,divide,' +
+		'eacute,ecirc,egrave,eth,euml,frac12,frac14,frac34,gt,iacute,icirc,iexcl,igrave,iquest,iuml,laquo,lt,macr,' +
+		'micro,middot,nbsp,not,ntilde,oacute,ocirc,ograve,ordf,ordm,oslash,otilde,ouml,para,plusmn,pound,quot,raquo,' +
+		'reg,sect,shy,sup1,sup2,sup3,szlig,thorn,times,uacute,ucirc,ugrave,uml,uuml,yacute,yen,yuml',
+
+	// 命名实体映射表（首次解码时构建）
+	htmlEntityMap: null
 };
+
+// 导出模块（浏览器中为全局变量svgCC，Node.js中可通过require引入）
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = svgCC;
+}
@@ -9,4 +9,4 @@
  * @repository https://github.com/qiruoKING/svg-code-convert
  *             https://gitee.com/forPage/svg-code-convert
  */
-const svgCC={preservedAttrsList:["class","id","name","label","pointer-events","transform","opacity"],filterPreservedAttrs:function(t={}){var e,r,i={};for([e,r]of Object.entries(t))(this.preservedAttrsList.includes(e)||e.startsWith("data-"))&&(i[e]=r);return i},removeWidth:function(t){return t.filter(t=>""!==t.trim()).join(";").split(";").map(t=>t.trim()).filter(t=>!/^width\s*:/i.test(t)).join("; ").trim()},getImageRatio:function(r){return new Promise((i,t)=>{const o=document.createElement("img"),a=(o.style.position="absolute",o.style.visibility="hidden",o.style.width="auto",o.style.height="auto",o.style.opacity=0,document.body.appendChild(o),setTimeout(()=>{o.parentNode&&o.parentNode.removeChild(o),t(new Error("图片加载超时"))},5e3));o.crossOrigin="anonymous",o.referrerPolicy="no-referrer",o.loading="eager",o.onload=function(){clearTimeout(a);let t=1;var e,r;o.naturalWidth&&o.naturalHeight?t=o.naturalWidth/o.naturalHeight:(o.style.width="100px",e=o.offsetWidth,r=o.offsetHeight,e&&r&&(t=e/r)),o.parentNode&&o.parentNode.removeChild(o),i(t)},o.onerror=function(){clearTimeout(a),o.parentNode&&o.parentNode.removeChild(o),t(new Error("图片加载失败"))};var e="proxy-image.php?url="+encodeURIComponent(r);o.src=e})},traverseHtmlTree:function(r,i,t=null,o=0){r&&"object"==typeof r&&!i(r,t,o)&&r.children&&Array.isArray(r.children)&&r.children.forEach((t,e)=>{this.traverseHtmlTree(t,i,{parentNode:r,childIndex:e},o+1)})},fosvg2image:function(t){this.traverseHtmlTree(t,(t,e)=>{if("foreignObject"===t.tag){var r,i,o,a,s,n=t.children.find(t=>"svg"===t.tag);if(n&&n.attrs?.["iftool-background"]&&0===n.children.length&&e?.parentNode?.children)return s={...t.attrs,...n.attrs},s=this.filterPreservedAttrs(s),r=[t.attrs.style||"",n.attrs.style||""],r=this.removeWidth(r),i=t.attrs.x||"0",o=t.attrs.y||"0",a=t.attrs.width||"100%",t=t.attrs.height||"100%",s={tag:"image",attrs:{...s,"iftool-href":n.attrs["iftool-background"]||(n.attrs.style.match(/url\((.*?)\)/)||[])[1]||"",x:i,y:o,width:a,height:t,style:r},children:[]},e.parentNode.children.splice(e.childIndex,1,s),!0}})},svg2image:function(t){this.traverseHtmlTree(t,(e,r)=>{if("svg"===e.tag&&(!e.children.some(t=>"animate"===t.tag&&"height"===t.attrs?.attributeName&&"-1"===t.attrs?.by)&&"foreignObject"!==r?.parentNode?.tag&&e.attrs?.["iftool-background"]&&r?.parentNode?.children)){var r=e.attrs.viewBox?e.attrs.viewBox.split(/\s+/).filter(Boolean):[],i=4<=r.length?r[2]:"100%",r=4<=r.length?r[3]:"100%";let t=e.attrs.style||"";t=t.replace(/\s*(transform|opacity)\s*:[^;]*;?\s*/g,"").trim();i={tag:"image",attrs:{"iftool-href":e.attrs["iftool-background"]||(e.attrs.style.match(/url\((.*?)\)/)||[])[1]||"",x:"0",y:"0",width:i,height:r,style:t},children:[]};return e.children.unshift(i),delete e.attrs["iftool-background"],!0}})},svg2img:function(t){return this.traverseHtmlTree(t,(t,e)=>{if("svg"===t.tag&&0===t.children.length&&t.attrs?.["iftool-background"]&&e?.parentNode?.children)return t={tag:"img",attrs:{...this.filterPreservedAttrs(t.attrs),"iftool-src":t.attrs["iftool-background"],style:t.attrs.style||""},children:[]},e.parentNode.children.splice(e.childIndex,1,t),!0}),t},image2img:function(t){return this.traverseHtmlTree(t,(t,e)=>{var r;if("image"===t.tag&&0===t.children.length&&t.attrs?.["iftool-href"]&&e?.parentNode?.children)return r=this.filterPreservedAttrs(t.attrs),r={tag:"g",attrs:{},children:[{tag:"foreignObject",attrs:{x:t.attrs.x||"0",y:t.attrs.y||"0",width:t.attrs.width||"100%",height:t.attrs.height||"100%"},children:[{tag:"img",attrs:{...r,"iftool-src":t.attrs["iftool-href"],style:t.attrs.style||""},children:[]}]}]},e.parentNode.children.splice(e.childIndex,1,r),!0}),t},image2svg:function(t){return this.traverseHtmlTree(t,(t,e)=>{var r,i,o;if("image"===t.tag&&0===t.children.length&&t.attrs?.["iftool-href"]&&e?.parentNode?.children)return o=this.filterPreservedAttrs(t.attrs),o={tag:"g",attrs:{},children:[{tag:"foreignObject",attrs:{x:t.attrs.x||"0",y:t.attrs.y||"0",width:r=t.attrs.width||"100%",height:i=t.attrs.height||"100%"},children:[{tag:"svg",attrs:{...o,viewBox:`0 0 ${r} `+i,style:t.attrs.style||"","iftool-background":t.attrs["iftool-href"]},children:[]}]}]},e.parentNode.children.splice(e.childIndex,1,o),!0}),t},foimg2image:function(t){return this.traverseHtmlTree(t,(t,e)=>{if("foreignObject"===t.tag&&e?.parentNode?.children){var r,i,o,a,s,n=t.children.find(t=>"img"===t.tag);if(n&&n.attrs?.["iftool-src"]&&0===n.children.length)return s={...t.attrs,...n.attrs},s=this.filterPreservedAttrs(s),r=[t.attrs.style||"",n.attrs.style||""],r=this.removeWidth(r),i=t.attrs.x||"0",o=t.attrs.y||"0",a=t.attrs.width||"100%",t=t.attrs.height||"100%",s={tag:"image",attrs:{...s,"iftool-href":n.attrs["iftool-src"],x:i,y:o,width:a,height:t,style:r},children:[]},e.parentNode.children.splice(e.childIndex,1,s),!0}}),t},img2image:async function(t){const o=[];this.traverseHtmlTree(t,(t,e)=>{var r,i;"img"===t.tag&&t.attrs?.["iftool-src"]&&e?.parentNode?.children&&(r="foreignObject"===e?.parentNode?.tag,i=!t.attrs.width&&!t.attrs.height,!r)&&i&&o.push({node:t,parentInfo:e})});for(const l of o){var{node:e,parentInfo:r}=l,i=this.filterPreservedAttrs(e.attrs);try{var a=await this.getImageRatio(e.attrs["iftool-src"]),s=Math.round(1080/a),n={tag:"svg",attrs:{viewBox:"0 0 1080 "+s,style:"display: block; pointer-events: painted; width: 100%;"},children:[{tag:"image",attrs:{...i,"iftool-href":e.attrs["iftool-src"],x:"0",y:"0",width:1080,height:s,style:e.attrs.style||""},children:[]}]};r.parentNode.children.splice(r.childIndex,1,n)}catch(t){i={tag:"svg",attrs:{viewBox:"0 0 100% 100%",style:"display: block; width: 100%;"},children:[{tag:"image",attrs:{...i,"iftool-href":e.attrs["iftool-src"],x:"0",y:"0",width:"100%",height:"100%"},children:[]}]};r.parentNode.children.splice(r.childIndex,1,i)}}return t},img2svg:async function(t){const r=[];this.traverseHtmlTree(t,(t,e)=>{"img"===t.tag&&0===t.children.length&&t.attrs?.["iftool-src"]&&e?.parentNode?.children&&r.push({node:t,parentInfo:e})});for(const l of r){var{node:e,parentInfo:i}=l,o=this.filterPreservedAttrs(e.attrs);try{var a=await this.getImageRatio(e.attrs["iftool-src"]),s=Math.round(1080/a),n={tag:"svg",attrs:{...o,viewBox:"0 0 1080 "+s,style:e.attrs.style||"","iftool-background":e.attrs["iftool-src"]},children:[]};i.parentNode.children.splice(i.childIndex,1,n)}catch(t){o={tag:"svg",attrs:{...o,viewBox:"0 0 100% 100%",style:e.attrs.style||"","iftool-background":e.attrs["iftool-src"]},children:[]};i.parentNode.children.splice(i.childIndex,1,o)}}return t},parse:function(t){var t=this.preprocess(t),t=(new DOMParser).parseFromString(t,"image/svg+xml"),e=t.querySelector("parsererror");if(e)throw e=e.textContent||e.innerText,new Error("XML解析失败。原因: "+e);return this.extractAssets(t.documentElement),this.domToObject(t.documentElement)},preprocess:function(t){return[t=>{var e=document.createElement("div");return e.innerHTML=t,e.innerHTML},t=>{const e=/(?:\s|^)data-src(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?/gi;let r=t.replace(/(<img\s[^>]*>)/gi,t=>t.replace(e,""));return r=r.replace(/(?:\s|^)data-lazy-bgimg(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?/gi,"")},t=>{return t.replace(/(?:\s|^)class\s*=\s*(["'])(?:.*?\s)?wx_imgbc_placeholder(?:\s.*?)?\1/gi,(t,e)=>{t=t.match(new RegExp(`class\\s*=\\s*${e}(.*?)`+e,"i"))[1].split(/\s+/).filter(t=>"wx_imgbc_placeholder"!==t.trim()).join(" ").trim();return t?" class="+e+t+e:""})},t=>{return t.replace(new RegExp("&(?!(amp|lt|gt|quot|nbsp|copy|yen|euro|deg|times|permil);)","g"),"&amp;")},t=>{return t.replace(/url\(\s*(?:"|&quot;)(.*?)(?:"|&quot;)\s*\)/gi,(t,e)=>`url('${e.trim()}')`)},t=>{const i=["img","br","input","hr"];var e=new RegExp(`<(${i.join("|")})(\\s+[^>]*?)?>`,"gi");return t.replace(e,(t,e,r="")=>{return!t.endsWith("/>")&&!t.includes("</")&&i.includes(e.toLowerCase())?`<${e}${r?r.replace(/\s*\/?$/,""):""}/>`:t})},t=>{const r=new Map;let i=0,o=t.replace(/<(pre|code|textarea)[\s\S]*?<\/\1>/gi,t=>{var e=`__PRE_PLACEHOLDER_${i}__`;return r.set(e,t),i++,e}).replace(/[\n\r]+/g," ").replace(/\t+/g," ").replace(/&nbsp;|&#160;|&#xA0;/gi," ").replace(/\s+/g," ").replace(/>\s+</g,"><").trim();return r.forEach((t,e)=>{o=o.replace(e,t)}),o},t=>{const i={animatetransform:"animateTransform",animatemotion:"animateMotion",foreignobject:"foreignObject"};const o={viewbox:"viewBox",calcmode:"calcMode",attributename:"attributeName",attributetype:"attributeType",keytimes:"keyTimes",keysplines:"keySplines",repeatcount:"repeatCount",repeatdur:"repeatDur"};var e;return t=t.replace(/<(\/?)(animatetransform|animatemotion|foreignobject)(?=\s|\/|>)/gi,(t,e,r)=>"<"+e+i[r.toLowerCase()]),e=Object.keys(o).join("|"),e=new RegExp(`([\\s>])(${e})=`,"gi"),t.replace(e,(t,e,r)=>""+e+o[r.toLowerCase()]+"=")},t=>`<div id="iftool">${t}</div>`].reduce((t,e)=>e(t),t)},extractAssets:function(t){for(var e,r,i,o=document.createTreeWalker(t,NodeFilter.SHOW_ELEMENT);e=o.nextNode();)"image"===e.tagName.toLowerCase()&&e.hasAttribute("href")&&(e.setAttribute("iftool-href",e.getAttribute("href")),e.removeAttribute("href")),"img"===e.tagName.toLowerCase()&&e.hasAttribute("src")&&(e.setAttribute("iftool-src",e.getAttribute("src")),e.removeAttribute("src")),e.hasAttribute("style")&&(r=e.getAttribute("style"),{bgProps:r,cleanedStyle:i}=this.processStyle(r),r.url&&(e.setAttribute("iftool-background",r.url),e.setAttribute("iftool-bg-color",r.color),e.setAttribute("iftool-bg-position",r.position),e.setAttribute("iftool-bg-size",r.size),e.setAttribute("iftool-bg-repeat",r.repeat),e.setAttribute("iftool-bg-attachment",r.attachment),e.setAttribute("iftool-bg-origin",r.origin),e.setAttribute("iftool-bg-clip",r.clip)),i?e.setAttribute("style",i):e.removeAttribute("style"))},processStyle:function(t){var e=document.createElement("div"),r=(e.style.cssText=t,{url:"",color:e.style.backgroundColor,position:e.style.backgroundPosition,size:e.style.backgroundSize,repeat:e.style.backgroundRepeat,attachment:e.style.backgroundAttachment,origin:e.style.backgroundOrigin,clip:e.style.backgroundClip}),e=e.style.backgroundImage,e=(e&&"none"!==e&&(e=e.match(/url\(\s*['"]?(.*?)['"]?\s*\)/))&&(r.url=e[1]),t.split(";").map(t=>t.trim()).filter(t=>t&&!/^background(-image|-position|-size|-repeat|-attachment|-origin|-clip|-color)?\s*:/i.test(t)).join("; "));return{bgProps:r,cleanedStyle:e}},domToObject:function(t){if(t.nodeType===Node.ELEMENT_NODE){var e={tag:t.tagName,attrs:{},children:[]};for(const o of t.attributes)e.attrs[o.name]=o.value;for(const a of t.childNodes){var r=this.domToObject(a);r&&e.children.push(r)}return e}var i;return t.nodeType===Node.TEXT_NODE?(i=t.textContent.trim())?{tag:"wenben",attrs:i,children:[]}:null:t.nodeType===Node.COMMENT_NODE?{tag:"zhushi",attrs:t.nodeValue.trim(),children:[]}:null},compose:function(t){var e=document.implementation.createDocument(null,null,null),e=this.objectToDom(e,t);let r=(new XMLSerializer).serializeToString(e);r=(r=(r=r.replace(/^(<[^\s>]+)([^>]*?)\s+xmlns="http:\/\/www\.w3\.org\/1999\/xhtml"/,"$1$2")).match(/<div id="iftool">(.*?)<\/div>/s)[1]).replace(/&amp;/g,"&");t=["section","p","div","svg","iframe","video","mp-common-clmusic","mp-common-redpacket","mp-common-profile","mp-common-videosnap","mp-common-mpaudio","mp-common-poi","mp-common-miniprogram","mp-common-vote"].join("|");return r=r.replace(new RegExp(`(<(${t})\\s+[^>]*?)/>`,"gi"),"$1></$2>")},objectToDom:function(t,e){if(!e)return null;if("wenben"===e.tag)return t.createTextNode(e.attrs);if("zhushi"===e.tag)return t.createComment(e.attrs);var r={backgroundUrl:e.attrs["iftool-background"],href:e.attrs["iftool-href"],srcUrl:e.attrs["iftool-src"],bgColor:e.attrs["iftool-bg-color"],bgPosition:e.attrs["iftool-bg-position"],bgSize:e.attrs["iftool-bg-size"],bgRepeat:e.attrs["iftool-bg-repeat"],bgAttachment:e.attrs["iftool-bg-attachment"],bgOrigin:e.attrs["iftool-bg-origin"],bgClip:e.attrs["iftool-bg-clip"]},i={...e.attrs};if(delete i["iftool-background"],delete i["iftool-href"],delete i["iftool-src"],delete i["iftool-bg-color"],delete i["iftool-bg-position"],delete i["iftool-bg-size"],delete i["iftool-bg-repeat"],delete i["iftool-bg-attachment"],delete i["iftool-bg-origin"],delete i["iftool-bg-clip"],r.backgroundUrl){var o=r.bgSize||"auto auto";let t=r.bgPosition||"0% 0%";o&&"auto"!==o&&"auto auto"!==o&&(t+=" / "+o);var o=`background: ${r.bgColor||"transparent"} url(${r.backgroundUrl}) ${t} ${r.bgRepeat||"repeat"} ${r.bgAttachment||"scroll"} ${r.bgOrigin||"padding-box"} `+(r.bgClip||"border-box"),a=i.style||"";i.style=a?a+"; "+o:o}r.href&&(i.href=r.href),r.srcUrl&&(i.src=r.srcUrl);var s=t.createElement(e.tag);for(const l in i)s.setAttribute(l,i[l]);if(e.children)for(const c of e.children){var n=this.objectToDom(t,c);n&&s.appendChild(n)}return s},parseStyle:function(t){const r={};return t&&t.split(";").forEach(t=>{var[t,e]=t.trim().split(":").map(t=>t.trim());t&&e&&(r[t]=e)}),r},calcLayer:function(t,e){const g=t=>{return!(!t||!t.tag)&&(t=t.tag.toLowerCase(),["svg","g","foreignObject"].includes(t))},a=t=>{t=parseFloat(t);return!isNaN(t)&&0<=t&&t<=.05},h=t=>{if(t&&"svg"===t.tag?.toLowerCase()&&t.children)for(const e of t.children)if("animate"===e.tag?.toLowerCase()&&e.attrs)if("width"===e.attrs.attributeName?.toLowerCase())return!0;return!1},p=(t,e)=>{let r=0;var i,o,t=this.parseStyle(t);return t.height&&(o=t.height.trim(),i=/^0(\s*px|\s*%|\s*rem|\s*em|\s*vh|\s*vw)?$/i.test(o),o=parseFloat(o),!isNaN(o))&&0===o&&i&&(r-=10),a(t.opacity)&&(r-=2),a(e?.attrs?.opacity)&&(r-=2),r},m=t=>{let e=0;var r,t=this.parseStyle(t);return t.marginTop&&(r=t.marginTop.trim(),/^-([1-9]\d*(\.\d+)?|0\.\d+)(%|\s*rem|\s*em|\s*vh|\s*vw)$/i.test(r))&&(e+=10),t.transform&&"none"!==t.transform&&(e+=5),"isolate"===t.isolation&&(e+=3),t.zIndex&&(r=Number(t.zIndex),!isNaN(r))&&0<r&&(e+=3),e};let o=0,s=0;const f=new Map,n=[],l=(e,r=[],t=null)=>{var i;e&&((i=e.attrs?.["iftool-src"]||e.attrs?.["iftool-href"]||e.attrs?.["iftool-background"]||"")&&(i={url:i,node:e,parentChain:r,parentNode:t,globalOrder:o++,childIndex:t?t.children.findIndex(t=>t===e):-1},n.push(i),t=[...r,e].reverse().filter(t=>"svg"===t.tag?.toLowerCase()).find(h))&&(t.__widthSvgId__||(t.__widthSvgId__=++s),t=t.__widthSvgId__,f.has(t)||f.set(t,[]),f.get(t).push(i)),e.children)&&e.children.forEach(t=>l(t,[...r,e],e))};l(t),f.forEach(t=>t.sort((t,e)=>t.globalOrder-e.globalOrder));var r=n.map(t=>{let{url:e,node:r,parentChain:i,globalOrder:o}=t,a=20;var t=[r.attrs?.style||"",...i.map(t=>t.attrs?.style||"")],s=t.reduce((t,e)=>t+p(e,r),0),t=(a+=s,t.reduce((t,e)=>t+m(e),0));a+=t;let n=0;const l=[...i].reverse().find(g);l&&(d=l.parentNode?.children.findIndex(t=>t===l)||0,n=3*d),a+=n;let c=0;var d=[...i,r].reverse().filter(t=>"svg"===t.tag?.toLowerCase()).find(h),d=(d&&(d=d.__widthSvgId__,-1<(d=(f.get(d)||[]).findIndex(t=>t.globalOrder===o)))&&(c=parseFloat((100-.05*d).toFixed(1))),a+=c,.01*(500-o));return a+=d,{url:e,layer:a=parseFloat(a.toFixed(2)),globalOrder:o,totalBottomScore:s,totalTopScore:t,gfoScore:n,animateScore:c,globalScore:d}});let i=[];0<r.length&&(c=r.sort((t,e)=>e.layer!==t.layer?e.layer-t.layer:t.globalOrder-e.globalOrder),i=c.slice(0,e).map(t=>t.url));var c=`<section class="用于提前加载的图片组，不影响画面内容，上传后不保留本段注释" style="display: block; height: 0px !important; margin-top: 0px !important; margin-bottom: 0px !important; padding-left: 1000px !important;"><svg viewBox="0 0 1 1">${i.map(t=>`<g><foreignObject x="0" y="0" width="1" height="1"><svg viewBox="0 0 1 1" style="background-image: url('${t}'); background-size: cover; background-repeat: no-repeat;"></svg></foreignObject></g>`).join("")}</svg></section>`;const d=t=>{t&&(t.__widthSvgId__&&delete t.__widthSvgId__,t.children)&&t.children.forEach(d)};return d(t),{imagesDetail:r,finalHtml:c}}};
+const svgCC={preservedAttrsList:["class","id","name","label","pointer-events","transform","opacity"],fragmentTag:"#fragment",filterPreservedAttrs:function(e={}){const t={};for(const[r,a]of Object.entries(e))(this.preservedAttrsList.includes(r)||r.startsWith("data-"))&&(t[r]=a);return t},removeWidth:function(e){const t=e.filter(e=>""!==e.trim()).join(";");return this.removeDeclarations(t,["width"])},getBackground:function(e={}){const t=e["iftool-background"],r=e["iftool-bg-image"];if(!t&&!r)return null;const a=this.parseBackgroundLayers({image:r||`url(${t})`,...Object.fromEntries(Object.keys(this.backgroundLayerDefaults).map(t=>[t,e[`iftool-bg-${t}`]]))}),n=a.find(e=>e.url);return n&&t&&n.url!==t&&(n.image=this.replaceCssUrl(n.image,t),n.url=t),{color:e["iftool-bg-color"]||"",layers:a}},setBackground:function(e,t){Object.keys(e).filter(e=>"iftool-background"===e||e.startsWith("iftool-bg-")).forEach(t=>delete e[t]);const r=t?.layers||[];if(0===r.length)return e;const a=r.find(e=>e.url);return a&&(e["iftool-background"]=a.url),(r.length>1||!a||!/^url\(/i.test(a.image))&&(e["iftool-bg-image"]=r.map(e=>e.image).join(", ")),e["iftool-bg-color"]=t.color||"",Object.entries(this.backgroundLayerDefaults).forEach(([t,a])=>{e[`iftool-bg-${t}`]=r.some(e=>e[t])?r.map(e=>e[t]||a).join(", "):""}),e},imageProxy:"proxy-image.php?url={url}",getProxyUrl:function(e,t=this.imageProxy){return"function"==typeof t?t(e):t?t.includes("{url}")?t.split("{url}").join(encodeURIComponent(e)):`${t}${encodeURIComponent(e)}`:e},imageRatioBackend:"auto",getImageRatio:async function(e,t={}){const r=t.backend||this.imageRatioBackend,a="undefined"!=typeof document,n=this.getProxyUrl(e,t.proxy??(a?this.imageProxy:""));if("img"!==r)try{const{width:e,height:r}=await this.getImageSize(n,{timeout:t.timeout,signal:t.signal,allowLocalFiles:t.allowLocalFiles});return e/r}catch(e){if("header"===r||!a||t.signal&&t.signal.aborted)throw e}return this.loadImageRatio(n,t.timeout,t.signal)},loadImageRatio:function(e,t=5e3,r){return new Promise((a,n)=>{if("undefined"==typeof document)return void n(new Error("当前环境不支持加载图片（缺少document）"));if(r&&r.aborted)return void n(this.createAbortError(r));const o=document.createElement("img");o.style.position="absolute",o.style.visibility="hidden",o.style.width="auto",o.style.height="auto",o.style.opacity=0,document.body.appendChild(o);const i=setTimeout(()=>{o.parentNode&&o.parentNode.removeChild(o),n(new Error("图片加载超时"))},t);o.crossOrigin="anonymous",o.referrerPolicy="no-referrer",o.loading="eager",o.onload=function(){clearTimeout(i);let e=1;if(o.naturalWidth&&o.naturalHeight)e=o.naturalWidth/o.naturalHeight;else{o.style.width="100px";const t=o.offsetWidth,r=o.offsetHeight;t&&r&&(e=t/r)}o.parentNode&&o.parentNode.removeChild(o),a(e)},o.onerror=function(){clearTimeout(i),o.parentNode&&o.parentNode.removeChild(o),n(new Error("图片加载失败"))},r&&r.addEventListener("abort",()=>{clearTimeout(i),o.onload=o.onerror=null,o.parentNode&&o.parentNode.removeChild(o),n(this.createAbortError(r))},{once:!0}),o.src=e})},defaultRatioResolvers:["dataRatio","dataSize","urlQuery","attrSize","network","siblingViewBox"],ratioResolvers:{dataRatio:function(e,t){const r=parseFloat(t.attrs?.["data-ratio"]);return r>0?1/r:null},dataSize:function(e,t){const r=parseFloat(t.attrs?.["data-w"]),a=parseFloat(t.attrs?.["data-h"]);return r>0&&a>0?r/a:null},urlQuery:function(e){const t=String(e||"").split("#")[0].split("?")[1];if(!t)return null;const r={};t.split("&").forEach(e=>{const[t,a=""]=e.split("=");r[t.toLowerCase()]=parseFloat(a)});const a=r.wx_w||r.w||r.width,n=r.wx_h||r.h||r.height;return a>0&&n>0?a/n:null},attrSize:function(e,t){const r=this.resolveLength(t.attrs?.width),a=this.resolveLength(t.attrs?.height);return r>0&&a>0?r/a:null},siblingViewBox:function(e,t,r){const a=r.parent?.children||[],n=a.indexOf(t),o=e=>e&&"wenben"!==e.tag&&"zhushi"!==e.tag;let i=n-1;for(;i>=0&&!o(a[i]);)i--;let s=n+1;for(;s<a.length&&!o(a[s]);)s++;for(const e of[a[i],a[s]]){const t="svg"===e?.tag?this.parseViewBox(e.attrs?.viewBox):null;if(t)return t.width/t.height}return null},network:function(e,t,r,a){return(a.ratioLookup||this.createRatioLookup(a))(e)}},getRatioResolvers:function(e){return(e||this.defaultRatioResolvers).map(e=>{if("function"==typeof e)return{name:e.name||"custom",fn:e};if(!this.ratioResolvers[e])throw new Error(`未知的宽高比来源: ${e}`);return{name:e,fn:this.ratioResolvers[e]}})},resolveImageRatio:async function(e,t={},r={}){const a=t.ancestors||[],n={parent:a[a.length-1]||null,ancestors:a},o=r.url??e.attrs?.["iftool-src"]??e.attrs?.["iftool-href"];let i=null;for(const{name:t,fn:a}of this.getRatioResolvers(r.ratioResolvers))try{const i=await a.call(this,o,e,n,r);if(Number.isFinite(i)&&i>0)return{ratio:i,source:t}}catch(e){i=e}throw i||new Error("各宽高比来源均未得到有效值")},ratioConcurrency:6,createRatioLookup:function(e={}){const{ratioCache:t,imageProxy:r,timeout:a,signal:n,allowLocalFiles:o}=e,i=new Map;return e=>(i.has(e)||i.set(e,(async()=>{const i=t?await t.get(e):void 0;if(Number.isFinite(i)&&i>0)return i;const s=await this.getImageRatio(e,{proxy:r,timeout:a,signal:n,allowLocalFiles:o});return t&&await t.set(e,s),s})()),i.get(e))},createMemoryCache:function(){const e=new Map;return{get:async t=>e.get(t),set:async(t,r)=>{e.set(t,r)}}},createIndexedDbCache:function(e="svgcc",t="image-ratio"){let r=null;const a=(a,n)=>(r||(r=new Promise((r,a)=>{if("undefined"==typeof indexedDB)return void a(new Error("当前环境不支持IndexedDB"));const n=indexedDB.open(e,1);n.onupgradeneeded=()=>n.result.createObjectStore(t),n.onsuccess=()=>r(n.result),n.onerror=()=>a(n.error)}))).then(e=>new Promise((r,o)=>{const i=n(e.transaction(t,a).objectStore(t));i.onsuccess=()=>r(i.result),i.onerror=()=>o(i.error)}));return{get:e=>a("readonly",t=>t.get(e)),set:(e,t)=>a("readwrite",r=>r.put(t,e)).then(()=>{})}},createFileCache:function(e){const t=this.loadNodeModule("fs"),r=this.loadNodeModule("path");let a=null,n=Promise.resolve();const o=()=>a||(a=(async()=>{if(!t)throw new Error("当前环境不支持读写本地文件");try{return JSON.parse(await t.promises.readFile(e,"utf8"))}catch(e){if("ENOENT"===e.code||e instanceof SyntaxError)return{};throw e}})());return{get:async e=>(await o())[e],set:async(a,i)=>{const s=await o();return s[a]=i,n=n.catch(()=>{}).then(async()=>{await t.promises.mkdir(r.dirname(e),{recursive:!0}),await t.promises.writeFile(e,JSON.stringify(s))}),n}}},createAbortError:function(e){if(e&&e.reason instanceof Error)return e.reason;const t=new Error("操作已取消");return t.name="AbortError",t},throwIfAborted:function(e){if(e&&e.aborted)throw this.createAbortError(e)},resolveImageGeometries:async function(e,t={}){const r=this.resolveBaseWidth(t.baseWidth);this.getRatioResolvers(t.ratioResolvers);const a=Math.max(1,Math.floor(t.concurrency||this.ratioConcurrency)),n={...t,ratioLookup:this.createRatioLookup(t)},o=new Map;let i=0,s=0;return await Promise.all(Array.from({length:Math.min(a,e.length)},async()=>{for(;i<e.length;){this.throwIfAborted(t.signal);const{node:a,ancestors:c}=e[i++];let l=this.resolveGeometry(a,{ancestors:c,baseWidth:r}),d=null,u=l?"size":"",g=null;if(!l)try{({ratio:d,source:u}=await this.resolveImageRatio(a,{ancestors:c},n)),l=this.resolveGeometry(a,{ancestors:c,ratio:d,baseWidth:r})}catch(e){this.throwIfAborted(t.signal),g=e}o.set(a,{geometry:l,reason:l?"":"无法确定图片尺寸，未转换"+(g?`（图片宽高比获取失败：${g.message}）`:"")}),s++,"function"==typeof t.onProgress&&t.onProgress({done:s,total:e.length,url:a.attrs["iftool-src"],ratio:d,source:u,error:g})}})),o},traverseHtmlTree:function(e,t,r=null,a=0){if(!e||"object"!=typeof e)return;t(e,r,a)||e.children&&Array.isArray(e.children)&&e.children.forEach((n,o)=>{this.traverseHtmlTree(n,t,{parentNode:e,childIndex:o,path:[...r?.path||[],o]},a+1)})},visitTree:function(e,t){const r="function"==typeof t?t:t?.enter,a="function"==typeof t?null:t?.leave;let n=!1;const o=(e,t,i,s,c)=>{let l=!1,d=!1,u=i+1;const g=e=>{if(!t)throw new Error(`根节点不支持${e}操作`)},p={node:e,parent:t,index:i,level:c.length,ancestors:c,get path(){return t?[...s,p.index]:[]},replace:r=>{g("replace"),e.source?.before&&r&&!r.source&&(r.source={before:e.source.before}),t.children.splice(p.index,1,r),l=!0,u=p.index+1},remove:()=>{g("remove"),t.children.splice(p.index,1),l=!0,u=p.index},insertBefore:e=>{g("insertBefore"),t.children.splice(p.index,0,e),p.index++,u=p.index+1},wrap:r=>{g("wrap"),r.children=r.children||[],r.children.push(e),t.children.splice(p.index,1,r),c=[...c,r],s=[...s,p.index],t=r,p.parent=r,p.ancestors=c,p.level=c.length,u=p.index+1,p.index=r.children.length-1},unwrap:()=>{g("unwrap"),t.children.splice(p.index,1,...e.children||[]),l=!0,u=p.index},skip:()=>{d=!0},stop:()=>{n=!0}};if(r&&r(e,p),l||n)return u;if(!d&&Array.isArray(e.children)){const r=t?[...s,p.index]:[],a=[...c,e];let i=0;for(;i<e.children.length&&!n;)i=o(e.children[i],e,i,r,a)}return a&&!n&&a(e,p),u};return e&&"object"==typeof e&&o(e,null,0,[],[]),e},formatNodePath:function(e,t=[]){const r=e.tag===this.fragmentTag?[]:[e.tag];let a=e;for(const e of t)a=a?.children?.[e],r.push(`${a?.tag||"?"}[${e}]`);return r.join(" > ")},addReport:function(e,t,r){if(!Array.isArray(e))return;const a=r.path||[],n=this.formatNodePath(t,a.slice(0,-1)),o=a.length>0?`${n} > ${r.originalTag.split(">")[0]}[${a[a.length-1]}]`:n;e.push({converter:r.converter,status:r.status,path:a,tagPath:o,originalTag:r.originalTag,newTag:r.newTag||"",url:r.url||"",reason:r.reason||""})},scopeMarker:"data-svgcc-scope",parseSelector:function(e){const t=String(e);let r=0;const a=e=>{throw new Error(`选择器语法错误：${e}（位置${r}）："${t}"`)},n=()=>{for(;r<t.length&&/\s/.test(t[r]);)r++},o=()=>{let e="";for(;r<t.length;){const a=t[r];if("\\"===a&&r+1<t.length)e+=t[r+1],r+=2;else{if(!(/[\w-]/.test(a)||a.charCodeAt(0)>=128))break;e+=a,r++}}return e},i=()=>{const e=t[r];if('"'!==e&&"'"!==e){const e=o();return e||a("缺少属性值"),e}let n="";for(r++;r<t.length&&t[r]!==e;)"\\"===t[r]&&r+1<t.length&&r++,n+=t[r++];return t[r]!==e&&a("属性值引号未闭合"),r++,n},s=()=>{const e={tag:"*",ids:[],classes:[],attrs:[],pseudos:[]},s=r;if("*"===t[r])r++;else{const t=o();t&&(e.tag=t.toLowerCase())}for(;r<t.length;){const s=t[r];if("#"===s||"."===s){r++;const t=o();t||a(`${s}后缺少名称`),("#"===s?e.ids:e.classes).push(t)}else if("["===s){r++,n();const s=o();s||a("缺少属性名"),n();const c={name:s.toLowerCase(),operator:"",value:"",ignoreCase:!1},l=t.slice(r).match(/^[~|^$*]?=/);l&&(c.operator=l[0],r+=l[0].length,n(),c.value=i(),n(),/^[iI]\b/.test(t.slice(r))&&(c.ignoreCase=!0,r++,n())),"]"!==t[r]&&a("属性选择器未闭合"),r++,e.attrs.push(c)}else{if(":"!==s)break;{r++;const n=o().toLowerCase();"has"!==n&&"not"!==n&&a(`不支持的伪类 :${n}`),"("!==t[r]&&a(`:${n}缺少参数`),r++;const i=l("has"===n);")"!==t[r]&&a(`:${n}参数未闭合`),r++,e.pseudos.push({name:n,list:i})}}}return r>s?e:null},c=e=>{const o=[];for(n(),e&&(o.push({compound:{scope:!0},combinator:""}),">"===t[r]?(r++,n(),o.push({compound:null,combinator:">"})):o.push({compound:null,combinator:" "}));r<t.length;){const e=s();e||a("缺少选择器"),o.length&&!o[o.length-1].compound?o[o.length-1].compound=e:o.push({compound:e,combinator:""});const i=r;n();const c=t[r];if(">"===c)r++,n(),o.push({compound:null,combinator:">"});else{if(!(r<t.length&&","!==c&&")"!==c&&r>i))break;o.push({compound:null,combinator:" "})}}return o.length&&o[o.length-1].compound||a("选择器不完整"),o},l=e=>{const a=[c(e)];for(;","===t[r];)r++,a.push(c(e));return n(),a},d=l(!1);return r<t.length&&a(`无法识别的字符"${t[r]}"`),d},matchSelector:function(e,t,r=[]){const a="string"==typeof t?this.parseSelector(t):t,n=e=>e&&e.tag!==this.fragmentTag&&e.attrs&&"object"==typeof e.attrs,o=(e,t)=>{if(t in e)return e[t];const r=Object.keys(e).find(e=>e.toLowerCase()===t);return void 0===r?void 0:e[r]},i=(e,t)=>{const r=t.ignoreCase?t.value.toLowerCase():t.value,a=t.ignoreCase?String(e).toLowerCase():String(e);switch(t.operator){case"":return!0;case"=":return a===r;case"~=":return""!==r&&a.split(/\s+/).includes(r);case"|=":return a===r||a.startsWith(`${r}-`);case"^=":return""!==r&&a.startsWith(r);case"$=":return""!==r&&a.endsWith(r);case"*=":return""!==r&&a.includes(r);default:return!1}},s=(e,t,r,a,l)=>{if(!((e,t,r,a)=>{if(t.scope)return e===a;if(!n(e))return!1;if("*"!==t.tag&&String(e.tag).toLowerCase()!==t.tag)return!1;if(t.ids.some(t=>e.attrs.id!==t))return!1;if(t.classes.length){const r=String(e.attrs.class||"").split(/\s+/);if(t.classes.some(e=>!r.includes(e)))return!1}for(const r of t.attrs){const t=o(e.attrs,r.name);if(void 0===t||!i(t,r))return!1}return t.pseudos.every(t=>"not"===t.name?!t.list.some(t=>s(t,t.length-1,e,r,a)):c(e,t.list))})(r,e[t].compound,a,l))return!1;if(0===t)return!0;if(">"===e[t].combinator){const r=a[a.length-1];return!!r&&s(e,t-1,r,a.slice(0,-1),l)}for(let r=a.length-1;r>=0;r--)if(s(e,t-1,a[r],a.slice(0,r),l))return!0;return!1},c=(e,t)=>{let r=!1;return this.visitTree(e,(a,n)=>{if(a===e)return;const o=n.ancestors;t.some(t=>s(t,t.length-1,a,o,e))&&(r=!0,n.stop())}),r};return n(e)&&a.some(t=>s(t,t.length-1,e,r,null))},queryAll:function(e,t){const r=this.parseSelector(t),a=[];return this.visitTree(e,(e,t)=>{this.matchSelector(e,r,t.ancestors)&&a.push({node:e,parent:t.parent,index:t.parent?t.index:null,path:t.path})}),a},query:function(e,t){const r=this.parseSelector(t);let a=null;return this.visitTree(e,(e,t)=>{this.matchSelector(e,r,t.ancestors)&&(a={node:e,parent:t.parent,index:t.parent?t.index:null,path:t.path},t.stop())}),a},resolveScope:function(e,t){if(null==t||!1===t)return null;const r=t=>{let r=null;return this.visitTree(e,(e,a)=>{e===t&&(r={node:e,parent:a.parent,index:a.parent?a.index:null,path:a.path},a.stop())}),r},a=t=>{let r=e,a=null;for(const e of t){if(!Array.isArray(r.children)||!r.children[e])throw new Error(`作用域路径无效：[${t.join(", ")}]`);a=r,r=r.children[e]}return{node:r,parent:a,index:a?t[t.length-1]:null,path:[...t]}},n=t=>{if(!0===t)return this.queryAll(e,`[${this.scopeMarker}]`);if("string"==typeof t)return this.queryAll(e,t);if(Array.isArray(t))return t.every(e=>Number.isInteger(e))?[a(t)]:t.flatMap(n);if(t&&"object"==typeof t){const e=t.node&&"object"==typeof t.node?t.node:t,a=r(e);if(!a)throw new Error("作用域节点不在树中");return[a]}throw new Error("不支持的作用域类型："+typeof t)},o=new Set;return n(t).filter(e=>!o.has(e.node)&&o.add(e.node))},visitScope:function(e,t,r){const a=this.resolveScope(e,t);if(!a)return this.visitTree(e,r);const n="function"==typeof r?r:r?.enter,o="function"==typeof r?null:r?.leave,i=new Set(a.map(e=>e.node)),s=new Set;this.visitTree(e,(e,t)=>{i.has(e)&&t.ancestors.forEach(e=>s.add(e))});const c=(e,t)=>i.has(e)||t.ancestors.some(e=>i.has(e));return this.visitTree(e,{enter:(e,t)=>{c(e,t)?n&&n(e,t):s.has(e)||t.skip()},leave:(e,t)=>{o&&c(e,t)&&o(e,t)}})},cssShorthands:{margin:["margin-top","margin-right","margin-bottom","margin-left"],padding:["padding-top","padding-right","padding-bottom","padding-left"],inset:["top","right","bottom","left"],overflow:["overflow-x","overflow-y"],background:["background-image","background-position","background-size","background-repeat","background-attachment","background-origin","background-clip","background-color"]},splitCssValue:function(e,t){const r=[];let a="",n=0,o="";for(let i=0;i<e.length;i++){const s=e[i];if("\\"!==s){if(o)s===o&&(o="");else if('"'===s||"'"===s)o=s;else if("("===s)n++;else if(")"===s)n=Math.max(0,n-1);else if(0===n&&t.test(s)){r.push(a),a="";continue}a+=s}else a+=s+(e[i+1]||""),i++}return r.push(a),r},parseDeclarations:function(e){if(!e)return[];let t="",r="";for(let a=0;a<e.length;a++){const n=e[a];if("\\"===n)t+=n+(e[a+1]||""),a++;else if(r)n===r&&(r=""),t+=n;else if('"'===n||"'"===n)r=n,t+=n;else if("/"===n&&"*"===e[a+1]){const r=e.indexOf("*/",a+2);a=-1===r?e.length:r+1,t+=" "}else t+=n}return this.splitCssValue(t,/;/).map(e=>{const t=e.trim(),r=t.indexOf(":");if(-1===r)return null;const a=t.slice(0,r).trim();if(!/^-?[\w-]+$/.test(a))return null;let n=t.slice(r+1).trim();const o=/!\s*important$/i.test(n);if(n=n.replace(/\s*!\s*important$/i,"").trim(),!n)return null;return{name:a.startsWith("--")?a:a.toLowerCase(),value:n,important:o,raw:t}}).filter(Boolean)},expandShorthand:function(e,t){const r=this.cssShorthands[e];if(!r)return[[e,t]];const a=this.splitCssValue(t,/\s/).filter(Boolean);if(1===a.length&&/^(inherit|initial|unset|revert|revert-layer)$/i.test(a[0]))return r.map(e=>[e,a[0]]);if("overflow"===e)return[[r[0],a[0]],[r[1],a[1]||a[0]]];if("background"===e)return this.expandBackground(t);const[n,o=n,i=n,s=o]=a;return[[r[0],n],[r[1],o],[r[2],i],[r[3],s]]},expandBackground:function(e){const t={image:"none",position:"0% 0%",size:"auto",repeat:"repeat",attachment:"scroll",origin:"padding-box",clip:"border-box"},r=this.splitCssValue(e,/,/).map(e=>{const t={image:"",color:"",position:[],size:[],repeat:[],attachment:"",boxes:[]},r=this.splitCssValue(e.trim(),/\s/).filter(Boolean).flatMap(e=>this.splitCssValue(e,/\//).flatMap((e,t)=>t>0?["/",e]:[e])).filter(Boolean);let a=!1;return r.forEach(e=>{const r=e.toLowerCase();if("/"===e)return void(a=!0);const n=/^(-?[\d.]|calc\()/.test(r);a&&(n||/^(cover|contain|auto)$/.test(r))?t.size.push(e):(a=!1,"none"===r||/^(url|(repeating-)?(linear|radial|conic)-gradient|(-webkit-)?image-set|image|cross-fade|element)\(/.test(r)?t.image=e:/^(repeat-x|repeat-y|repeat|space|round|no-repeat)$/.test(r)?t.repeat.push(e):/^(scroll|fixed|local)$/.test(r)?t.attachment=e:/^(border-box|padding-box|content-box|text)$/.test(r)?t.boxes.push(e):n||/^(left|right|top|bottom|center)$/.test(r)?t.position.push(e):t.color=e)}),{image:t.image,color:t.color,position:t.position.join(" "),size:t.size.join(" "),repeat:t.repeat.join(" "),attachment:t.attachment,origin:t.boxes[0]||"",clip:t.boxes[1]||t.boxes[0]||""}}),a=Object.keys(t).map(e=>[`background-${e}`,r.map(r=>r[e]||t[e]).join(", ")]);return a.push(["background-color",r[r.length-1].color||"transparent"]),a},parseStyle:function(e){const t={},r=new Set;return this.parseDeclarations(e).forEach(e=>{const a=this.expandShorthand(e.name,e.value);a[0][0]!==e.name&&a.unshift([e.name,e.value]),a.forEach(([a,n])=>{r.has(a)&&!e.important||(e.important&&r.add(a),t[a]=n)})}),t},removeDeclarations:function(e,t){const r="function"==typeof t?t:e=>t.includes(e.name);return this.parseDeclarations(e).filter(e=>!r(e)).map(e=>e.raw).join("; ")},extractCssUrl:function(e){const t=(e||"").match(this.cssUrlRegex);return t?t[1]??t[2]??t[3]:""},replaceCssUrl:function(e,t){return e.replace(this.cssUrlRegex,`url(${t})`)},escapeCssString:function(e){return String(e).replace(/[\\'")]/g,e=>`\\${e}`).replace(/\r\n|[\n\r\f]/g,"\\a ")},cssUrlRegex:/url\(\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|((?:[^)\s\\]|\\.)*))\s*\)/i,backgroundLayerDefaults:{position:"0% 0%",size:"auto",repeat:"repeat",attachment:"scroll",origin:"padding-box",clip:"border-box"},parseBackgroundLayers:function(e){const t=e=>this.splitCssValue(e||"",/,/).map(e=>e.trim()).filter(Boolean),r=Object.fromEntries(Object.keys(this.backgroundLayerDefaults).map(r=>[r,t(e[r])]));return t(e.image).map((e,t)=>{const a={image:e,url:/^none$/i.test(e)?"":this.extractCssUrl(e)};return Object.entries(r).forEach(([e,r])=>{a[e]=r.length>0?r[t%r.length]:""}),a})},defaultBaseWidth:1080,parseViewBox:function(e){const t=String(e||"").trim().split(/[\s,]+/).filter(Boolean).map(Number);if(4!==t.length||t.some(e=>!Number.isFinite(e))||t[2]<=0||t[3]<=0)return null;const[r,a,n,o]=t;return{x:r,y:a,width:n,height:o}},resolveLength:function(e,t=null){if(null==e)return null;const r=/^(-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)(px|%)?$/i.exec(String(e).trim());if(!r)return null;const a=parseFloat(r[1]);return"%"===r[2]?null==t?null:t*a/100:a},resolveBaseWidth:function(e){const t=e??this.defaultBaseWidth;if("number"!=typeof t||!Number.isFinite(t)||t<=0)throw new Error(`基准宽度baseWidth必须为正数，收到: ${t}`);return t},resolveGeometry:function(e,t={}){const{ancestors:r=[],ratio:a}=t,n=e=>Math.round(100*e)/100;let o=null;for(const e of[...r].reverse()){if("foreignObject"===e.tag){const t=this.resolveLength(e.attrs?.width),r=this.resolveLength(e.attrs?.height);if(null!==t&&null!==r){o={width:t,height:r};break}}if("svg"===e.tag&&(o=this.parseViewBox(e.attrs?.viewBox),o))break}const i=this.parseStyle(e.attrs?.style),s=(t,r)=>this.resolveLength(e.attrs?.[t],r)??this.resolveLength(i[t],r),c=s("width",o?o.width:null),l=s("height",o?o.height:null);if(c>0&&l>0)return{width:n(c),height:n(l),source:"size"};if(!Number.isFinite(a)||a<=0)return null;if(c>0)return{width:n(c),height:n(c/a),source:"ratio"};if(l>0)return{width:n(l*a),height:n(l),source:"ratio"};const d=this.resolveBaseWidth(t.baseWidth);return{width:d,height:Math.round(d/a),source:"ratio"}},headerBytes:65536,maxHeaderBytes:1048576,readImageSize:function(e){const t=e instanceof Uint8Array?e:new Uint8Array(e),r=e=>t[e]<<8|t[e+1],a=e=>t[e]|t[e+1]<<8,n=e=>t[e]|t[e+1]<<8|t[e+2]<<16,o=e=>(t[e]<<24>>>0)+(t[e+1]<<16|t[e+2]<<8|t[e+3]),i=e=>t[e]|t[e+1]<<8|t[e+2]<<16|t[e+3]<<24,s=(e,r)=>String.fromCharCode(...t.subarray(e,e+r)),c=(e,t,r)=>t>0&&r>0?{type:e,width:t,height:r}:null;if(t.length>=24&&2303741511===o(0)&&"IHDR"===s(12,4))return c("png",o(16),o(20));if(t.length>=10&&/^GIF8[79]a$/.test(s(0,6)))return c("gif",a(6),a(8));if(t.length>=26&&"BM"===s(0,2))return 12===a(14)?c("bmp",a(18),a(20)):c("bmp",i(18),Math.abs(i(22)));if(t.length>=30&&"RIFF"===s(0,4)&&"WEBP"===s(8,4)){const e=s(12,4);if("VP8 "===e&&2752925===n(23))return c("webp",16383&a(26),16383&a(28));if("VP8L"===e&&47===t[20]){const e=(t[21]|t[22]<<8|t[23]<<16|t[24]<<24)>>>0;return c("webp",1+(16383&e),1+(e>>>14&16383))}return"VP8X"===e?c("webp",n(24)+1,n(27)+1):null}if(t.length>=4&&255===t[0]&&216===t[1]){const e=[192,193,194,195,197,198,199,201,202,203,205,206,207];let a=1,n=2;for(;n+9<t.length;){if(255!==t[n])return null;const o=t[n+1];if(255===o){n++;continue}if(1===o||o>=208&&o<=215){n+=2;continue}const i=r(n+2);if(225===o&&"Exif\0\0"===s(n+4,6)&&(a=this.readExifOrientation(t.subarray(n+10,n+2+i))||a),e.includes(o)){const e=r(n+7),t=r(n+5);return a>=5?c("jpeg",t,e):c("jpeg",e,t)}n+=2+i}return null}const l="undefined"!=typeof TextDecoder?(new TextDecoder).decode(t):s(0,t.length),d=/^(?:\uFEFF)?\s*(?:<\?xml[^>]*\?>\s*)?(?:<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*(?=<svg[\s>])/i.exec(l);if(!d)return null;const u=this.scanTag(l,d[0].length,"html");if(!u)return null;const g=Object.fromEntries(u.attrs.map(e=>[e.name,e.value])),p=this.parseViewBox(g.viewbox),h=this.resolveLength(g.width),f=this.resolveLength(g.height);return h>0&&f>0?c("svg",h,f):p?h>0?c("svg",h,h*p.height/p.width):f>0?c("svg",f*p.width/p.height,f):c("svg",p.width,p.height):null},readExifOrientation:function(e){if(e.length<8)return null;const t=73===e[0],r=r=>t?e[r]|e[r+1]<<8:e[r]<<8|e[r+1],a=(n=4,t?(e[n]|e[n+1]<<8|e[n+2]<<16)+16777216*e[n+3]:16777216*e[n]+(e[n+1]<<16|e[n+2]<<8|e[n+3]));var n;if(a+2>e.length)return null;const o=r(a);for(let t=0;t<o;t++){const n=a+2+12*t;if(n+12>e.length)return null;if(274===r(n))return r(n+8)}return null},readImageHeader:async function(e,t={}){const{length:r=this.headerBytes,timeout:a=5e3,signal:n,allowLocalFiles:o=!1}=t;if(this.throwIfAborted(n),e instanceof ArrayBuffer&&(e=new Uint8Array(e)),e instanceof Uint8Array)return e.subarray(0,r);let i=String(e);const s=/^data:([^,]*?)(;base64)?,/i.exec(i);if(s){const e=i.slice(s[0].length);if(!s[2])return(new TextEncoder).encode(decodeURIComponent(e)).subarray(0,r);const t="function"==typeof atob?atob(e.slice(0,4*Math.ceil(r/3))):Buffer.from(e,"base64").toString("binary");return Uint8Array.from(t.slice(0,r),e=>e.charCodeAt(0))}const c="undefined"!=typeof document;if(!c&&i.startsWith("//")&&(i=`https:${i}`),!c&&!/^https?:\/\//i.test(i)){if(!o)throw new Error(`不支持的图片链接：${i}（读取本地文件需开启allowLocalFiles选项）`);const e=this.loadNodeModule("fs");if(!e)throw new Error("当前环境不支持读取本地文件");const t=/^file:/i.test(i)?this.loadNodeModule("url").fileURLToPath(i):i;if(!(await e.promises.stat(t)).isFile())throw new Error(`不是普通文件：${t}`);const a=await e.promises.open(t,"r");try{const e=new Uint8Array(r),{bytesRead:t}=await a.read(e,0,r,0);return e.subarray(0,t)}finally{await a.close()}}if("function"==typeof fetch){const e="undefined"!=typeof AbortController?new AbortController:null,t=()=>e&&e.abort();let o=!1;const s=setTimeout(()=>{o=!0,t()},a);n&&n.addEventListener("abort",t);try{const t=await fetch(i,{headers:{Range:"bytes=0-"+(r-1)},referrerPolicy:"no-referrer",signal:e?e.signal:void 0});if(!t.ok)throw new Error(`图片请求失败（HTTP ${t.status}）`);if(!t.body||!t.body.getReader)return new Uint8Array(await t.arrayBuffer()).subarray(0,r);const a=t.body.getReader(),n=[];let o=0;for(;o<r;){const{done:e,value:t}=await a.read();if(e)break;n.push(t),o+=t.length}a.cancel().catch(()=>{});const s=new Uint8Array(Math.min(o,r));let c=0;for(const e of n)if(s.set(e.subarray(0,s.length-c),c),c+=e.length,c>=s.length)break;return s}catch(e){if(n&&n.aborted)throw this.createAbortError(n);throw o?new Error("图片请求超时"):e}finally{clearTimeout(s),n&&n.removeEventListener("abort",t)}}return this.requestNodeHeader(i,{length:r,timeout:a,signal:n})},requestNodeHeader:function(e,t,r=5){const{length:a,timeout:n,signal:o}=t,i=this.loadNodeModule(/^https:/i.test(e)?"https":"http");return i?new Promise((s,c)=>{const l=i.get(e,{headers:{Range:"bytes=0-"+(a-1)}},n=>{const{statusCode:o,headers:i}=n;if(o>=300&&o<400&&i.location)return n.resume(),r<=0?void c(new Error("图片请求重定向次数过多")):void s(this.requestNodeHeader(new URL(i.location,e).href,t,r-1));if(o<200||o>=300)return n.resume(),void c(new Error(`图片请求失败（HTTP ${o}）`));const d=[];let u=0;const g=()=>s(new Uint8Array(Buffer.concat(d)).subarray(0,a));n.on("data",e=>{d.push(e),u+=e.length,u>=a&&(l.destroy(),g())}),n.on("end",g),n.on("error",c)});if(l.setTimeout(n,()=>{l.destroy(),c(new Error("图片请求超时"))}),l.on("error",c),o){const e=()=>{l.destroy(),c(this.createAbortError(o))};o.addEventListener("abort",e),l.on("close",()=>o.removeEventListener("abort",e))}}):Promise.reject(new Error("当前环境不支持网络请求"))},getImageSize:async function(e,t={}){let r=this.headerBytes;for(;;){const a=await this.readImageHeader(e,{...t,length:r}),n=this.readImageSize(a);if(n)return n;if(a.length<r||r>=this.maxHeaderBytes)throw new Error("无法从文件头解析图片尺寸");r=Math.min(4*r,this.maxHeaderBytes)}},loadNodeModule:function(e){return"function"==typeof require?require(e):null},parseBackgroundPosition:function(e="0% 0%"){const t={left:0,top:0,center:50,right:100,bottom:100},r=this.splitCssValue((e||"0% 0%").toLowerCase(),/\s/).filter(Boolean),a=e=>e in t,n=(e,r)=>{if(a(e))return{percent:t[e],length:null,fromEnd:!1};const n="right"===r||"bottom"===r;if(/%$/.test(e)){const t=parseFloat(e);return{percent:n?100-t:t,length:null,fromEnd:!1}}return{percent:null,length:e,fromEnd:n}},o={x:n("center"),y:n("center")};if(1===r.length)return o[/^(top|bottom)$/.test(r[0])?"y":"x"]=n(r[0]),o;if(2===r.length){const[e,t]=/^(top|bottom)$/.test(r[0])||/^(left|right)$/.test(r[1])?[r[1],r[0]]:r;return{x:n(e),y:n(t)}}for(let e=0;e<r.length;e++){const t=r[e],i=r[e+1]&&!a(r[e+1])?r[++e]:"";"center"!==t&&(o[/^(left|right)$/.test(t)?"x":"y"]=i?n(i,t):n(t))}return o},parseBackgroundRepeat:function(e="repeat"){const t=(e||"repeat").toLowerCase().split(/\s+/).filter(Boolean);if("repeat-x"===t[0])return{x:!0,y:!1};if("repeat-y"===t[0])return{x:!1,y:!0};const[r,a=r]=t;return{x:"no-repeat"!==r,y:"no-repeat"!==a}},createIdFactory:function(e,t="svgcc"){const r=new Set;this.visitTree(e,e=>{e.attrs?.id&&r.add(e.attrs.id)});let a=0;return()=>{let e;do{e=`${t}-${++a}`}while(r.has(e));return r.add(e),e}},backgroundLayerToSvg:function(e,t,r){const a=e=>String(Math.round(1e3*e)/1e3),n=t=>({tag:"image",attrs:{"iftool-href":e.url,...t},children:[]}),o={x:t.x,y:t.y,width:t.width,height:t.height},i=this.parseBackgroundPosition(e.position),s=e=>null===e.percent?e.fromEnd?"Max":"Min":e.percent<25?"Min":e.percent>75?"Max":"Mid",c=`x${s(i.x)}Y${s(i.y)}`,[l="auto",d="auto"]=this.splitCssValue((e.size||"auto").toLowerCase(),/\s/).filter(Boolean);if("cover"===l||"contain"===l)return[n({...o,preserveAspectRatio:`${c} ${"cover"===l?"slice":"meet"}`})];if("auto"===l&&"auto"===d)return[n(o)];const[u,g,p,h]=[t.x,t.y,t.width,t.height].map(e=>this.resolveLength(e)),f="auto"===l?null:this.resolveLength(l,p),m="auto"===d?null:this.resolveLength(d,h);if(!([u,g,p,h].every(e=>null!==e)&&("auto"===l||null!==f)&&("auto"===d||null!==m)))return[n(o)];const b=(e,t,r)=>{if(null!==e.percent)return(t-r)*e.percent/100;const a=this.resolveLength(e.length,t)||0;return e.fromEnd?t-r-a:a};if(null===f||null===m){const e=f??p,t=m??h;return[n({x:a(u+b(i.x,p,e)),y:a(g+b(i.y,h,t)),width:a(e),height:a(t),preserveAspectRatio:`${c} slice`})]}const y=u+b(i.x,p,f),w=g+b(i.y,h,m),v=this.parseBackgroundRepeat(e.repeat);if(!v.x&&!v.y)return[n({x:a(y),y:a(w),width:a(f),height:a(m),preserveAspectRatio:"none"})];const x=r();return[{tag:"pattern",attrs:{id:x,patternUnits:"userSpaceOnUse",x:a(y),y:a(w),width:a(f),height:a(m)},children:[n({x:"0",y:"0",width:a(f),height:a(m),preserveAspectRatio:"none"})]},{tag:"rect",attrs:{x:a(v.x?u:y),y:a(v.y?g:w),width:a(v.x?p:f),height:a(v.y?h:m),fill:`url(#${x})`},children:[]}]},backgroundColorToSvg:function(e,t){const r=(e||"").trim().toLowerCase();return!r||/^(transparent|none|initial|inherit|unset)$/.test(r)||/^rgba\(.*[,/]\s*0(\.0*)?\s*\)$/.test(r)||/^#([0-9a-f]{3}0|[0-9a-f]{6}00)$/.test(r)?null:{tag:"rect",attrs:{x:t.x,y:t.y,width:t.width,height:t.height,fill:e},children:[]}},imageToBackgroundGeometry:function(e={}){const[t,r="meet"]=(e.preserveAspectRatio||"xMidYMid meet").trim().split(/\s+/).filter(e=>"defer"!==e);if("none"===t)return{size:"100% 100%",position:"0% 0%",repeat:"no-repeat"};const a=/^x(Min|Mid|Max)Y(Min|Mid|Max)$/.exec(t)||[null,"Mid","Mid"],n={Min:"0%",Mid:"50%",Max:"100%"};return{size:"slice"===r?"cover":"contain",position:`${n[a[1]]} ${n[a[2]]}`,repeat:"no-repeat"}},patternToBackgroundLayer:function(e,t){if("pattern"!==e?.tag||"userSpaceOnUse"!==e.attrs?.patternUnits)return null;const r=e.children.filter(e=>!("wenben"===e.tag&&!e.attrs.trim())),a=1===r.length?r[0]:null;if("image"!==a?.tag||!a.attrs?.["iftool-href"]||a.children.length>0)return null;if("rect"!==t?.tag||!e.attrs.id||t.attrs?.fill!==`url(#${e.attrs.id})`)return null;const n=e=>["x","y","width","height"].map(t=>this.resolveLength(e[t]||"0")),[o,i,s,c]=n(e.attrs),[l,d,u,g]=n(t.attrs);if([o,i,s,c,l,d,u,g].some(e=>null===e))return null;if(s<=0||c<=0||u<=0||g<=0)return null;const p=e=>Math.round(1e3*e)/1e3+"%",h=(e,t,r)=>t===r?"0%":p(e/(t-r)*100),f=l!==o||u!==s,m=d!==i||g!==c;return{image:`url(${a.attrs["iftool-href"]})`,url:a.attrs["iftool-href"],position:`${h(o-l,u,s)} ${h(i-d,g,c)}`,size:`${p(s/u*100)} ${p(c/g*100)}`,repeat:f&&m?"repeat":f?"repeat-x":m?"repeat-y":"no-repeat",attachment:"",origin:"",clip:""}},isBackgroundColorRect:function(e){return!("rect"!==e?.tag||e.children.length>0||!e.attrs?.fill||/^url\(/i.test(e.attrs.fill))&&Object.keys(e.attrs).every(e=>["x","y","width","height","fill"].includes(e))},assetKinds:{src:"iftool-src",href:"iftool-href",background:"iftool-background"},collectAssets:function(e,t={}){const r=[],a=new RegExp(this.cssUrlRegex.source,"gi");return this.visitScope(e,t.scope,(e,t)=>{if(!e.attrs||"object"!=typeof e.attrs)return;const n={node:e,path:t.path,ancestors:t.ancestors};["src","href"].forEach(t=>{const a=e.attrs[this.assetKinds[t]];void 0!==a&&r.push({...n,url:a,kind:t,layer:null,candidate:null})});const o=this.getBackground(e.attrs);(o?o.layers:[]).forEach((e,t)=>{[...e.image.matchAll(a)].forEach((e,a)=>{r.push({...n,url:e[1]??e[2]??e[3],kind:"background",layer:t,candidate:a})})})}),r},rewriteAssets:function(e,t,r={}){const a=this.collectAssets(e,r),n=a.map(e=>t(e.url,e.node,e.kind,e)),o=t=>{const r=new Map;a.forEach((e,a)=>{const n=t[a];"string"==typeof n&&n!==e.url&&("background"===e.kind?(r.has(e.node)||r.set(e.node,new Map),r.get(e.node).set(`${e.layer}:${e.candidate}`,n)):e.node.attrs[this.assetKinds[e.kind]]=n)});const n=new RegExp(this.cssUrlRegex.source,"gi");return r.forEach((e,t)=>{const r=this.getBackground(t.attrs);r.layers.forEach((t,r)=>{let a=0;t.image=t.image.replace(n,t=>{const n=e.get(`${r}:${a++}`);return void 0===n?t:`url(${n})`}),t.url=this.extractCssUrl(t.image)}),this.setBackground(t.attrs,r)}),e};return n.some(e=>e&&"function"==typeof e.then)?Promise.all(n).then(o):o(n)},wechatImageHosts:["mmbiz.qpic.cn","mmbiz.qlogo.cn"],inventoryAssets:function(e,t={}){"string"==typeof e&&(e=this.parse(e));const r=(t.wechatHosts||this.wechatImageHosts).map(e=>e.toLowerCase()),a=new Map,n=[];this.collectAssets(e,t).forEach(t=>{const r={kind:t.kind,tag:t.node.tag,path:this.formatNodePath(e,t.path)};t.url.trim()?(a.has(t.url)||a.set(t.url,[]),a.get(t.url).push(r)):n.push({type:"missing",url:t.url,...r})}),this.visitScope(e,t.scope,(t,r)=>{("img"===t.tag&&void 0===t.attrs?.[this.assetKinds.src]||"image"===t.tag&&void 0===t.attrs?.[this.assetKinds.href]&&void 0===t.attrs?.["xlink:href"])&&n.push({type:"missing",url:"",kind:"img"===t.tag?"src":"href",tag:t.tag,path:this.formatNodePath(e,r.path)})});const o=[...a].map(([e,t])=>{const a=/^data:/i.test(e),o=(/^([a-z][a-z\d+.-]*):/i.exec(e)||[])[1]||"",i=a?"":((/^(?:[a-z][a-z\d+.-]*:)?\/\/([^/?#:]+)/i.exec(e)||[])[1]||"").toLowerCase(),s=a?"":(/[?&]wx_fmt=([^&#]*)/i.exec(e)||[])[1]||"",c=[];return t.length>1&&c.push("duplicate"),a||r.includes(i)||c.push("nonWechatHost"),"http"===o.toLowerCase()&&c.push("http"),c.forEach(r=>n.push({type:r,url:e,...t[0]})),{url:e,count:t.length,kinds:[...new Set(t.map(e=>e.kind))],occurrences:t,wxFmt:s,isDataUri:a,host:i,issues:c}}),i=e=>o.filter(t=>t.issues.includes(e)).length;return{assets:o,issues:n,summary:{total:o.reduce((e,t)=>e+t.count,0),unique:o.length,duplicate:i("duplicate"),nonWechatHost:i("nonWechatHost"),http:i("http"),missing:n.filter(e=>"missing"===e.type).length,dataUri:o.filter(e=>e.isDataUri).length}}},fosvg2image:function(e,t={}){const r=this.createIdFactory(e);return this.visitScope(e,t.scope,(a,n)=>{if("foreignObject"===a.tag){const o=a.children.find(e=>"svg"===e.tag);o&&o.attrs?.["iftool-background"]&&o.children.length>0&&this.addReport(t.report,e,{converter:"fosvg2image",status:"skipped",path:n.path,originalTag:"foreignObject>svg",url:o.attrs["iftool-background"],reason:"svg内容不为空"});const i=o?this.getBackground(o.attrs):null,s=!!i?.layers.some(e=>!e.url&&!/^none$/i.test(e.image));if(o&&o.attrs?.["iftool-background"]&&0===o.children.length&&s&&this.addReport(t.report,e,{converter:"fosvg2image",status:"skipped",path:n.path,originalTag:"foreignObject>svg",url:o.attrs["iftool-background"],reason:"背景含渐变等非图片图层"}),o&&o.attrs?.["iftool-background"]&&0===o.children.length&&!s&&n.parent){const s={...a.attrs,...o.attrs},c=this.filterPreservedAttrs(s),l=[a.attrs.style||"",o.attrs.style||""],d=this.removeWidth(l),u={x:a.attrs.x||"0",y:a.attrs.y||"0",width:a.attrs.width||"100%",height:a.attrs.height||"100%"},g=i.layers.filter(e=>e.url).reverse().flatMap(e=>this.backgroundLayerToSvg(e,u,r)),p=this.backgroundColorToSvg(i.color,u);let h;p&&g.unshift(p),1===g.length&&"image"===g[0].tag?(h=g[0],h.attrs={...c,...h.attrs,style:d}):h={tag:"g",attrs:{...c,style:d},children:g},n.replace(h),i.layers.filter(e=>e.url).forEach(r=>{this.addReport(t.report,e,{converter:"fosvg2image",status:"converted",path:n.path,originalTag:"foreignObject>svg",newTag:"image"===h.tag?"image":"g>image",url:r.url})})}}}),e},svg2image:function(e,t={}){const r=this.createIdFactory(e);return this.visitScope(e,t.scope,(a,n)=>{if("svg"===a.tag){if(a.children.some(e=>"animate"===e.tag&&"height"===e.attrs?.attributeName&&"-1"===e.attrs?.by))return void(a.attrs?.["iftool-background"]&&this.addReport(t.report,e,{converter:"svg2image",status:"skipped",path:n.path,originalTag:"svg",url:a.attrs["iftool-background"],reason:'svg内含height的by="-1"缩回展开动画，必须保留svg实现'}));const o="foreignObject"!==n.parent?.tag;if(!o&&a.attrs?.["iftool-background"]&&this.addReport(t.report,e,{converter:"svg2image",status:"skipped",path:n.path,originalTag:"svg",url:a.attrs["iftool-background"],reason:"父节点为foreignObject，仅转换最外层svg"}),o&&a.attrs?.["iftool-background"]&&n.parent){const o=this.parseViewBox(a.attrs.viewBox)||this.resolveGeometry(a,{ancestors:n.ancestors}),i=o?{x:String(o.x||0),y:String(o.y||0),width:String(o.width),height:String(o.height)}:{x:"0",y:"0",width:"100%",height:"100%"},s=this.removeDeclarations(a.attrs.style,["transform","-webkit-transform","opacity"]),c=this.getBackground(a.attrs),l=c.layers.findIndex(e=>!e.url&&!/^none$/i.test(e.image)),d=-1===l?c.layers.length:l,u=c.layers.slice(0,d).filter(e=>e.url),g=c.layers.slice(d).filter(e=>!/^none$/i.test(e.image));if(g.filter(e=>e.url).forEach(r=>{this.addReport(t.report,e,{converter:"svg2image",status:"skipped",path:n.path,originalTag:"svg",url:r.url,reason:"图片图层位于渐变等非图片图层之下，保留为svg背景以保持绘制顺序"})}),0===u.length)return;const p=u.slice().reverse().flatMap(e=>this.backgroundLayerToSvg(e,i,r));p.filter(e=>"image"===e.tag).forEach(e=>{e.attrs.style=s});const h=0===g.length?this.backgroundColorToSvg(c.color,i):null;h&&p.unshift(h),a.children.unshift(...p),this.setBackground(a.attrs,{color:c.color,layers:g}),u.forEach(r=>{this.addReport(t.report,e,{converter:"svg2image",status:"converted",path:n.path,originalTag:"svg",newTag:"svg>image",url:r.url})}),n.skip()}}}),e},svg2img:function(e,t={}){return this.visitScope(e,t.scope,(r,a)=>{"svg"===r.tag&&r.children.length>0&&r.attrs?.["iftool-background"]&&this.addReport(t.report,e,{converter:"svg2img",status:"skipped",path:a.path,originalTag:"svg",url:r.attrs["iftool-background"],reason:"svg内容不为空"});const n="svg"===r.tag&&1===this.getBackground(r.attrs)?.layers.filter(e=>!/^none$/i.test(e.image)).length;if("svg"===r.tag&&0===r.children.length&&r.attrs?.["iftool-background"]&&!n&&this.addReport(t.report,e,{converter:"svg2img",status:"skipped",path:a.path,originalTag:"svg",url:r.attrs["iftool-background"],reason:"背景含多个图层"}),"svg"===r.tag&&0===r.children.length&&r.attrs?.["iftool-background"]&&n&&a.parent){const n={tag:"img",attrs:{...this.filterPreservedAttrs(r.attrs),"iftool-src":r.attrs["iftool-background"],style:r.attrs.style||""},children:[]};a.replace(n),this.addReport(t.report,e,{converter:"svg2img",status:"converted",path:a.path,originalTag:"svg",newTag:"img",url:n.attrs["iftool-src"]})}}),e},image2img:function(e,t={}){return this.visitScope(e,t.scope,(r,a)=>{"image"===r.tag&&r.children.length>0&&r.attrs?.["iftool-href"]&&this.addReport(t.report,e,{converter:"image2img",status:"skipped",path:a.path,originalTag:"image",url:r.attrs["iftool-href"],reason:"image内容不为空"});const n="pattern"===r.tag&&a.parent?this.patternToBackgroundLayer(r,a.parent.children[a.index+1]):null;if(n&&this.addReport(t.report,e,{converter:"image2img",status:"skipped",path:a.path,originalTag:"pattern+rect",url:n.url,reason:"平铺背景无法转为img，保留pattern"}),("image"!==r.tag||"pattern"!==a.parent?.tag)&&"image"===r.tag&&0===r.children.length&&r.attrs?.["iftool-href"]&&a.parent){const n=this.filterPreservedAttrs(r.attrs),o={tag:"g",attrs:{},children:[{tag:"foreignObject",attrs:{x:r.attrs.x||"0",y:r.attrs.y||"0",width:r.attrs.width||"100%",height:r.attrs.height||"100%"},children:[{tag:"img",attrs:{...n,"iftool-src":r.attrs["iftool-href"],style:r.attrs.style||""},children:[]}]}]};a.replace(o),this.addReport(t.report,e,{converter:"image2img",status:"converted",path:a.path,originalTag:"image",newTag:"g>foreignObject>img",url:r.attrs["iftool-href"]})}}),e},image2svg:function(e,t={}){const r={};this.visitTree(e,e=>{e.attrs&&"object"==typeof e.attrs&&Object.values(e.attrs).forEach(e=>{for(const t of String(e).matchAll(/url\(\s*['"]?#([^'")\s]+)/gi))r[t[1]]=(r[t[1]]||0)+1})});const a=e=>({x:e.attrs.x||"0",y:e.attrs.y||"0",width:e.attrs.width||"100%",height:e.attrs.height||"100%"}),n=(e,t)=>{const n=e[t];if("image"===n?.tag&&0===n.children.length&&n.attrs?.["iftool-href"]){const e={image:`url(${n.attrs["iftool-href"]})`,url:n.attrs["iftool-href"],...this.imageToBackgroundGeometry(n.attrs),attachment:"",origin:"",clip:""};return{node:n,count:1,box:a(n),layer:e,originalTag:"image"}}const o=e[t+1],i="pattern"===n?.tag&&1===r[n.attrs?.id]?this.patternToBackgroundLayer(n,o):null;return i?{node:o,count:2,box:a(o),layer:i,originalTag:"pattern+rect"}:null};return this.visitScope(e,t.scope,(r,o)=>{if("image"===r.tag&&r.children.length>0&&r.attrs?.["iftool-href"]&&this.addReport(t.report,e,{converter:"image2svg",status:"skipped",path:o.path,originalTag:"image",url:r.attrs["iftool-href"],reason:"image内容不为空"}),"image"===r.tag&&"pattern"===o.parent?.tag)return;if(!o.parent)return;const i=o.parent.children;let s=n(i,o.index),c="";if(!s&&this.isBackgroundColorRect(r)){const e=n(i,o.index+1);if(!e)return;c=r.attrs.fill;const t=a(r);s=["x","y","width","height"].every(r=>e.box[r]===t[r])?{...e,count:e.count+1,originalTag:`rect+${e.originalTag}`}:{node:r,count:1,box:t,layer:null,originalTag:"rect"}}if(!s)return;const l=s.layer?.url||"",d=this.filterPreservedAttrs(s.node.attrs),u=s.node.attrs.style||"",{box:g}=s,p=this.resolveGeometry({...s.node,attrs:{...s.node.attrs,width:g.width,height:g.height}},{ancestors:o.ancestors});if(!p)return void(l&&this.addReport(t.report,e,{converter:"image2svg",status:"skipped",path:o.path,originalTag:s.originalTag,url:l,reason:`无法确定image尺寸（width: ${g.width}，height: ${g.height}）`}));const h={...d,viewBox:`0 0 ${p.width} ${p.height}`,style:u};s.layer?this.setBackground(h,{color:c,layers:[s.layer]}):h.style=u?`${u}; background-color: ${c}`:`background-color: ${c}`;const f={tag:"g",attrs:{},children:[{tag:"foreignObject",attrs:{...g},children:[{tag:"svg",attrs:h,children:[]}]}]};o.replace(f),i.splice(o.index+1,s.count-1),l&&this.addReport(t.report,e,{converter:"image2svg",status:"converted",path:o.path,originalTag:s.originalTag,newTag:"g>foreignObject>svg",url:l})}),e},foimg2image:function(e,t={}){return this.visitScope(e,t.scope,(r,a)=>{if("foreignObject"===r.tag&&a.parent){const n=r.children.find(e=>"img"===e.tag);if(n&&n.attrs?.["iftool-src"]&&0===n.children.length){const o={...r.attrs,...n.attrs},i=this.filterPreservedAttrs(o),s=[r.attrs.style||"",n.attrs.style||""],c=this.removeWidth(s),l=r.attrs.x||"0",d=r.attrs.y||"0",u=r.attrs.width||"100%",g=r.attrs.height||"100%",p={tag:"image",attrs:{...i,"iftool-href":n.attrs["iftool-src"],x:l,y:d,width:u,height:g,style:c},children:[]};a.replace(p),this.addReport(t.report,e,{converter:"foimg2image",status:"converted",path:a.path,originalTag:"foreignObject>img",newTag:"image",url:p.attrs["iftool-href"]})}}}),e},img2image:async function(e,t={}){const r=[],a=new Map;this.visitScope(e,t.scope,(a,n)=>{if("img"===a.tag&&a.attrs?.["iftool-src"]&&n.parent){const o="foreignObject"===n.parent?.tag,i=!a.attrs.width&&!a.attrs.height;!o&&i?r.push({node:a,ancestors:n.ancestors}):this.addReport(t.report,e,{converter:"img2image",status:"skipped",path:n.path,originalTag:"img",url:a.attrs["iftool-src"],reason:o?"父节点为foreignObject":"img已设置width/height属性"})}});const n=await this.resolveImageGeometries(r,t);for(const{node:e}of r){const t=this.filterPreservedAttrs(e.attrs),{geometry:r,reason:o}=n.get(e);if(!r){a.set(e,{newNode:null,reason:o});continue}const i={tag:"svg",attrs:{viewBox:`0 0 ${r.width} ${r.height}`,style:"display: block; pointer-events: painted; width: 100%;"},children:[{tag:"image",attrs:{...t,"iftool-href":e.attrs["iftool-src"],x:"0",y:"0",width:r.width,height:r.height,style:e.attrs.style||""},children:[]}]};a.set(e,{newNode:i,reason:""})}return this.visitTree(e,(r,n)=>{const o=a.get(r);o&&(o.newNode&&n.replace(o.newNode),this.addReport(t.report,e,{converter:"img2image",status:o.newNode?"converted":"skipped",path:n.path,originalTag:"img",newTag:o.newNode?"svg>image":void 0,url:r.attrs["iftool-src"],reason:o.reason}))}),e},img2svg:async function(e,t={}){const r=[],a=new Map;this.visitScope(e,t.scope,(e,t)=>{"img"===e.tag&&0===e.children.length&&e.attrs?.["iftool-src"]&&t.parent&&r.push({node:e,ancestors:t.ancestors})});const n=await this.resolveImageGeometries(r,t);for(const{node:e}of r){const t=this.filterPreservedAttrs(e.attrs),{geometry:r,reason:o}=n.get(e);if(!r){a.set(e,{newNode:null,reason:o});continue}const i={tag:"svg",attrs:{...t,viewBox:`0 0 ${r.width} ${r.height}`,style:e.attrs.style||"","iftool-background":e.attrs["iftool-src"]},children:[]};a.set(e,{newNode:i,reason:""})}return this.visitTree(e,(r,n)=>{const o=a.get(r);o&&(o.newNode&&n.replace(o.newNode),this.addReport(t.report,e,{converter:"img2svg",status:o.newNode?"converted":"skipped",path:n.path,originalTag:"img",newTag:o.newNode?"svg":void 0,url:r.attrs["iftool-src"],reason:o.reason}))}),e},parse:function(e,t={}){let r;if(t.preserve)r=this.preprocessDom(e);else{const t=this.preprocess(e);try{r=this.parseXml(t)}catch(e){throw new Error(`XML解析失败。原因: ${e.message}`)}}this.extractAssets(r);return{...this.domToObject(r,{preserve:!!t.preserve}),tag:this.fragmentTag,attrs:{}}},preprocess:function(e){return[e=>this.serializeHtml(this.parseHtml(e)),e=>{const t=/(?:\s|^)data-src(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?/gi;let r=e.replace(/(<img\s[^>]*>)/gi,e=>e.replace(t,""));return r=r.replace(/(?:\s|^)data-lazy-bgimg(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?/gi,""),r},e=>e.replace(/(?:\s|^)class\s*=\s*(["'])(?:.*?\s)?wx_imgbc_placeholder(?:\s.*?)?\1/gi,(e,t)=>{const r=e.match(new RegExp(`class\\s*=\\s*${t}(.*?)${t}`,"i"))[1].split(/\s+/).filter(e=>"wx_imgbc_placeholder"!==e.trim()).join(" ").trim();return r?` class=${t}${r}${t}`:""}),e=>{const t={"&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&apos;"},r=/&(?:#[0-9]+;?|#[xX][0-9a-fA-F]+;?|[a-zA-Z][a-zA-Z0-9]*;?)?/g,a=e=>e.replace(r,e=>{const r=this.decodeEntities(e);return r===e?`&amp;${e.slice(1)}`:r.replace(/[&<>"']/g,e=>t[e])}),n=new RegExp(`(<(${this.htmlRawTextTags.join("|")})(?:\\s[^>]*)?>)([\\s\\S]*?)(?=<\\/\\2[\\s>])`,"gi");let o="",i=0;for(const t of e.matchAll(n))o+=a(e.slice(i,t.index+t[1].length)),o+=t[3].replace(/&/g,"&amp;").replace(/</g,"&lt;"),i=t.index+t[0].length;return o+a(e.slice(i))},e=>e.replace(/url\(\s*(?:"|&quot;)(.*?)(?:"|&quot;)\s*\)/gi,(e,t)=>`url('${t.trim()}')`),e=>{const t=["img","br","input","hr"],r=new RegExp(`<(${t.join("|")})(\\s+[^>]*?)?>`,"gi");return e.replace(r,(e,r,a="")=>{if(e.endsWith("/>"))return e;if(!e.includes("</")&&t.includes(r.toLowerCase())){return`<${r}${a?a.replace(/\s*\/?$/,""):""}/>`}return e})},e=>{const t=new Map;let r=0;let a=e.replace(/<(pre|code|textarea)[\s\S]*?<\/\1>/gi,e=>{const a=`__PRE_PLACEHOLDER_${r}__`;return t.set(a,e),r++,a}).replace(/[\n\r]+/g," ").replace(/\t+/g," ").replace(/&nbsp;|&#160;|&#xA0;/gi," ").replace(/\s+/g," ").replace(/>\s+</g,"><").trim();return t.forEach((e,t)=>{a=a.replace(t,e)}),a},e=>{const t={animatetransform:"animateTransform",animatemotion:"animateMotion",foreignobject:"foreignObject"},r={viewbox:"viewBox",calcmode:"calcMode",attributename:"attributeName",attributetype:"attributeType",keytimes:"keyTimes",keysplines:"keySplines",repeatcount:"repeatCount",repeatdur:"repeatDur"};return(e=>{const t=Object.keys(r).join("|"),a=new RegExp(`([\\s>])(${t})=`,"gi");return e.replace(a,(e,t,a)=>`${t}${r[a.toLowerCase()]}=`)})(e.replace(/<(\/?)(animatetransform|animatemotion|foreignobject)(?=\s|\/|>)/gi,(e,r,a)=>`<${r}${t[a.toLowerCase()]}`))},e=>`<div id="iftool">${e}</div>`].reduce((e,t)=>t(e),e)},preprocessDom:function(e){const t=this.parseHtml(e,{locations:!0}),r=[],a=e=>{for(const t of e.childNodes)1===t.nodeType&&(r.push(t),a(t))};a(t);for(const e of r){"img"===e.tagName.toLowerCase()&&e.removeAttribute("data-src"),e.removeAttribute("data-lazy-bgimg");const t=(e.getAttribute("class")||"").split(/\s+/);if(t.includes("wx_imgbc_placeholder")){const r=t.filter(e=>e&&"wx_imgbc_placeholder"!==e).join(" ");r?e.setAttribute("class",r):e.removeAttribute("class")}e.source&&(e.source.cleanAttrs=e.attributes.map(e=>({...e})))}return t},extractAssets:function(e){const t=[],r=e=>{for(const a of e.childNodes)1===a.nodeType&&(t.push(a),r(a))};r(e);for(const e of t)if("image"===e.tagName.toLowerCase()&&e.hasAttribute("href")&&(e.setAttribute("iftool-href",e.getAttribute("href")),e.removeAttribute("href")),"img"===e.tagName.toLowerCase()&&e.hasAttribute("src")&&(e.setAttribute("iftool-src",e.getAttribute("src")),e.removeAttribute("src")),e.hasAttribute("style")){const t=e.getAttribute("style"),{bgProps:r,cleanedStyle:a}=this.processStyle(t);if(r.url){const t=this.setBackground({},{color:r.color,layers:r.layers});Object.entries(t).forEach(([t,r])=>e.setAttribute(t,r))}a?e.setAttribute("style",a):e.removeAttribute("style")}},processStyle:function(e){const t=this.parseStyle(e),r=this.parseBackgroundLayers({image:t["background-image"],...Object.fromEntries(Object.keys(this.backgroundLayerDefaults).map(e=>[e,t[`background-${e}`]]))}),a={url:r.find(e=>e.url)?.url||"",color:t["background-color"]||"",position:t["background-position"]||"",size:t["background-size"]||"",repeat:t["background-repeat"]||"",attachment:t["background-attachment"]||"",origin:t["background-origin"]||"",clip:t["background-clip"]||"",layers:r};return{bgProps:a,cleanedStyle:this.removeDeclarations(e,a.url?["background",...this.cssShorthands.background]:[])}},domToObject:function(e,t={}){const{preserve:r=!1}=t;if(1===e.nodeType){const a={tag:e.tagName,attrs:{},children:[]};for(const t of e.attributes)a.attrs[t.name]=t.value;r&&(a.source={...e.source,treeAttrs:{...a.attrs},before:"",trailing:""});let n="";for(const o of e.childNodes){if(r&&3===o.nodeType&&!o.nodeValue.trim()){n+=o.source?o.source.raw:o.nodeValue;continue}const e=this.domToObject(o,t);e&&(r&&(e.source.before=n,n=""),a.children.push(e))}return r&&(a.source.trailing=n),a}if(3===e.nodeType){const t=e.nodeValue.trim();if(!t)return null;const a={tag:"wenben",attrs:t,children:[]};return r&&(a.source={...e.source,text:t}),a}if(8===e.nodeType){const t={tag:"zhushi",attrs:e.nodeValue.trim(),children:[]};return r&&(t.source={...e.source,text:t.attrs}),t}return null},explicitCloseTags:["section","p","div","svg","iframe","video","mp-common-clmusic","mp-common-redpacket","mp-common-profile","mp-common-videosnap","mp-common-mpaudio","mp-common-poi","mp-common-miniprogram","mp-common-vote"],compose:function(e){const t=e=>this.escapeEntities(e,!0),r=e=>{const r=e.source||{},a=this.restoreAssetAttrs(e.attrs);if(r.cleanAttrs&&r.treeAttrs){const t=e=>Object.fromEntries(Object.entries(e).filter(([e])=>"style"===e||e.startsWith("iftool-")));if(((e,t)=>{const r=Object.keys(e);return r.length===Object.keys(t).length&&r.every(r=>t[r]===e[r])})(t(e.attrs),t(r.treeAttrs))){const e=Object.fromEntries(r.cleanAttrs.map(e=>[e.name,e.value])),t=["style"];r.treeAttrs["iftool-src"]&&t.push("src"),r.treeAttrs["iftool-href"]&&t.push("href"),t.forEach(t=>{t in e?a[t]=e[t]:delete a[t]})}}let n="";const o=new Set;return(r.attrs||[]).forEach(e=>{if(!(e.name in a))return;o.add(e.name);const r=String(a[e.name]),i=e.raw.match(/^\s*/)[0];r===e.value&&e.raw.slice(i.length).startsWith(e.name)?n+=e.raw:n+=`${i||" "}${e.name}="${t(r)}"`}),Object.entries(a).filter(([e])=>!o.has(e)).forEach(([e,r])=>{n+=` ${e}="${t(r)}"`}),n},a=(e,t)=>{const n=e.source||{},o=n.before||"";if("wenben"===e.tag||"zhushi"===e.tag){if(void 0!==n.raw&&e.attrs===n.text)return o+n.raw;if("zhushi"===e.tag)return`${o}\x3c!--${e.attrs}--\x3e`;const[,r="",a=""]=(n.raw||"").match(/^(\s*)[\s\S]*?(\s*)$/)||[];return o+r+(this.htmlRawTextTags.includes(t?.tag)?e.attrs:this.escapeEntities(e.attrs))+a}const i=r(e),s=e.children||[],c=s.map(t=>a(t,e)).join("")+(n.trailing||""),l=0===s.length&&!n.trailing,d=this.htmlVoidTags.includes(e.tag),u=this.explicitCloseTags.includes(e.tag);if(n.attrs){const t=/\/>$/.test(n.close);if(d||t&&l&&!u)return`${o}<${e.tag}${i}${n.close}`;const r=t?n.close.replace(/\s*\/>$/,">"):n.close;return`${o}<${e.tag}${i}${r}${n.leadingNewline||""}${c}</${e.tag}>`}return l&&!u?`${o}<${e.tag}${i}/>`:`${o}<${e.tag}${i}>${c}</${e.tag}>`};return e.tag===this.fragmentTag?(e.children||[]).map(t=>a(t,e)).join("")+(e.source?.trailing||""):a(e,null)},restoreAssetAttrs:function(e){const t=this.getBackground(e),r={href:e["iftool-href"],srcUrl:e["iftool-src"]},a={...e};if(delete a["iftool-href"],delete a["iftool-src"],this.setBackground(a,null),t){const e=t.layers.length-1,r=`background: ${t.layers.map((r,a)=>{const n=r.position||"0% 0%",o=r.size||"auto auto",i=r.repeat||"repeat",s=r.attachment||"scroll",c=r.origin||"padding-box",l=r.clip||"border-box";let d=n;o&&"auto"!==o&&"auto auto"!==o&&(d+=` / ${o}`);const u=`${r.image} ${d} ${i} ${s} ${c} ${l}`;return a===e?`${t.color||"transparent"} ${u}`:u}).join(", ")}`,n=a.style||"";a.style=n?`${n}; ${r}`:r}return r.href&&(a.href=r.href),r.srcUrl&&(a.src=r.srcUrl),a},objectToDom:function(e,t){if(!t)return null;if("wenben"===t.tag)return e.createTextNode(t.attrs);if("zhushi"===t.tag)return e.createComment(t.attrs);const r=this.restoreAssetAttrs(t.attrs),a=e.createElement(t.tag);for(const e in r)a.setAttribute(e,r[e]);if(t.children)for(const r of t.children){const t=this.objectToDom(e,r);t&&a.appendChild(t)}return a},convert:async function(e,t={}){const{type:r="",convertImg:a=!1,preload:n=0}=t;if(!["","svg","img","image"].includes(r))throw new Error(`不支持的转换类型: ${r}`);"string"==typeof e&&(e=this.parse(e,{preserve:t.preserve}));const o=this.resolveScope(e,t.scope),i=this.findPreloadSections(e);let s;if([...i].reverse().forEach(e=>e.parent.children.splice(e.index,1)),o){const t=new Set(o.map(e=>e.node));if(s=[],this.visitTree(e,(e,r)=>{t.has(e)&&s.push(r.path)}),0===s.length)throw i.forEach(e=>e.parent.children.splice(e.index,0,e.node)),new Error("转换作用域未匹配到任何节点")}const c=this.calcLayer(e,n,{scope:s,rules:t.layerRules,weights:t.layerWeights,strategy:t.preloadStrategy,maxBytes:t.preloadBytes,sizes:t.preloadSizes});n<=0&&(c.finalHtml="");const l=[],d={report:l,scope:s,...Object.fromEntries(["baseWidth","ratioResolvers","imageProxy","concurrency","ratioCache","timeout","signal","allowLocalFiles","onProgress"].map(e=>[e,t[e]]))};return"image"===r?(this.fosvg2image(e,{report:l,scope:s}),this.svg2image(e,{report:l,scope:s}),a&&(this.foimg2image(e,{report:l,scope:s}),await this.img2image(e,d))):"img"===r?(this.svg2img(e,{report:l,scope:s}),this.image2img(e,{report:l,scope:s})):"svg"===r&&(this.image2svg(e,{report:l,scope:s}),a&&await this.img2svg(e,d)),i.forEach(e=>e.parent.children.splice(e.index,0,e.node)),n>0&&this.injectPreload(e,c.finalHtml),{code:this.compose(e),tree:e,layer:c,report:l}},htmlVoidTags:["area","base","basefont","bgsound","br","col","embed","frame","hr","img","input","keygen","link","meta","param","source","track","wbr"],htmlRawTextTags:["script","style","xmp","iframe","noembed","noframes","noscript"],htmlRcdataTags:["textarea","title"],svgTagNames:["altGlyph","altGlyphDef","altGlyphItem","animateColor","animateMotion","animateTransform","clipPath","feBlend","feColorMatrix","feComponentTransfer","feComposite","feConvolveMatrix","feDiffuseLighting","feDisplacementMap","feDistantLight","feDropShadow","feFlood","feFuncA","feFuncB","feFuncG","feFuncR","feGaussianBlur","feImage","feMerge","feMergeNode","feMorphology","feOffset","fePointLight","feSpecularLighting","feSpotLight","feTile","feTurbulence","foreignObject","glyphRef","linearGradient","radialGradient","textPath"],svgAttrNames:["attributeName","attributeType","baseFrequency","baseProfile","calcMode","clipPathUnits","diffuseConstant","edgeMode","filterUnits","glyphRef","gradientTransform","gradientUnits","kernelMatrix","kernelUnitLength","keyPoints","keySplines","keyTimes","lengthAdjust","limitingConeAngle","markerHeight","markerUnits","markerWidth","maskContentUnits","maskUnits","numOctaves","pathLength","patternContentUnits","patternTransform","patternUnits","pointsAtX","pointsAtY","pointsAtZ","preserveAlpha","preserveAspectRatio","primitiveUnits","refX","refY","repeatCount","repeatDur","requiredExtensions","requiredFeatures","specularConstant","specularExponent","spreadMethod","startOffset","stdDeviation","stitchTiles","surfaceScale","systemLanguage","tableValues","targetX","targetY","textLength","viewBox","viewTarget","xChannelSelector","yChannelSelector","zoomAndPan"],createDocument:function(){return{createElement:e=>({nodeType:1,tagName:e,namespaceURI:null,attributes:[],childNodes:[],hasAttribute:function(e){return this.attributes.some(t=>t.name===e)},getAttribute:function(e){const t=this.attributes.find(t=>t.name===e);return t?t.value:null},removeAttribute:function(e){this.attributes=this.attributes.filter(t=>t.name!==e)},setAttribute:function(e,t){const r=this.attributes.find(t=>t.name===e);r?r.value=String(t):this.attributes.push({name:e,value:String(t)})},appendChild:function(e){return this.childNodes.push(e),e}}),createTextNode:e=>({nodeType:3,nodeValue:String(e)}),createComment:e=>({nodeType:8,nodeValue:String(e)})}},decodeEntities:function(e,t=!1){if(!e||!e.includes("&"))return e;const r=this.getHtmlEntityMap(),a=this.htmlLegacyEntities.split(","),n={128:8364,130:8218,131:402,132:8222,133:8230,134:8224,135:8225,136:710,137:8240,138:352,139:8249,140:338,142:381,145:8216,146:8217,147:8220,148:8221,149:8226,150:8211,151:8212,152:732,153:8482,154:353,155:8250,156:339,158:382,159:376};return e.replace(/&(?:#([0-9]+);?|#[xX]([0-9a-fA-F]+);?|([a-zA-Z][a-zA-Z0-9]*)(;?))/g,(o,i,s,c,l,d)=>{if(void 0!==i||void 0!==s){let e=void 0!==i?parseInt(i,10):parseInt(s,16);return n[e]&&(e=n[e]),(!e||e>1114111||e>=55296&&e<=57343)&&(e=65533),String.fromCodePoint(e)}if(l&&r.has(c))return r.get(c);const u=a.filter(e=>c.startsWith(e)).sort((e,t)=>t.length-e.length)[0];if(!u)return o;const g=o.slice(u.length+1);return t&&/^[a-zA-Z0-9=]/.test(g||e[d+o.length]||"")?o:r.get(u)+g})},getHtmlEntityMap:function(){return this.htmlEntityMap||(this.htmlEntityMap=new Map,this.htmlEntities.split(",").forEach(e=>{const[t,r]=e.split(":");this.htmlEntityMap.set(t,String.fromCodePoint(...r.split(".").map(e=>parseInt(e,16))))})),this.htmlEntityMap},escapeEntities:function(e,t=!1){const r=this.getHtmlEntityMap(),a=this.htmlLegacyEntities.split(",");let n=String(e).replace(/&(#[xX][0-9a-fA-F]|#[0-9]|[a-zA-Z][a-zA-Z0-9]*)?/g,(e,n,o,i)=>{if(!n)return e;if(n.startsWith("#"))return`&amp;${n}`;if(";"===i[o+e.length]&&r.has(n))return`&amp;${n}`;const s=a.find(e=>n.startsWith(e));if(s){const r=n[s.length]||i[o+e.length]||"";if(!t||!/^[a-zA-Z0-9=]/.test(r))return`&amp;${n}`}return e});return n=n.replace(/</g,"&lt;").replace(/>/g,"&gt;"),t&&(n=n.replace(/"/g,"&quot;").replace(/\t/g,"&#9;").replace(/\n/g,"&#10;").replace(/\r/g,"&#13;")),n},scanTag:function(e,t,r){const a="xml"===r,n=(e,t)=>{const r=new Error(e);throw r.position=t,r},o=(t,r)=>{t.lastIndex=r;const a=t.exec(e);return a?a[0]:""};let i=t+1;const s="/"===e[i];s&&i++;let c=o(/[^\s\/>]+/y,i);if(!c)return a&&n("StartTag: invalid element name",i),null;i+=c.length,a||(c=c.toLowerCase());const l=[];let d=!1;for(;i<e.length;){const t=i,r=o(/\s*/y,i);if(i+=r.length,">"===e[i])return{name:c,attrs:l,isEnd:s,selfClosing:d,close:e.slice(t,i+1),end:i+1};if("/"===e[i]){if(">"===e[i+1])return d=!0,{name:c,attrs:l,isEnd:s,selfClosing:d,close:e.slice(t,i+2),end:i+2};a&&n(`Couldn't find end of Start Tag ${c}`,i),i++;continue}if(i>=e.length)break;a&&(s||l.length>0&&!r)&&n(s?"expected '>'":"attributes construct error",i);let u=e[i]+o(/[^\s\/>=]*/y,i+1);i+=u.length,a||(u=u.toLowerCase()),a&&/^[="'<]/.test(u)&&n("attributes construct error",i);let g="";const p=o(/\s*/y,i);if("="===e[i+p.length]){i+=p.length+1,i+=o(/\s*/y,i).length;const t=e[i];if('"'===t||"'"===t){const r=e.indexOf(t,i+1);if(-1===r)return a&&n("AttValue: ' expected",i),null;g=e.slice(i+1,r),i=r+1}else{a&&n("AttValue: \" or ' expected",i);const e=o(/[^\s>]*/y,i);g=e,i+=e.length}}else a&&n(`Specification mandates value for attribute ${u}`,i);l.some(e=>e.name===u)?a&&n(`Attribute ${u} redefined`,i):l.push({name:u,value:g,raw:e.slice(t,i)})}return a&&n(`Couldn't find end of Start Tag ${c}`,i),null},parseHtml:function(e,t={}){const{locations:r=!1}=t,a="http://www.w3.org/2000/svg",n="http://www.w3.org/1999/xhtml",o=this.createDocument(),i=o.createElement("div");i.namespaceURI=n;const s=[i],c=["address","article","aside","blockquote","center","details","dialog","dir","div","dl","fieldset","figcaption","figure","footer","header","hgroup","main","menu","nav","ol","p","search","section","summary","ul","h1","h2","h3","h4","h5","h6","pre","listing","form","hr","table","xmp","li","dd","dt"],l=["h1","h2","h3","h4","h5","h6"],d=["applet","caption","html","table","td","th","marquee","object","template"],u=[...c,...d,"area","base","basefont","bgsound","body","br","button","col","colgroup","embed","frame","frameset","head","iframe","img","input","keygen","link","meta","noembed","noframes","noscript","param","plaintext","script","select","source","style","tbody","textarea","tfoot","thead","title","tr","track","wbr"],g=["b","big","blockquote","body","br","center","code","dd","div","dl","dt","em","embed",...l,"head","hr","i","img","li","listing","menu","meta","nobr","ol","p","pre","ruby","s","small","span","strong","strike","sub","sup","table","tt","u","ul","var"],p=["foreignObject","desc","title"],h=["a","b","big","code","em","font","i","nobr","s","small","strike","strong","tt","u"],f=[],m=()=>s[s.length-1],b=e=>e.namespaceURI===n,y=e=>e.namespaceURI===a&&p.includes(e.tagName),w=e=>b(e)?u.includes(e.tagName):y(e),v=()=>!b(m())&&!y(m()),x=(e,t=[])=>{for(let r=s.length-1;r>0;r--){const a=s[r];if(b(a)&&a.tagName===e)return!0;if(b(a)?[...d,...t].includes(a.tagName):y(a))return!1}return!1},k=e=>{for(;s.length>1&&!e(s.pop()););},E=e=>m().appendChild(e),T=(e,t=e)=>{if(!e)return;v()||q();const a=m(),n=a.childNodes[a.childNodes.length-1];if(n&&3===n.nodeType)n.nodeValue+=e,r&&(n.source.raw+=t);else{const a=o.createTextNode(e);r&&(a.source={raw:t}),E(a)}},S=(e,t)=>{const a=o.createComment(e);r&&(a.source={raw:t}),E(a)},A=(e,t)=>{let n=e.name;const i=o.createElement(n);return i.namespaceURI=t,e.attrs.forEach(e=>{let r=e.name;t===a&&(r=this.svgAttrNames.find(e=>e.toLowerCase()===r)||r),i.setAttribute(r,this.decodeEntities(e.value,!0))}),r&&void 0!==e.close&&(i.source={attrs:e.attrs.map((e,t)=>({...i.attributes[t],raw:e.raw})),close:e.close}),t===a&&(n=this.svgTagNames.find(e=>e.toLowerCase()===n)||n,i.tagName=n),E(i),i},q=()=>{let e=f.length;for(;e>0&&!s.includes(f[e-1].element);)e--;for(let t=e;t<f.length;t++){const e=f[t];e.element=A(e.token,n),s.push(e.element)}},$=e=>{const t=f.map(e=>e.element.tagName).lastIndexOf(e);if(-1===t)return!1;const[r]=f.splice(t,1),a=s.indexOf(r.element);return-1!==a&&(s.length=a),!0},N=e=>{const t="image"===e.name?"img":e.name;if(e.name=t,c.includes(t)||q(),"svg"===t){const t=A(e,a);return e.selfClosing||s.push(t),null}if(c.includes(t)){if(["li","dd","dt"].includes(t)){const e="li"===t?["li"]:["dd","dt"];for(let t=s.length-1;t>0;t--){const r=s[t];if(b(r)&&e.includes(r.tagName)){s.length=t;break}if(w(r)&&(!b(r)||!["address","div","p"].includes(r.tagName)))break}}x("p",["button"])&&k(e=>b(e)&&"p"===e.tagName),l.includes(t)&&b(m())&&l.includes(m().tagName)&&s.pop()}"a"===t&&$("a");const r=A(e,n);return this.htmlVoidTags.includes(t)?null:(s.push(r),h.includes(t)&&f.push({element:r,token:{name:t,attrs:e.attrs}}),[...this.htmlRawTextTags,...this.htmlRcdataTags].includes(t)?r:null)},L=e=>{if("br"!==e)if("p"!==e||x("p",["button"])){if(!h.includes(e)||!$(e))if(u.includes(e))x(e)&&k(t=>b(t)&&t.tagName===e);else for(let t=s.length-1;t>0;t--){const r=s[t];if(b(r)&&r.tagName===e)return void(s.length=t);if(w(r))return}}else A({name:"p",attrs:[]},n);else N({name:"br",attrs:[],selfClosing:!1})};let C=0;for(;C<e.length;){const t=e.indexOf("<",C);if(-1===t){T(this.decodeEntities(e.slice(C)),e.slice(C));break}T(this.decodeEntities(e.slice(C,t)),e.slice(C,t)),C=t;const n=e[t+1];if(e.startsWith("\x3c!--\x3e",t)||e.startsWith("\x3c!---\x3e",t)){C=e.indexOf(">",t+4)+1,S("",e.slice(t,C));continue}if(e.startsWith("\x3c!--",t)){const r=e.indexOf("--\x3e",t+4);C=-1===r?e.length:r+3,S(-1===r?e.slice(t+4):e.slice(t+4,r),e.slice(t,C));continue}if(e.startsWith("<![CDATA[",t)&&v()){const r=e.indexOf("]]>",t+9);C=-1===r?e.length:r+3,T(-1===r?e.slice(t+9):e.slice(t+9,r),e.slice(t,C));continue}if("!"===n||"?"===n||"/"===n&&!/[a-zA-Z]/.test(e[t+2]||"")){const r=e.indexOf(">",t+2),a=-1===r?e.slice(t+2):e.slice(t+2,r);if("/"===n&&">"===e[t+2]){C=t+3;continue}C=-1===r?e.length:r+1,/^doctype/i.test(a)||S("?"===n?`?${a}`:a,e.slice(t,C));continue}if(!/[a-zA-Z]/.test("/"===n?e[t+2]||"":n||"")){T("<"),C=t+1;continue}const o=this.scanTag(e,t,"html");if(!o)break;if(C=o.end,o.isEnd){if(b(m()))L(o.name);else{let e=!1;for(let t=s.length-1;t>0;t--){const r=s[t];if(b(r))break;if(r.tagName.toLowerCase()===o.name){s.length=t,e=!0;break}}e||L(o.name)}continue}let i=null;if(v()){if(g.includes(o.name)||"font"===o.name&&o.attrs.some(e=>["color","face","size"].includes(e.name))){for(;s.length>1&&v();)s.pop();i=N(o)}else{const e=A(o,a);o.selfClosing||s.push(e)}}else i=N(o);if(["pre","textarea","listing"].includes(o.name)&&"\n"===e[C]&&(C++,r&&m().source&&(m().source.leadingNewline="\n")),i){const t=new RegExp(`</${i.tagName}(?=[\\s/>])`,"gi");t.lastIndex=C;const r=t.exec(e),a=r?r.index:e.length,n=e.slice(C,a);T(this.htmlRcdataTags.includes(i.tagName)?this.decodeEntities(n):n,n),s.pop(),C=a===e.length?a:e.indexOf(">",a)+1||e.length}}return i},serializeHtml:function(e){const t="http://www.w3.org/1999/xhtml",r=e=>e.replace(/&/g,"&amp;").replace(/\u00a0/g,"&nbsp;").replace(/</g,"&lt;").replace(/>/g,"&gt;");return e.childNodes.map(a=>{if(1===a.nodeType){const e=a.attributes.map(e=>{return` ${e.name}="${t=e.value,r(t).replace(/"/g,"&quot;")}"`;var t}).join(""),n=`<${a.tagName}${e}>`;return a.namespaceURI===t&&this.htmlVoidTags.includes(a.tagName)?n:`${n}${this.serializeHtml(a)}</${a.tagName}>`}if(3===a.nodeType){return e.namespaceURI===t&&this.htmlRawTextTags.includes(e.tagName)?a.nodeValue:r(a.nodeValue)}return 8===a.nodeType?`\x3c!--${a.nodeValue}--\x3e`:""}).join("")},parseXml:function(e){const t=this.createDocument(),r=[],a=[["xml","xmlns"]];let n=null,o=0;const i=(t,r)=>{const a=e.slice(0,r).split("\n");throw new Error(`error on line ${a.length} at column ${a[a.length-1].length+1}: ${t}`)},s=(e,t)=>{const r={amp:"&",lt:"<",gt:">",quot:'"',apos:"'"};return e.replace(/&([^;&\s<]*)(;?)/g,(e,a,n,o)=>{a||i("xmlParseEntityRef: no name",t+o+1),n||i("EntityRef: expecting ';'",t+o+e.length);const s=a.match(/^#(?:([0-9]+)|x([0-9a-fA-F]+))$/);if(s){const e=void 0!==s[1]?parseInt(s[1],10):parseInt(s[2],16);return(!e||e>1114111||e>=55296&&e<=57343)&&i(`xmlParseCharRef: invalid xmlChar value ${e}`,t+o),String.fromCodePoint(e)}return a in r||i(`Entity '${a}' not defined`,t+o+e.length),r[a]})},c=(e,t,r,n)=>{const o=e.indexOf(":");if(o<=0)return;const s=e.slice(0,o);if(a.some(e=>e.includes(s)))return;const c=e.slice(o+1);i(r?`Namespace prefix ${s} for ${c} on ${t} is not defined`:`Namespace prefix ${s} on ${c} is not defined`,n)},l=(e,t)=>{if(0===r.length)return void(1===e.nodeType?(n&&i("Extra content at the end of the document",t),n=e):3===e.nodeType&&e.nodeValue.trim()&&i(n?"Extra content at the end of the document":"Start tag expected, '<' not found",t));const a=r[r.length-1],o=a.childNodes[a.childNodes.length-1];3===e.nodeType&&o&&3===o.nodeType?o.nodeValue+=e.nodeValue:a.appendChild(e)};for(;o<e.length;){const d=e.indexOf("<",o),u=-1===d?e.length:d;if(u>o){const r=e.slice(o,u);l(t.createTextNode(s(r,o)),o)}if(-1===d)break;if(o=d,e.startsWith("\x3c!--",d)){const a=e.indexOf("--\x3e",d+4);-1===a&&i("Comment not terminated",d);const n=e.slice(d+4,a);n.includes("--")&&i("Double hyphen within comment",d+4+n.indexOf("--")),r.length>0&&l(t.createComment(n),d),o=a+3;continue}if(e.startsWith("<![CDATA[",d)){const a=e.indexOf("]]>",d+9);-1!==a&&0!==r.length||i("CData section not finished",d),l(t.createTextNode(e.slice(d+9,a)),d),o=a+3;continue}if(e.startsWith("<?",d)){const t=e.indexOf("?>",d+2);-1===t&&i("ParsePI: PI not terminated",d),o=t+2;continue}if(e.startsWith("<!DOCTYPE",d)){(n||r.length>0)&&i("StartTag: invalid element name",d+1);const t=e.indexOf("[",d);let a=e.indexOf(">",d);-1!==t&&t<a&&(a=e.indexOf(">",e.indexOf("]",t))),o=-1===a?e.length:a+1;continue}let g;try{g=this.scanTag(e,d,"xml")}catch(e){i(e.message,e.position??d)}if(o=g.end,g.isEnd){const e=r.pop();a.pop(),e||i("StartTag: invalid element name",d+1),e.tagName!==g.name&&i(`Opening and ending tag mismatch: ${e.tagName} and ${g.name}`,d);continue}const p=g.attrs.filter(e=>e.name.startsWith("xmlns:")).map(e=>e.name.slice(6));a.push(p),c(g.name,g.name,!1,d);const h=t.createElement(g.name);g.attrs.forEach(e=>{e.value.includes("<")&&i("Unescaped '<' not allowed in attributes values",d),e.name.startsWith("xmlns")||c(e.name,g.name,!0,d);const t=s(e.value.replace(/\r\n/g,"\n").replace(/[\t\n\r]/g," "),d);h.setAttribute(e.name,t)}),l(h,d),g.selfClosing?a.pop():r.push(h)}return r.length>0&&i(`Premature end of data in tag ${r[r.length-1].tagName}`,e.length),n||i("Document is empty",e.length),n},serializeXml:function(e,t={},r=""){const a=e=>e.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;"),n=t.escape||((e,t)=>t?(e=>a(e).replace(/"/g,"&quot;").replace(/\t/g,"&#9;").replace(/\n/g,"&#10;").replace(/\r/g,"&#13;"))(e):a(e));if(3===e.nodeType)return n(e.nodeValue,!1,r);if(8===e.nodeType)return`\x3c!--${e.nodeValue}--\x3e`;if(1!==e.nodeType)return"";const o=[...e.attributes].map(t=>` ${t.name}="${n(t.value,!0,e.tagName)}"`).join("");if(0===e.childNodes.length)return`<${e.tagName}${o}/>`;const i=[...e.childNodes].map(r=>this.serializeXml(r,t,e.tagName)).join("");return`<${e.tagName}${o}>${i}</${e.tagName}>`},smilAnimationTags:["set","animate","animateTransform","animateMotion"],parseClockValue:function(e){const t=String(e??"").trim();let r=t.match(/^(\d+):([0-5]\d):([0-5]\d(?:\.\d+)?)$/);if(r)return 3600*Number(r[1])+60*Number(r[2])+Number(r[3]);if(r=t.match(/^([0-5]?\d):([0-5]\d(?:\.\d+)?)$/),r)return 60*Number(r[1])+Number(r[2]);if(r=t.match(/^(\d+(?:\.\d+)?|\.\d+)(h|min|s|ms)?$/),!r)return NaN;return Number(r[1])*{h:3600,min:60,s:1,ms:.001}[r[2]||"s"]},createSmilIndex:function(e){const t=new Map,r=[];this.visitTree(e,(e,a)=>{e.attrs&&"object"==typeof e.attrs&&e.attrs.id&&t.set(e.attrs.id,e),this.smilAnimationTags.includes(e.tag)&&a.parent&&r.push({node:e,parent:a.parent})});const a=new Map;return r.forEach(({node:e,parent:r})=>{const n=e.attrs?.href||e.attrs?.["xlink:href"]||"",o=n.startsWith("#")?t.get(n.slice(1)):r;o&&(a.has(o)||a.set(o,[]),a.get(o).push(e))}),{ids:t,animations:a}},getSmilBeginTime:function(e,t,r=new Set){if(r.has(e))return 1/0;r=new Set(r).add(e);const a=e.attrs?.begin;if(void 0===a||""===String(a).trim())return 0;const n=e=>{if(!e)return 0;return("-"===e.trim()[0]?-1:1)*this.parseClockValue(e.replace(/^\s*[+-]\s*/,""))},o=String(a).split(";").map(e=>e.trim()).filter(Boolean).map(e=>{if("indefinite"===e)return 1/0;const a=n(e);if(/^[+-]?\s*[\d.:]/.test(e)&&!isNaN(a))return a;const o=e.match(/^(?:([^\s.+]+)\.)?([a-zA-Z][\w-]*)(?:\((\d+)\))?\s*([+-]\s*[\d.:]+[a-z]*)?$/);if(!o)return 1/0;const[,i,s,c,l]=o,d=i?t.ids.get(i):null;if(!["begin","end","repeat"].includes(s)||!d||!this.smilAnimationTags.includes(d.tag))return 1/0;const u=this.getSmilBeginTime(d,t,r),g=this.parseClockValue(d.attrs?.dur),p=("begin"===s?u:u+("repeat"===s?Number(c):this.getSmilRepeatCount(d))*g)+n(l);return isNaN(p)?1/0:p});return o.length>0?Math.max(0,Math.min(...o)):0},getSmilRepeatCount:function(e){const{repeatCount:t,repeatDur:r,dur:a}=e.attrs||{};return"indefinite"===t||"indefinite"===r?1/0:void 0!==r?this.parseClockValue(r)/this.parseClockValue(a):void 0===t||isNaN(Number(t))?1:Number(t)},isSmilHiddenValue:function(e,t){const r=String(t??"").trim().toLowerCase();if("animateTransform"===e.tag)return"scale"===e.attrs?.type&&""!==r&&r.split(/[\s,]+/).every(e=>0===parseFloat(e));const a=e.attrs?.attributeName;return"opacity"===a?this.isTransparentOpacity(r):"visibility"===a?["hidden","collapse"].includes(r):"display"===a&&"none"===r},getNodeRevealTime:function(e,t){const r=this.parseStyle(e.attrs?.style),a=e.attrs||{};let n=this.isTransparentOpacity(r.opacity)||this.isTransparentOpacity(a.opacity)||["hidden","collapse"].includes(r.visibility||a.visibility)||"none"===(r.display||a.display);const o=(t.animations.get(e)||[]).filter(e=>"animateTransform"===e.tag?"scale"===e.attrs?.type:"animateMotion"!==e.tag&&["opacity","visibility","display"].includes(e.attrs?.attributeName)).map(e=>{const{to:r,from:a,values:n}=e.attrs||{},o=("set"===e.tag?[r]:void 0!==n?String(n).split(";").filter(e=>e.trim()):[a??r,r]).filter(e=>void 0!==e).map(t=>this.isSmilHiddenValue(e,t));return{begin:this.getSmilBeginTime(e,t),startHidden:o[0],reveals:o.some(e=>!e)}}).filter(e=>void 0!==e.startHidden);if(o.some(e=>0===e.begin&&e.startHidden)&&(n=!0),!n)return 0;const i=o.filter(e=>e.reveals).map(e=>e.begin);return i.length>0?Math.min(...i):null},getImageTimeline:function(e,t,r){const a=[...t,e].map(e=>this.getNodeRevealTime(e,r));if(a.includes(null))return{state:"hidden",time:null};const n=Math.max(...a);return n===1/0?{state:"interaction",time:null}:{state:0===n?"initial":"timed",time:parseFloat(n.toFixed(3))}},layerBaseScore:20,layerRules:{bottom:{weight:1,score:function(e){return e.styles.reduce((t,r)=>t+this.scoreBottomStyle(r,e.node),0)}},top:{weight:1,score:function(e){return e.styles.reduce((e,t)=>{let r=0;if(t["margin-top"]){/^-([1-9]\d*(\.\d+)?|0\.\d+)(%|\s*rem|\s*em|\s*vh|\s*vw)$/i.test(t["margin-top"].trim())&&(r+=10)}if(t.transform&&"none"!==t.transform&&(r+=5),"isolate"===t.isolation&&(r+=3),t["z-index"]){const e=Number(t["z-index"]);!isNaN(e)&&e>0&&(r+=3)}return e+r},0)}},gfo:{weight:0,score:function(e){const t=e=>["svg","g","foreignObject"].includes(e?.tag),r=[...e.ancestors],a=r.map(t).lastIndexOf(!0);if(a<=0)return 0;const n=r[a-1].children;return 3*n.slice(0,n.indexOf(r[a])).filter(t).length}},animate:{weight:1,score:function(e,t){const r=e=>[...e.ancestors,e.node].reverse().find(e=>"svg"===e.tag&&this.hasWidthAnimate(e)),a=r(e);if(!a)return 0;const n=t.images.filter(e=>r(e)===a);return parseFloat((100-.05*n.indexOf(e)).toFixed(1))}},timeline:{weight:1,score:function(e){const{state:t,time:r}=e.timeline;return"interaction"===t?-150:"timed"===t?-10-Math.min(r,40):0}},global:{weight:1,score:function(e){return.01*(500-e.globalOrder)}}},layerRuleFixes:{bottom:{weight:1,score:function(e){const t=[e.node,...e.ancestors];return e.styles.reduce((e,r,a)=>e+this.scoreBottomStyle(r,t[a]),0)}},gfo:{weight:1,score:function(e,t){return this.layerRules.gfo.score.call(this,e,t)}}},scoreBottomStyle:function(e,t){let r=0;if(e.height){const t=e.height.trim();/^0(\s*px|\s*%|\s*rem|\s*em|\s*vh|\s*vw)?$/i.test(t)&&(r-=10)}return this.isTransparentOpacity(e.opacity)&&(r-=2),this.isTransparentOpacity(t?.attrs?.opacity)&&(r-=2),r},isTransparentOpacity:function(e){const t=parseFloat(e);return!isNaN(t)&&t>=0&&t<=.05},hasWidthAnimate:function(e){return(e?.children||[]).some(e=>"animate"===e.tag?.toLowerCase()&&"width"===e.attrs?.attributeName?.toLowerCase())},resolveLayerRules:function(e={},t={}){const r={...this.layerRules,...e};return Object.entries(t).forEach(([e,t])=>{if(!r[e])throw new Error(`未知的层级分规则: ${e}`);if("number"!=typeof t||!Number.isFinite(t))throw new Error(`层级分规则${e}的权重必须为数值，收到: ${t}`)}),Object.entries(r).filter(([,e])=>e).map(([e,r])=>{if("function"!=typeof r.score)throw new Error(`层级分规则${e}缺少score函数`);return{name:e,weight:t[e]??r.weight??1,score:r.score}}).filter(e=>0!==e.weight)},calcLayer:function(e,t,r={}){const a=this.resolveLayerRules(r.rules,r.weights),n=r.baseScore??this.layerBaseScore,o=[],i=this.resolveScope(e,r.scope),s=i?new Set(i.map(e=>e.node)):null,c=this.createSmilIndex(e);this.visitTree(e,(e,t)=>{if(t.parent&&this.isPreloadSection(e))return void t.skip();const r=e.attrs?.["iftool-src"]||e.attrs?.["iftool-href"]||e.attrs?.["iftool-background"]||"",a=!s||s.has(e)||t.ancestors.some(e=>s.has(e));r&&a&&o.push({url:r,node:e,parent:t.parent,ancestors:t.ancestors,globalOrder:o.length,path:t.path,styles:[e,...t.ancestors].map(e=>this.parseStyle(e.attrs?.style)),timeline:this.getImageTimeline(e,t.ancestors,c)})});const l={tree:e,images:o},d=e=>parseFloat(e.toFixed(2)),u=o.map(t=>{const r={};a.forEach(e=>{r[e.name]=d(e.weight*(Number(e.score.call(this,t,l))||0))});const o=d(Object.values(r).reduce((e,t)=>e+t,n));return{url:t.url,layer:o,globalOrder:t.globalOrder,path:this.formatNodePath(e,t.path),timeline:t.timeline,scores:r,totalBottomScore:r.bottom??0,totalTopScore:r.top??0,gfoScore:r.gfo??0,animateScore:r.animate??0,timelineScore:r.timeline??0,globalScore:r.global??0}});u.sort((e,t)=>t.layer!==e.layer?t.layer-e.layer:e.globalOrder-t.globalOrder);const g=this.selectPreloadImages(u,t,r),p={};this.preloadStageNames.forEach(e=>{const t=g.filter(t=>t.stage===e).map(e=>e.url);p[e]={urls:t,html:t.length>0?this.buildPreloadHtml(t,r.strategy,e):""}});return{imagesDetail:u,finalHtml:this.buildPreloadHtml(g.map(e=>e.url),r.strategy),preloadImages:g,stages:p}},preloadMarker:"data-svgcc-preload",preloadLegacyClass:"用于提前加载的图片组",preloadStageNames:["first","interaction","later"],defaultPreloadStrategy:"background",preloadStrategies:{background:function(e){return`<section class="用于提前加载的图片组，不影响画面内容，上传后不保留本段注释" style="display: block; height: 0px !important; margin-top: 0px !important; margin-bottom: 0px !important; padding-left: 1000px !important;">\n\t\t\t<svg viewBox="0 0 1 1">\n\t\t\t\t${e.map(e=>`<g><foreignObject x="0" y="0" width="1" height="1"><svg viewBox="0 0 1 1" style="background-image: url('${this.escapeEntities(this.escapeCssString(e),!0)}'); background-size: cover; background-repeat: no-repeat;"></svg></foreignObject></g>`).join("")}\n\t\t\t</svg>\n\t\t</section>`},image:function(e){return`<section class="用于提前加载的图片组，不影响画面内容，上传后不保留本段注释" style="display: block; height: 0px !important; margin-top: 0px !important; margin-bottom: 0px !important; overflow: hidden;">\n\t\t\t<svg viewBox="0 0 1 1" style="display: block; width: 0px; height: 0px;">\n\t\t\t\t${e.map(e=>`<image href="${this.escapeEntities(e,!0)}" x="0" y="0" width="0" height="0"></image>`).join("")}\n\t\t\t</svg>\n\t\t</section>`},img:function(e){return`<section class="用于提前加载的图片组，不影响画面内容，上传后不保留本段注释" style="display: block; height: 0px !important; margin-top: 0px !important; margin-bottom: 0px !important; overflow: hidden;">\n\t\t\t\t${e.map(e=>`<img src="${this.escapeEntities(e,!0)}" style="display: block; width: 0px !important; height: 0px !important;">`).join("")}\n\t\t</section>`}},buildPreloadHtml:function(e,t=this.defaultPreloadStrategy,r="all"){const a="function"==typeof t?t:this.preloadStrategies[t];if("function"!=typeof a)throw new Error(`未知的预加载方式: ${t}`);return a.call(this,e).replace(/^(\s*<[a-zA-Z][\w:-]*)/,`$1 ${this.preloadMarker}="${this.escapeEntities(r,!0)}"`)},isPreloadSection:function(e){return!(!e?.attrs||"object"!=typeof e.attrs)&&(void 0!==e.attrs[this.preloadMarker]||"section"===e.tag&&String(e.attrs.class||"").startsWith(this.preloadLegacyClass))},findPreloadSections:function(e){const t=[];return this.visitTree(e,(e,r)=>{r.parent&&this.isPreloadSection(e)&&(t.push({node:e,parent:r.parent,index:r.index,path:r.path,stage:e.attrs[this.preloadMarker]||"all"}),r.skip())}),t},stripPreload:function(e,t={}){const r="string"==typeof e;return r&&(e=this.parse(e,{preserve:!0})),this.findPreloadSections(e).filter(e=>void 0===t.stage||e.stage===t.stage).reverse().forEach(e=>e.parent.children.splice(e.index,1)),r?this.compose(e):e},injectPreload:function(e,t,r={}){const{stage:a="all"}=r,n="string"==typeof e;n&&(e=this.parse(e,{preserve:!0}));const o=t?this.parse(t,{preserve:!0}).children:[],i=this.findPreloadSections(e).filter(e=>"all"===a||e.stage===a);if(i.length>0)[...i].reverse().forEach((e,t)=>{e.parent.children.splice(e.index,1,...t===i.length-1?o:[])});else if(o.length>0){const t=r.path||[0];let a=e;t.slice(0,-1).forEach(e=>{a=a?.children?.[e]});const n=t[t.length-1];if(!Array.isArray(a?.children)||!(n>=0&&n<=a.children.length))throw new Error(`预加载片段的插入路径无效: ${t.join(",")}`);a.children.splice(n,0,...o)}return n?this.compose(e):e},selectPreloadImages:function(e,t,r={}){const{maxBytes:a,sizes:n}=r,o=e=>{const t=n instanceof Map?n.get(e):"function"==typeof n?n(e):n?.[e];return"number"==typeof t&&t>=0?t:null},i=new Map;e.forEach(e=>{const t=i.get(e.url);t?(t.items.push(e),((e,t)=>{const r={initial:0,timed:1,interaction:2,hidden:3};return r[e.state]!==r[t.state]?r[e.state]<r[t.state]:(e.time??0)<(t.time??0)})(e.timeline,t.timeline)&&(t.timeline=e.timeline)):i.set(e.url,{url:e.url,layer:e.layer,timeline:e.timeline,items:[e]})});const s=[];let c=0;for(const e of i.values()){const r={initial:"first",interaction:"interaction",timed:"later",hidden:"later"}[e.timeline.state];if(e.items.forEach(e=>{e.stage=r,e.preloaded=!1}),s.length>=t)continue;const n=o(e.url);if(void 0!==a){if(null===n||c+n>a)continue;c+=n}e.items.forEach(e=>{e.preloaded=!0}),s.push({url:e.url,layer:e.layer,stage:r,bytes:n})}return s},layerReportColumns:{totalBottomScore:"底层特征分",totalTopScore:"顶层特征分",gfoScore:"并列gfo顺序分",animateScore:"width动画顺序分",timelineScore:"时间轴分",globalScore:"全局顺序分"},buildLayerReport:function(e,t={}){const{title:r="特征层级分调试报告",imageProxy:a=""}=t,n=e=>this.escapeEntities(String(e??""),!0),o={bottom:"totalBottomScore",top:"totalTopScore",gfo:"gfoScore",animate:"animateScore",timeline:"timelineScore",global:"globalScore"},i=[...e?.imagesDetail||[]].sort((e,t)=>t.layer!==e.layer?t.layer-e.layer:e.globalOrder-t.globalOrder),s=[...new Set(i.flatMap(e=>Object.keys(e.scores||{})))].filter(e=>!o[e]),c=[...Object.entries(this.layerReportColumns).map(([e,t])=>({label:`${t}<br><code>${e}</code>`,value:t=>t[e]??0})),...s.map(e=>({label:`规则<br><code>${n(e)}</code>`,value:t=>t.scores?.[e]??0}))],l=(e,t=n(e))=>`<td data-value="${n(e)}">${t}</td>`,d=i.map((e,t)=>{const r=e.timeline?`${e.timeline.state}${"timed"===e.timeline.state?` ${e.timeline.time}s`:""}`:"",o=/^\s*(?:https?:|data:image\/)/i.test(String(e.url??""))?`<a href="${n(e.url)}" target="_blank" rel="noreferrer"><img src="${n(this.getProxyUrl(e.url,a))}" loading="lazy" referrerpolicy="no-referrer" alt=""></a>`:n(e.url);return`<tr data-preloaded="${e.preloaded?"yes":"no"}" data-stage="${n(e.stage)}" data-text="${n(`${e.url} ${e.path||""}`.toLowerCase())}">`+l(t+1)+l(e.preloaded?1:0,e.preloaded?"✓":"")+l(e.layer)+l("",o)+l(e.url,`<div class="url">${n(e.url)}</div>`)+l(e.path||"",`<code>${n(e.path||"")}</code>`)+c.map(t=>l(t.value(e))).join("")+l(e.timeline?e.timeline.time??1/0:"",n(r))+l(e.stage||"")+l(e.globalOrder)+"</tr>"}),u=["排名","预加载","层级总分","缩略图","链接","节点路径",...c.map(e=>e.label),"时间轴","阶段","全局索引"],g=new Set(i.filter(e=>e.preloaded).map(e=>e.url)).size;return`<!DOCTYPE html>\n<html lang="zh-CN">\n<head>\n<meta charset="utf-8">\n<meta name="viewport" content="width=device-width, initial-scale=1">\n<title>${n(r)}</title>\n<style>\nbody { margin: 16px; font: 13px/1.5 -apple-system, "PingFang SC", "Microsoft YaHei", sans-serif; color: #222; }\n.toolbar { display: flex; flex-wrap: wrap; gap: 12px; align-items: center; margin: 12px 0; }\n.toolbar input[type="search"] { width: 320px; padding: 4px 8px; }\ntable { border-collapse: collapse; width: 100%; }\nth, td { border: 1px solid #ddd; padding: 4px 6px; text-align: left; vertical-align: middle; }\nth { position: sticky; top: 0; background: #f5f5f5; cursor: pointer; user-select: none; white-space: nowrap; }\nth[data-order="asc"]::after { content: " ▲"; }\nth[data-order="desc"]::after { content: " ▼"; }\ntr[data-preloaded="yes"] { background: #f0f9eb; }\ntd img { display: block; max-width: 80px; max-height: 80px; }\n.url { max-width: 320px; word-break: break-all; }\ncode { font-size: 12px; color: #555; }\n</style>\n</head>\n<body>\n<h1>${n(r)}</h1>\n<p>共${i.length}处图片，去重后${new Set(i.map(e=>e.url)).size}个链接，选入预加载${g}个链接。点击表头排序。</p>\n<div class="toolbar">\n<input type="search" id="keyword" placeholder="筛选链接或节点路径">\n<label>预加载 <select id="preloaded"><option value="">全部</option><option value="yes">已选入</option><option value="no">未选入</option></select></label>\n<label>阶段 <select id="stage"><option value="">全部</option>${this.preloadStageNames.map(e=>`<option value="${n(e)}">${n(e)}</option>`).join("")}</select></label>\n<span id="count"></span>\n</div>\n<table>\n<thead><tr>${u.map(e=>`<th>${e}</th>`).join("")}</tr></thead>\n<tbody>\n${d.join("\n")}\n</tbody>\n</table>\n<script>\n(function() {\n\tvar tbody = document.querySelector('tbody');\n\tvar rows = Array.prototype.slice.call(tbody.rows);\n\tvar keyword = document.getElementById('keyword');\n\tvar preloaded = document.getElementById('preloaded');\n\tvar stage = document.getElementById('stage');\n\tvar count = document.getElementById('count');\n\tfunction filter() {\n\t\tvar text = keyword.value.trim().toLowerCase();\n\t\tvar shown = 0;\n\t\trows.forEach(function(row) {\n\t\t\tvar visible = (!text || row.getAttribute('data-text').indexOf(text) > -1)\n\t\t\t\t&& (!preloaded.value || row.getAttribute('data-preloaded') === preloaded.value)\n\t\t\t\t&& (!stage.value || row.getAttribute('data-stage') === stage.value);\n\t\t\trow.style.display = visible ? '' : 'none';\n\t\t\tif (visible) shown++;\n\t\t});\n\t\tcount.textContent = '显示' + shown + '/' + rows.length + '行';\n\t}\n\tfunction sortBy(th, index) {\n\t\tvar order = th.getAttribute('data-order') === 'asc' ? 'desc' : 'asc';\n\t\tArray.prototype.forEach.call(th.parentNode.children, function(item) { item.removeAttribute('data-order'); });\n\t\tth.setAttribute('data-order', order);\n\t\trows.sort(function(a, b) {\n\t\t\tvar x = a.cells[index].getAttribute('data-value');\n\t\t\tvar y = b.cells[index].getAttribute('data-value');\n\t\t\tvar nx = x === 'Infinity' ? Infinity : parseFloat(x);\n\t\t\tvar ny = y === 'Infinity' ? Infinity : parseFloat(y);\n\t\t\tvar result = !isNaN(nx) && !isNaN(ny) ? (nx === ny ? 0 : nx < ny ? -1 : 1) : x.localeCompare(y);\n\t\t\treturn order === 'asc' ? result : -result;\n\t\t});\n\t\trows.forEach(function(row) { tbody.appendChild(row); });\n\t}\n\tArray.prototype.forEach.call(document.querySelectorAll('th'), function(th, index) {\n\t\tth.addEventListener('click', function() { sortBy(th, index); });\n\t});\n\t[keyword, preloaded, stage].forEach(function(input) { input.addEventListener('input', filter); });\n\tfilter();\n})();\n<\/script>\n</body>\n</html>\n`},htmlEntities:"Aacute:c1,aacute:e1,Abreve:102,abreve:103,ac:223e,acd:223f,acE:223e.333,Acirc:c2,acirc:e2,acute:b4,Acy:410,acy:430,AElig:c6,aelig:e6,af:2061,Afr:1d504,afr:1d51e,Agrave:c0,agrave:e0,alefsym:2135,aleph:2135,Alpha:391,alpha:3b1,Amacr:100,amacr:101,amalg:2a3f,AMP:26,amp:26,And:2a53,and:2227,andand:2a55,andd:2a5c,andslope:2a58,andv:2a5a,ang:2220,ange:29a4,angle:2220,angmsd:2221,angmsdaa:29a8,angmsdab:29a9,angmsdac:29aa,angmsdad:29ab,angmsdae:29ac,angmsdaf:29ad,angmsdag:29ae,angmsdah:29af,angrt:221f,angrtvb:22be,angrtvbd:299d,angsph:2222,angst:c5,angzarr:237c,Aogon:104,aogon:105,Aopf:1d538,aopf:1d552,ap:2248,apacir:2a6f,apE:2a70,ape:224a,apid:224b,apos:27,ApplyFunction:2061,approx:2248,approxeq:224a,Aring:c5,aring:e5,Ascr:1d49c,ascr:1d4b6,Assign:2254,ast:2a,asymp:2248,asympeq:224d,Atilde:c3,atilde:e3,Auml:c4,auml:e4,awconint:2233,awint:2a11,backcong:224c,backepsilon:3f6,backprime:2035,backsim:223d,backsimeq:22cd,Backslash:2216,Barv:2ae7,barvee:22bd,Barwed:2306,barwed:2305,barwedge:2305,bbrk:23b5,bbrktbrk:23b6,bcong:224c,Bcy:411,bcy:431,bdquo:201e,becaus:2235,Because:2235,because:2235,bemptyv:29b0,bepsi:3f6,bernou:212c,Bernoullis:212c,Beta:392,beta:3b2,beth:2136,between:226c,Bfr:1d505,bfr:1d51f,bigcap:22c2,bigcirc:25ef,bigcup:22c3,bigodot:2a00,bigoplus:2a01,bigotimes:2a02,bigsqcup:2a06,bigstar:2605,bigtriangledown:25bd,bigtriangleup:25b3,biguplus:2a04,bigvee:22c1,bigwedge:22c0,bkarow:290d,blacklozenge:29eb,blacksquare:25aa,blacktriangle:25b4,blacktriangledown:25be,blacktriangleleft:25c2,blacktriangleright:25b8,blank:2423,blk12:2592,blk14:2591,blk34:2593,block:2588,bne:3d.20e5,bnequiv:2261.20e5,bNot:2aed,bnot:2310,Bopf:1d539,bopf:1d553,bot:22a5,bottom:22a5,bowtie:22c8,boxbox:29c9,boxDL:2557,boxDl:2556,boxdL:2555,boxdl:2510,boxDR:2554,boxDr:2553,boxdR:2552,boxdr:250c,boxH:2550,boxh:2500,boxHD:2566,boxHd:2564,boxhD:2565,boxhd:252c,boxHU:2569,boxHu:2567,boxhU:2568,boxhu:2534,boxminus:229f,boxplus:229e,boxtimes:22a0,boxUL:255d,boxUl:255c,boxuL:255b,boxul:2518,boxUR:255a,boxUr:2559,boxuR:2558,boxur:2514,boxV:2551,boxv:2502,boxVH:256c,boxVh:256b,boxvH:256a,boxvh:253c,boxVL:2563,boxVl:2562,boxvL:2561,boxvl:2524,boxVR:2560,boxVr:255f,boxvR:255e,boxvr:251c,bprime:2035,Breve:2d8,breve:2d8,brvbar:a6,Bscr:212c,bscr:1d4b7,bsemi:204f,bsim:223d,bsime:22cd,bsol:5c,bsolb:29c5,bsolhsub:27c8,bull:2022,bullet:2022,bump:224e,bumpE:2aae,bumpe:224f,Bumpeq:224e,bumpeq:224f,Cacute:106,cacute:107,Cap:22d2,cap:2229,capand:2a44,capbrcup:2a49,capcap:2a4b,capcup:2a47,capdot:2a40,CapitalDifferentialD:2145,caps:2229.fe00,caret:2041,caron:2c7,Cayleys:212d,ccaps:2a4d,Ccaron:10c,ccaron:10d,Ccedil:c7,ccedil:e7,Ccirc:108,ccirc:109,Cconint:2230,ccups:2a4c,ccupssm:2a50,Cdot:10a,cdot:10b,cedil:b8,Cedilla:b8,cemptyv:29b2,cent:a2,CenterDot:b7,centerdot:b7,Cfr:212d,cfr:1d520,CHcy:427,chcy:447,check:2713,checkmark:2713,Chi:3a7,chi:3c7,cir:25cb,circ:2c6,circeq:2257,circlearrowleft:21ba,circlearrowright:21bb,circledast:229b,circledcirc:229a,circleddash:229d,CircleDot:2299,circledR:ae,circledS:24c8,CircleMinus:2296,CirclePlus:2295,CircleTimes:2297,cirE:29c3,cire:2257,cirfnint:2a10,cirmid:2aef,cirscir:29c2,ClockwiseContourIntegral:2232,CloseCurlyDoubleQuote:201d,CloseCurlyQuote:2019,clubs:2663,clubsuit:2663,Colon:2237,colon:3a,Colone:2a74,colone:2254,coloneq:2254,comma:2c,commat:40,comp:2201,compfn:2218,complement:2201,complexes:2102,cong:2245,congdot:2a6d,Congruent:2261,Conint:222f,conint:222e,ContourIntegral:222e,Copf:2102,copf:1d554,coprod:2210,Coproduct:2210,COPY:a9,copy:a9,copysr:2117,CounterClockwiseContourIntegral:2233,crarr:21b5,Cross:2a2f,cross:2717,Cscr:1d49e,cscr:1d4b8,csub:2acf,csube:2ad1,csup:2ad0,csupe:2ad2,ctdot:22ef,cudarrl:2938,cudarrr:2935,cuepr:22de,cuesc:22df,cularr:21b6,cularrp:293d,Cup:22d3,cup:222a,cupbrcap:2a48,CupCap:224d,cupcap:2a46,cupcup:2a4a,cupdot:228d,cupor:2a45,cups:222a.fe00,curarr:21b7,curarrm:293c,curlyeqprec:22de,curlyeqsucc:22df,curlyvee:22ce,curlywedge:22cf,curren:a4,curvearrowleft:21b6,curvearrowright:21b7,cuvee:22ce,cuwed:22cf,cwconint:2232,cwint:2231,cylcty:232d,Dagger:2021,dagger:2020,daleth:2138,Darr:21a1,dArr:21d3,darr:2193,dash:2010,Dashv:2ae4,dashv:22a3,dbkarow:290f,dblac:2dd,Dcaron:10e,dcaron:10f,Dcy:414,dcy:434,DD:2145,dd:2146,ddagger:2021,ddarr:21ca,DDotrahd:2911,ddotseq:2a77,deg:b0,Del:2207,Delta:394,delta:3b4,demptyv:29b1,dfisht:297f,Dfr:1d507,dfr:1d521,dHar:2965,dharl:21c3,dharr:21c2,DiacriticalAcute:b4,DiacriticalDot:2d9,DiacriticalDoubleAcute:2dd,DiacriticalGrave:60,DiacriticalTilde:2dc,diam:22c4,Diamond:22c4,diamond:22c4,diamondsuit:2666,diams:2666,die:a8,DifferentialD:2146,digamma:3dd,disin:22f2,div:f7,divide:f7,divideontimes:22c7,divonx:22c7,DJcy:402,djcy:452,dlcorn:231e,dlcrop:230d,dollar:24,Dopf:1d53b,dopf:1d555,Dot:a8,dot:2d9,DotDot:20dc,doteq:2250,doteqdot:2251,DotEqual:2250,dotminus:2238,dotplus:2214,dotsquare:22a1,doublebarwedge:2306,DoubleContourIntegral:222f,DoubleDot:a8,DoubleDownArrow:21d3,DoubleLeftArrow:21d0,DoubleLeftRightArrow:21d4,DoubleLeftTee:2ae4,DoubleLongLeftArrow:27f8,DoubleLongLeftRightArrow:27fa,DoubleLongRightArrow:27f9,DoubleRightArrow:21d2,DoubleRightTee:22a8,DoubleUpArrow:21d1,DoubleUpDownArrow:21d5,DoubleVerticalBar:2225,DownArrow:2193,Downarrow:21d3,downarrow:2193,DownArrowBar:2913,DownArrowUpArrow:21f5,DownBreve:311,downdownarrows:21ca,downharpoonleft:21c3,downharpoonright:21c2,DownLeftRightVector:2950,DownLeftTeeVector:295e,DownLeftVector:21bd,DownLeftVectorBar:2956,DownRightTeeVector:295f,DownRightVector:21c1,DownRightVectorBar:2957,DownTee:22a4,DownTeeArrow:21a7,drbkarow:2910,drcorn:231f,drcrop:230c,Dscr:1d49f,dscr:1d4b9,DScy:405,dscy:455,dsol:29f6,Dstrok:110,dstrok:111,dtdot:22f1,dtri:25bf,dtrif:25be,duarr:21f5,duhar:296f,dwangle:29a6,DZcy:40f,dzcy:45f,dzigrarr:27ff,Eacute:c9,eacute:e9,easter:2a6e,Ecaron:11a,ecaron:11b,ecir:2256,Ecirc:ca,ecirc:ea,ecolon:2255,Ecy:42d,ecy:44d,eDDot:2a77,Edot:116,eDot:2251,edot:117,ee:2147,efDot:2252,Efr:1d508,efr:1d522,eg:2a9a,Egrave:c8,egrave:e8,egs:2a96,egsdot:2a98,el:2a99,Element:2208,elinters:23e7,ell:2113,els:2a95,elsdot:2a97,Emacr:112,emacr:113,empty:2205,emptyset:2205,EmptySmallSquare:25fb,emptyv:2205,EmptyVerySmallSquare:25ab,emsp:2003,emsp13:2004,emsp14:2005,ENG:14a,eng:14b,ensp:2002,Eogon:118,eogon:119,Eopf:1d53c,eopf:1d556,epar:22d5,eparsl:29e3,eplus:2a71,epsi:3b5,Epsilon:395,epsilon:3b5,epsiv:3f5,eqcirc:2256,eqcolon:2255,eqsim:2242,eqslantgtr:2a96,eqslantless:2a95,Equal:2a75,equals:3d,EqualTilde:2242,equest:225f,Equilibrium:21cc,equiv:2261,equivDD:2a78,eqvparsl:29e5,erarr:2971,erDot:2253,Escr:2130,escr:212f,esdot:2250,Esim:2a73,esim:2242,Eta:397,eta:3b7,ETH:d0,eth:f0,Euml:cb,euml:eb,euro:20ac,excl:21,exist:2203,Exists:2203,expectation:2130,ExponentialE:2147,exponentiale:2147,fallingdotseq:2252,Fcy:424,fcy:444,female:2640,ffilig:fb03,fflig:fb00,ffllig:fb04,Ffr:1d509,ffr:1d523,filig:fb01,FilledSmallSquare:25fc,FilledVerySmallSquare:25aa,fjlig:66.6a,flat:266d,fllig:fb02,fltns:25b1,fnof:192,Fopf:1d53d,fopf:1d557,ForAll:2200,forall:2200,fork:22d4,forkv:2ad9,Fouriertrf:2131,fpartint:2a0d,frac12:bd,frac13:2153,frac14:bc,frac15:2155,frac16:2159,frac18:215b,frac23:2154,frac25:2156,frac34:be,frac35:2157,frac38:215c,frac45:2158,frac56:215a,frac58:215d,frac78:215e,frasl:2044,frown:2322,Fscr:2131,fscr:1d4bb,gacute:1f5,Gamma:393,gamma:3b3,Gammad:3dc,gammad:3dd,gap:2a86,Gbreve:11e,gbreve:11f,Gcedil:122,Gcirc:11c,gcirc:11d,Gcy:413,gcy:433,Gdot:120,gdot:121,gE:2267,ge:2265,gEl:2a8c,gel:22db,geq:2265,geqq:2267,geqslant:2a7e,ges:2a7e,gescc:2aa9,gesdot:2a80,gesdoto:2a82,gesdotol:2a84,gesl:22db.fe00,gesles:2a94,Gfr:1d50a,gfr:1d524,Gg:22d9,gg:226b,ggg:22d9,gimel:2137,GJcy:403,gjcy:453,gl:2277,gla:2aa5,glE:2a92,glj:2aa4,gnap:2a8a,gnapprox:2a8a,gnE:2269,gne:2a88,gneq:2a88,gneqq:2269,gnsim:22e7,Gopf:1d53e,gopf:1d558,grave:60,GreaterEqual:2265,GreaterEqualLess:22db,GreaterFullEqual:2267,GreaterGreater:2aa2,GreaterLess:2277,GreaterSlantEqual:2a7e,GreaterTilde:2273,Gscr:1d4a2,gscr:210a,gsim:2273,gsime:2a8e,gsiml:2a90,GT:3e,Gt:226b,gt:3e,gtcc:2aa7,gtcir:2a7a,gtdot:22d7,gtlPar:2995,gtquest:2a7c,gtrapprox:2a86,gtrarr:2978,gtrdot:22d7,gtreqless:22db,gtreqqless:2a8c,gtrless:2277,gtrsim:2273,gvertneqq:2269.fe00,gvnE:2269.fe00,Hacek:2c7,hairsp:200a,half:bd,hamilt:210b,HARDcy:42a,hardcy:44a,hArr:21d4,harr:2194,harrcir:2948,harrw:21ad,Hat:5e,hbar:210f,Hcirc:124,hcirc:125,hearts:2665,heartsuit:2665,hellip:2026,hercon:22b9,Hfr:210c,hfr:1d525,HilbertSpace:210b,hksearow:2925,hkswarow:2926,hoarr:21ff,homtht:223b,hookleftarrow:21a9,hookrightarrow:21aa,Hopf:210d,hopf:1d559,horbar:2015,HorizontalLine:2500,Hscr:210b,hscr:1d4bd,hslash:210f,Hstrok:126,hstrok:127,HumpDownHump:224e,HumpEqual:224f,hybull:2043,hyphen:2010,Iacute:cd,iacute:ed,ic:2063,Icirc:ce,icirc:ee,Icy:418,icy:438,Idot:130,IEcy:415,iecy:435,iexcl:a1,iff:21d4,Ifr:2111,ifr:1d526,Igrave:cc,igrave:ec,ii:2148,iiiint:2a0c,iiint:222d,iinfin:29dc,iiota:2129,IJlig:132,ijlig:133,Im:2111,Imacr:12a,imacr:12b,image:2111,ImaginaryI:2148,imagline:2110,imagpart:2111,imath:131,imof:22b7,imped:1b5,Implies:21d2,in:2208,incare:2105,infin:221e,infintie:29dd,inodot:131,Int:222c,int:222b,intcal:22ba,integers:2124,Integral:222b,intercal:22ba,Intersection:22c2,intlarhk:2a17,intprod:2a3c,InvisibleComma:2063,InvisibleTimes:2062,IOcy:401,iocy:451,Iogon:12e,iogon:12f,Iopf:1d540,iopf:1d55a,Iota:399,iota:3b9,iprod:2a3c,iquest:bf,Iscr:2110,iscr:1d4be,isin:2208,isindot:22f5,isinE:22f9,isins:22f4,isinsv:22f3,isinv:2208,it:2062,Itilde:128,itilde:129,Iukcy:406,iukcy:456,Iuml:cf,iuml:ef,Jcirc:134,jcirc:135,Jcy:419,jcy:439,Jfr:1d50d,jfr:1d527,jmath:237,Jopf:1d541,jopf:1d55b,Jscr:1d4a5,jscr:1d4bf,Jsercy:408,jsercy:458,Jukcy:404,jukcy:454,Kappa:39a,kappa:3ba,kappav:3f0,Kcedil:136,kcedil:137,Kcy:41a,kcy:43a,Kfr:1d50e,kfr:1d528,kgreen:138,KHcy:425,khcy:445,KJcy:40c,kjcy:45c,Kopf:1d542,kopf:1d55c,Kscr:1d4a6,kscr:1d4c0,lAarr:21da,Lacute:139,lacute:13a,laemptyv:29b4,lagran:2112,Lambda:39b,lambda:3bb,Lang:27ea,lang:27e8,langd:2991,langle:27e8,lap:2a85,Laplacetrf:2112,laquo:ab,Larr:219e,lArr:21d0,larr:2190,larrb:21e4,larrbfs:291f,larrfs:291d,larrhk:21a9,larrlp:21ab,larrpl:2939,larrsim:2973,larrtl:21a2,lat:2aab,lAtail:291b,latail:2919,late:2aad,lates:2aad.fe00,lBarr:290e,lbarr:290c,lbbrk:2772,lbrace:7b,lbrack:5b,lbrke:298b,lbrksld:298f,lbrkslu:298d,Lcaron:13d,lcaron:13e,Lcedil:13b,lcedil:13c,lceil:2308,lcub:7b,Lcy:41b,lcy:43b,ldca:2936,ldquo:201c,ldquor:201e,ldrdhar:2967,ldrushar:294b,ldsh:21b2,lE:2266,le:2264,LeftAngleBracket:27e8,LeftArrow:2190,Leftarrow:21d0,leftarrow:2190,LeftArrowBar:21e4,LeftArrowRightArrow:21c6,leftarrowtail:21a2,LeftCeiling:2308,LeftDoubleBracket:27e6,LeftDownTeeVector:2961,LeftDownVector:21c3,LeftDownVectorBar:2959,LeftFloor:230a,leftharpoondown:21bd,leftharpoonup:21bc,leftleftarrows:21c7,LeftRightArrow:2194,Leftrightarrow:21d4,leftrightarrow:2194,leftrightarrows:21c6,leftrightharpoons:21cb,leftrightsquigarrow:21ad,LeftRightVector:294e,LeftTee:22a3,LeftTeeArrow:21a4,LeftTeeVector:295a,leftthreetimes:22cb,LeftTriangle:22b2,LeftTriangleBar:29cf,LeftTriangleEqual:22b4,LeftUpDownVector:2951,LeftUpTeeVector:2960,LeftUpVector:21bf,LeftUpVectorBar:2958,LeftVector:21bc,LeftVectorBar:2952,lEg:2a8b,leg:22da,leq:2264,leqq:2266,leqslant:2a7d,les:2a7d,lescc:2aa8,lesdot:2a7f,lesdoto:2a81,lesdotor:2a83,lesg:22da.fe00,lesges:2a93,lessapprox:2a85,lessdot:22d6,lesseqgtr:22da,lesseqqgtr:2a8b,LessEqualGreater:22da,LessFullEqual:2266,LessGreater:2276,lessgtr:2276,LessLess:2aa1,lesssim:2272,LessSlantEqual:2a7d,LessTilde:2272,lfisht:297c,lfloor:230a,Lfr:1d50f,lfr:1d529,lg:2276,lgE:2a91,lHar:2962,lhard:21bd,lharu:21bc,lharul:296a,lhblk:2584,LJcy:409,ljcy:459,Ll:22d8,ll:226a,llarr:21c7,llcorner:231e,Lleftarrow:21da,llhard:296b,lltri:25fa,Lmidot:13f,lmidot:140,lmoust:23b0,lmoustache:23b0,lnap:2a89,lnapprox:2a89,lnE:2268,lne:2a87,lneq:2a87,lneqq:2268,lnsim:22e6,loang:27ec,loarr:21fd,lobrk:27e6,LongLeftArrow:27f5,Longleftarrow:27f8,longleftarrow:27f5,LongLeftRightArrow:27f7,Longleftrightarrow:27fa,longleftrightarrow:27f7,longmapsto:27fc,LongRightArrow:27f6,Longrightarrow:27f9,longrightarrow:27f6,looparrowleft:21ab,looparrowright:21ac,lopar:2985,Lopf:1d543,lopf:1d55d,loplus:2a2d,lotimes:2a34,lowast:2217,lowbar:5f,LowerLeftArrow:2199,LowerRightArrow:2198,loz:25ca,lozenge:25ca,lozf:29eb,lpar:28,lparlt:2993,lrarr:21c6,lrcorner:231f,lrhar:21cb,lrhard:296d,lrm:200e,lrtri:22bf,lsaquo:2039,Lscr:2112,lscr:1d4c1,Lsh:21b0,lsh:21b0,lsim:2272,lsime:2a8d,lsimg:2a8f,lsqb:5b,lsquo:2018,lsquor:201a,Lstrok:141,lstrok:142,LT:3c,Lt:226a,lt:3c,ltcc:2aa6,ltcir:2a79,ltdot:22d6,lthree:22cb,ltimes:22c9,ltlarr:2976,ltquest:2a7b,ltri:25c3,ltrie:22b4,ltrif:25c2,ltrPar:2996,lurdshar:294a,luruhar:2966,lvertneqq:2268.fe00,lvnE:2268.fe00,macr:af,male:2642,malt:2720,maltese:2720,Map:2905,map:21a6,mapsto:21a6,mapstodown:21a7,mapstoleft:21a4,mapstoup:21a5,marker:25ae,mcomma:2a29,Mcy:41c,mcy:43c,mdash:2014,mDDot:223a,measuredangle:2221,MediumSpace:205f,Mellintrf:2133,Mfr:1d510,mfr:1d52a,mho:2127,micro:b5,mid:2223,midast:2a,midcir:2af0,middot:b7,minus:2212,minusb:229f,minusd:2238,minusdu:2a2a,MinusPlus:2213,mlcp:2adb,mldr:2026,mnplus:2213,models:22a7,Mopf:1d544,mopf:1d55e,mp:2213,Mscr:2133,mscr:1d4c2,mstpos:223e,Mu:39c,mu:3bc,multimap:22b8,mumap:22b8,nabla:2207,Nacute:143,nacute:144,nang:2220.20d2,nap:2249,napE:2a70.338,napid:224b.338,napos:149,napprox:2249,natur:266e,natural:266e,naturals:2115,nbsp:a0,nbump:224e.338,nbumpe:224f.338,ncap:2a43,Ncaron:147,ncaron:148,Ncedil:145,ncedil:146,ncong:2247,ncongdot:2a6d.338,ncup:2a42,Ncy:41d,ncy:43d,ndash:2013,ne:2260,nearhk:2924,neArr:21d7,nearr:2197,nearrow:2197,nedot:2250.338,NegativeMediumSpace:200b,NegativeThickSpace:200b,NegativeThinSpace:200b,NegativeVeryThinSpace:200b,nequiv:2262,nesear:2928,nesim:2242.338,NestedGreaterGreater:226b,NestedLessLess:226a,NewLine:a,nexist:2204,nexists:2204,Nfr:1d511,nfr:1d52b,ngE:2267.338,nge:2271,ngeq:2271,ngeqq:2267.338,ngeqslant:2a7e.338,nges:2a7e.338,nGg:22d9.338,ngsim:2275,nGt:226b.20d2,ngt:226f,ngtr:226f,nGtv:226b.338,nhArr:21ce,nharr:21ae,nhpar:2af2,ni:220b,nis:22fc,nisd:22fa,niv:220b,NJcy:40a,njcy:45a,nlArr:21cd,nlarr:219a,nldr:2025,nlE:2266.338,nle:2270,nLeftarrow:21cd,nleftarrow:219a,nLeftrightarrow:21ce,nleftrightarrow:21ae,nleq:2270,nleqq:2266.338,nleqslant:2a7d.338,nles:2a7d.338,nless:226e,nLl:22d8.338,nlsim:2274,nLt:226a.20d2,nlt:226e,nltri:22ea,nltrie:22ec,nLtv:226a.338,nmid:2224,NoBreak:2060,NonBreakingSpace:a0,Nopf:2115,nopf:1d55f,Not:2aec,not:ac,NotCongruent:2262,NotCupCap:226d,NotDoubleVerticalBar:2226,NotElement:2209,NotEqual:2260,NotEqualTilde:2242.338,NotExists:2204,NotGreater:226f,NotGreaterEqual:2271,NotGreaterFullEqual:2267.338,NotGreaterGreater:226b.338,NotGreaterLess:2279,NotGreaterSlantEqual:2a7e.338,NotGreaterTilde:2275,NotHumpDownHump:224e.338,NotHumpEqual:224f.338,notin:2209,notindot:22f5.338,notinE:22f9.338,notinva:2209,notinvb:22f7,notinvc:22f6,NotLeftTriangle:22ea,NotLeftTriangleBar:29cf.338,NotLeftTriangleEqual:22ec,NotLess:226e,NotLessEqual:2270,NotLessGreater:2278,NotLessLess:226a.338,NotLessSlantEqual:2a7d.338,NotLessTilde:2274,NotNestedGreaterGreater:2aa2.338,NotNestedLessLess:2aa1.338,notni:220c,notniva:220c,notnivb:22fe,notnivc:22fd,NotPrecedes:2280,NotPrecedesEqual:2aaf.338,NotPrecedesSlantEqual:22e0,NotReverseElement:220c,NotRightTriangle:22eb,NotRightTriangleBar:29d0.338,NotRightTriangleEqual:22ed,NotSquareSubset:228f.338,NotSquareSubsetEqual:22e2,NotSquareSuperset:2290.338,NotSquareSupersetEqual:22e3,NotSubset:2282.20d2,NotSubsetEqual:2288,NotSucceeds:2281,NotSucceedsEqual:2ab0.338,NotSucceedsSlantEqual:22e1,NotSucceedsTilde:227f.338,NotSuperset:2283.20d2,NotSupersetEqual:2289,NotTilde:2241,NotTildeEqual:2244,NotTildeFullEqual:2247,NotTildeTilde:2249,NotVerticalBar:2224,npar:2226,nparallel:2226,nparsl:2afd.20e5,npart:2202.338,npolint:2a14,npr:2280,nprcue:22e0,npre:2aaf.338,nprec:2280,npreceq:2aaf.338,nrArr:21cf,nrarr:219b,nrarrc:2933.338,nrarrw:219d.338,nRightarrow:21cf,nrightarrow:219b,nrtri:22eb,nrtrie:22ed,nsc:2281,nsccue:22e1,nsce:2ab0.338,Nscr:1d4a9,nscr:1d4c3,nshortmid:2224,nshortparallel:2226,nsim:2241,nsime:2244,nsimeq:2244,nsmid:2224,nspar:2226,nsqsube:22e2,nsqsupe:22e3,nsub:2284,nsubE:2ac5.338,nsube:2288,nsubset:2282.20d2,nsubseteq:2288,nsubseteqq:2ac5.338,nsucc:2281,nsucceq:2ab0.338,nsup:2285,nsupE:2ac6.338,nsupe:2289,nsupset:2283.20d2,nsupseteq:2289,nsupseteqq:2ac6.338,ntgl:2279,Ntilde:d1,ntilde:f1,ntlg:2278,ntriangleleft:22ea,ntrianglelefteq:22ec,ntriangleright:22eb,ntrianglerighteq:22ed,Nu:39d,nu:3bd,num:23,numero:2116,numsp:2007,nvap:224d.20d2,nVDash:22af,nVdash:22ae,nvDash:22ad,nvdash:22ac,nvge:2265.20d2,nvgt:3e.20d2,nvHarr:2904,nvinfin:29de,nvlArr:2902,nvle:2264.20d2,nvlt:3c.20d2,nvltrie:22b4.20d2,nvrArr:2903,nvrtrie:22b5.20d2,nvsim:223c.20d2,nwarhk:2923,nwArr:21d6,nwarr:2196,nwarrow:2196,nwnear:2927,Oacute:d3,oacute:f3,oast:229b,ocir:229a,Ocirc:d4,ocirc:f4,Ocy:41e,ocy:43e,odash:229d,Odblac:150,odblac:151,odiv:2a38,odot:2299,odsold:29bc,OElig:152,oelig:153,ofcir:29bf,Ofr:1d512,ofr:1d52c,ogon:2db,Ograve:d2,ograve:f2,ogt:29c1,ohbar:29b5,ohm:3a9,oint:222e,olarr:21ba,olcir:29be,olcross:29bb,oline:203e,olt:29c0,Omacr:14c,omacr:14d,Omega:3a9,omega:3c9,Omicron:39f,omicron:3bf,omid:29b6,ominus:2296,Oopf:1d546,oopf:1d560,opar:29b7,OpenCurlyDoubleQuote:201c,OpenCurlyQuote:2018,operp:29b9,oplus:2295,Or:2a54,or:2228,orarr:21bb,ord:2a5d,order:2134,orderof:2134,ordf:aa,ordm:ba,origof:22b6,oror:2a56,orslope:2a57,orv:2a5b,oS:24c8,Oscr:1d4aa,oscr:2134,Oslash:d8,oslash:f8,osol:2298,Otilde:d5,otilde:f5,Otimes:2a37,otimes:2297,otimesas:2a36,Ouml:d6,ouml:f6,ovbar:233d,OverBar:203e,OverBrace:23de,OverBracket:23b4,OverParenthesis:23dc,par:2225,para:b6,parallel:2225,parsim:2af3,parsl:2afd,part:2202,PartialD:2202,Pcy:41f,pcy:43f,percnt:25,period:2e,permil:2030,perp:22a5,pertenk:2031,Pfr:1d513,pfr:1d52d,Phi:3a6,phi:3c6,phiv:3d5,phmmat:2133,phone:260e,Pi:3a0,pi:3c0,pitchfork:22d4,piv:3d6,planck:210f,planckh:210e,plankv:210f,plus:2b,plusacir:2a23,plusb:229e,pluscir:2a22,plusdo:2214,plusdu:2a25,pluse:2a72,PlusMinus:b1,plusmn:b1,plussim:2a26,plustwo:2a27,pm:b1,Poincareplane:210c,pointint:2a15,Popf:2119,popf:1d561,pound:a3,Pr:2abb,pr:227a,prap:2ab7,prcue:227c,prE:2ab3,pre:2aaf,prec:227a,precapprox:2ab7,preccurlyeq:227c,Precedes:227a,PrecedesEqual:2aaf,PrecedesSlantEqual:227c,PrecedesTilde:227e,preceq:2aaf,precnapprox:2ab9,precneqq:2ab5,precnsim:22e8,precsim:227e,Prime:2033,prime:2032,primes:2119,prnap:2ab9,prnE:2ab5,prnsim:22e8,prod:220f,Product:220f,profalar:232e,profline:2312,profsurf:2313,prop:221d,Proportion:2237,Proportional:221d,propto:221d,prsim:227e,prurel:22b0,Pscr:1d4ab,pscr:1d4c5,Psi:3a8,psi:3c8,puncsp:2008,Qfr:1d514,qfr:1d52e,qint:2a0c,Qopf:211a,qopf:1d562,qprime:2057,Qscr:1d4ac,qscr:1d4c6,quaternions:210d,quatint:2a16,quest:3f,questeq:225f,QUOT:22,quot:22,rAarr:21db,race:223d.331,Racute:154,racute:155,radic:221a,raemptyv:29b3,Rang:27eb,rang:27e9,rangd:2992,range:29a5,rangle:27e9,raquo:bb,Rarr:21a0,rArr:21d2,rarr:2192,rarrap:2975,rarrb:21e5,rarrbfs:2920,rarrc:2933,rarrfs:291e,rarrhk:21aa,rarrlp:21ac,rarrpl:2945,rarrsim:2974,Rarrtl:2916,rarrtl:21a3,rarrw:219d,rAtail:291c,ratail:291a,ratio:2236,rationals:211a,RBarr:2910,rBarr:290f,rbarr:290d,rbbrk:2773,rbrace:7d,rbrack:5d,rbrke:298c,rbrksld:298e,rbrkslu:2990,Rcaron:158,rcaron:159,Rcedil:156,rcedil:157,rceil:2309,rcub:7d,Rcy:420,rcy:440,rdca:2937,rdldhar:2969,rdquo:201d,rdquor:201d,rdsh:21b3,Re:211c,real:211c,realine:211b,realpart:211c,reals:211d,rect:25ad,REG:ae,reg:ae,ReverseElement:220b,ReverseEquilibrium:21cb,ReverseUpEquilibrium:296f,rfisht:297d,rfloor:230b,Rfr:211c,rfr:1d52f,rHar:2964,rhard:21c1,rharu:21c0,rharul:296c,Rho:3a1,rho:3c1,rhov:3f1,RightAngleBracket:27e9,RightArrow:2192,Rightarrow:21d2,rightarrow:2192,RightArrowBar:21e5,RightArrowLeftArrow:21c4,rightarrowtail:21a3,RightCeiling:2309,RightDoubleBracket:27e7,RightDownTeeVector:295d,RightDownVector:21c2,RightDownVectorBar:2955,RightFloor:230b,rightharpoondown:21c1,rightharpoonup:21c0,rightleftarrows:21c4,rightleftharpoons:21cc,rightrightarrows:21c9,rightsquigarrow:219d,RightTee:22a2,RightTeeArrow:21a6,RightTeeVector:295b,rightthreetimes:22cc,RightTriangle:22b3,RightTriangleBar:29d0,RightTriangleEqual:22b5,RightUpDownVector:294f,RightUpTeeVector:295c,RightUpVector:21be,RightUpVectorBar:2954,RightVector:21c0,RightVectorBar:2953,ring:2da,risingdotseq:2253,rlarr:21c4,rlhar:21cc,rlm:200f,rmoust:23b1,rmoustache:23b1,rnmid:2aee,roang:27ed,roarr:21fe,robrk:27e7,ropar:2986,Ropf:211d,ropf:1d563,roplus:2a2e,rotimes:2a35,RoundImplies:2970,rpar:29,rpargt:2994,rppolint:2a12,rrarr:21c9,Rrightarrow:21db,rsaquo:203a,Rscr:211b,rscr:1d4c7,Rsh:21b1,rsh:21b1,rsqb:5d,rsquo:2019,rsquor:2019,rthree:22cc,rtimes:22ca,rtri:25b9,rtrie:22b5,rtrif:25b8,rtriltri:29ce,RuleDelayed:29f4,ruluhar:2968,rx:211e,Sacute:15a,sacute:15b,sbquo:201a,Sc:2abc,sc:227b,scap:2ab8,Scaron:160,scaron:161,sccue:227d,scE:2ab4,sce:2ab0,Scedil:15e,scedil:15f,Scirc:15c,scirc:15d,scnap:2aba,scnE:2ab6,scnsim:22e9,scpolint:2a13,scsim:227f,Scy:421,scy:441,sdot:22c5,sdotb:22a1,sdote:2a66,searhk:2925,seArr:21d8,searr:2198,searrow:2198,sect:a7,semi:3b,seswar:2929,setminus:2216,setmn:2216,sext:2736,Sfr:1d516,sfr:1d530,sfrown:2322,sharp:266f,SHCHcy:429,shchcy:449,SHcy:428,shcy:448,ShortDownArrow:2193,ShortLeftArrow:2190,shortmid:2223,shortparallel:2225,ShortRightArrow:2192,ShortUpArrow:2191,shy:ad,Sigma:3a3,sigma:3c3,sigmaf:3c2,sigmav:3c2,sim:223c,simdot:2a6a,sime:2243,simeq:2243,simg:2a9e,simgE:2aa0,siml:2a9d,simlE:2a9f,simne:2246,simplus:2a24,simrarr:2972,slarr:2190,SmallCircle:2218,smallsetminus:2216,smashp:2a33,smeparsl:29e4,smid:2223,smile:2323,smt:2aaa,smte:2aac,smtes:2aac.fe00,SOFTcy:42c,softcy:44c,sol:2f,solb:29c4,solbar:233f,Sopf:1d54a,sopf:1d564,spades:2660,spadesuit:2660,spar:2225,sqcap:2293,sqcaps:2293.fe00,sqcup:2294,sqcups:2294.fe00,Sqrt:221a,sqsub:228f,sqsube:2291,sqsubset:228f,sqsubseteq:2291,sqsup:2290,sqsupe:2292,sqsupset:2290,sqsupseteq:2292,squ:25a1,Square:25a1,square:25a1,SquareIntersection:2293,SquareSubset:228f,SquareSubsetEqual:2291,SquareSuperset:2290,SquareSupersetEqual:2292,SquareUnion:2294,squarf:25aa,squf:25aa,srarr:2192,Sscr:1d4ae,sscr:1d4c8,ssetmn:2216,ssmile:2323,sstarf:22c6,Star:22c6,star:2606,starf:2605,straightepsilon:3f5,straightphi:3d5,strns:af,Sub:22d0,sub:2282,subdot:2abd,subE:2ac5,sube:2286,subedot:2ac3,submult:2ac1,subnE:2acb,subne:228a,subplus:2abf,subrarr:2979,Subset:22d0,subset:2282,subseteq:2286,subseteqq:2ac5,SubsetEqual:2286,subsetneq:228a,subsetneqq:2acb,subsim:2ac7,subsub:2ad5,subsup:2ad3,succ:227b,succapprox:2ab8,succcurlyeq:227d,Succeeds:227b,SucceedsEqual:2ab0,SucceedsSlantEqual:227d,SucceedsTilde:227f,succeq:2ab0,succnapprox:2aba,succneqq:2ab6,succnsim:22e9,succsim:227f,SuchThat:220b,Sum:2211,sum:2211,sung:266a,Sup:22d1,sup:2283,sup1:b9,sup2:b2,sup3:b3,supdot:2abe,supdsub:2ad8,supE:2ac6,supe:2287,supedot:2ac4,Superset:2283,SupersetEqual:2287,suphsol:27c9,suphsub:2ad7,suplarr:297b,supmult:2ac2,supnE:2acc,supne:228b,supplus:2ac0,Supset:22d1,supset:2283,supseteq:2287,supseteqq:2ac6,supsetneq:228b,supsetneqq:2acc,supsim:2ac8,supsub:2ad4,supsup:2ad6,swarhk:2926,swArr:21d9,swarr:2199,swarrow:2199,swnwar:292a,szlig:df,Tab:9,target:2316,Tau:3a4,tau:3c4,tbrk:23b4,Tcaron:164,tcaron:165,Tcedil:162,tcedil:163,Tcy:422,tcy:442,tdot:20db,telrec:2315,Tfr:1d517,tfr:1d531,there4:2234,Therefore:2234,therefore:2234,Theta:398,theta:3b8,thetasym:3d1,thetav:3d1,thickapprox:2248,thicksim:223c,ThickSpace:205f.200a,thinsp:2009,ThinSpace:2009,thkap:2248,thksim:223c,THORN:de,thorn:fe,Tilde:223c,tilde:2dc,TildeEqual:2243,TildeFullEqual:2245,TildeTilde:2248,times:d7,timesb:22a0,timesbar:2a31,timesd:2a30,tint:222d,toea:2928,top:22a4,topbot:2336,topcir:2af1,Topf:1d54b,topf:1d565,topfork:2ada,tosa:2929,tprime:2034,TRADE:2122,trade:2122,triangle:25b5,triangledown:25bf,triangleleft:25c3,trianglelefteq:22b4,triangleq:225c,triangleright:25b9,trianglerighteq:22b5,tridot:25ec,trie:225c,triminus:2a3a,TripleDot:20db,triplus:2a39,trisb:29cd,tritime:2a3b,trpezium:23e2,Tscr:1d4af,tscr:1d4c9,TScy:426,tscy:446,TSHcy:40b,tshcy:45b,Tstrok:166,tstrok:167,twixt:226c,twoheadleftarrow:219e,twoheadrightarrow:21a0,Uacute:da,uacute:fa,Uarr:219f,uArr:21d1,uarr:2191,Uarrocir:2949,Ubrcy:40e,ubrcy:45e,Ubreve:16c,ubreve:16d,Ucirc:db,ucirc:fb,Ucy:423,ucy:443,udarr:21c5,Udblac:170,udblac:171,udhar:296e,ufisht:297e,Ufr:1d518,ufr:1d532,Ugrave:d9,ugrave:f9,uHar:2963,uharl:21bf,uharr:21be,uhblk:2580,ulcorn:231c,ulcorner:231c,ulcrop:230f,ultri:25f8,Umacr:16a,umacr:16b,uml:a8,UnderBar:5f,UnderBrace:23df,UnderBracket:23b5,UnderParenthesis:23dd,Union:22c3,UnionPlus:228e,Uogon:172,uogon:173,Uopf:1d54c,uopf:1d566,UpArrow:2191,Uparrow:21d1,uparrow:2191,UpArrowBar:2912,UpArrowDownArrow:21c5,UpDownArrow:2195,Updownarrow:21d5,updownarrow:2195,UpEquilibrium:296e,upharpoonleft:21bf,upharpoonright:21be,uplus:228e,UpperLeftArrow:2196,UpperRightArrow:2197,Upsi:3d2,upsi:3c5,upsih:3d2,Upsilon:3a5,upsilon:3c5,UpTee:22a5,UpTeeArrow:21a5,upuparrows:21c8,urcorn:231d,urcorner:231d,urcrop:230e,Uring:16e,uring:16f,urtri:25f9,Uscr:1d4b0,uscr:1d4ca,utdot:22f0,Utilde:168,utilde:169,utri:25b5,utrif:25b4,uuarr:21c8,Uuml:dc,uuml:fc,uwangle:29a7,vangrt:299c,varepsilon:3f5,varkappa:3f0,varnothing:2205,varphi:3d5,varpi:3d6,varpropto:221d,vArr:21d5,varr:2195,varrho:3f1,varsigma:3c2,varsubsetneq:228a.fe00,varsubsetneqq:2acb.fe00,varsupsetneq:228b.fe00,varsupsetneqq:2acc.fe00,vartheta:3d1,vartriangleleft:22b2,vartriangleright:22b3,Vbar:2aeb,vBar:2ae8,vBarv:2ae9,Vcy:412,vcy:432,VDash:22ab,Vdash:22a9,vDash:22a8,vdash:22a2,Vdashl:2ae6,Vee:22c1,vee:2228,veebar:22bb,veeeq:225a,vellip:22ee,Verbar:2016,verbar:7c,Vert:2016,vert:7c,VerticalBar:2223,VerticalLine:7c,VerticalSeparator:2758,VerticalTilde:2240,VeryThinSpace:200a,Vfr:1d519,vfr:1d533,vltri:22b2,vnsub:2282.20d2,vnsup:2283.20d2,Vopf:1d54d,vopf:1d567,vprop:221d,vrtri:22b3,Vscr:1d4b1,vscr:1d4cb,vsubnE:2acb.fe00,vsubne:228a.fe00,vsupnE:2acc.fe00,vsupne:228b.fe00,Vvdash:22aa,vzigzag:299a,Wcirc:174,wcirc:175,wedbar:2a5f,Wedge:22c0,wedge:2227,wedgeq:2259,weierp:2118,Wfr:1d51a,wfr:1d534,Wopf:1d54e,wopf:1d568,wp:2118,wr:2240,wreath:2240,Wscr:1d4b2,wscr:1d4cc,xcap:22c2,xcirc:25ef,xcup:22c3,xdtri:25bd,Xfr:1d51b,xfr:1d535,xhArr:27fa,xharr:27f7,Xi:39e,xi:3be,xlArr:27f8,xlarr:27f5,xmap:27fc,xnis:22fb,xodot:2a00,Xopf:1d54f,xopf:1d569,xoplus:2a01,xotime:2a02,xrArr:27f9,xrarr:27f6,Xscr:1d4b3,xscr:1d4cd,xsqcup:2a06,xuplus:2a04,xutri:25b3,xvee:22c1,xwedge:22c0,Yacute:dd,yacute:fd,YAcy:42f,yacy:44f,Ycirc:176,ycirc:177,Ycy:42b,ycy:44b,yen:a5,Yfr:1d51c,yfr:1d536,YIcy:407,yicy:457,Yopf:1d550,yopf:1d56a,Yscr:1d4b4,yscr:1d4ce,YUcy:42e,yucy:44e,Yuml:178,yuml:ff,Zacute:179,zacute:17a,Zcaron:17d,zcaron:17e,Zcy:417,zcy:437,Zdot:17b,zdot:17c,zeetrf:2128,ZeroWidthSpace:200b,Zeta:396,zeta:3b6,Zfr:2128,zfr:1d537,ZHcy:416,zhcy:436,zigrarr:21dd,Zopf:2124,zopf:1d56b,Zscr:1d4b5,zscr:1d4cf,zwj:200d,zwnj:200c",htmlLegacyEntities:"AElig,AMP,Aacute,Acirc,Agrave,Aring,Atilde,Auml,COPY,Ccedil,ETH,Eacute,Ecirc,Egrave,Euml,GT,Iacute,Icirc,Igrave,Iuml,LT,Ntilde,Oacute,Ocirc,Ograve,Oslash,Otilde,Ouml,QUOT,REG,THORN,Uacute,Ucirc,Ugrave,Uuml,Yacute,aacute,acirc,acute,aelig,agrave,amp,aring,atilde,auml,brvbar,ccedil,cedil,cent,copy,curren,deg,divide,eacute,ecirc,egrave,eth,euml,frac12,frac14,frac34,gt,iacute,icirc,iexcl,igrave,iquest,iuml,laquo,lt,macr,micro,middot,nbsp,not,ntilde,oacute,ocirc,ograve,ordf,ordm,oslash,otilde,ouml,para,plusmn,pound,quot,raquo,reg,sect,shy,sup1,sup2,sup3,szlig,thorn,times,uacute,ucirc,ugrave,uml,uuml,yacute,yen,yuml",htmlEntityMap:null};"undefined"!=typeof module&&module.exports&&(module.exports=svgCC);
\ No newline at end of file
@@ -0,0 +1,348 @@
+#!/usr/bin/env node
+/**
+ * @file SVG代码转换工具命令行入口
+ * @description 批量转换公众号图文代码：支持文件、目录和标准输入，基于svgCC.convert一站式转换
+ * @copyright Copyright (c) 2026 上海意符文化传媒有限公司
+ * @license MIT License
+ * @repository https://github.com/qiruoKING/svg-code-convert
+ *             https://gitee.com/forPage/svg-code-convert
+ */
+
+const fs = require('fs');
+const path = require('path');
+const svgCC = require('./svg-code-convert.full.js');
+
+const helpText = `用法: svgcc [选项] [文件或目录...]
+
+不传文件或传入"-"时从标准输入读取，结果输出到标准输出。
+
+选项:
+  -t, --to <svg|img|image>  转换目标格式，不传则仅执行解析-合成（代码优化）
+  -c, --convert-img         同时转换普通<img>元素（对应README中的isImgConvertChecked）
+  -p, --preload <N>         生成特征层级分最高的N张图片的预加载HTML并拼接至结果头部
+      --preload-strategy <background|image|img>
+                            预加载方式：svg背景图片、零尺寸image或零尺寸img，默认background
+  -w, --base-width <N>      img转换时的基准宽度（仅知道图片宽高比时生成viewBox使用），默认1080
+      --offline             img转换时仅从节点已有信息（data-ratio、兄弟svg的viewBox等）读取宽高比，不加载图片；
+                            联网时兄弟svg的viewBox只在读取图片失败后使用
+      --proxy <地址>        img转换时的图片代理地址，{url}替换为编码后的图片链接，默认不使用代理（直接请求图片）
+      --concurrency <N>     img转换时同时获取宽高比的图片数量，默认6
+      --cache <文件>        img转换时的宽高比缓存文件（JSON），多次运行间复用已获取的结果
+      --report              为每个文件生成特征层级分调试报告 *.svgcc.report.html（不支持标准输入）
+      --preserve            保留模式：保留空白、注释及属性原始写法，未转换的节点按源码原样输出
+  -s, --scope <选择器>      仅转换匹配选择器的节点子树，如 '[data-svgcc-scope]'
+  -o, --out <目录>          输出目录（保持输入目录结构），不传或会覆盖源文件时在源文件旁生成 *.svgcc.* 文件
+      --ext <扩展名列表>    目录中需要处理的文件扩展名，默认 .html,.htm,.svg
+      --json                以JSON格式输出处理汇总
+  -h, --help                显示帮助信息
+`;
+
+/**
+ * 解析命令行参数
+ * @param {string[]} argv - 命令行参数数组（不含node与脚本路径）
+ * @returns {object} 解析后的选项对象
+ * @throws {Error} 参数缺失或取值非法
+ */
+function parseArgs(argv) {
+	const options = {
+		type: '',
+		convertImg: false,
+		preload: 0,
+		preloadStrategy: undefined,
+		baseWidth: undefined,
+		ratioResolvers: undefined,
+		imageProxy: undefined,
+		concurrency: undefined,
+		ratioCache: undefined,
+		scope: undefined,
+		preserve: false,
+		report: false,
+		out: '',
+		exts: ['.html', '.htm', '.svg'],
+		json: false,
+		help: false,
+		inputs: []
+	};
+
+	// 读取选项的取值
+	const takeValue = (i, flag) => {
+		const value = argv[i + 1];
+		if (value === undefined || (value.startsWith('-') && value !== '-')) {
+			throw new Error(`选项 ${flag} 缺少取值`);
+		}
+		return value;
+	};
+
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		switch (arg) {
+			case '-t':
+			case '--to':
+				options.type = takeValue(i++, arg);
+				if (!['svg', 'img', 'image'].includes(options.type)) {
+					throw new Error(`--to 仅支持 svg、img、image，收到: ${options.type}`);
+				}
+				break;
+			case '-c':
+			case '--convert-img':
+				options.convertImg = true;
+				break;
+			case '-p':
+			case '--preload':
+				options.preload = Number(takeValue(i++, arg));
+				if (!Number.isInteger(options.preload) || options.preload < 0) {
+					throw new Error(`--preload 需要非负整数，收到: ${argv[i]}`);
+				}
+				break;
+			case '--preload-strategy':
+				options.preloadStrategy = takeValue(i++, arg);
+				if (!Object.keys(svgCC.preloadStrategies).includes(options.preloadStrategy)) {
+					throw new Error(`--preload-strategy 仅支持 ${Object.keys(svgCC.preloadStrategies).join('、')}，收到: ${options.preloadStrategy}`);
+				}
+				break;
+			case '-w':
+			case '--base-width':
+				options.baseWidth = Number(takeValue(i++, arg));
+				if (!Number.isFinite(options.baseWidth) || options.baseWidth <= 0) {
+					throw new Error(`--base-width 需要正数，收到: ${argv[i]}`);
+				}
+				break;
+			case '--offline':
+				options.ratioResolvers = svgCC.defaultRatioResolvers.filter(name => name !== 'network');
+				break;
+			case '--proxy':
+				options.imageProxy = takeValue(i++, arg);
+				break;
+			case '--concurrency':
+				options.concurrency = Number(takeValue(i++, arg));
+				if (!Number.isInteger(options.concurrency) || options.concurrency <= 0) {
+					throw new Error(`--concurrency 需要正整数，收到: ${argv[i]}`);
+				}
+				break;
+			case '--cache':
+				options.ratioCache = svgCC.createFileCache(takeValue(i++, arg));
+				break;
+			case '--report':
+				options.report = true;
+				break;
+			case '--preserve':
+				options.preserve = true;
+				break;
+			case '-s':
+			case '--scope':
+				options.scope = takeValue(i++, arg);
+				break;
+			case '-o':
+			case '--out':
+				options.out = takeValue(i++, arg);
+				break;
+			case '--ext':
+				options.exts = takeValue(i++, arg)
+					.split(',')
+					.map(ext => ext.trim().toLowerCase())
+					.filter(Boolean)
+					.map(ext => ext.startsWith('.') ? ext : `.${ext}`);
+				break;
+			case '--json':
+				options.json = true;
+				break;
+			case '-h':
+			case '--help':
+				options.help = true;
+				break;
+			default:
+				if (arg.startsWith('-') && arg !== '-') {
+					throw new Error(`未知选项: ${arg}`);
+				}
+				options.inputs.push(arg);
+		}
+	}
+	return options;
+}
+
+/**
+ * 展开输入路径：目录递归收集指定扩展名的文件
+ * @param {string[]} inputs - 输入的文件或目录路径
+ * @param {string[]} exts - 需要处理的扩展名
+ * @returns {{file: string, base: string}[]} 文件路径及其所属输入根目录
+ */
+function collectFiles(inputs, exts) {
+	const files = [];
+	const walk = (dir, base) => {
+		for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+			const fullPath = path.join(dir, entry.name);
+			if (entry.isDirectory()) {
+				walk(fullPath, base);
+			} else if (exts.includes(path.extname(entry.name).toLowerCase()) && !entry.name.includes('.svgcc.')) {
+				files.push({ file: fullPath, base });
+			}
+		}
+	};
+	for (const input of inputs) {
+		const stat = fs.statSync(input);
+		if (stat.isDirectory()) {
+			walk(input, input);
+		} else {
+			files.push({ file: input, base: path.dirname(input) });
+		}
+	}
+	return files;
+}
+
+/**
+ * 判断两个路径是否指向同一文件（已存在时按真实路径比较，识别符号链接）
+ * @param {string} a - 文件路径
+ * @param {string} b - 文件路径
+ * @returns {boolean} 是否为同一文件
+ */
+function isSamePath(a, b) {
+	if (path.resolve(a) === path.resolve(b)) return true;
+	try {
+		return fs.realpathSync(a) === fs.realpathSync(b);
+	} catch (err) {
+		return false; // 任一路径不存在
+	}
+}
+
+/**
+ * 计算结果文件的输出路径
+ * @param {{file: string, base: string}} item - 输入文件信息
+ * @param {string} outDir - 输出目录，为空时输出到源文件旁
+ * @returns {string} 输出文件路径（输出目录与输入目录相同、会覆盖源文件时同样加 .svgcc 后缀）
+ */
+function getOutputPath(item, outDir) {
+	const ext = path.extname(item.file);
+	const suffixed = `${item.file.slice(0, item.file.length - ext.length)}.svgcc${ext}`;
+	if (!outDir) return suffixed;
+	const output = path.join(outDir, path.relative(item.base, item.file));
+	return isSamePath(output, item.file) ? path.join(outDir, path.relative(item.base, suffixed)) : output;
+}
+
+/**
+ * 计算调试报告的输出路径：与结果文件同目录，文件名以 .svgcc.report.html 结尾（目录处理时会被跳过）
+ * @param {string} output - 结果文件路径
+ * @returns {string} 调试报告路径
+ */
+function getReportPath(output) {
+	const base = output.slice(0, output.length - path.extname(output).length).replace(/\.svgcc$/, '');
+	return `${base}.svgcc.report.html`;
+}
+
+/**
+ * 读取标准输入的全部内容
+ * @returns {Promise<string>} 标准输入内容
+ */
+function readStdin() {
+	return new Promise((resolve, reject) => {
+		const chunks = [];
+		process.stdin.on('data', chunk => chunks.push(chunk));
+		process.stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+		process.stdin.on('error', reject);
+	});
+}
+
+/**
+ * 输出处理汇总
+ * @param {object[]} summary - 每个文件的处理结果
+ * @param {boolean} asJson - 是否以JSON格式输出
+ * @returns {void}
+ */
+function printSummary(summary, asJson) {
+	if (asJson) {
+		process.stderr.write(`${JSON.stringify(summary, null, 2)}\n`);
+		return;
+	}
+	summary.forEach(item => {
+		const line = item.status === 'ok'
+			? `[成功] ${item.input} → ${item.output}（${item.inputBytes}B → ${item.outputBytes}B，图片${item.imageCount}张，转换${item.convertedCount}处，跳过${item.skippedCount}处，预加载${item.preloadCount}张，${item.elapsedMs}ms）`
+			: `[失败] ${item.input}：${item.error}`;
+		process.stderr.write(`${line}\n`);
+		if (item.reportPath) process.stderr.write(`    调试报告 ${item.reportPath}\n`);
+		// 列出跳过的节点及原因
+		(item.report || [])
+			.filter(entry => entry.status === 'skipped')
+			.forEach(entry => process.stderr.write(`    跳过 ${entry.tagPath}：${entry.reason}\n`));
+	});
+	const failed = summary.filter(item => item.status !== 'ok').length;
+	process.stderr.write(`共处理${summary.length}个文件，成功${summary.length - failed}个，失败${failed}个\n`);
+}
+
+/**
+ * 命令行主流程
+ * @param {string[]} argv - 命令行参数数组
+ * @returns {Promise<number>} 进程退出码
+ */
+async function main(argv) {
+	let options;
+	try {
+		options = parseArgs(argv);
+	} catch (err) {
+		process.stderr.write(`${err.message}\n\n${helpText}`);
+		return 2;
+	}
+	if (options.help || (options.inputs.length === 0 && process.stdin.isTTY)) {
+		process.stdout.write(helpText);
+		return 0;
+	}
+
+	// 标准输入模式：结果写到标准输出
+	if (options.inputs.length === 0 || (options.inputs.length === 1 && options.inputs[0] === '-')) {
+		if (options.report) process.stderr.write('--report 不支持标准输入，已忽略\n');
+		try {
+			const code = await readStdin();
+			const { code: result } = await svgCC.convert(code, options);
+			process.stdout.write(result);
+			return 0;
+		} catch (err) {
+			process.stderr.write(`[失败] 标准输入：${err.message}\n`);
+			return 1;
+		}
+	}
+
+	let files;
+	try {
+		files = collectFiles(options.inputs, options.exts);
+	} catch (err) {
+		process.stderr.write(`${err.message}\n`);
+		return 2;
+	}
+
+	// 逐个文件转换并记录汇总
+	const summary = [];
+	for (const item of files) {
+		const startTime = Date.now();
+		const output = getOutputPath(item, options.out);
+		try {
+			const code = fs.readFileSync(item.file, 'utf8');
+			const { code: result, layer, report } = await svgCC.convert(code, options);
+			fs.mkdirSync(path.dirname(output), { recursive: true });
+			fs.writeFileSync(output, result);
+			const reportPath = options.report ? getReportPath(output) : undefined;
+			if (reportPath) {
+				fs.writeFileSync(reportPath, svgCC.buildLayerReport(layer, { title: `特征层级分调试报告 - ${path.basename(item.file)}` }));
+			}
+			summary.push({
+				input: item.file,
+				output,
+				reportPath,
+				status: 'ok',
+				inputBytes: Buffer.byteLength(code),
+				outputBytes: Buffer.byteLength(result),
+				imageCount: layer.imagesDetail.length,
+				preloadCount: layer.preloadImages.length,
+				convertedCount: report.filter(entry => entry.status === 'converted').length,
+				skippedCount: report.filter(entry => entry.status === 'skipped').length,
+				report,
+				elapsedMs: Date.now() - startTime
+			});
+		} catch (err) {
+			summary.push({ input: item.file, output, status: 'error', error: err.message });
+		}
+	}
+	printSummary(summary, options.json);
+	return summary.some(item => item.status !== 'ok') ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+	process.exitCode = code;
+});
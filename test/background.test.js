@@ -0,0 +1,100 @@
+/**
+ * @file 背景几何映射往返测试（svg2image/fosvg2image生成的image、pattern+rect、背景色rect经image2svg还原为背景）
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const svgCC = require('../svg-code-convert.full.js');
+
+/**
+ * 按顺序执行多次转换
+ * @param {string} code - 原始代码
+ * @param {string[]} types - 目标格式序列
+ * @returns {Promise<object[]>} 每次转换的结果
+ */
+const convertChain = async (code, types) => {
+	const results = [];
+	for (const type of types) {
+		const result = await svgCC.convert(results.length ? results[results.length - 1].code : code, { type, preload: 0 });
+		results.push(result);
+	}
+	return results;
+};
+
+/**
+ * 读取代码中全部svg节点的背景（跳过没有背景的svg）
+ * @param {string} code - 代码
+ * @returns {object[]} 背景数组（格式见getBackground）
+ */
+const backgrounds = (code) => {
+	const result = [];
+	svgCC.visitTree(svgCC.parse(code), (node) => {
+		const background = node.tag === 'svg' ? svgCC.getBackground(node.attrs) : null;
+		if (background) result.push(background);
+	});
+	return result;
+};
+
+const svgWith = (background) => `<section><svg viewBox="0 0 200 100" style="${background};width:100%"></svg></section>`;
+
+test('平铺背景转为pattern+rect后还原为平铺背景图层，背景色合并回同一背景', async () => {
+	const [toImage, toSvg, again] = await convertChain(svgWith('background: #f00 url(https://x/a.png) 10px 20px / 50px 40px repeat'), ['image', 'svg', 'image']);
+	assert.match(toImage.code, /<pattern id="svgcc-1" patternUnits="userSpaceOnUse" x="10" y="20" width="50" height="40">/);
+	assert.doesNotMatch(toSvg.code, /<pattern|<rect/);
+
+	const [background] = backgrounds(toSvg.code);
+	assert.equal(background.color, '#f00');
+	assert.deepEqual(
+		background.layers.map(({ url, position, size, repeat }) => ({ url, position, size, repeat })),
+		[{ url: 'https://x/a.png', position: '6.667% 33.333%', size: '25% 40%', repeat: 'repeat' }]
+	);
+	assert.deepEqual(toSvg.report.map(entry => [entry.converter, entry.status, entry.originalTag]), [['image2svg', 'converted', 'rect+pattern+rect']]);
+
+	// 再次转为image时得到相同的平铺几何
+	assert.match(again.code, /<rect x="0" y="0" width="200" height="100" fill="#f00"\/><pattern id="svgcc-1" patternUnits="userSpaceOnUse" x="10" y="20" width="50" height="40">/);
+	assert.match(again.code, /<rect x="0" y="0" width="200" height="100" fill="url\(#svgcc-1\)"\/>/);
+});
+
+test('单方向平铺还原为repeat-x，区域不同的背景色单独还原为background-color', async () => {
+	const [, toSvg] = await convertChain(svgWith('background: rgb(1,2,3) url(https://x/a.png) right bottom / 25% 50% repeat-x'), ['image', 'svg']);
+	assert.match(toSvg.code, /<svg viewBox="0 0 200 100" style="background-color: rgb\(1,2,3\)"><\/svg>/);
+	const [layer] = backgrounds(toSvg.code)[0].layers;
+	assert.deepEqual([layer.position, layer.size, layer.repeat], ['100% 0%', '25% 100%', 'repeat-x']);
+	assert.match(toSvg.code, /<foreignObject x="0" y="50" width="200" height="50">/);
+});
+
+test('铺满区域的image与背景色合并为同一背景', async () => {
+	const [, toSvg] = await convertChain(svgWith('background: #0f0 url(https://x/a.png) center / cover no-repeat'), ['image', 'svg']);
+	const found = backgrounds(toSvg.code);
+	assert.equal(found.length, 1);
+	assert.equal(found[0].color, '#0f0');
+	assert.deepEqual([found[0].layers[0].size, found[0].layers[0].position], ['cover', '50% 50%']);
+});
+
+test('被多处引用的pattern及普通rect不还原', () => {
+	const code = '<svg viewBox="0 0 100 100"><rect x="0" y="0" width="100" height="100" fill="#fff"/>'
+		+ '<pattern id="p" patternUnits="userSpaceOnUse" width="10" height="10"><image width="10" height="10" href="https://x/a.png"/></pattern>'
+		+ '<rect width="100" height="100" fill="url(#p)"/><circle r="5" fill="url(#p)"/></svg>';
+	const tree = svgCC.image2svg(svgCC.parse(code));
+	assert.equal(svgCC.compose(tree), svgCC.compose(svgCC.parse(code)));
+});
+
+test('image2img保留平铺背景并在报告中说明', async () => {
+	const [toImage] = await convertChain(svgWith('background: url(https://x/a.png) 0 0 / 50px 50px repeat'), ['image']);
+	const report = [];
+	const tree = svgCC.image2img(svgCC.parse(toImage.code), { report });
+	assert.match(svgCC.compose(tree), /<pattern id="svgcc-1"/);
+	assert.deepEqual(report.map(entry => [entry.status, entry.originalTag, entry.url]), [['skipped', 'pattern+rect', 'https://x/a.png']]);
+});
+
+test('svg2image只转换渐变之上的图片图层，渐变之下的图片保留为背景，报告逐图层记录', async () => {
+	const code = '<section><svg viewBox="0 0 100 50" style="background-image: url(https://x/top.png), linear-gradient(red, blue), url(https://x/bottom.png); background-size: contain, auto, cover"></svg></section>';
+	const { code: result, report } = await svgCC.convert(code, { type: 'image', preload: 0 });
+	assert.deepEqual(backgrounds(result)[0].layers.map(layer => layer.image), ['linear-gradient(red, blue)', 'url(https://x/bottom.png)']);
+	assert.match(result, /<image [^>]*href="https:\/\/x\/top.png"\/><\/svg>/);
+	assert.doesNotMatch(result, /href="https:\/\/x\/bottom.png"/);
+	assert.deepEqual(report.map(entry => [entry.status, entry.url]), [['skipped', 'https://x/bottom.png'], ['converted', 'https://x/top.png']]);
+
+	const twoLayers = await svgCC.convert('<section><svg viewBox="0 0 100 50" style="background-image: url(https://x/a.png), url(https://x/b.png)"></svg></section>', { type: 'image', preload: 0 });
+	assert.deepEqual(twoLayers.report.map(entry => [entry.status, entry.url]), [['converted', 'https://x/a.png'], ['converted', 'https://x/b.png']]);
+});
@@ -0,0 +1,65 @@
+/**
+ * @file 命令行入口测试（在临时目录中运行svgcc.js）
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const cli = path.join(__dirname, '..', 'svgcc.js');
+const source = '<section><svg viewBox="0 0 10 10" style="background-image: url(https://x/a.png)"></svg></section>';
+
+/**
+ * 运行svgcc.js
+ * @param {string[]} args - 命令行参数
+ * @param {object} [options] - spawnSync选项
+ * @returns {object} spawnSync结果
+ */
+const run = (args, options = {}) => spawnSync(process.execPath, [cli, ...args], { encoding: 'utf8', timeout: 30000, ...options });
+
+test('输出目录与输入目录相同时不覆盖源文件，改为加.svgcc后缀', (t) => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'svgcc-'));
+	t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+	const input = path.join(dir, 'a.html');
+	fs.writeFileSync(input, source);
+
+	for (const args of [['-t', 'image', '-o', dir, dir], ['-t', 'image', '-o', '.', 'a.html']]) {
+		const result = run(args, { cwd: dir });
+		assert.equal(result.status, 0, result.stderr);
+		assert.equal(fs.readFileSync(input, 'utf8'), source);
+		assert.match(fs.readFileSync(path.join(dir, 'a.svgcc.html'), 'utf8'), /<image /);
+		fs.rmSync(path.join(dir, 'a.svgcc.html'));
+	}
+});
+
+test('输出目录不同时保持输入目录结构', (t) => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'svgcc-'));
+	t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+	fs.mkdirSync(path.join(dir, 'src', 'sub'), { recursive: true });
+	fs.writeFileSync(path.join(dir, 'src', 'sub', 'a.html'), source);
+
+	const result = run(['-t', 'image', '-o', path.join(dir, 'out'), path.join(dir, 'src')]);
+	assert.equal(result.status, 0, result.stderr);
+	assert.match(fs.readFileSync(path.join(dir, 'out', 'sub', 'a.html'), 'utf8'), /<image /);
+});
+
+test('标准输入读取失败时以退出码1结束', (t) => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'svgcc-'));
+	t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+	// 预加载脚本让标准输入在读取时出错
+	const preload = path.join(dir, 'stdin-error.js');
+	fs.writeFileSync(preload, "process.stdin.destroy(new Error('模拟读取失败'));\n");
+
+	const result = spawnSync(process.execPath, ['--require', preload, cli, '-'], { encoding: 'utf8', timeout: 30000, input: '' });
+	assert.equal(result.status, 1);
+	assert.equal(result.stderr, '[失败] 标准输入：模拟读取失败\n');
+});
+
+test('标准输入转换结果写到标准输出', () => {
+	const result = run(['-t', 'image'], { input: source });
+	assert.equal(result.status, 0, result.stderr);
+	assert.match(result.stdout, /<image /);
+});
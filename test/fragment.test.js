@@ -0,0 +1,48 @@
+/**
+ * @file 片段解析-合成测试：嵌套div、section及mp-common组件在compose(parse(code))后完整保留
+ * 语料位于 fixtures/fragment：*.html 为输入，*.expected.html 为合成结果（文件末尾的换行不计入内容）
+ * 可单独运行：node test/fragment.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const svgCC = require('../svg-code-convert.full.js');
+
+const fixtureDir = path.join(__dirname, 'fixtures', 'fragment');
+
+/**
+ * 读取语料文件（去掉末尾换行）
+ * @param {string} name - 文件名
+ * @returns {string} 文件内容
+ */
+const readFixture = (name) => fs.readFileSync(path.join(fixtureDir, name), 'utf8').replace(/\r?\n$/, '');
+
+const inputs = fs.readdirSync(fixtureDir).filter(name => name.endsWith('.html') && !name.endsWith('.expected.html')).sort();
+
+test('语料目录非空', () => {
+	assert.ok(inputs.length > 0);
+});
+
+for (const name of inputs) {
+	const code = readFixture(name);
+	const expected = readFixture(name.replace(/\.html$/, '.expected.html'));
+
+	test(`${name}：compose(parse(code))与预期一致`, () => {
+		assert.equal(svgCC.compose(svgCC.parse(code)), expected);
+	});
+
+	test(`${name}：合成结果再次往返不变`, () => {
+		assert.equal(svgCC.compose(svgCC.parse(expected)), expected);
+	});
+
+	test(`${name}：保留模式按源码原样输出`, () => {
+		assert.equal(svgCC.compose(svgCC.parse(code, { preserve: true })), code);
+	});
+
+	test(`${name}：顶层节点数量与标签不变`, () => {
+		const tags = (tree) => tree.children.filter(node => node.tag !== 'wenben' || node.attrs.trim()).map(node => node.tag);
+		assert.deepEqual(tags(svgCC.parse(expected)), tags(svgCC.parse(code)));
+	});
+}
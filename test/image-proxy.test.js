@@ -0,0 +1,93 @@
+/**
+ * @file 图片代理测试（本地源站，不联网）
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createImageProxy } = require('../image-proxy.js');
+
+// 1x1 PNG
+const png = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+/**
+ * 在随机端口启动http服务
+ * @param {Function} handler - 请求处理函数
+ * @returns {Promise<{server: http.Server, origin: string}>} 服务及其地址
+ */
+const listen = (handler) => new Promise((resolve) => {
+	const server = http.createServer(handler);
+	server.listen(0, '127.0.0.1', () => resolve({ server, origin: `http://127.0.0.1:${server.address().port}` }));
+});
+
+/**
+ * 请求代理并读取JSON或二进制响应
+ * @param {string} url - 请求地址
+ * @returns {Promise<{statusCode: number, headers: object, body: Buffer}>} 响应
+ */
+const get = (url) => new Promise((resolve, reject) => {
+	http.get(url, (res) => {
+		const chunks = [];
+		res.on('data', chunk => chunks.push(chunk));
+		res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+	}).on('error', reject);
+});
+
+test('源站持续缓慢发送数据时按总时长超时', async () => {
+	const timers = new Set();
+	const source = await listen((req, res) => {
+		res.writeHead(200, { 'Content-Type': 'image/png' });
+		const timer = setInterval(() => res.write(png.subarray(0, 1)), 50); // 间隔小于超时时间，空闲超时不会触发
+		timers.add(timer);
+		res.on('close', () => clearInterval(timer));
+	});
+	const proxy = await listen(createImageProxy({ allowedHosts: ['127.0.0.1'], timeout: 300, cacheBytes: 0 }));
+	try {
+		const res = await Promise.race([
+			get(`${proxy.origin}/?url=${encodeURIComponent(`${source.origin}/slow.png`)}`),
+			new Promise((resolve, reject) => setTimeout(() => reject(new Error('代理未在超时时间内返回')), 2000).unref())
+		]);
+		assert.equal(res.statusCode, 504);
+		assert.deepEqual(JSON.parse(res.body), { code: 504, msg: '图片获取超时' });
+	} finally {
+		timers.forEach(clearInterval);
+		source.server.closeAllConnections();
+		proxy.server.closeAllConnections();
+		await Promise.all([source.server, proxy.server].map(server => new Promise(resolve => server.close(resolve))));
+	}
+});
+
+test('正常返回图片及尺寸，重定向后仍校验白名单', async () => {
+	const source = await listen((req, res) => {
+		if (req.url === '/redirect.png') {
+			res.writeHead(302, { Location: '/a.png' });
+			res.end();
+			return;
+		}
+		if (req.url === '/outside.png') {
+			res.writeHead(302, { Location: 'http://example.com/a.png' });
+			res.end();
+			return;
+		}
+		res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': png.length });
+		res.end(png);
+	});
+	const proxy = await listen(createImageProxy({ allowedHosts: ['127.0.0.1'], timeout: 2000 }));
+	const proxyUrl = (path, query = '') => `${proxy.origin}/?url=${encodeURIComponent(`${source.origin}${path}`)}${query}`;
+	try {
+		const image = await get(proxyUrl('/redirect.png'));
+		assert.equal(image.statusCode, 200);
+		assert.equal(image.headers['content-type'], 'image/png');
+		assert.deepEqual(image.body, png);
+
+		const size = await get(proxyUrl('/a.png', '&size=1'));
+		assert.deepEqual(JSON.parse(size.body), { code: 200, type: 'png', mime: 'image/png', width: 1, height: 1 });
+
+		const outside = await get(proxyUrl('/outside.png'));
+		assert.equal(outside.statusCode, 403);
+	} finally {
+		source.server.closeAllConnections();
+		proxy.server.closeAllConnections();
+		await Promise.all([source.server, proxy.server].map(server => new Promise(resolve => server.close(resolve))));
+	}
+});
@@ -0,0 +1,58 @@
+/**
+ * @file 图片文件头读取测试（不联网，网络请求由替换的fetch返回）
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const svgCC = require('../svg-code-convert.full.js');
+
+// 1x1 PNG
+const png = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+const encode = (text) => new TextEncoder().encode(text);
+
+test('SVG根元素前只允许BOM、空白、XML声明、注释和DOCTYPE', () => {
+	const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="300" height="200"></svg>';
+	assert.deepEqual(svgCC.readImageSize(encode(svg)), { type: 'svg', width: 300, height: 200 });
+	assert.deepEqual(
+		svgCC.readImageSize(encode(`﻿<?xml version="1.0"?>\n<!-- logo -->\n<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "http://www.w3.org/Graphics/SVG/1.1/DTD/svg11.dtd">\n<svg viewBox="0 0 40 20"></svg>`)),
+		{ type: 'svg', width: 40, height: 20 }
+	);
+});
+
+test('内嵌svg图标的HTML页面不识别为图片', async () => {
+	const html = '<!DOCTYPE html><html><head><title>登录</title></head><body><svg width="30" height="20"><path d="M0 0h30v20z"/></svg></body></html>';
+	assert.equal(svgCC.readImageSize(encode(html)), null);
+	assert.equal(svgCC.readImageSize(fs.readFileSync(path.join(__dirname, 'fixtures', 'fragment', 'mixed.html'))), null);
+	await assert.rejects(svgCC.getImageSize(encode(html)), /无法从文件头解析图片尺寸/);
+});
+
+test('协议相对链接按https请求', async (t) => {
+	const requested = [];
+	t.mock.method(globalThis, 'fetch', async (url) => {
+		requested.push(url);
+		return new Response(png);
+	});
+	assert.deepEqual(await svgCC.getImageSize('//mmbiz.qpic.cn/a.png'), { type: 'png', width: 1, height: 1 });
+	assert.deepEqual(requested, ['https://mmbiz.qpic.cn/a.png']);
+});
+
+test('默认不读取本地文件，开启allowLocalFiles后只读取普通文件', async (t) => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'svgcc-'));
+	t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+	const file = path.join(dir, 'a.png');
+	fs.writeFileSync(file, png);
+
+	for (const source of [file, pathToFileURL(file).href, '/dev/stdin', 'images/a.png']) {
+		await assert.rejects(svgCC.getImageSize(source), /allowLocalFiles/);
+	}
+	await assert.rejects(svgCC.getImageRatio(file), /allowLocalFiles/);
+
+	assert.deepEqual(await svgCC.getImageSize(file, { allowLocalFiles: true }), { type: 'png', width: 1, height: 1 });
+	assert.deepEqual(await svgCC.getImageSize(pathToFileURL(file).href, { allowLocalFiles: true }), { type: 'png', width: 1, height: 1 });
+	assert.equal(await svgCC.getImageRatio(file, { allowLocalFiles: true }), 1);
+	await assert.rejects(svgCC.getImageSize(dir, { allowLocalFiles: true }), /不是普通文件/);
+});
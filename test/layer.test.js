@@ -0,0 +1,74 @@
+/**
+ * @file 特征层级分规则测试（默认规则与原版计分一致，修正版规则layerRuleFixes需显式启用）
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const svgCC = require('../svg-code-convert.full.js');
+
+// 并列g/fo容器、图片自身及祖先节点的opacity属性、height为0、z-index、width动画
+const code = '<section style="transform: rotate(1deg)"><svg viewBox="0 0 100 100">'
+	+ '<g><image href="https://x/a.png" opacity="0"/></g>'
+	+ '<g opacity="0"><image href="https://x/b.png"/></g>'
+	+ '<foreignObject width="100" height="100"><section style="height: 0"><img src="https://x/c.png" style="z-index: 2"></section></foreignObject>'
+	+ '</svg><svg viewBox="0 0 10 10"><animate attributeName="width" values="0;10" dur="1s"/><image href="https://x/d.png"/><image href="https://x/e.png"/></svg></section>';
+
+/**
+ * 按文档顺序列出每张图片的层级总分及明细字段
+ * @param {object} [options] - calcLayer选项
+ * @returns {object[]} 明细数组
+ */
+const details = (options) => svgCC.calcLayer(svgCC.parse(code), 5, options).imagesDetail
+	.sort((a, b) => a.globalOrder - b.globalOrder)
+	.map(item => ({
+		url: item.url,
+		layer: item.layer,
+		bottom: item.totalBottomScore,
+		top: item.totalTopScore,
+		gfo: item.gfoScore,
+		animate: item.animateScore,
+		global: item.globalScore
+	}));
+
+test('默认规则的得分与原版计分一致', () => {
+	// 原版：每层样式都按图片自身的opacity属性减分（a.png共4层-8，b.png祖先的opacity属性不计分），gfo恒为0
+	assert.deepEqual(details(), [
+		{ url: 'https://x/a.png', layer: 20, bottom: -10, top: 5, gfo: 0, animate: 0, global: 5 },
+		{ url: 'https://x/b.png', layer: 29.99, bottom: 0, top: 5, gfo: 0, animate: 0, global: 4.99 },
+		{ url: 'https://x/c.png', layer: 22.98, bottom: -10, top: 8, gfo: 0, animate: 0, global: 4.98 },
+		{ url: 'https://x/d.png', layer: 129.97, bottom: 0, top: 5, gfo: 0, animate: 100, global: 4.97 },
+		{ url: 'https://x/e.png', layer: 129.96, bottom: 0, top: 5, gfo: 0, animate: 100, global: 4.96 }
+	]);
+});
+
+test('gfo默认权重为0，不计入scores', () => {
+	const [item] = svgCC.calcLayer(svgCC.parse(code), 1).imagesDetail;
+	assert.deepEqual(Object.keys(item.scores), ['bottom', 'top', 'animate', 'timeline', 'global']);
+});
+
+test('启用layerRuleFixes后按各节点自身的opacity属性计分并计入并列容器顺序', () => {
+	assert.deepEqual(details({ rules: svgCC.layerRuleFixes }), [
+		{ url: 'https://x/a.png', layer: 28, bottom: -2, top: 5, gfo: 0, animate: 0, global: 5 },
+		{ url: 'https://x/b.png', layer: 30.99, bottom: -2, top: 5, gfo: 3, animate: 0, global: 4.99 },
+		{ url: 'https://x/c.png', layer: 28.98, bottom: -10, top: 8, gfo: 6, animate: 0, global: 4.98 },
+		{ url: 'https://x/d.png', layer: 132.97, bottom: 0, top: 5, gfo: 3, animate: 100, global: 4.97 },
+		{ url: 'https://x/e.png', layer: 132.96, bottom: 0, top: 5, gfo: 3, animate: 100, global: 4.96 }
+	]);
+});
+
+test('修正可单独启用', () => {
+	const onlyBottom = details({ rules: { bottom: svgCC.layerRuleFixes.bottom } });
+	assert.deepEqual(onlyBottom.map(item => [item.bottom, item.gfo]), [[-2, 0], [-2, 0], [-10, 0], [0, 0], [0, 0]]);
+	const onlyGfo = details({ weights: { gfo: 1 } });
+	assert.deepEqual(onlyGfo.map(item => [item.bottom, item.gfo]), [[-10, 0], [0, 3], [-10, 6], [0, 3], [0, 3]]);
+});
+
+test('调试报告只为http(s)和data:image链接生成缩略图链接', () => {
+	const tree = svgCC.parse('<section><img src="javascript:alert(1)"><img src="https://x/a.png"><img src="data:image/png;base64,AAAA"></section>');
+	const html = svgCC.buildLayerReport(svgCC.calcLayer(tree, 5));
+	assert.doesNotMatch(html, /href="javascript:/i);
+	assert.doesNotMatch(html, /src="javascript:/i);
+	assert.match(html, /<a href="https:\/\/x\/a\.png"/);
+	assert.match(html, /<a href="data:image\/png;base64,AAAA"/);
+	assert.match(html, /<td data-value="">javascript:alert\(1\)<\/td>/);
+});
@@ -0,0 +1,77 @@
+/**
+ * @file 预加载片段注入与移除测试
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const svgCC = require('../svg-code-convert.full.js');
+
+const article = '<section data-svgcc-scope><svg viewBox="0 0 10 10" style="background-image: url(https://mmbiz.qpic.cn/a.png)"></svg></section>'
+	+ '<section><svg viewBox="0 0 10 10" style="background-image: url(https://mmbiz.qpic.cn/b.png)"></svg></section>';
+
+/**
+ * 统计代码中的预加载片段数量
+ * @param {string} code - 合成后的代码
+ * @returns {number} 预加载片段数量
+ */
+const countPreload = (code) => svgCC.findPreloadSections(svgCC.parse(code)).length;
+
+test('convert重复处理：替换已注入的预加载片段而不是叠加', async () => {
+	const options = { type: 'image', preload: 2, preserve: true };
+	const first = (await svgCC.convert(article, options)).code;
+	const second = await svgCC.convert(first, options);
+	assert.equal(countPreload(first), 1);
+	assert.equal(second.code, first);
+	// 预加载片段中的图片不计入层级明细
+	assert.equal(second.layer.imagesDetail.length, 2);
+});
+
+test('convert重复处理带作用域的文章：作用域路径不受已注入的预加载片段影响', async () => {
+	const options = { type: 'image', preload: 1, scope: '[data-svgcc-scope]' };
+	const first = await svgCC.convert(article, { ...options, type: '' });
+	const second = await svgCC.convert(first.code, options);
+	assert.equal(countPreload(second.code), 1);
+	assert.deepEqual(second.report.map(entry => entry.url), ['https://mmbiz.qpic.cn/a.png']);
+	assert.deepEqual(second.layer.imagesDetail.map(item => item.url), ['https://mmbiz.qpic.cn/a.png']);
+	assert.equal(countPreload((await svgCC.convert(second.code, options)).code), 1);
+});
+
+test('convert作用域仅匹配预加载片段内的节点时抛出错误且不修改树形结构', async () => {
+	const tree = svgCC.parse((await svgCC.convert(article, { preload: 1 })).code);
+	const before = svgCC.compose(tree);
+	await assert.rejects(svgCC.convert(tree, { type: 'image', scope: `[${svgCC.preloadMarker}]` }), /转换作用域未匹配到任何节点/);
+	assert.equal(svgCC.compose(tree), before);
+});
+
+test('preload为0时保留已注入的预加载片段', async () => {
+	const first = (await svgCC.convert(article, { preload: 2, preserve: true })).code;
+	const second = (await svgCC.convert(first, { type: 'img', preserve: true })).code;
+	assert.equal(countPreload(second), 1);
+});
+
+test('分阶段注入与移除', () => {
+	const layer = svgCC.calcLayer(svgCC.parse(article), 2);
+	let code = svgCC.injectPreload('<p>x</p>', layer.stages.first.html, { stage: 'first', path: [1] });
+	code = svgCC.injectPreload(code, layer.stages.first.html, { stage: 'first' });
+	assert.deepEqual(svgCC.findPreloadSections(svgCC.parse(code)).map(section => [section.stage, section.path]), [['first', [1]]]);
+	assert.equal(svgCC.stripPreload(code), '<p>x</p>');
+});
+
+test('识别未带标记属性的旧版预加载片段', () => {
+	const legacy = '<section class="用于提前加载的图片组，不影响画面内容"><svg style="background-image: url(https://mmbiz.qpic.cn/old.png)"></svg></section><p>x</p>';
+	assert.equal(countPreload(legacy), 1);
+	assert.equal(svgCC.calcLayer(svgCC.parse(legacy), 1).imagesDetail.length, 0);
+});
+
+test('background方式转义链接中的引号、右括号和反斜杠', () => {
+	const urls = ["https://a/x.png?q=it's", 'https://a/(1).png', 'https://a/b\\c.png"'];
+	const html = svgCC.buildPreloadHtml(urls, 'background');
+	assert.match(html, /url\('https:\/\/a\/x\.png\?q=it\\'s'\)/);
+	// url()完整解析，去掉CSS转义后与原链接一致
+	const found = [];
+	svgCC.visitTree(svgCC.parse(html), (node) => {
+		if (node.attrs?.['iftool-background']) found.push(node.attrs['iftool-background']);
+	});
+	assert.deepEqual(found, ["https://a/x.png?q=it\\'s", 'https://a/(1\\).png', 'https://a/b\\\\c.png\\"']);
+	assert.deepEqual(found.map(url => url.replace(/\\(.)/g, '$1')), urls);
+});
@@ -0,0 +1,117 @@
+/**
+ * @file 宽高比来源测试：不联网完成img2image/img2svg转换（network来源由替换的fetch返回）
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const svgCC = require('../svg-code-convert.full.js');
+
+// 不含network的宽高比来源
+const offlineResolvers = svgCC.defaultRatioResolvers.filter(name => name !== 'network');
+
+// 调用即失败的代理，用于确认转换过程没有加载图片
+const failProxy = () => {
+	throw new Error('离线转换不应加载图片');
+};
+
+/**
+ * 解析代码并返回第一个img节点及其祖先节点
+ * @param {string} code - 含img的代码
+ * @returns {{tree: object, node: object, ancestors: object[]}} 树形结构、img节点及祖先节点数组
+ */
+const findImg = (code) => {
+	const tree = svgCC.parse(code);
+	let found = null;
+	svgCC.visitTree(tree, (node, ctx) => {
+		if (!found && node.tag === 'img') found = { node, ancestors: ctx.ancestors };
+	});
+	return { tree, ...found };
+};
+
+test('dataRatio读取公众号data-ratio（高/宽）', async () => {
+	const { node, ancestors } = findImg('<img src="https://mmbiz.qpic.cn/a.png" data-ratio="0.5">');
+	assert.deepEqual(await svgCC.resolveImageRatio(node, { ancestors }, { ratioResolvers: offlineResolvers }), { ratio: 2, source: 'dataRatio' });
+});
+
+test('dataSize读取data-w与data-h', async () => {
+	const { node, ancestors } = findImg('<img src="https://mmbiz.qpic.cn/a.png" data-w="300" data-h="200">');
+	assert.deepEqual(await svgCC.resolveImageRatio(node, { ancestors }, { ratioResolvers: offlineResolvers }), { ratio: 1.5, source: 'dataSize' });
+});
+
+test('urlQuery读取链接中的wx_w/wx_h参数', async () => {
+	const { node, ancestors } = findImg('<img src="https://mmbiz.qpic.cn/a.png?wx_fmt=png&wx_w=300&wx_h=100">');
+	assert.deepEqual(await svgCC.resolveImageRatio(node, { ancestors }, { ratioResolvers: offlineResolvers }), { ratio: 3, source: 'urlQuery' });
+});
+
+test('attrSize读取数值width/height属性', async () => {
+	const { node, ancestors } = findImg('<img src="https://mmbiz.qpic.cn/a.png" width="400" height="100">');
+	assert.deepEqual(await svgCC.resolveImageRatio(node, { ancestors }, { ratioResolvers: offlineResolvers }), { ratio: 4, source: 'attrSize' });
+});
+
+test('siblingViewBox读取相邻svg的viewBox', async () => {
+	const { node, ancestors } = findImg('<section><svg viewBox="0 0 1080 720"></svg><img src="https://mmbiz.qpic.cn/a.png"></section>');
+	assert.deepEqual(await svgCC.resolveImageRatio(node, { ancestors }, { ratioResolvers: offlineResolvers }), { ratio: 1.5, source: 'siblingViewBox' });
+});
+
+test('来源按顺序尝试，前面的来源优先', async () => {
+	const { node, ancestors } = findImg('<img src="https://mmbiz.qpic.cn/a.png?wx_w=300&wx_h=100" data-ratio="0.5">');
+	assert.equal((await svgCC.resolveImageRatio(node, { ancestors }, { ratioResolvers: ['urlQuery', 'dataRatio'] })).source, 'urlQuery');
+});
+
+test('自定义来源函数', async () => {
+	const { node, ancestors } = findImg('<img src="https://mmbiz.qpic.cn/a.png">');
+	const fromTable = (url) => ({ 'https://mmbiz.qpic.cn/a.png': 0.75 })[url];
+	assert.deepEqual(await svgCC.resolveImageRatio(node, { ancestors }, { ratioResolvers: [fromTable] }), { ratio: 0.75, source: 'fromTable' });
+});
+
+test('全部来源均无结果或来源名称未知时抛出错误', async () => {
+	const { node, ancestors } = findImg('<img src="https://mmbiz.qpic.cn/a.png">');
+	await assert.rejects(svgCC.resolveImageRatio(node, { ancestors }, { ratioResolvers: offlineResolvers }), /各宽高比来源均未得到有效值/);
+	assert.throws(() => svgCC.getRatioResolvers(['nope']), /未知的宽高比来源: nope/);
+});
+
+test('img2image离线转换：有宽高比信息的img转换，无信息的img跳过并记录原因', async () => {
+	const tree = svgCC.parse('<section><img src="https://mmbiz.qpic.cn/a.png" data-ratio="0.5"><img src="https://mmbiz.qpic.cn/b.png"></section>');
+	const report = [];
+	await svgCC.img2image(tree, { ratioResolvers: offlineResolvers, imageProxy: failProxy, report });
+	assert.equal(
+		svgCC.compose(tree),
+		'<section><svg viewBox="0 0 1080 540" style="display: block; pointer-events: painted; width: 100%;"><image data-ratio="0.5" x="0" y="0" width="1080" height="540" style="" href="https://mmbiz.qpic.cn/a.png"/></svg><img src="https://mmbiz.qpic.cn/b.png"/></section>'
+	);
+	assert.deepEqual(report.map(entry => entry.status), ['converted', 'skipped']);
+	assert.match(report[1].reason, /无法确定图片尺寸/);
+});
+
+test('img2svg离线转换：按基准宽度生成viewBox', async () => {
+	const tree = svgCC.parse('<section><img src="https://mmbiz.qpic.cn/a.png?wx_w=300&wx_h=100"></section>');
+	await svgCC.img2svg(tree, { ratioResolvers: offlineResolvers, imageProxy: failProxy, baseWidth: 600 });
+	assert.match(svgCC.compose(tree), /^<section><svg viewBox="0 0 600 200" style="background: [^"]*url\(https:\/\/mmbiz\.qpic\.cn\/a\.png\?wx_w=300&wx_h=100\)/);
+});
+
+test('convert离线转换', async () => {
+	const { code, report } = await svgCC.convert('<p><img src="https://mmbiz.qpic.cn/a.png" data-w="200" data-h="100"></p>', {
+		type: 'image',
+		convertImg: true,
+		ratioResolvers: offlineResolvers,
+		imageProxy: failProxy
+	});
+	assert.match(code, /<svg viewBox="0 0 1080 540"/);
+	assert.ok(report.some(entry => entry.converter === 'img2image' && entry.status === 'converted'));
+});
+
+test('默认来源中network先于siblingViewBox，相邻svg的viewBox只在读取图片失败时使用', async (t) => {
+	assert.ok(svgCC.defaultRatioResolvers.indexOf('network') < svgCC.defaultRatioResolvers.indexOf('siblingViewBox'));
+	// 1x1 PNG
+	const png = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+	const fetchMock = t.mock.method(globalThis, 'fetch', async (url) => {
+		if (url.includes('missing')) return new Response('', { status: 404 });
+		return new Response(png);
+	});
+	const code = '<section><svg viewBox="0 0 100 50" style="background-image: url(https://x.com/bg.png)"></svg><img src="https://x.com/b.png"></section>';
+	const { code: result } = await svgCC.convert(code, { type: 'image', convertImg: true });
+	assert.match(result, /<svg viewBox="0 0 1080 1080"[^>]*><image [^>]*href="https:\/\/x.com\/b.png"/);
+	assert.deepEqual(fetchMock.mock.calls.map(call => call.arguments[0]), ['https://x.com/b.png']);
+
+	const fallback = await svgCC.convert(code.replace('b.png', 'missing.png'), { type: 'image', convertImg: true });
+	assert.match(fallback.code, /<svg viewBox="0 0 1080 540"[^>]*><image [^>]*href="https:\/\/x.com\/missing.png"/);
+});
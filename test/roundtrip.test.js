@@ -0,0 +1,51 @@
+/**
+ * @file 解析-合成往返测试：片段根节点与HTML实体
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const svgCC = require('../svg-code-convert.full.js');
+
+/**
+ * 解析后立即合成
+ * @param {string} code - 原始代码
+ * @param {object} [options] - 解析选项
+ * @returns {string} 合成后的代码
+ */
+const roundTrip = (code, options) => svgCC.compose(svgCC.parse(code, options));
+
+test('parse返回片段根节点，children为全部顶层节点', () => {
+	const tree = svgCC.parse('<p>1</p>text<section></section>');
+	assert.equal(tree.tag, svgCC.fragmentTag);
+	assert.deepEqual(tree.children.map(node => node.tag), ['p', 'wenben', 'section']);
+});
+
+test('多个顶层节点及嵌套div往返不丢失内容', () => {
+	const code = '<div><div>1</div><div>2</div></div><section>3</section><div>4</div>';
+	assert.equal(roundTrip(code), code);
+});
+
+test('文本中的实体：会被误解析的&保留转义，普通&原样输出', () => {
+	assert.equal(roundTrip('<p>a &amp;lt; b &amp; c</p>'), '<p>a &amp;lt; b & c</p>');
+	assert.equal(roundTrip('<p>&lt;svg&gt;</p>'), '<p>&lt;svg&gt;</p>');
+});
+
+test('命名实体与数字引用解码为字符', () => {
+	assert.equal(roundTrip('<p>&mdash;&#8203;&#x4e2d;&copy</p>'), '<p>—​中©</p>');
+});
+
+test('属性值中的链接参数与引号', () => {
+	assert.equal(roundTrip('<img src="https://mmbiz.qpic.cn/a.png?wx_fmt=png&amp;from=appmsg">'), '<img src="https://mmbiz.qpic.cn/a.png?wx_fmt=png&from=appmsg"/>');
+	assert.equal(roundTrip('<p title="&quot;a&quot;">x</p>'), '<p title="&quot;a&quot;">x</p>');
+	// 属性值中旧式实体后接=时不解码
+	assert.equal(roundTrip('<a href="?a=1&copy=2">x</a>'), '<a href="?a=1&copy=2">x</a>');
+});
+
+test('保留模式按源码原样输出未修改的节点', () => {
+	const code = '<section  style="color:red;" >\n\t<p>a &amp; b&nbsp;</p>\n\t<!-- 注释 -->\n</section>';
+	assert.equal(roundTrip(code, { preserve: true }), code);
+});
+
+test('原始文本元素内容不转义', () => {
+	assert.equal(roundTrip('<style>p > a { content: "&"; }</style>'), '<style>p > a { content: "&"; }</style>');
+});
@@ -0,0 +1,68 @@
+/**
+ * @file SMIL时间轴出现时机测试
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const svgCC = require('../svg-code-convert.full.js');
+
+/**
+ * 计算代码中每张图片的时间轴出现时机
+ * @param {string} code - 含图片的代码
+ * @returns {object} 图片链接到timeline的映射
+ */
+const timelines = (code) => {
+	const layer = svgCC.calcLayer(svgCC.parse(code), 0);
+	return Object.fromEntries(layer.imagesDetail.map(item => [item.url, item.timeline]));
+};
+
+test('静态可见的图片为initial', () => {
+	assert.deepEqual(timelines('<section><img src="https://x/a.png"></section>')['https://x/a.png'], { state: 'initial', time: 0 });
+});
+
+test('静态隐藏且没有动画使其可见的图片为hidden而不是interaction', () => {
+	const result = timelines('<section style="opacity:0"><img src="https://x/a.png"></section>'
+		+ '<section style="visibility: hidden"><img src="https://x/b.png"></section>'
+		+ '<section style="display:none"><img src="https://x/c.png"></section>');
+	Object.values(result).forEach(timeline => assert.deepEqual(timeline, { state: 'hidden', time: null }));
+});
+
+test('hidden不计时间轴分，静态隐藏仍由bottom规则减分', () => {
+	const [item] = svgCC.calcLayer(svgCC.parse('<section style="opacity:0"><img src="https://x/a.png"></section>'), 1).imagesDetail;
+	assert.equal(item.timelineScore, 0);
+	assert.equal(item.totalBottomScore, -2);
+});
+
+test('点击后显示的图片为interaction，time为null', () => {
+	const code = '<svg><g opacity="0"><set attributeName="opacity" to="1" begin="click"/><image href="https://x/a.png"/></g>'
+		+ '<g style="visibility:hidden"><set attributeName="visibility" to="visible" begin="btn-1.touchstart+0.5s"/><image href="https://x/b.png"/></g></svg>';
+	const result = timelines(code);
+	assert.deepEqual(result['https://x/a.png'], { state: 'interaction', time: null });
+	assert.deepEqual(result['https://x/b.png'], { state: 'interaction', time: null });
+	assert.equal(JSON.parse(JSON.stringify(result))['https://x/a.png'].time, null);
+});
+
+test('begin偏移与同步基准得到定时出现时间', () => {
+	const code = '<svg><g style="opacity:0"><animate id="a1" attributeName="opacity" values="0;1" begin="2s" dur="1s" fill="freeze"/><image href="https://x/a.png"/></g>'
+		+ '<g><set attributeName="opacity" to="0" begin="0s"/><animate attributeName="opacity" values="0;1" begin="a1.end+500ms" dur="1s"/><image href="https://x/b.png"/></g>'
+		+ '<g visibility="hidden" id="v"><image href="https://x/c.png"/></g><set href="#v" attributeName="visibility" to="visible" begin="01:05"/></svg>';
+	const result = timelines(code);
+	assert.deepEqual(result['https://x/a.png'], { state: 'timed', time: 2 });
+	assert.deepEqual(result['https://x/b.png'], { state: 'timed', time: 3.5 });
+	assert.deepEqual(result['https://x/c.png'], { state: 'timed', time: 65 });
+});
+
+test('交互后出现的图片排在首屏图片之后', () => {
+	const code = '<svg><g opacity="0"><set attributeName="opacity" to="1" begin="click"/><image href="https://x/click.png"/></g>'
+		+ '<image href="https://x/first.png"/></svg>';
+	const layer = svgCC.calcLayer(svgCC.parse(code), 1);
+	assert.deepEqual(layer.preloadImages.map(item => item.url), ['https://x/first.png']);
+});
+
+test('parseClockValue解析时钟值', () => {
+	assert.equal(svgCC.parseClockValue('0:01:30'), 90);
+	assert.equal(svgCC.parseClockValue('01:30'), 90);
+	assert.equal(svgCC.parseClockValue('500ms'), 0.5);
+	assert.equal(svgCC.parseClockValue('2min'), 120);
+	assert.ok(Number.isNaN(svgCC.parseClockValue('click')));
+});